@@ -6,3 +6,40 @@ module.exports.MOCK_DATA =
 
 module.exports.PRINT_DATA_FOR =
   process.env.PRINT_DATA_FOR === undefined ? null : process.env.PRINT_DATA_FOR
+
+module.exports.PREVIEW_PORT =
+  process.env.PREVIEW_PORT === undefined
+    ? 8060
+    : parseInt(process.env.PREVIEW_PORT, 10)
+
+module.exports.DASHBOARD_URL =
+  process.env.DASHBOARD_URL || 'http://localhost:3000'
+
+module.exports.PORT =
+  process.env.PORT === undefined ? 8050 : parseInt(process.env.PORT, 10)
+
+module.exports.API_URL = (
+  process.env.API_URL || `http://localhost:${module.exports.PORT}`
+).replace(/\/+$/, '')
+
+module.exports.SUBGRAPH_URL =
+  process.env.SUBGRAPH_URL ||
+  'http://127.0.0.1:8000/subgraphs/name/aragon/aragon-court-rpc'
+
+module.exports.COURT_ADDRESS = process.env.COURT_ADDRESS || null
+
+module.exports.STORE_PATH = process.env.STORE_PATH || './notifications.json'
+
+module.exports.POLL_INTERVAL =
+  process.env.POLL_INTERVAL === undefined
+    ? 60
+    : parseInt(process.env.POLL_INTERVAL, 10)
+
+module.exports.TRANSPORT = process.env.TRANSPORT || 'file'
+
+module.exports.SMTP_URL = process.env.SMTP_URL || null
+
+module.exports.OUTBOX_PATH = process.env.OUTBOX_PATH || './outbox'
+
+module.exports.EMAIL_FROM =
+  process.env.EMAIL_FROM || 'Aragon Court <notifications@court.aragon.org>'
@@ -0,0 +1,32 @@
+const prettier = require('prettier')
+const handlebars = require('handlebars')
+
+/**
+ * Generate the HTML and text versions of a template
+ * @param {Function} createTemplate Function exported by a file in templates/
+ * @param {Object} data Data to replace the mustache variables with, or null to keep them
+ * @returns {Object} The `template` (HTML), the `templateText` and the `mockData` of the template
+ */
+function renderTemplate(createTemplate, data = null) {
+  let { template, templateText, mockData } = createTemplate()
+
+  // Prettify templates
+  template = prettier.format(template, { parser: 'html', printWidth: 999 })
+  templateText = prettier.format(templateText, {
+    parser: 'markdown',
+    proseWrap: 'always',
+    printWidth: 80,
+  })
+
+  // Remove extra whitespaces in the text template
+  templateText = templateText.replace(/^ +/gm, '')
+
+  if (data) {
+    template = handlebars.compile(template)(data)
+    templateText = handlebars.compile(templateText)(data)
+  }
+
+  return { template, templateText, mockData }
+}
+
+module.exports = { renderTemplate }
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+const {
+  API_URL,
+  COURT_ADDRESS,
+  DASHBOARD_URL,
+  EMAIL_FROM,
+  OUTBOX_PATH,
+  POLL_INTERVAL,
+  PORT,
+  SMTP_URL,
+  STORE_PATH,
+  TRANSPORT,
+} = require('../env')
+const { createMailer } = require('./mailer')
+const { createNotifier } = require('./notifier')
+const { createServer } = require('./server')
+const { createStore } = require('./store')
+const { createTransport } = require('./transports')
+
+function main() {
+  if (!COURT_ADDRESS) {
+    console.error('Error: the COURT_ADDRESS variable is required.')
+    process.exit(1)
+  }
+
+  const store = createStore(STORE_PATH)
+  const mailer = createMailer({
+    apiUrl: API_URL,
+    dashboardUrl: DASHBOARD_URL,
+    from: EMAIL_FROM,
+    transport: createTransport(TRANSPORT, {
+      outboxPath: OUTBOX_PATH,
+      smtpUrl: SMTP_URL,
+    }),
+  })
+  const notifier = createNotifier({
+    courtAddress: COURT_ADDRESS,
+    mailer,
+    pollInterval: POLL_INTERVAL,
+    store,
+  })
+  const server = createServer({ store, mailer, dashboardUrl: DASHBOARD_URL })
+
+  server.listen(PORT, () => {
+    console.log(`Notification service listening on port ${PORT}`)
+    console.log(`Sending emails through the ${TRANSPORT} transport`)
+  })
+  notifier.start()
+
+  const shutdown = () => {
+    notifier.stop()
+    server.close(() => process.exit(0))
+  }
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+}
+
+try {
+  main()
+} catch (err) {
+  console.error(err.message)
+  process.exit(1)
+}
@@ -0,0 +1,114 @@
+const {
+  formatDate,
+  formatDateTime,
+  getTemplateExtra,
+  renderEmail,
+} = require('./render')
+
+const APPEALS_OPENED_SECONDARY =
+  'Now that Voting has ended, Preliminary Rulings can be appealed by anyone. ' +
+  'If the ruling gets appealed, a larger set of jurors will be drafted to ' +
+  'review it.'
+
+function accountData(address) {
+  return {
+    account: address,
+    accountStart: address.slice(0, 6),
+    accountEnd: address.slice(-4),
+  }
+}
+
+/**
+ * Renders the templates with the data of the notices, and sends them
+ * @param {Object} options Options
+ * @param {Object} options.transport Transport sending the emails (see transports.js)
+ * @param {String} options.from Sender of the emails
+ * @param {String} options.apiUrl Public URL of the notifications API, for the verification links
+ * @param {String} options.dashboardUrl URL of the dashboard, for the dispute links
+ * @returns {Object} The mailer
+ */
+function createMailer({ transport, from, apiUrl, dashboardUrl }) {
+  const disputeUrl = disputeId => `${dashboardUrl}/disputes/${disputeId}`
+
+  function send(to, template, data) {
+    return transport.send({ from, to, ...renderEmail(template, data) })
+  }
+
+  function getNoticeData(notice) {
+    if (notice.template === 'missed-vote') {
+      return {
+        lockedAnjBalanceUrl: `${dashboardUrl}/dashboard`,
+        learnMoreUrl: disputeUrl(notice.disputeId),
+      }
+    }
+    if (notice.template === 'appeals-opened') {
+      return {
+        disputeId: notice.disputeId,
+        disputeUrl: disputeUrl(notice.disputeId),
+        actionLabel: 'Review the ruling',
+        actionUrl: disputeUrl(notice.disputeId),
+        secondary: APPEALS_OPENED_SECONDARY,
+      }
+    }
+    return {
+      disputeId: notice.disputeId,
+      disputeUrl: disputeUrl(notice.disputeId),
+    }
+  }
+
+  return {
+    sendVerification(email, token) {
+      return send(email, 'email-verification', {
+        date: formatDate(Date.now()),
+        verifyEmailUrl: `${apiUrl}/verify?token=${token}`,
+      })
+    },
+
+    /**
+     * Send the notices of a juror, calling `onSent()` with the keys of the
+     * notices of every email sent, so that they get marked as sent even if a
+     * later email fails
+     * @param {Object} subscription Subscription of the juror
+     * @param {Array} notices Notices to send (see `getNotices()`)
+     * @param {Function} onSent Called with the keys of the notices sent
+     * @returns {Promise} Resolves once every email is sent
+     */
+    async sendNotices({ address, email }, notices, onSent) {
+      const common = { ...accountData(address), date: formatDate(Date.now()) }
+
+      // Due tasks are sent in a single reminder, other notices one by one
+      const dueTasks = notices.filter(
+        ({ template }) => template === 'due-tasks'
+      )
+      if (dueTasks.length > 0) {
+        const { statusTags } = getTemplateExtra('due-tasks')
+
+        await send(email, 'due-tasks', {
+          ...common,
+          tasksCount: String(dueTasks.length),
+          tasks: dueTasks.map(({ disputeId, task }) => ({
+            name: task.name,
+            disputeId,
+            disputeUrl: disputeUrl(disputeId),
+            status: 'Open: Due today',
+            statusTag: statusTags.openDue,
+            dueDate: formatDateTime(task.end),
+          })),
+        })
+        onSent(dueTasks.map(({ key }) => key))
+      }
+
+      for (const notice of notices) {
+        if (notice.template !== 'due-tasks') {
+          await send(email, notice.template, {
+            ...common,
+            ...getNoticeData(notice),
+          })
+          onSent([notice.key])
+        }
+      }
+    },
+  }
+}
+
+module.exports = { createMailer }
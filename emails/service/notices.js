@@ -0,0 +1,113 @@
+const HOUR = 60 * 60 * 1000
+
+// Tasks are part of the reminder once they are due in less than this
+const DUE_TASKS_WINDOW = 24 * HOUR
+
+/**
+ * Adjudication windows of a round, mirroring `getRoundPhasesAndTime()` in the
+ * dashboard
+ * @param {Object} round Round with its draft term and delayed terms
+ * @param {Object} courtConfig Court configuration
+ * @returns {Object} End times of the commit, reveal and appeal windows, in milliseconds
+ */
+function getRoundWindows(round, courtConfig) {
+  const { termDuration, commitTerms, revealTerms, appealTerms } = courtConfig
+
+  const draftTermStartTime =
+    courtConfig.firstTermStartTime + round.draftTermId * termDuration
+
+  const commitStart = draftTermStartTime + round.delayedTerms * termDuration
+  const commitEnd = commitStart + commitTerms * termDuration
+  const revealEnd = commitEnd + revealTerms * termDuration
+  const appealEnd = revealEnd + appealTerms * termDuration
+
+  return { commitStart, commitEnd, revealEnd, appealEnd }
+}
+
+function getDueTask(draft, windows, now) {
+  const { commitStart, commitEnd, revealEnd } = windows
+
+  if (!draft.commitment && now >= commitStart && now < commitEnd) {
+    return { type: 'commit', name: 'Commit vote', end: commitEnd }
+  }
+  if (
+    draft.commitment &&
+    !draft.outcome &&
+    now >= commitEnd &&
+    now < revealEnd
+  ) {
+    return { type: 'reveal', name: 'Reveal vote', end: revealEnd }
+  }
+  return null
+}
+
+/**
+ * Notices to send to a juror about their drafts. Every notice has a key that
+ * is unique to the event it describes, which is used to never send it twice.
+ * @param {Array} drafts Drafts of the juror (see `fetchJurorDrafts()`)
+ * @param {Object} courtConfig Court configuration
+ * @param {Object} options Options
+ * @param {Array} options.events Names of the events the juror subscribed to
+ * @param {Number} options.now Current time, in milliseconds
+ * @param {Number} options.since Time from which events are notified, in milliseconds
+ * @returns {Array} Notices, as `{ key, template, disputeId }` (along with a `task` for the due tasks)
+ */
+function getNotices(drafts, courtConfig, { events, now, since }) {
+  const notices = []
+
+  for (const draft of drafts) {
+    const { disputeId, round } = draft
+    const id = `${disputeId}:${round.number}`
+    const windows = getRoundWindows(round, courtConfig)
+
+    if (events.includes('drafted') && draft.createdAt >= since) {
+      notices.push({ key: `drafted:${id}`, template: 'drafted', disputeId })
+    }
+
+    const task = getDueTask(draft, windows, now)
+    if (
+      events.includes('due-tasks') &&
+      task &&
+      task.end - now <= DUE_TASKS_WINDOW
+    ) {
+      notices.push({
+        key: `due-tasks:${id}:${task.type}`,
+        template: 'due-tasks',
+        disputeId,
+        task,
+      })
+    }
+
+    // Votes not revealed are forfeit once the reveal window ends
+    if (
+      events.includes('missed-vote') &&
+      !draft.outcome &&
+      now >= windows.revealEnd &&
+      windows.revealEnd >= since
+    ) {
+      notices.push({
+        key: `missed-vote:${id}`,
+        template: 'missed-vote',
+        disputeId,
+      })
+    }
+
+    // Jurors who voted get to know when their ruling can be appealed
+    if (
+      events.includes('appeals-opened') &&
+      draft.outcome &&
+      now >= windows.revealEnd &&
+      now < windows.appealEnd
+    ) {
+      notices.push({
+        key: `appeals-opened:${id}`,
+        template: 'appeals-opened',
+        disputeId,
+      })
+    }
+  }
+
+  return notices
+}
+
+module.exports = { getNotices, getRoundWindows }
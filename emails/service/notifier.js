@@ -0,0 +1,80 @@
+const { getNotices } = require('./notices')
+const { fetchCourtConfig, fetchJurorDrafts } = require('./subgraph')
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Drafts older than this can’t lead to any new notice
+const LOOKBACK = 30 * DAY
+
+function createNotifier({ courtAddress, mailer, pollInterval, store }) {
+  let timer = null
+  let stopped = false
+
+  async function notify(subscription, courtConfig, now) {
+    const since = subscription.verifiedAt
+    const drafts = await fetchJurorDrafts(
+      subscription.address,
+      Math.max(since, now - LOOKBACK)
+    )
+
+    const notices = getNotices(drafts, courtConfig, {
+      events: subscription.events,
+      now,
+      since,
+    }).filter(({ key }) => !store.wasSent(subscription.address, key))
+
+    if (notices.length === 0) {
+      return
+    }
+
+    await mailer.sendNotices(subscription, notices, keys =>
+      store.markSent(subscription.address, keys)
+    )
+    console.log(`Sent ${notices.length} notices to ${subscription.address}.`)
+  }
+
+  async function check() {
+    const subscriptions = store.getActiveSubscriptions()
+    if (subscriptions.length === 0) {
+      return
+    }
+
+    const courtConfig = await fetchCourtConfig(courtAddress)
+    const now = Date.now()
+
+    for (const subscription of subscriptions) {
+      try {
+        await notify(subscription, courtConfig, now)
+      } catch (err) {
+        console.error(
+          `Error notifying ${subscription.address}:`,
+          err.message || err
+        )
+      }
+    }
+  }
+
+  async function loop() {
+    try {
+      await check()
+    } catch (err) {
+      console.error('Error checking the subscriptions:', err.message)
+    }
+    if (!stopped) {
+      timer = setTimeout(loop, pollInterval * 1000)
+    }
+  }
+
+  return {
+    start() {
+      stopped = false
+      loop()
+    },
+    stop() {
+      stopped = true
+      clearTimeout(timer)
+    },
+  }
+}
+
+module.exports = { createNotifier }
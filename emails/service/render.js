@@ -0,0 +1,99 @@
+const path = require('path')
+const handlebars = require('handlebars')
+
+const SUBJECTS = {
+  'appeals-opened': 'Appeals are open for Dispute #{{disputeId}}',
+  drafted: 'You have been drafted for Dispute #{{disputeId}}',
+  'due-tasks': 'You have {{tasksCount}} tasks due today',
+  'email-verification': 'Verify your email',
+  'missed-vote': 'Your vote wasn’t cast on time',
+}
+
+const DAYS = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+]
+const MONTHS = [
+  'Jan.',
+  'Feb.',
+  'Mar.',
+  'Apr.',
+  'May',
+  'Jun.',
+  'Jul.',
+  'Aug.',
+  'Sep.',
+  'Oct.',
+  'Nov.',
+  'Dec.',
+]
+
+// Compiled templates, by name
+const compiled = new Map()
+
+// Same format as the mock data, e.g. “Thursday, 17 Dec. 2019” (UTC)
+function formatDate(time) {
+  const date = new Date(time)
+  return `${DAYS[date.getUTCDay()]}, ${date.getUTCDate()} ${
+    MONTHS[date.getUTCMonth()]
+  } ${date.getUTCFullYear()}`
+}
+
+// e.g. “18 Dec. 2019 at 12:46pm UTC”
+function formatDateTime(time) {
+  const date = new Date(time)
+  const hours = date.getUTCHours()
+  const minutes = String(date.getUTCMinutes()).padStart(2, '0')
+  return `${date.getUTCDate()} ${
+    MONTHS[date.getUTCMonth()]
+  } ${date.getUTCFullYear()} at ${hours % 12 || 12}:${minutes}${
+    hours < 12 ? 'am' : 'pm'
+  } UTC`
+}
+
+function getTemplate(name) {
+  if (!compiled.has(name)) {
+    const createTemplate = require(path.join(
+      __dirname,
+      '..',
+      'templates',
+      `${name}.js`
+    ))
+    const { template, templateText, ...extra } = createTemplate()
+
+    compiled.set(name, {
+      extra,
+      html: handlebars.compile(template),
+      subject: handlebars.compile(SUBJECTS[name], { noEscape: true }),
+      // Remove extra whitespaces, as build-emails does
+      text: handlebars.compile(templateText.replace(/^ +/gm, '').trim(), {
+        noEscape: true,
+      }),
+    })
+  }
+  return compiled.get(name)
+}
+
+/**
+ * Render an email from one of the templates
+ * @param {String} name Name of the template (file name in templates/, without extension)
+ * @param {Object} data Variables of the template, as in its `mockData`
+ * @returns {Object} The subject, HTML and text of the email
+ */
+function renderEmail(name, data) {
+  const { html, subject, text } = getTemplate(name)
+  return { subject: subject(data), html: html(data), text: text(data) }
+}
+
+// Values the templates provide along with their content (e.g. the HTML of
+// the status tags of due-tasks)
+function getTemplateExtra(name) {
+  return getTemplate(name).extra
+}
+
+module.exports = { formatDate, formatDateTime, getTemplateExtra, renderEmail }
@@ -0,0 +1,200 @@
+const http = require('http')
+const { utils } = require('ethers')
+const { toPublicSubscription } = require('./store')
+
+const EVENTS = ['drafted', 'due-tasks', 'missed-vote', 'appeals-opened']
+const MAX_BODY_SIZE = 10 * 1024
+
+// Signed messages are only accepted for a short while
+const MAX_MESSAGE_AGE = 10 * 60 * 1000
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+function send(res, statusCode, data, headers = {}) {
+  res.writeHead(statusCode, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Content-Type': 'application/json',
+    ...headers,
+  })
+  res.end(data === undefined ? '' : JSON.stringify(data))
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', chunk => {
+      body += chunk
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'))
+        req.destroy()
+      }
+    })
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body))
+      } catch (err) {
+        reject(new Error('Invalid JSON body'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+// Returns the address opening the session (see `getSessionMessage()` in the
+// dashboard), or throws with the reason
+function parseSession({ address, message, signature } = {}, checkSignature) {
+  if (typeof address !== 'string' || !/^0x[0-9a-f]{40}$/.test(address)) {
+    throw new Error('Invalid address')
+  }
+  if (!checkSignature) {
+    return address
+  }
+
+  const lines = typeof message === 'string' ? message.split('\n') : []
+  const issuedAt = Date.parse(
+    (lines.find(line => line.startsWith('Issued at: ')) || '').slice(11)
+  )
+  if (
+    !lines.includes(`Account: ${address}`) ||
+    !(Math.abs(Date.now() - issuedAt) < MAX_MESSAGE_AGE)
+  ) {
+    throw new Error('Invalid or expired message')
+  }
+
+  let signer
+  try {
+    signer = utils.verifyMessage(message, signature)
+  } catch (err) {
+    throw new Error('Invalid signature')
+  }
+  if (signer.toLowerCase() !== address) {
+    throw new Error('Invalid signature')
+  }
+  return address
+}
+
+// Returns the validated subscription, or throws with the reason
+function parseSubscription({ email, events } = {}) {
+  if (typeof email !== 'string' || !EMAIL_REGEX.test(email)) {
+    throw new Error('Invalid email')
+  }
+  if (!Array.isArray(events) || events.some(name => !EVENTS.includes(name))) {
+    throw new Error('Invalid events')
+  }
+  return { email, events: [...new Set(events)] }
+}
+
+/**
+ * HTTP server of the notifications API (see the HTTP API section of README.md)
+ * @param {Object} options Options
+ * @param {Object} options.store Store of the subscriptions (see store.js)
+ * @param {Object} options.mailer Mailer sending the verification emails (see mailer.js)
+ * @param {String} options.dashboardUrl URL of the dashboard, where the verification links redirect
+ * @param {Boolean} options.checkSignatures Set to false to open sessions without checking the signatures (for development only)
+ * @returns {Object} The server
+ */
+function createServer({ store, mailer, dashboardUrl, checkSignatures = true }) {
+  async function sendVerification(subscription, token) {
+    try {
+      await mailer.sendVerification(subscription.email, token)
+    } catch (err) {
+      console.error(
+        `Error sending the verification email of ${subscription.address}:`,
+        err.message
+      )
+    }
+  }
+
+  async function handleSubscription(req, res, address) {
+    const subscription = store.getSubscription(address)
+
+    if (req.method === 'GET') {
+      return subscription
+        ? send(res, 200, toPublicSubscription(subscription))
+        : send(res, 404, { error: 'No subscription' })
+    }
+
+    if (req.method === 'PUT') {
+      let update
+      try {
+        update = parseSubscription(await readBody(req))
+      } catch (err) {
+        return send(res, 400, { error: err.message })
+      }
+
+      const [newSubscription, token] = store.updateSubscription(address, update)
+      if (token) {
+        await sendVerification(newSubscription, token)
+      }
+      return send(res, 200, toPublicSubscription(newSubscription))
+    }
+
+    if (req.method === 'DELETE') {
+      store.deleteSubscription(address)
+      return send(res, 204)
+    }
+
+    send(res, 404, { error: 'Not found' })
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+
+    if (req.method === 'OPTIONS') {
+      return send(res, 204)
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      return send(res, 200, { ok: true })
+    }
+
+    if (req.method === 'POST' && url.pathname === '/sessions') {
+      let address
+      try {
+        address = parseSession(await readBody(req), checkSignatures)
+      } catch (err) {
+        return send(res, 400, { error: err.message })
+      }
+      return send(res, 201, store.createSession(address))
+    }
+
+    if (req.method === 'GET' && url.pathname === '/verify') {
+      const subscription = store.verify(url.searchParams.get('token'))
+      return subscription
+        ? send(res, 302, undefined, {
+            Location: `${dashboardUrl}/?preferences=notifications`,
+          })
+        : send(res, 404, { error: 'Invalid or expired link' })
+    }
+
+    if (url.pathname.startsWith('/subscription')) {
+      const [, token] = (req.headers.authorization || '').split('Bearer ')
+      const address = token && store.getSessionAddress(token)
+      if (!address) {
+        return send(res, 401, { error: 'Invalid or expired session' })
+      }
+
+      if (url.pathname === '/subscription') {
+        return handleSubscription(req, res, address)
+      }
+
+      if (
+        req.method === 'POST' &&
+        url.pathname === '/subscription/verification'
+      ) {
+        const subscription = store.getSubscription(address)
+        if (!subscription) {
+          return send(res, 404, { error: 'No subscription' })
+        }
+        await sendVerification(subscription, store.createVerification(address))
+        return send(res, 204)
+      }
+    }
+
+    send(res, 404, { error: 'Not found' })
+  })
+}
+
+module.exports = { createServer }
@@ -0,0 +1,189 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const DAY = 24 * 60 * 60 * 1000
+
+const SESSION_DURATION = 1 * DAY
+const VERIFICATION_DURATION = 2 * DAY
+
+// Notices are remembered longer than the drafts are looked back at (see
+// LOOKBACK in notifier.js), so that none of them can be sent twice
+const SENT_LIFETIME = 90 * DAY
+
+function randomToken() {
+  return crypto.randomBytes(24).toString('hex')
+}
+
+function emptyData() {
+  return {
+    // By token
+    sessions: {},
+    // By address
+    subscriptions: {},
+    // By token
+    verifications: {},
+    // Keys of the notices sent, by address
+    sent: {},
+  }
+}
+
+// Public representation of a subscription
+function toPublicSubscription({ address, email, events, verified }) {
+  return { address, email, events, verified }
+}
+
+/**
+ * JSON file store of the sessions, subscriptions and notices sent
+ * @param {String} storePath Path of the JSON file, or null to keep everything in memory
+ * @returns {Object} The store
+ */
+function createStore(storePath) {
+  const filePath = storePath ? path.resolve(storePath) : null
+  let data = emptyData()
+
+  if (filePath && fs.existsSync(filePath)) {
+    data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) }
+  }
+
+  function prune(now) {
+    const isExpired = ({ expiresAt }) => expiresAt <= now
+    for (const name of ['sessions', 'verifications']) {
+      for (const [token, entry] of Object.entries(data[name])) {
+        if (isExpired(entry)) {
+          delete data[name][token]
+        }
+      }
+    }
+    for (const sent of Object.values(data.sent)) {
+      for (const [key, sentAt] of Object.entries(sent)) {
+        if (sentAt + SENT_LIFETIME <= now) {
+          delete sent[key]
+        }
+      }
+    }
+  }
+
+  // Pending verifications of an address, sent to its previous emails
+  function deleteVerifications(address) {
+    for (const [token, verification] of Object.entries(data.verifications)) {
+      if (verification.address === address) {
+        delete data.verifications[token]
+      }
+    }
+  }
+
+  function persist() {
+    prune(Date.now())
+    if (!filePath) {
+      return
+    }
+    const tmpPath = `${filePath}.tmp`
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8')
+    fs.renameSync(tmpPath, filePath)
+  }
+
+  return {
+    createSession(address) {
+      const session = {
+        token: randomToken(),
+        expiresAt: Date.now() + SESSION_DURATION,
+      }
+      data.sessions[session.token] = { ...session, address }
+      persist()
+      return session
+    },
+    getSessionAddress(token) {
+      const session = data.sessions[token]
+      return session && session.expiresAt > Date.now() ? session.address : null
+    },
+
+    getSubscription(address) {
+      return data.subscriptions[address] || null
+    },
+    // Verified subscriptions
+    getActiveSubscriptions() {
+      return Object.values(data.subscriptions).filter(
+        ({ verified }) => verified
+      )
+    },
+    // Returns the subscription, and the verification token when the email
+    // changed
+    updateSubscription(address, { email, events }) {
+      const subscription = data.subscriptions[address]
+      const emailChanged = !subscription || subscription.email !== email
+
+      if (emailChanged) {
+        deleteVerifications(address)
+      }
+
+      data.subscriptions[address] = {
+        ...subscription,
+        address,
+        email,
+        events,
+        verified: emailChanged ? false : subscription.verified,
+      }
+      const verificationToken = emailChanged
+        ? this.createVerification(address)
+        : null
+
+      persist()
+      return [data.subscriptions[address], verificationToken]
+    },
+    deleteSubscription(address) {
+      delete data.subscriptions[address]
+      deleteVerifications(address)
+      persist()
+    },
+
+    // The token only verifies the current email of the subscription
+    createVerification(address) {
+      const token = randomToken()
+      data.verifications[token] = {
+        address,
+        email: data.subscriptions[address].email,
+        expiresAt: Date.now() + VERIFICATION_DURATION,
+      }
+      persist()
+      return token
+    },
+    // Returns the verified subscription, or null if the token is invalid
+    verify(token) {
+      const verification = data.verifications[token]
+      const subscription =
+        verification &&
+        verification.expiresAt > Date.now() &&
+        data.subscriptions[verification.address]
+
+      // Tokens sent to a previous email can’t verify the new one
+      if (!subscription || subscription.email !== verification.email) {
+        return null
+      }
+
+      delete data.verifications[token]
+      subscription.verified = true
+      // Notices start from the verification, not from the first draft of the
+      // juror
+      subscription.verifiedAt = subscription.verifiedAt || Date.now()
+      persist()
+      return subscription
+    },
+
+    // Notices sent are kept after unsubscribing, so that subscribing again
+    // doesn’t send them again
+    wasSent(address, key) {
+      return Boolean(data.sent[address] && data.sent[address][key])
+    },
+    markSent(address, keys) {
+      const now = Date.now()
+      data.sent[address] = data.sent[address] || {}
+      keys.forEach(key => {
+        data.sent[address][key] = now
+      })
+      persist()
+    },
+  }
+}
+
+module.exports = { createStore, toPublicSubscription }
@@ -0,0 +1,97 @@
+const { utils } = require('ethers')
+const { SUBGRAPH_URL } = require('../env')
+
+const COURT_CONFIG_QUERY = `
+  query CourtConfig($id: ID!) {
+    courtConfig(id: $id) {
+      termDuration
+      commitTerms
+      revealTerms
+      appealTerms
+      terms {
+        id
+        startTime
+      }
+    }
+  }
+`
+
+const JUROR_DRAFTS_QUERY = `
+  query JurorDrafts($id: ID!, $from: BigInt!) {
+    juror(id: $id) {
+      drafts(where: { createdAt_gt: $from }, first: 1000) {
+        id
+        commitment
+        outcome
+        createdAt
+        round {
+          number
+          draftTermId
+          delayedTerms
+          dispute {
+            id
+          }
+        }
+      }
+    }
+  }
+`
+
+async function query(query, variables) {
+  const { data, errors } = await utils.fetchJson(
+    SUBGRAPH_URL,
+    JSON.stringify({ query, variables })
+  )
+  if (errors && errors.length > 0) {
+    throw new Error(`Subgraph error: ${errors[0].message}`)
+  }
+  return data
+}
+
+// Same units as the dashboard: times and durations in milliseconds
+async function fetchCourtConfig(courtAddress) {
+  const { courtConfig } = await query(COURT_CONFIG_QUERY, {
+    id: courtAddress.toLowerCase(),
+  })
+  if (!courtConfig) {
+    throw new Error(`No court found at ${courtAddress}`)
+  }
+
+  return {
+    termDuration: parseInt(courtConfig.termDuration, 10) * 1000,
+    commitTerms: parseInt(courtConfig.commitTerms, 10),
+    revealTerms: parseInt(courtConfig.revealTerms, 10),
+    appealTerms: parseInt(courtConfig.appealTerms, 10),
+    firstTermStartTime: parseInt(courtConfig.terms[0].startTime, 10) * 1000,
+  }
+}
+
+/**
+ * Drafts of a juror created since a given time
+ * @param {String} juror Address of the juror
+ * @param {Number} from Time from which the drafts are fetched, in milliseconds
+ * @returns {Promise<Array>} Drafts of the juror
+ */
+async function fetchJurorDrafts(juror, from) {
+  const { juror: jurorData } = await query(JUROR_DRAFTS_QUERY, {
+    id: juror.toLowerCase(),
+    from: String(Math.floor(from / 1000)),
+  })
+  if (!jurorData) {
+    return []
+  }
+
+  return jurorData.drafts.map(({ commitment, createdAt, outcome, round }) => ({
+    commitment,
+    createdAt: parseInt(createdAt, 10) * 1000,
+    outcome: parseInt(outcome, 10) || 0,
+    disputeId: round.dispute.id,
+    round: {
+      number: parseInt(round.number, 10),
+      draftTermId: parseInt(round.draftTermId, 10),
+      delayedTerms: parseInt(round.delayedTerms, 10),
+    },
+  }))
+}
+
+module.exports = { fetchCourtConfig, fetchJurorDrafts }
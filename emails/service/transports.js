@@ -0,0 +1,82 @@
+const fs = require('fs')
+const path = require('path')
+
+// A transport is any object with a `send({ from, to, subject, html, text })`
+// method returning a promise, resolved once the email is handed over.
+
+function createSmtpTransport({ smtpUrl }) {
+  if (!smtpUrl) {
+    throw new Error('The SMTP transport requires SMTP_URL')
+  }
+
+  // Only required when used
+  const nodemailer = require('nodemailer')
+  const transporter = nodemailer.createTransport(smtpUrl)
+
+  return {
+    send: email => transporter.sendMail(email),
+  }
+}
+
+// Writes every email as a JSON file, along with its HTML version to preview
+// it in a browser. Useful to develop or test without sending anything.
+function createFileTransport({ outboxPath }) {
+  const dirPath = path.resolve(outboxPath)
+  fs.mkdirSync(dirPath, { recursive: true })
+
+  let count = 0
+
+  return {
+    async send(email) {
+      const name = `${Date.now()}-${count++}-${email.to.replace(
+        /[^\w.@-]/g,
+        '_'
+      )}`
+      fs.writeFileSync(
+        path.join(dirPath, `${name}.json`),
+        JSON.stringify(email, null, 2),
+        'utf8'
+      )
+      fs.writeFileSync(path.join(dirPath, `${name}.html`), email.html, 'utf8')
+    },
+  }
+}
+
+// Prints the text version of every email
+function createConsoleTransport() {
+  return {
+    async send({ to, subject, text }) {
+      console.log('')
+      console.log(`To: ${to}`)
+      console.log(`Subject: ${subject}`)
+      console.log('')
+      console.log(text)
+    },
+  }
+}
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+}
+
+/**
+ * Create one of the built-in transports
+ * @param {String} name Name of the transport: `smtp`, `file` or `console`
+ * @param {Object} options Options of the transport (`smtpUrl` or `outboxPath`)
+ * @returns {Object} The transport
+ */
+function createTransport(name, options = {}) {
+  const create = TRANSPORTS[name]
+  if (!create) {
+    throw new Error(
+      `Unknown transport “${name}” (expected one of: ${Object.keys(
+        TRANSPORTS
+      ).join(', ')})`
+    )
+  }
+  return create(options)
+}
+
+module.exports = { createTransport }
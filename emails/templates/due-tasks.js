@@ -59,6 +59,8 @@ module.exports = function() {
 
       [1] https://aragon.one/
     `,
+    // Used by the notification service to fill the tasks
+    statusTags: { openDue: statusOpenDue },
     mockData: {
       ...accountData('0xef0f7ecef8385483ac8a2e92d761f571c4b782bd'),
       date: 'Thursday, 17 Dec. 2019',
@@ -0,0 +1,36 @@
+/* eslint-env serviceworker */
+
+// Service worker used to display the deadline notifications, so that they
+// keep working on platforms only allowing notifications from a worker and
+// focus the dashboard when clicked.
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', event => {
+  event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close()
+
+  const url = new URL(
+    (event.notification.data && event.notification.data.path) || '/',
+    self.location.origin
+  ).href
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: 'window', includeUncontrolled: true })
+      .then(clients => {
+        const client = clients.find(client =>
+          client.url.startsWith(self.location.origin)
+        )
+        if (client) {
+          return client.focus().then(client => client.navigate(url))
+        }
+        return self.clients.openWindow(url)
+      })
+  )
+})
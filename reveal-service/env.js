@@ -0,0 +1,21 @@
+module.exports.PORT =
+  process.env.PORT === undefined ? 8040 : parseInt(process.env.PORT, 10)
+
+module.exports.ETH_NODE = process.env.ETH_NODE || 'http://127.0.0.1:8545'
+
+module.exports.SUBGRAPH_URL =
+  process.env.SUBGRAPH_URL ||
+  'http://127.0.0.1:8000/subgraphs/name/aragon/aragon-court-rpc'
+
+module.exports.COURT_ADDRESS = process.env.COURT_ADDRESS || null
+
+module.exports.PRIVATE_KEY = process.env.PRIVATE_KEY || null
+
+module.exports.STORE_PATH = process.env.STORE_PATH || './reveals.json'
+
+module.exports.POLL_INTERVAL =
+  process.env.POLL_INTERVAL === undefined
+    ? 30
+    : parseInt(process.env.POLL_INTERVAL, 10)
+
+module.exports.ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*'
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+const { Wallet, providers } = require('ethers')
+const {
+  COURT_ADDRESS,
+  ETH_NODE,
+  PORT,
+  POLL_INTERVAL,
+  PRIVATE_KEY,
+  STORE_PATH,
+} = require('./env')
+const { createServer } = require('./server')
+const { createStore } = require('./store')
+const { createWatcher } = require('./watcher')
+
+async function main() {
+  if (!COURT_ADDRESS || !PRIVATE_KEY) {
+    console.error(
+      'Error: the COURT_ADDRESS and PRIVATE_KEY variables are required.'
+    )
+    process.exit(1)
+  }
+
+  const provider = new providers.JsonRpcProvider(ETH_NODE)
+  const signer = new Wallet(PRIVATE_KEY, provider)
+  const { chainId } = await provider.getNetwork()
+
+  const store = createStore(STORE_PATH)
+  const watcher = createWatcher({
+    courtAddress: COURT_ADDRESS,
+    pollInterval: POLL_INTERVAL,
+    signer,
+    store,
+  })
+  const server = createServer({
+    store,
+    health: {
+      account: signer.address.toLowerCase(),
+      chainId,
+      court: COURT_ADDRESS.toLowerCase(),
+    },
+  })
+
+  server.listen(PORT, () => {
+    console.log(`Reveal service listening on port ${PORT}`)
+    console.log(`Revealing with ${signer.address} on chain ${chainId}`)
+  })
+  watcher.start()
+
+  const shutdown = () => {
+    watcher.stop()
+    server.close(() => process.exit(0))
+  }
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+}
+
+main().catch(err => {
+  console.error(err)
+  process.exit(1)
+})
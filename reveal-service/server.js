@@ -0,0 +1,121 @@
+const http = require('http')
+const { utils } = require('ethers')
+const { ALLOWED_ORIGIN } = require('./env')
+const { toPublicRequest } = require('./store')
+const { fetchDisputeRounds } = require('./subgraph')
+const { hashVote, isValidOutcome, parseVoteId } = require('./vote-utils')
+
+const MAX_BODY_SIZE = 10 * 1024
+
+function send(res, statusCode, data) {
+  res.writeHead(statusCode, {
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json',
+  })
+  res.end(data === undefined ? '' : JSON.stringify(data))
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', chunk => {
+      body += chunk
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'))
+        req.destroy()
+      }
+    })
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body))
+      } catch (err) {
+        reject(new Error('Invalid JSON body'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+// Returns the validated reveal, or throws with the reason
+function parseReveal({ juror, voteId, outcome, salt } = {}) {
+  if (!utils.isHexString(juror) || juror.length !== 42) {
+    throw new Error('Invalid juror address')
+  }
+  if (typeof voteId !== 'string' || !/^\d+$/.test(voteId)) {
+    throw new Error('Invalid vote id')
+  }
+  if (!isValidOutcome(outcome)) {
+    throw new Error('Invalid outcome')
+  }
+  if (!utils.isHexString(salt) || utils.hexDataLength(salt) !== 32) {
+    throw new Error('Invalid salt')
+  }
+  return { juror: juror.toLowerCase(), voteId, outcome, salt }
+}
+
+// Commitment of the juror, or null if it isn’t indexed by the subgraph yet
+async function fetchCommitment(juror, voteId) {
+  const { disputeId, roundId } = parseVoteId(voteId)
+  const rounds = await fetchDisputeRounds(disputeId)
+  const round = rounds.find(({ number }) => number === roundId)
+  const draft = round && round.jurors.find(({ id }) => id === juror)
+  return (draft && draft.commitment) || null
+}
+
+function createServer({ store, health }) {
+  return http.createServer(async (req, res) => {
+    const url = req.url.split('?')[0]
+
+    if (req.method === 'OPTIONS') {
+      return send(res, 204)
+    }
+
+    if (req.method === 'GET' && url === '/health') {
+      return send(res, 200, health)
+    }
+
+    if (req.method === 'POST' && url === '/reveals') {
+      let reveal
+      try {
+        reveal = parseReveal(await readBody(req))
+      } catch (err) {
+        return send(res, 400, { error: err.message })
+      }
+
+      // Anybody can schedule a reveal: votes not matching the commitment of
+      // the juror get rejected, so that they can’t replace the real one
+      let commitment
+      try {
+        commitment = await fetchCommitment(reveal.juror, reveal.voteId)
+      } catch (err) {
+        console.error('Error fetching the commitment:', err.message)
+        return send(res, 502, { error: 'The commitment couldn’t be fetched' })
+      }
+      if (!commitment) {
+        return send(res, 409, { error: 'The commitment isn’t indexed yet' })
+      }
+      if (hashVote(reveal.outcome, reveal.salt) !== commitment) {
+        return send(res, 400, {
+          error: 'The vote doesn’t match the commitment of the juror',
+        })
+      }
+
+      const request = store.add(reveal)
+      return send(res, 201, toPublicRequest(request))
+    }
+
+    const match = url.match(/^\/reveals\/(0x[0-9a-fA-F]{40})\/(\d+)$/)
+    if (req.method === 'GET' && match) {
+      const request = store.get(match[1], match[2])
+      return request
+        ? send(res, 200, toPublicRequest(request))
+        : send(res, 404, { error: 'Unknown reveal' })
+    }
+
+    send(res, 404, { error: 'Not found' })
+  })
+}
+
+module.exports = { createServer }
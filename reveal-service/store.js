@@ -0,0 +1,84 @@
+const fs = require('fs')
+const path = require('path')
+
+const STATUS = {
+  Scheduled: 'scheduled',
+  Revealed: 'revealed',
+  Failed: 'failed',
+  Expired: 'expired',
+}
+
+function getKey(juror, voteId) {
+  return `${juror.toLowerCase()}:${voteId}`
+}
+
+// Public representation of a request: the candidates are never exposed
+function toPublicRequest({ candidates, ...request }) {
+  return request
+}
+
+function createStore(storePath) {
+  const filePath = path.resolve(storePath)
+  let requests = {}
+
+  if (fs.existsSync(filePath)) {
+    requests = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  }
+
+  function persist() {
+    const tmpPath = `${filePath}.tmp`
+    fs.writeFileSync(tmpPath, JSON.stringify(requests, null, 2), 'utf8')
+    fs.renameSync(tmpPath, filePath)
+  }
+
+  return {
+    get(juror, voteId) {
+      return requests[getKey(juror, voteId)] || null
+    },
+
+    getScheduled() {
+      return Object.values(requests).filter(
+        request => request.status === STATUS.Scheduled
+      )
+    },
+
+    // Candidates are checked against the juror commitment before being added
+    // (see server.js), the one matching it when revealing gets used
+    add({ juror, voteId, outcome, salt }) {
+      const key = getKey(juror, voteId)
+      const request = requests[key]
+      const candidate = { outcome, salt }
+
+      if (request && request.status !== STATUS.Scheduled) {
+        return request
+      }
+
+      const candidates = request
+        ? [
+            candidate,
+            ...request.candidates.filter(({ salt }) => salt !== candidate.salt),
+          ]
+        : [candidate]
+
+      requests[key] = {
+        juror: juror.toLowerCase(),
+        voteId,
+        status: STATUS.Scheduled,
+        createdAt: request ? request.createdAt : Date.now(),
+        updatedAt: Date.now(),
+        candidates,
+      }
+      persist()
+      return requests[key]
+    },
+
+    update(juror, voteId, changes) {
+      const key = getKey(juror, voteId)
+      requests[key] = { ...requests[key], ...changes, updatedAt: Date.now() }
+      persist()
+      return requests[key]
+    },
+  }
+}
+
+module.exports = { STATUS, createStore, toPublicRequest }
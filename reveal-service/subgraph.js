@@ -0,0 +1,90 @@
+const { utils } = require('ethers')
+const { SUBGRAPH_URL } = require('./env')
+
+const COURT_CONFIG_QUERY = `
+  query CourtConfig($id: ID!) {
+    courtConfig(id: $id) {
+      termDuration
+      commitTerms
+      revealTerms
+      terms {
+        id
+        startTime
+      }
+      modules {
+        type
+        address
+      }
+    }
+  }
+`
+
+const DISPUTE_ROUNDS_QUERY = `
+  query DisputeRounds($id: ID!) {
+    dispute(id: $id) {
+      rounds {
+        number
+        draftTermId
+        delayedTerms
+        jurors {
+          juror {
+            id
+          }
+          commitment
+          outcome
+        }
+      }
+    }
+  }
+`
+
+async function query(query, variables) {
+  const { data, errors } = await utils.fetchJson(
+    SUBGRAPH_URL,
+    JSON.stringify({ query, variables })
+  )
+  if (errors && errors.length > 0) {
+    throw new Error(`Subgraph error: ${errors[0].message}`)
+  }
+  return data
+}
+
+// Same units as the dashboard: times and durations in milliseconds
+async function fetchCourtConfig(courtAddress) {
+  const { courtConfig } = await query(COURT_CONFIG_QUERY, {
+    id: courtAddress.toLowerCase(),
+  })
+  if (!courtConfig) {
+    throw new Error(`No court found at ${courtAddress}`)
+  }
+
+  const votingModule = courtConfig.modules.find(({ type }) => type === 'Voting')
+
+  return {
+    termDuration: parseInt(courtConfig.termDuration, 10) * 1000,
+    commitTerms: parseInt(courtConfig.commitTerms, 10),
+    revealTerms: parseInt(courtConfig.revealTerms, 10),
+    firstTermStartTime: parseInt(courtConfig.terms[0].startTime, 10) * 1000,
+    votingAddress: votingModule ? votingModule.address : null,
+  }
+}
+
+async function fetchDisputeRounds(disputeId) {
+  const { dispute } = await query(DISPUTE_ROUNDS_QUERY, { id: disputeId })
+  if (!dispute) {
+    return []
+  }
+
+  return dispute.rounds.map(round => ({
+    number: parseInt(round.number, 10),
+    draftTermId: parseInt(round.draftTermId, 10),
+    delayedTerms: parseInt(round.delayedTerms, 10),
+    jurors: round.jurors.map(({ juror, commitment, outcome }) => ({
+      id: juror.id.toLowerCase(),
+      commitment,
+      outcome: parseInt(outcome, 10) || 0,
+    })),
+  }))
+}
+
+module.exports = { fetchCourtConfig, fetchDisputeRounds }
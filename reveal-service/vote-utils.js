@@ -0,0 +1,44 @@
+const { utils } = require('ethers')
+
+const VALID_OUTCOMES = [2, 3, 4] // Refused, Against, In favor
+
+const DISPUTE_ID_SHIFT = utils.bigNumberify(2).pow(128)
+
+// Vote ids are built by the DisputeManager as `(disputeId << 128) + roundId`
+function parseVoteId(voteId) {
+  const id = utils.bigNumberify(voteId)
+  return {
+    disputeId: id.div(DISPUTE_ID_SHIFT).toString(),
+    roundId: id.mod(DISPUTE_ID_SHIFT).toNumber(),
+  }
+}
+
+function hashVote(outcome, salt) {
+  return utils.solidityKeccak256(['uint8', 'bytes32'], [outcome, salt])
+}
+
+/**
+ * Reveal period of a round, mirroring `getAdjudicationPhase()` in the dashboard
+ * @param {Object} round Round with its draft term and delayed terms
+ * @param {Object} courtConfig Court configuration
+ * @returns {Object} Start and end of the reveal period, in milliseconds
+ */
+function getRevealPeriod(round, courtConfig) {
+  const { termDuration, commitTerms, revealTerms } = courtConfig
+
+  const draftTermStartTime =
+    courtConfig.firstTermStartTime + round.draftTermId * termDuration
+  const draftTermEndTime =
+    draftTermStartTime + round.delayedTerms * termDuration
+
+  const start = draftTermEndTime + commitTerms * termDuration
+  const end = start + revealTerms * termDuration
+
+  return { start, end }
+}
+
+function isValidOutcome(outcome) {
+  return VALID_OUTCOMES.includes(outcome)
+}
+
+module.exports = { getRevealPeriod, hashVote, isValidOutcome, parseVoteId }
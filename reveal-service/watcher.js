@@ -0,0 +1,211 @@
+const { Contract } = require('ethers')
+const votingAbi = require('../src/abi/CRVoting.json')
+const { STATUS } = require('./store')
+const { fetchCourtConfig, fetchDisputeRounds } = require('./subgraph')
+const {
+  getRevealPeriod,
+  hashVote,
+  isValidOutcome,
+  parseVoteId,
+} = require('./vote-utils')
+
+// Outcome set when a vote got leaked (see OUTCOMES in the dashboard)
+const OUTCOME_LEAKED = 1
+
+const GAS_LIMIT = 500000
+const MAX_ATTEMPTS = 3
+
+function getRequestKey({ juror, voteId }) {
+  return `${juror}:${voteId}`
+}
+
+function createWatcher({ courtAddress, signer, store, pollInterval }) {
+  // Reveals sent and not mined yet, by request key
+  const sending = new Set()
+  let timer = null
+  let stopped = false
+
+  async function waitForReveal(request, tx, attempts) {
+    try {
+      await tx.wait()
+      store.update(request.juror, request.voteId, { status: STATUS.Revealed })
+      console.log(`Vote ${request.voteId} of ${request.juror} revealed.`)
+    } catch (err) {
+      handleRevealError(request, attempts, err)
+    } finally {
+      sending.delete(getRequestKey(request))
+    }
+  }
+
+  // Returns whether the transaction got sent, using `nonce`
+  async function reveal(request, candidate, votingAddress, nonce) {
+    const voting = new Contract(votingAddress, votingAbi, signer)
+    const attempts = (request.attempts || 0) + 1
+
+    sending.add(getRequestKey(request))
+    let tx
+    try {
+      tx = await voting.reveal(
+        request.voteId,
+        request.juror,
+        candidate.outcome,
+        candidate.salt,
+        { gasLimit: GAS_LIMIT, nonce }
+      )
+    } catch (err) {
+      handleRevealError(request, attempts, err)
+      sending.delete(getRequestKey(request))
+      return false
+    }
+
+    store.update(request.juror, request.voteId, {
+      attempts,
+      transactionHash: tx.hash,
+    })
+    console.log(`Revealing vote ${request.voteId} of ${request.juror}…`)
+
+    // Transactions are mined in the background, to not delay other reveals
+    waitForReveal(request, tx, attempts).catch(err => {
+      console.error(`Error processing vote ${request.voteId}:`, err)
+    })
+    return true
+  }
+
+  function handleRevealError(request, attempts, err) {
+    console.error(
+      `Reveal of vote ${request.voteId} of ${request.juror} failed:`,
+      err.message
+    )
+    store.update(request.juror, request.voteId, {
+      attempts,
+      error: err.message,
+      // Keep retrying on the next checks until the attempts are exhausted
+      status: attempts < MAX_ATTEMPTS ? STATUS.Scheduled : STATUS.Failed,
+    })
+  }
+
+  // Returns the candidate to reveal, if the reveal is due
+  function processRequest(request, round, courtConfig, now) {
+    const juror = round.jurors.find(({ id }) => id === request.juror)
+    const { start, end } = getRevealPeriod(round, courtConfig)
+
+    // Revealed by other means (e.g. by the juror from the dashboard)
+    if (juror && isValidOutcome(juror.outcome)) {
+      store.update(request.juror, request.voteId, { status: STATUS.Revealed })
+      return null
+    }
+
+    if (juror && juror.outcome === OUTCOME_LEAKED) {
+      store.update(request.juror, request.voteId, {
+        status: STATUS.Failed,
+        error: 'The vote was leaked',
+      })
+      return null
+    }
+
+    if (now >= end) {
+      store.update(request.juror, request.voteId, { status: STATUS.Expired })
+      return null
+    }
+
+    if (now < start) {
+      return null
+    }
+
+    const candidate =
+      juror &&
+      juror.commitment &&
+      request.candidates.find(
+        ({ outcome, salt }) => hashVote(outcome, salt) === juror.commitment
+      )
+
+    if (!candidate) {
+      store.update(request.juror, request.voteId, {
+        status: STATUS.Failed,
+        error: 'No vote matching the commitment of the juror',
+      })
+      return null
+    }
+
+    return candidate
+  }
+
+  async function check() {
+    const requests = store
+      .getScheduled()
+      .filter(request => !sending.has(getRequestKey(request)))
+
+    if (requests.length === 0) {
+      return
+    }
+
+    const courtConfig = await fetchCourtConfig(courtAddress)
+    const now = Date.now()
+
+    // Rounds are fetched once per dispute
+    const roundsByDispute = new Map()
+    const dueReveals = []
+
+    for (const request of requests) {
+      const { disputeId, roundId } = parseVoteId(request.voteId)
+
+      if (!roundsByDispute.has(disputeId)) {
+        roundsByDispute.set(disputeId, await fetchDisputeRounds(disputeId))
+      }
+
+      const round = roundsByDispute
+        .get(disputeId)
+        .find(({ number }) => number === roundId)
+
+      // Not indexed yet
+      if (!round) {
+        continue
+      }
+
+      const candidate = processRequest(request, round, courtConfig, now)
+      if (candidate) {
+        dueReveals.push({ request, candidate })
+      }
+    }
+
+    if (dueReveals.length === 0) {
+      return
+    }
+
+    // The reveals of a round are all due at the same time: they are sent one
+    // after the other, with consecutive nonces, rather than all picking the
+    // same pending nonce
+    let nonce = await signer.getTransactionCount('pending')
+    for (const { request, candidate } of dueReveals) {
+      if (await reveal(request, candidate, courtConfig.votingAddress, nonce)) {
+        nonce++
+      }
+    }
+  }
+
+  async function loop() {
+    try {
+      await check()
+    } catch (err) {
+      console.error('Error checking the scheduled reveals:', err.message)
+    }
+    if (!stopped) {
+      timer = setTimeout(loop, pollInterval * 1000)
+    }
+  }
+
+  return {
+    // Check the scheduled reveals once
+    check,
+    start() {
+      stopped = false
+      loop()
+    },
+    stop() {
+      stopped = true
+      clearTimeout(timer)
+    },
+  }
+}
+
+module.exports = { createWatcher }
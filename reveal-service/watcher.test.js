@@ -0,0 +1,158 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Signer, utils } = require('ethers')
+const { STATUS, createStore } = require('./store')
+const { fetchCourtConfig, fetchDisputeRounds } = require('./subgraph')
+const { hashVote } = require('./vote-utils')
+const { createWatcher } = require('./watcher')
+
+jest.mock('./subgraph')
+
+const COURT_ADDRESS = '0x0000000000000000000000000000000000000001'
+const VOTING_ADDRESS = '0x0000000000000000000000000000000000000002'
+const TERM_DURATION = 60 * 1000
+
+// Vote of the round 0 of the dispute 1
+const VOTE_ID = utils
+  .bigNumberify(2)
+  .pow(128)
+  .toString()
+
+const JURORS = [
+  '0x00000000000000000000000000000000000000a1',
+  '0x00000000000000000000000000000000000000a2',
+  '0x00000000000000000000000000000000000000a3',
+]
+
+// Behaves like an ethers Wallet connected to a node: without an explicit
+// nonce, the pending nonce is fetched before sending, and transactions reusing
+// a nonce get rejected
+class FakeSigner extends Signer {
+  constructor() {
+    super()
+    this.provider = {
+      getCode: async () => '0x01',
+      resolveName: async name => name,
+    }
+    this.transactions = []
+  }
+
+  async getAddress() {
+    return '0x00000000000000000000000000000000000000ff'
+  }
+
+  async getTransactionCount() {
+    return this.transactions.length
+  }
+
+  async sendTransaction(transaction) {
+    const nonce =
+      transaction.nonce === undefined
+        ? await this.getTransactionCount('pending')
+        : await transaction.nonce
+    if (nonce !== this.transactions.length) {
+      throw new Error('nonce has already been used')
+    }
+    const hash = `0x${String(nonce).padStart(64, '0')}`
+    this.transactions.push({ ...transaction, nonce, hash })
+    return { hash, wait: async () => ({ logs: [], status: 1 }) }
+  }
+}
+
+function getVote(juror) {
+  return {
+    juror,
+    voteId: VOTE_ID,
+    outcome: 4,
+    salt: utils.keccak256(utils.toUtf8Bytes(juror)),
+  }
+}
+
+// Round currently in its reveal period
+function mockRound(jurors) {
+  fetchCourtConfig.mockResolvedValue({
+    termDuration: TERM_DURATION,
+    commitTerms: 1,
+    revealTerms: 1,
+    firstTermStartTime: Date.now() - 1.5 * TERM_DURATION,
+    votingAddress: VOTING_ADDRESS,
+  })
+  fetchDisputeRounds.mockResolvedValue([
+    { number: 0, draftTermId: 0, delayedTerms: 0, jurors },
+  ])
+}
+
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve))
+}
+
+describe('createWatcher()', () => {
+  let storeDir
+  let storePath
+  let store
+  let signer
+  let watcher
+
+  beforeEach(() => {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reveal-service-'))
+    storePath = path.join(storeDir, 'reveals.json')
+    store = createStore(storePath)
+    signer = new FakeSigner()
+    watcher = createWatcher({
+      courtAddress: COURT_ADDRESS,
+      pollInterval: 30,
+      signer,
+      store,
+    })
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(storePath)) {
+      fs.unlinkSync(storePath)
+    }
+    fs.rmdirSync(storeDir)
+    jest.restoreAllMocks()
+  })
+
+  test('reveals all the votes of a round at once', async () => {
+    const votes = JURORS.map(getVote)
+    votes.forEach(vote => store.add(vote))
+    mockRound(
+      votes.map(({ juror, outcome, salt }) => ({
+        id: juror,
+        commitment: hashVote(outcome, salt),
+        outcome: 0,
+      }))
+    )
+
+    await watcher.check()
+    await flushPromises()
+
+    expect(signer.transactions.map(({ nonce }) => nonce)).toEqual([0, 1, 2])
+    JURORS.forEach(juror => {
+      expect(store.get(juror, VOTE_ID)).toMatchObject({
+        attempts: 1,
+        status: STATUS.Revealed,
+      })
+    })
+  })
+
+  test('doesn’t count a leaked vote as revealed', async () => {
+    const vote = getVote(JURORS[0])
+    store.add(vote)
+    mockRound([
+      {
+        id: vote.juror,
+        commitment: hashVote(vote.outcome, vote.salt),
+        outcome: 1,
+      },
+    ])
+
+    await watcher.check()
+
+    expect(signer.transactions).toHaveLength(0)
+    expect(store.get(vote.juror, VOTE_ID).status).toBe(STATUS.Failed)
+  })
+})
@@ -8,8 +8,11 @@ import MainView from './components/MainView'
 import OnboardingLoader from './components/OnboardingLoader'
 import Routes from './Routes'
 import { ActivityProvider } from './components/Activity/ActivityProvider'
+import { CommitVaultProvider } from './providers/CommitVault'
 import { CourtClockProvider } from './providers/CourtClock'
 import { CourtConfigProvider } from './providers/CourtConfig'
+import { NotificationsProvider } from './providers/Notifications'
+import { TransactionQueueProvider } from './providers/TransactionQueue'
 import { WalletProvider } from './providers/Wallet'
 
 function App() {
@@ -17,28 +20,34 @@ function App() {
     <WalletProvider>
       <BrowserRouter>
         <ActivityProvider>
-          <Main
-            assetsUrl="/aragon-ui/"
-            layout={false}
-            scrollView={false}
-            theme={theme}
-          >
-            <GlobalErrorHandler>
-              <ToastHub threshold={1} timeout={1500}>
-                <CourtConfigProvider>
-                  <CourtClockProvider>
-                    <MainView>
-                      <OnboardingLoader>
-                        <AppLoader>
-                          <Routes />
-                        </AppLoader>
-                      </OnboardingLoader>
-                    </MainView>
-                  </CourtClockProvider>
-                </CourtConfigProvider>
-              </ToastHub>
-            </GlobalErrorHandler>
-          </Main>
+          <TransactionQueueProvider>
+            <Main
+              assetsUrl="/aragon-ui/"
+              layout={false}
+              scrollView={false}
+              theme={theme}
+            >
+              <GlobalErrorHandler>
+                <ToastHub threshold={1} timeout={1500}>
+                  <CourtConfigProvider>
+                    <CourtClockProvider>
+                      <CommitVaultProvider>
+                        <NotificationsProvider>
+                          <MainView>
+                            <OnboardingLoader>
+                              <AppLoader>
+                                <Routes />
+                              </AppLoader>
+                            </OnboardingLoader>
+                          </MainView>
+                        </NotificationsProvider>
+                      </CommitVaultProvider>
+                    </CourtClockProvider>
+                  </CourtConfigProvider>
+                </ToastHub>
+              </GlobalErrorHandler>
+            </Main>
+          </TransactionQueueProvider>
         </ActivityProvider>
       </BrowserRouter>
     </WalletProvider>
@@ -1,10 +1,14 @@
 import React from 'react'
 import { Redirect, Route, Switch } from 'react-router-dom'
 
+import Arbitrable from './components/Arbitrables/Arbitrable'
 import Dashboard from './components/Dashboard/Dashboard'
 import Tasks from './components/Tasks/Tasks'
 import Disputes from './components/Disputes/Disputes'
 import DisputeDetail from './components/Disputes/DisputeDetail'
+import JurorProfile from './components/Jurors/JurorProfile'
+import Jurors from './components/Jurors/Jurors'
+import Stats from './components/Stats/Stats'
 
 export default function Routes() {
   return (
@@ -14,6 +18,10 @@ export default function Routes() {
       <Route exact path="/tasks" component={Tasks} />
       <Route exact path="/disputes" component={Disputes} />
       <Route exact path="/disputes/:id" component={DisputeDetail} />
+      <Route exact path="/jurors" component={Jurors} />
+      <Route exact path="/jurors/:address" component={JurorProfile} />
+      <Route exact path="/stats" component={Stats} />
+      <Route exact path="/arbitrables/:address" component={Arbitrable} />
       <Redirect to="/dashboard" />
     </Switch>
   )
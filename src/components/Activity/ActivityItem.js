@@ -1,25 +1,35 @@
-import React, { useCallback } from 'react'
+import React, { useCallback, useState } from 'react'
 import PropTypes from 'prop-types'
 import {
+  Button,
   ButtonBase,
   ButtonIcon,
   IconCross,
   IconCheck,
+  IconWarning,
   GU,
+  Link,
   blockExplorerUrl,
   textStyle,
   useTheme,
+  useToast,
   IdentityBadge,
 } from '@aragon/ui'
-import { transformAddresses, getNetworkType } from '../../lib/web3-utils'
 import {
+  transformAddresses,
+  getNetworkType,
+  shortenAddress,
+} from '../../lib/web3-utils'
+import {
+  ACTIVITY_STATUS_CANCELLED,
   ACTIVITY_STATUS_PENDING,
   ACTIVITY_STATUS_CONFIRMED,
   ACTIVITY_STATUS_FAILED,
+  ACTIVITY_STATUS_REPLACED,
   ACTIVITY_STATUS_TIMED_OUT,
 } from './activity-statuses'
 import TransactionProgress from './TransactionProgress'
-import { useActivity } from './ActivityProvider'
+import { REPLACEMENT_CANCEL, useActivity } from './ActivityProvider'
 import { getActivityData } from './activity-types'
 import TimeTag from './TimeTag'
 
@@ -44,7 +54,21 @@ function ActivityItem({ activity }) {
     }
   }, [activity])
 
-  const canClear = activity.status !== ACTIVITY_STATUS_PENDING
+  // Activities rebuilt from the chain are not stored locally
+  const canClear =
+    activity.status !== ACTIVITY_STATUS_PENDING && !activity.history
+
+  // Activities stored before replacements were supported can’t be sent again
+  const canRetry =
+    activity.status === ACTIVITY_STATUS_FAILED &&
+    activity.data !== undefined &&
+    !activity.history
+
+  // A timed out transaction can still be stuck in the mempool
+  const canReplace =
+    activity.nonce !== undefined &&
+    (activity.status === ACTIVITY_STATUS_PENDING ||
+      activity.status === ACTIVITY_STATUS_TIMED_OUT)
 
   const handleClose = useCallback(() => {
     if (activity.transactionHash) {
@@ -127,10 +151,15 @@ function ActivityItem({ activity }) {
           >
             <ItemContent text={activityData.description} />
             <StatusMessage activity={activity} />
+            {activity.replacedHashes?.length > 0 && (
+              <OriginalTransaction hash={activity.replacedHashes[0]} />
+            )}
             <TransactionProgress
               status={activity.status}
-              createdAt={activity.createdAt}
+              createdAt={activity.submittedAt || activity.createdAt}
             />
+            {canReplace && <ReplaceActions activity={activity} />}
+            {canRetry && <RetryAction activity={activity} />}
           </div>
         </section>
       </ButtonBase>
@@ -191,6 +220,151 @@ ItemContent.propTypes = {
   text: PropTypes.string.isRequired,
 }
 
+function OriginalTransaction({ hash }) {
+  const theme = useTheme()
+
+  return (
+    <div
+      css={`
+        margin-top: ${1 * GU}px;
+        ${textStyle('body3')};
+        color: ${theme.surfaceContentSecondary};
+      `}
+    >
+      Replaces{' '}
+      <Link
+        href={blockExplorerUrl('transaction', hash, {
+          networkType: getNetworkType(),
+        })}
+        onClick={event => event.stopPropagation()}
+      >
+        {shortenAddress(hash)}
+      </Link>
+    </div>
+  )
+}
+
+OriginalTransaction.propTypes = {
+  hash: PropTypes.string.isRequired,
+}
+
+function ReplaceActions({ activity }) {
+  const { cancelActivity, speedUpActivity } = useActivity()
+  const toast = useToast()
+  const [replacing, setReplacing] = useState(false)
+
+  const replace = useCallback(
+    async (event, replaceActivity, errorMessage) => {
+      // The whole item opens the transaction in the block explorer
+      event.stopPropagation()
+
+      setReplacing(true)
+      try {
+        await replaceActivity(activity.transactionHash)
+      } catch (err) {
+        console.error(err)
+        toast(
+          err.name === 'TransactionAlreadyMined' ? err.message : errorMessage
+        )
+      }
+      setReplacing(false)
+    },
+    [activity.transactionHash, toast]
+  )
+
+  const handleSpeedUp = useCallback(
+    event =>
+      replace(event, speedUpActivity, 'The transaction couldn’t be sped up'),
+    [replace, speedUpActivity]
+  )
+
+  const handleCancel = useCallback(
+    event =>
+      replace(event, cancelActivity, 'The transaction couldn’t be cancelled'),
+    [replace, cancelActivity]
+  )
+
+  // Activities stored before replacements were supported can only be cancelled
+  const canSpeedUp = activity.data !== undefined
+
+  return (
+    <div
+      css={`
+        display: flex;
+        margin-top: ${1.5 * GU}px;
+
+        & > * + * {
+          margin-left: ${1 * GU}px;
+        }
+      `}
+    >
+      {canSpeedUp && (
+        <Button
+          size="mini"
+          label="Speed up"
+          disabled={replacing}
+          onClick={handleSpeedUp}
+        />
+      )}
+      {activity.replacement !== REPLACEMENT_CANCEL && (
+        <Button
+          size="mini"
+          label="Cancel"
+          disabled={replacing}
+          onClick={handleCancel}
+        />
+      )}
+    </div>
+  )
+}
+
+ReplaceActions.propTypes = {
+  activity: PropTypes.object.isRequired,
+}
+
+function RetryAction({ activity }) {
+  const { retryActivity } = useActivity()
+  const toast = useToast()
+  const [retrying, setRetrying] = useState(false)
+
+  const handleRetry = useCallback(
+    async event => {
+      // The whole item opens the transaction in the block explorer
+      event.stopPropagation()
+
+      setRetrying(true)
+      try {
+        await retryActivity(activity.transactionHash)
+      } catch (err) {
+        console.error(err)
+        toast('The transaction couldn’t be sent again')
+        setRetrying(false)
+      }
+    },
+    [activity.transactionHash, retryActivity, toast]
+  )
+
+  return (
+    <div
+      css={`
+        display: flex;
+        margin-top: ${1.5 * GU}px;
+      `}
+    >
+      <Button
+        size="mini"
+        label="Retry"
+        disabled={retrying}
+        onClick={handleRetry}
+      />
+    </div>
+  )
+}
+
+RetryAction.propTypes = {
+  activity: PropTypes.object.isRequired,
+}
+
 function getStatusData(activity, theme) {
   if (activity.status === ACTIVITY_STATUS_CONFIRMED) {
     return [
@@ -213,6 +387,34 @@ function getStatusData(activity, theme) {
       theme.negative,
     ]
   }
+  if (activity.status === ACTIVITY_STATUS_CANCELLED) {
+    return [
+      <IconCross size="small" />,
+      <span>Transaction cancelled</span>,
+      theme.surfaceContentSecondary,
+    ]
+  }
+  if (activity.status === ACTIVITY_STATUS_REPLACED) {
+    return [
+      <IconWarning size="small" />,
+      <span>Transaction replaced outside of the dashboard</span>,
+      theme.warningSurfaceContent,
+    ]
+  }
+  if (activity.replacement === REPLACEMENT_CANCEL) {
+    return [
+      null,
+      <span>Cancelling transaction</span>,
+      theme.surfaceContentSecondary,
+    ]
+  }
+  if (activity.replacement) {
+    return [
+      null,
+      <span>Transaction pending (sped up)</span>,
+      theme.surfaceContentSecondary,
+    ]
+  }
   return [null, <span>Transaction pending</span>, theme.surfaceContentSecondary]
 }
 
@@ -11,6 +11,8 @@ import {
 import { ACTIVITY_STATUS_PENDING } from './activity-statuses'
 import { useActivity } from './ActivityProvider'
 import ActivityItem from './ActivityItem'
+import useActivityHistory from '../../hooks/useActivityHistory'
+import { mergeActivities } from '../../utils/activity-history-utils'
 
 import activityNoResults from './assets/activity-no-results.png'
 
@@ -23,16 +25,19 @@ function ActivityList() {
   const theme = useTheme()
   const { below, height } = useViewport()
   const { activities, clearActivities } = useActivity()
+  const history = useActivityHistory()
 
+  // Pending activities are only known locally, while the history rebuilt from
+  // the chain covers what this browser didn’t track.
   const activityItems = useMemo(
-    () => activities.sort((a, b) => b.createdAt - a.createdAt),
-    [activities]
+    () => mergeActivities(activities, history.activities),
+    [activities, history.activities]
   )
 
+  // Only the activities tracked locally can be cleared
   const canClear = useMemo(
-    () =>
-      activityItems.some(({ status }) => status !== ACTIVITY_STATUS_PENDING),
-    [activityItems]
+    () => activities.some(({ status }) => status !== ACTIVITY_STATUS_PENDING),
+    [activities]
   )
 
   const maxHeight = Math.min(
@@ -88,7 +93,10 @@ function ActivityList() {
           <Transition
             native
             items={activityItems}
-            keys={activity => activity.transactionHash}
+            // Replacing a transaction changes its hash, not the activity
+            keys={activity =>
+              activity.replacedHashes?.[0] || activity.transactionHash
+            }
             trail={50}
             enter={{
               opacity: 1,
@@ -116,7 +124,7 @@ function ActivityList() {
               </div>
             )}
           </Transition>
-        ) : (
+        ) : history.loading ? null : (
           <div
             css={`
               display: flex;
@@ -142,9 +150,52 @@ function ActivityList() {
             </span>
           </div>
         )}
+        <HistoryStatus history={history} />
       </div>
     </div>
   )
 }
 
+function HistoryStatus({ history }) {
+  const theme = useTheme()
+  const { error, hasMore, loadMore, loading } = history
+
+  if (!loading && !error && !hasMore) {
+    return null
+  }
+
+  return (
+    <div
+      css={`
+        display: flex;
+        justify-content: center;
+        padding: ${1.5 * GU}px ${2 * GU}px;
+        border-top: 1px solid ${theme.border};
+        ${textStyle('body3')};
+        color: ${error ? theme.negative : theme.surfaceContentSecondary};
+      `}
+    >
+      {(() => {
+        if (error) {
+          return 'Your past transactions couldn’t be loaded.'
+        }
+        if (loading) {
+          return 'Loading history…'
+        }
+        return (
+          <ButtonText
+            onClick={loadMore}
+            css={`
+              padding: 0;
+              ${textStyle('label2')}
+            `}
+          >
+            Load older activity
+          </ButtonText>
+        )
+      })()}
+    </div>
+  )
+}
+
 export default ActivityList
@@ -7,14 +7,18 @@ import React, {
   useState,
 } from 'react'
 import PropTypes from 'prop-types'
+import { bigNum } from '../../lib/math-utils'
 import StoredList from '../../StoredList'
 import { getNetworkType } from '../../lib/web3-utils'
-import { MINUTE } from '../../utils/date-utils'
+import { MINUTE, SECOND } from '../../utils/date-utils'
 import { useWallet } from '../../providers/Wallet'
+import { TransactionAlreadyMined, TransactionFailed } from '../../errors'
 import {
+  ACTIVITY_STATUS_CANCELLED,
   ACTIVITY_STATUS_CONFIRMED,
   ACTIVITY_STATUS_FAILED,
   ACTIVITY_STATUS_PENDING,
+  ACTIVITY_STATUS_REPLACED,
   ACTIVITY_STATUS_TIMED_OUT,
 } from './activity-statuses'
 
@@ -23,14 +27,27 @@ const ActivityContext = React.createContext()
 // Only used to serialize / deserialize the symbols
 const SymbolsByName = new Map(
   Object.entries({
+    ACTIVITY_STATUS_CANCELLED,
     ACTIVITY_STATUS_CONFIRMED,
     ACTIVITY_STATUS_FAILED,
     ACTIVITY_STATUS_PENDING,
+    ACTIVITY_STATUS_REPLACED,
     ACTIVITY_STATUS_TIMED_OUT,
   })
 )
 
 const TIMEOUT_DURATION = 10 * MINUTE
+const NONCE_POLL_INTERVAL = 15 * SECOND
+const TRANSACTION_POLL_INTERVAL = 5 * SECOND
+
+// Nodes only accept a replacement transaction if its gas price is at least
+// 10% higher than the one it replaces.
+const REPLACEMENT_GAS_PRICE_INCREASE = 15 // percent
+const CANCEL_GAS_LIMIT = 21000
+
+// How a pending activity has been resubmitted from the dashboard
+export const REPLACEMENT_SPEED_UP = 'speedUp'
+export const REPLACEMENT_CANCEL = 'cancel'
 
 function getStoredList(account) {
   return new StoredList(`activity:${getNetworkType()}:${account}`, {
@@ -45,43 +62,80 @@ function getStoredList(account) {
   })
 }
 
+// Cancelling is done by replacing a transaction with a 0-value self-transfer
+function isCancelTransaction({ from, to }) {
+  return Boolean(from && to && from.toLowerCase() === to.toLowerCase())
+}
+
+function getReplacementGasPrice(gasPrice, networkGasPrice) {
+  const increasedGasPrice = bigNum(gasPrice || 0)
+    .mul(100 + REPLACEMENT_GAS_PRICE_INCREASE)
+    .div(100)
+  return increasedGasPrice.gt(networkGasPrice)
+    ? increasedGasPrice
+    : networkGasPrice
+}
+
+// Nodes can take a while to know about a transaction that was just sent: it
+// stays pending until found, or settled by the nonce watcher (e.g. when it got
+// replaced). Resolves to null if not found before `deadline`, or if stopped.
+async function findTransaction(ethers, transactionHash, deadline, isStopped) {
+  while (Date.now() < deadline && !isStopped()) {
+    try {
+      const tx = await ethers.getTransaction(String(transactionHash))
+      if (tx) {
+        return tx
+      }
+    } catch (err) {
+      console.error(`Error fetching the transaction ${transactionHash}`, err)
+    }
+    await new Promise(resolve => setTimeout(resolve, TRANSACTION_POLL_INTERVAL))
+  }
+  return null
+}
+
 async function getActivityFinalStatus(
   ethers,
-  { createdAt, transactionHash, status }
+  { createdAt, submittedAt = createdAt, transactionHash, status },
+  isStopped = () => false
 ) {
   if (status !== ACTIVITY_STATUS_PENDING) {
     return status
   }
 
   const now = Date.now()
+  const deadline = submittedAt + TIMEOUT_DURATION
 
   return Promise.race([
     // Get the transaction status once mined
-    ethers
-      .getTransaction(String(transactionHash))
+    findTransaction(ethers, transactionHash, deadline, isStopped)
       .then(tx => {
-        // tx is null if no tx was found
+        // Stopped, or not found in time: the timeout settles the activity
         if (!tx) {
-          throw new Error('No transaction found')
+          return new Promise(() => {})
         }
         return tx.wait().then(receipt => {
-          return receipt.blockNumber
-            ? ACTIVITY_STATUS_CONFIRMED
-            : ACTIVITY_STATUS_FAILED
+          if (!receipt.blockNumber) {
+            return ACTIVITY_STATUS_FAILED
+          }
+          return isCancelTransaction(tx)
+            ? ACTIVITY_STATUS_CANCELLED
+            : ACTIVITY_STATUS_CONFIRMED
         })
       })
       .catch(() => {
         return ACTIVITY_STATUS_FAILED
       }),
 
-    // Timeout after 10 minutes
+    // Timeout 10 minutes after the last submission
     new Promise(resolve => {
-      if (now - createdAt > TIMEOUT_DURATION) {
-        return ACTIVITY_STATUS_TIMED_OUT
+      if (now >= deadline) {
+        resolve(ACTIVITY_STATUS_TIMED_OUT)
+        return
       }
       setTimeout(() => {
         resolve(ACTIVITY_STATUS_TIMED_OUT)
-      }, TIMEOUT_DURATION - (now - createdAt))
+      }, deadline - now)
     }),
   ])
 }
@@ -92,17 +146,61 @@ function ActivityProvider({ children }) {
   const wallet = useWallet()
   const { account, ethers } = wallet
 
+  // Activities can be updated once a transaction has been sent, so the
+  // updates are always applied to the latest activities.
+  const latestActivities = useRef(activities)
+
   // Update the activities, ensuring the activities
   // are updated in the stored list and in the state.
-  const updateActivities = useCallback(
-    cb => {
-      const newActivities = cb(activities)
-      setActivities(newActivities)
-      if (storedList.current) {
-        storedList.current.update(newActivities)
+  const updateActivities = useCallback(cb => {
+    const newActivities = cb(latestActivities.current)
+    latestActivities.current = newActivities
+    setActivities(newActivities)
+    if (storedList.current) {
+      storedList.current.update(newActivities)
+    }
+  }, [])
+
+  // Transactions waited for through their activity, see waitForActivity()
+  const activityWaiters = useRef([])
+
+  // Settle the waiters of the activities that are not pending anymore
+  const settleActivityWaiters = useCallback(() => {
+    activityWaiters.current = activityWaiters.current.filter(
+      ({ transactionHash, resolve, reject }) => {
+        const activity = latestActivities.current.find(
+          activity =>
+            activity.transactionHash === transactionHash ||
+            (activity.replacedHashes || []).includes(transactionHash)
+        )
+        if (activity && activity.status === ACTIVITY_STATUS_PENDING) {
+          return true
+        }
+        if (activity && activity.status === ACTIVITY_STATUS_CONFIRMED) {
+          resolve(activity)
+        } else {
+          reject(new TransactionFailed())
+        }
+        return false
       }
-    },
-    [activities]
+    )
+  }, [])
+
+  useEffect(() => {
+    settleActivityWaiters()
+  }, [activities, settleActivityWaiters])
+
+  // Wait for the transaction of an activity to be mined. Unlike tx.wait(), it
+  // follows the transaction when it gets sped up or cancelled. Resolves to
+  // the confirmed activity, or rejects if it failed, got cancelled or
+  // replaced.
+  const waitForActivity = useCallback(
+    transactionHash =>
+      new Promise((resolve, reject) => {
+        activityWaiters.current.push({ transactionHash, resolve, reject })
+        settleActivityWaiters()
+      }),
+    [settleActivityWaiters]
   )
 
   // Add a single activity.
@@ -123,12 +221,18 @@ function ActivityProvider({ children }) {
           activityParams,
           activityType,
           createdAt: Date.now(),
+          data: tx.data,
           from: tx.from,
+          gasLimit: tx.gasLimit && tx.gasLimit.toString(),
+          gasPrice: tx.gasPrice && tx.gasPrice.toString(),
           nonce: tx.nonce,
           read: false,
+          replacedHashes: [],
+          replacement: null,
           status: ACTIVITY_STATUS_PENDING,
           to: tx.to,
           transactionHash: tx.hash,
+          value: tx.value && tx.value.toString(),
         },
       ])
 
@@ -137,6 +241,82 @@ function ActivityProvider({ children }) {
     [updateActivities]
   )
 
+  // Resubmit the transaction of an activity with the same nonce and a higher
+  // gas price. Cancelling replaces it by a 0-value self-transfer instead.
+  const replaceActivity = useCallback(
+    async (transactionHash, replacement) => {
+      const activity = latestActivities.current.find(
+        activity => activity.transactionHash === transactionHash
+      )
+      if (!activity) {
+        throw new Error(`No activity found for ${transactionHash}`)
+      }
+
+      const [minedNonce, networkGasPrice] = await Promise.all([
+        ethers.getTransactionCount(account),
+        ethers.getGasPrice(),
+      ])
+      if (minedNonce > activity.nonce) {
+        throw new TransactionAlreadyMined()
+      }
+
+      const cancel = replacement === REPLACEMENT_CANCEL
+      const tx = await ethers.getSigner().sendTransaction({
+        ...(cancel
+          ? { to: account, value: 0, gasLimit: CANCEL_GAS_LIMIT }
+          : {
+              to: activity.to,
+              data: activity.data,
+              value: activity.value || 0,
+              gasLimit: activity.gasLimit || undefined,
+            }),
+        nonce: activity.nonce,
+        gasPrice: getReplacementGasPrice(activity.gasPrice, networkGasPrice),
+      })
+
+      updateActivities(activities =>
+        activities.map(activity => {
+          if (activity.transactionHash !== transactionHash) {
+            return activity
+          }
+          return {
+            ...activity,
+            data: tx.data,
+            gasLimit: tx.gasLimit && tx.gasLimit.toString(),
+            gasPrice: tx.gasPrice && tx.gasPrice.toString(),
+            read: false,
+            replacedHashes: [
+              ...(activity.replacedHashes || []),
+              activity.transactionHash,
+            ],
+            // Speeding up a cancellation keeps cancelling the transaction
+            replacement: cancel
+              ? REPLACEMENT_CANCEL
+              : activity.replacement || REPLACEMENT_SPEED_UP,
+            status: ACTIVITY_STATUS_PENDING,
+            submittedAt: Date.now(),
+            to: tx.to,
+            transactionHash: tx.hash,
+            value: tx.value && tx.value.toString(),
+          }
+        })
+      )
+
+      return tx
+    },
+    [account, ethers, updateActivities]
+  )
+
+  const speedUpActivity = useCallback(
+    transactionHash => replaceActivity(transactionHash, REPLACEMENT_SPEED_UP),
+    [replaceActivity]
+  )
+
+  const cancelActivity = useCallback(
+    transactionHash => replaceActivity(transactionHash, REPLACEMENT_CANCEL),
+    [replaceActivity]
+  )
+
   // Clear a single activity
   const removeActivity = useCallback(
     transactionHash => {
@@ -149,6 +329,32 @@ function ActivityProvider({ children }) {
     [updateActivities]
   )
 
+  // Send the transaction of a failed activity again. It replaces the failed
+  // activity once signed.
+  const retryActivity = useCallback(
+    async transactionHash => {
+      const activity = latestActivities.current.find(
+        activity => activity.transactionHash === transactionHash
+      )
+      if (!activity) {
+        throw new Error(`No activity found for ${transactionHash}`)
+      }
+
+      const tx = await addActivity(
+        ethers.getSigner().sendTransaction({
+          to: activity.to,
+          data: activity.data,
+          value: activity.value || 0,
+        }),
+        activity.activityType,
+        activity.activityParams
+      )
+      removeActivity(transactionHash)
+      return tx
+    },
+    [addActivity, ethers, removeActivity]
+  )
+
   // Clear all non pending activities − we don’t clear
   // pending because we’re awaiting state change.
   const clearActivities = useCallback(() => {
@@ -203,6 +409,7 @@ function ActivityProvider({ children }) {
       ) > 0
 
     if (activitiesChanged) {
+      latestActivities.current = activitiesFromStorage
       setActivities(activitiesFromStorage)
     }
   }, [activities])
@@ -218,7 +425,11 @@ function ActivityProvider({ children }) {
     updateActivitiesFromStorage()
 
     activities.forEach(async activity => {
-      const status = await getActivityFinalStatus(ethers, activity)
+      const status = await getActivityFinalStatus(
+        ethers,
+        activity,
+        () => cancelled
+      )
       if (!cancelled && status !== activity.status) {
         updateActivityStatus(activity.transactionHash, status)
       }
@@ -235,16 +446,108 @@ function ActivityProvider({ children }) {
     updateActivityStatus,
   ])
 
+  // Watch the account nonce to detect the pending transactions that got
+  // replaced, either from another wallet or by one of their previous versions
+  // getting mined first.
+  useEffect(() => {
+    const pendingActivities = activities.filter(
+      activity => activity.status === ACTIVITY_STATUS_PENDING
+    )
+    if (!account || !ethers || pendingActivities.length === 0) {
+      return
+    }
+
+    let cancelled = false
+
+    const checkNonce = async () => {
+      try {
+        const minedNonce = await ethers.getTransactionCount(account)
+
+        const replacedActivities = await Promise.all(
+          pendingActivities
+            .filter(activity => activity.nonce < minedNonce)
+            .map(async activity => {
+              const hashes = [
+                activity.transactionHash,
+                ...(activity.replacedHashes || []),
+              ]
+              const receipts = await Promise.all(
+                hashes.map(hash => ethers.getTransactionReceipt(hash))
+              )
+              const minedIndex = receipts.findIndex(Boolean)
+
+              // The current transaction got mined: its status gets updated
+              // by getActivityFinalStatus().
+              if (minedIndex === 0) {
+                return null
+              }
+
+              if (minedIndex === -1) {
+                return {
+                  transactionHash: activity.transactionHash,
+                  changes: { status: ACTIVITY_STATUS_REPLACED },
+                }
+              }
+
+              const receipt = receipts[minedIndex]
+              let status = ACTIVITY_STATUS_CONFIRMED
+              if (receipt.status === 0) {
+                status = ACTIVITY_STATUS_FAILED
+              } else if (isCancelTransaction(receipt)) {
+                status = ACTIVITY_STATUS_CANCELLED
+              }
+
+              return {
+                transactionHash: activity.transactionHash,
+                changes: { status, transactionHash: hashes[minedIndex] },
+              }
+            })
+        )
+
+        const updates = replacedActivities.filter(Boolean)
+        if (cancelled || updates.length === 0) {
+          return
+        }
+
+        updateActivities(activities =>
+          activities.map(activity => {
+            const update = updates.find(
+              ({ transactionHash }) =>
+                transactionHash === activity.transactionHash
+            )
+            return update
+              ? { ...activity, ...update.changes, read: false }
+              : activity
+          })
+        )
+      } catch (err) {
+        console.error('Error checking the account nonce: ', err)
+      }
+    }
+
+    checkNonce()
+    const timer = setInterval(checkNonce, NONCE_POLL_INTERVAL)
+
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+    }
+  }, [account, activities, ethers, updateActivities])
+
   return (
     <ActivityContext.Provider
       value={{
         activities,
         addActivity,
+        cancelActivity,
         clearActivities,
         markActivitiesRead,
         removeActivity,
+        retryActivity,
+        speedUpActivity,
         unreadCount,
         updateActivities,
+        waitForActivity,
       }}
     >
       {children}
@@ -69,7 +69,11 @@ const ACTIVITY_TYPES = new Map(
       return {
         title: 'Commit vote',
         icon: iconCommitVote,
-        description: `
+        // The outcome is unknown for commits found on chain
+        description:
+          commitment === undefined
+            ? `Commit vote on round #${roundId} of dispute #${disputeId}`
+            : `
           Vote ${commitment} on round #${roundId} of dispute #${disputeId}
         `,
       }
@@ -165,6 +169,15 @@ const ACTIVITY_TYPES = new Map(
         `,
       }
     },
+    submitEvidence({ disputeId }) {
+      return {
+        title: 'Submit evidence',
+        icon: iconCourtLogo,
+        description: `
+          Submit evidence for dispute #${disputeId}
+        `,
+      }
+    },
     transaction({ transactionHash }) {
       return {
         title: 'Transaction',
@@ -183,6 +196,15 @@ const ACTIVITY_TYPES = new Map(
         `,
       }
     },
+    withdrawFees({ amount, symbol }) {
+      return {
+        icon: iconClaimRewards,
+        title: 'Withdraw fees',
+        description: `
+          Withdraw ${amount} ${symbol} from the Court treasury
+        `,
+      }
+    },
   })
 )
 
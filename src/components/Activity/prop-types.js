@@ -1,14 +1,18 @@
 import PropTypes from 'prop-types'
 import {
+  ACTIVITY_STATUS_CANCELLED,
   ACTIVITY_STATUS_CONFIRMED,
   ACTIVITY_STATUS_FAILED,
   ACTIVITY_STATUS_PENDING,
+  ACTIVITY_STATUS_REPLACED,
   ACTIVITY_STATUS_TIMED_OUT,
 } from './activity-statuses'
 
 export const ActivityStatusType = PropTypes.oneOf([
+  ACTIVITY_STATUS_CANCELLED,
   ACTIVITY_STATUS_CONFIRMED,
   ACTIVITY_STATUS_FAILED,
   ACTIVITY_STATUS_PENDING,
+  ACTIVITY_STATUS_REPLACED,
   ACTIVITY_STATUS_TIMED_OUT,
 ])
@@ -0,0 +1,80 @@
+import React, { useCallback } from 'react'
+import { BackButton, Bar, IdentityBadge, Split } from '@aragon/ui'
+import { useHistory } from 'react-router-dom'
+import { utils as EthersUtils } from 'ethers'
+
+import ArbitrableDisputes from './ArbitrableDisputes'
+import ArbitrableSummary from './ArbitrableSummary'
+import ErrorLoading from '../Errors/ErrorLoading'
+import Loading from '../Disputes/Loading'
+import MessageCard from '../MessageCard'
+import TitleHeader from '../TitleHeader'
+
+import { useArbitrableDisputesQuery } from '../../hooks/query-hooks'
+import { getNetworkType } from '../../lib/web3-utils'
+
+import noDataSvg from '../../assets/noData.svg'
+
+function Arbitrable({ match }) {
+  const history = useHistory()
+  const { address } = match.params
+  const validAddress = EthersUtils.isHexString(address, 20)
+
+  const handleBack = useCallback(() => {
+    history.goBack()
+  }, [history])
+
+  return (
+    <React.Fragment>
+      <TitleHeader title="Arbitrable" />
+      <Bar
+        primary={<BackButton onClick={handleBack} />}
+        secondary={
+          validAddress && (
+            <IdentityBadge entity={address} networkType={getNetworkType()} />
+          )
+        }
+      />
+      {validAddress ? (
+        <ArbitrableContent address={address} />
+      ) : (
+        <NoDisputes
+          paragraph={`“${address}” is not a valid Ethereum address.`}
+        />
+      )}
+    </React.Fragment>
+  )
+}
+
+function ArbitrableContent({ address }) {
+  const { disputes, fetching, error } = useArbitrableDisputesQuery(address)
+
+  if (error) {
+    return <ErrorLoading subject="arbitrable" errors={[error.message]} />
+  }
+
+  if (fetching) {
+    return <Loading />
+  }
+
+  if (disputes.length === 0) {
+    return (
+      <NoDisputes paragraph="This address hasn’t raised any dispute on this court." />
+    )
+  }
+
+  return (
+    <Split
+      primary={<ArbitrableDisputes disputes={disputes} />}
+      secondary={<ArbitrableSummary disputes={disputes} />}
+    />
+  )
+}
+
+function NoDisputes({ paragraph }) {
+  return (
+    <MessageCard title="No disputes" paragraph={paragraph} icon={noDataSvg} />
+  )
+}
+
+export default Arbitrable
@@ -0,0 +1,70 @@
+import React from 'react'
+import { DataView, Link, textStyle, useTheme } from '@aragon/ui'
+
+import { useCourtConfig } from '../../providers/CourtConfig'
+import { dateFormat } from '../../utils/date-utils'
+import { formatUnits } from '../../lib/math-utils'
+import { finalRulingToString } from '../../utils/crvoting-utils'
+import { formatTimeToRuling } from '../../utils/arbitrable-utils'
+
+const ENTRIES_PER_PAGE = 10
+
+function getRulingString({ finalRuling, finalRulingTime, voided }) {
+  if (voided) {
+    return 'Voided'
+  }
+  if (finalRuling !== 0) {
+    return finalRulingToString(finalRuling)
+  }
+  return finalRulingTime ? 'Awaiting execution' : 'In progress'
+}
+
+function ArbitrableDisputes({ disputes }) {
+  const theme = useTheme()
+  const { feeToken } = useCourtConfig()
+
+  return (
+    <DataView
+      heading={
+        <div
+          css={`
+            color: ${theme.content};
+            ${textStyle('body1')};
+          `}
+        >
+          Disputes
+        </div>
+      }
+      entriesPerPage={ENTRIES_PER_PAGE}
+      fields={[
+        'Dispute',
+        'Created',
+        'Final ruling',
+        'Appeals',
+        'Fees paid',
+        'Time to ruling',
+      ]}
+      entries={disputes}
+      renderEntry={dispute => {
+        const { appeals, createdAt, fees, id, timeToRuling } = dispute
+
+        return [
+          <Link href={`/disputes/${id}`} external={false}>
+            Dispute #{id}
+          </Link>,
+          <span>{dateFormat(createdAt, 'onlyDate')}</span>,
+          <span>{getRulingString(dispute)}</span>,
+          <span>{appeals}</span>,
+          <span>
+            {formatUnits(fees, { digits: feeToken.decimals })} {feeToken.symbol}
+          </span>,
+          <span>
+            {timeToRuling === null ? '-' : formatTimeToRuling(timeToRuling)}
+          </span>,
+        ]
+      }}
+    />
+  )
+}
+
+export default ArbitrableDisputes
@@ -0,0 +1,80 @@
+import React, { useMemo } from 'react'
+import { Box, GU, textStyle, useTheme } from '@aragon/ui'
+
+import { useCourtConfig } from '../../providers/CourtConfig'
+import { formatUnits } from '../../lib/math-utils'
+import {
+  formatTimeToRuling,
+  getArbitrableSummary,
+} from '../../utils/arbitrable-utils'
+import { finalRulingToString } from '../../utils/crvoting-utils'
+
+function ArbitrableSummary({ disputes }) {
+  const theme = useTheme()
+  const { feeToken } = useCourtConfig()
+
+  const stats = useMemo(() => {
+    const {
+      appeals,
+      averageTimeToRuling,
+      disputes: disputesCount,
+      fees,
+      rulings,
+    } = getArbitrableSummary(disputes)
+
+    return [
+      { label: 'Disputes', value: disputesCount },
+      ...[...rulings.entries()]
+        .sort(([a], [b]) => b - a)
+        .map(([ruling, count]) => ({
+          label: finalRulingToString(ruling),
+          value: count,
+        })),
+      { label: 'Appeals', value: appeals },
+      {
+        label: 'Fees paid',
+        value: `${formatUnits(fees, { digits: feeToken.decimals })} ${
+          feeToken.symbol
+        }`,
+      },
+      {
+        label: 'Average time to ruling',
+        value:
+          averageTimeToRuling === null
+            ? '-'
+            : formatTimeToRuling(averageTimeToRuling),
+      },
+    ]
+  }, [disputes, feeToken])
+
+  return (
+    <Box heading="Outcomes" padding={3 * GU}>
+      {stats.map(({ label, value }) => (
+        <div
+          key={label}
+          css={`
+            display: flex;
+            justify-content: space-between;
+            margin-bottom: ${1.5 * GU}px;
+            ${textStyle('body2')};
+
+            &:last-child {
+              margin-bottom: 0;
+            }
+          `}
+        >
+          <span
+            css={`
+              color: ${theme.surfaceContentSecondary};
+            `}
+          >
+            {label}
+          </span>
+          <span>{value}</span>
+        </div>
+      ))}
+    </Box>
+  )
+}
+
+export default ArbitrableSummary
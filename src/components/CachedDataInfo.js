@@ -0,0 +1,21 @@
+import React from 'react'
+import { GU, Info } from '@aragon/ui'
+import { dateFormat } from '../utils/date-utils'
+
+// Data persisted on a previous visit (see `getPersistedExchange()`), displayed
+// until it gets updated
+function CachedDataInfo({ cachedAt }) {
+  return (
+    <Info
+      mode="warning"
+      css={`
+        margin-bottom: ${2 * GU}px;
+      `}
+    >
+      This data was saved on {dateFormat(cachedAt, 'standard')} and might be
+      outdated. It will be updated once the court data can be fetched again.
+    </Info>
+  )
+}
+
+export default CachedDataInfo
@@ -32,6 +32,7 @@ function Dashboard() {
     anjBalances,
     appealCollaterals,
     errorsFetching,
+    estimateGas,
     fetchingData,
     mode,
     panelState,
@@ -81,6 +82,7 @@ function Dashboard() {
                     rewards={rewards}
                     treasury={treasury}
                     loading={fetchingData}
+                    estimateGas={estimateGas}
                     onClaimSubscriptionFees={actions.claimSubscriptionFees}
                     onSettleAppealDeposit={actions.settleAppealDeposit}
                     onSettleReward={actions.settleReward}
@@ -112,6 +114,7 @@ function Dashboard() {
           mode={mode}
           actions={actions}
           balances={anjBalances}
+          estimateGas={estimateGas}
           onDone={panelState.requestClose}
         />
       </SidePanel>
@@ -119,7 +122,7 @@ function Dashboard() {
   )
 }
 
-function PanelComponent({ mode, actions, balances, ...props }) {
+function PanelComponent({ mode, actions, balances, estimateGas, ...props }) {
   const { activateANJ, deactivateANJ, withdrawANJ } = actions
   const { walletBalance, activeBalance } = balances
 
@@ -132,6 +135,7 @@ function PanelComponent({ mode, actions, balances, ...props }) {
         <DeactivateANJ
           activeBalance={unlockedActiveBalance}
           onDeactivateANJ={deactivateANJ}
+          onEstimateGas={estimateGas.deactivateANJ}
           {...props}
         />
       )
@@ -139,6 +143,7 @@ function PanelComponent({ mode, actions, balances, ...props }) {
       return (
         <WithdrawANJ
           inactiveBalance={effectiveInactiveBalance}
+          onEstimateGas={estimateGas.withdrawANJ}
           onWithdrawANJ={withdrawANJ}
           {...props}
         />
@@ -150,6 +155,7 @@ function PanelComponent({ mode, actions, balances, ...props }) {
           inactiveBalance={effectiveInactiveBalance}
           walletBalance={walletBalance.amount}
           onActivateANJ={activateANJ}
+          onEstimateGas={estimateGas.activateANJ}
           fromWallet={mode === REQUEST_MODE.STAKE_ACTIVATE}
           {...props}
         />
@@ -9,15 +9,18 @@ import {
   textStyle,
   useTheme,
 } from '@aragon/ui'
-import * as Sentry from '@sentry/browser'
 
 import Loading from './Loading'
 import NoRewards from './NoRewards'
+import TransactionCost from '../TransactionCost'
+import TransactionQueue from '../TransactionQueue'
 
 import { useWallet } from '../../providers/Wallet'
 import { useCourtConfig } from '../../providers/CourtConfig'
 import { getProviderFromUseWalletId } from '../../ethereum-providers'
 import useJurorSubscriptionFees from '../../hooks/useJurorSubscriptionFees'
+import useTransactionCost from '../../hooks/useTransactionCost'
+import useTransactionQueue from '../../hooks/useTransactionQueue'
 
 import { bigNum, formatTokenAmount } from '../../lib/math-utils'
 import { addressesEqual } from '../../lib/web3-utils'
@@ -46,6 +49,7 @@ const useTotalFeeRewards = (arbitrableFees, appealFees, subscriptionFees) => {
 // Only after the rewards are settled can a juror withdraw them from the treasury (`onWithdraw()`)
 // As opposed to fee rewards, subscription fees are directly withdrawn to the juror's wallet when claimed
 const RewardsModule = React.memo(function RewardsModule({
+  estimateGas,
   rewards,
   treasury,
   loading,
@@ -86,69 +90,150 @@ const RewardsModule = React.memo(function RewardsModule({
   const totalTreasuryFees = totalDisputesFees.add(treasuryBalance)
   const totalFeeRewards = totalTreasuryFees.add(totalSubscriptionFees)
 
+  // The claim transactions are sent one after the other, each one once the
+  // previous one got mined (fees can only be withdrawn once settled).
+  const claimQueueActions = useMemo(
+    () => ({
+      claimSubscriptionFees: onClaimSubscriptionFees,
+      settleAppealDeposit: onSettleAppealDeposit,
+      settleReward: onSettleReward,
+      withdraw: onWithdraw,
+    }),
+    [onClaimSubscriptionFees, onSettleAppealDeposit, onSettleReward, onWithdraw]
+  )
+  const claimQueue = useTransactionQueue('claimRewards', claimQueueActions)
+  const { start: startClaimQueue } = claimQueue
+
   // Form submission
   const handleFormSubmit = useCallback(
-    async event => {
+    event => {
       event.preventDefault()
 
       if (!rewards) return
 
-      const rewardTransactionQueue = []
-      try {
-        // Claim all arbitrable fee rewards
-        for (const arbitrableFee of feeRewards.arbitrableFees) {
-          const { disputeId, rounds } = arbitrableFee
-          for (const roundId of rounds) {
-            rewardTransactionQueue.push(
-              await onSettleReward(disputeId, roundId, wallet.account)
-            )
-          }
-        }
-
-        // Claim all appeal fee rewards
-        for (const appealFee of feeRewards.appealFees) {
-          const { disputeId, rounds } = appealFee
-          for (const roundId of rounds) {
-            rewardTransactionQueue.push(
-              await onSettleAppealDeposit(disputeId, roundId)
-            )
-          }
+      const steps = []
+
+      // Claim all arbitrable fee rewards
+      for (const arbitrableFee of feeRewards.arbitrableFees) {
+        const { disputeId, rounds } = arbitrableFee
+        for (const roundId of rounds) {
+          steps.push({
+            action: 'settleReward',
+            label: `Settle reward for round #${roundId} of dispute #${disputeId}`,
+            params: [disputeId, roundId, wallet.account],
+          })
         }
+      }
 
-        // Withdraw funds from treasury
-        if (totalTreasuryFees.gt(0)) {
-          rewardTransactionQueue.push(
-            await onWithdraw(feeToken.id, wallet.account, totalTreasuryFees)
-          )
+      // Claim all appeal fee rewards
+      for (const appealFee of feeRewards.appealFees) {
+        const { disputeId, rounds } = appealFee
+        for (const roundId of rounds) {
+          steps.push({
+            action: 'settleAppealDeposit',
+            label: `Settle appeal deposit for round #${roundId} of dispute #${disputeId}`,
+            params: [disputeId, roundId],
+          })
         }
+      }
 
-        // Claim subscription fees
-        for (const subscriptionFee of subscriptionFees) {
-          rewardTransactionQueue.push(
-            await onClaimSubscriptionFees(subscriptionFee.periodId)
-          )
-        }
+      // Withdraw funds from treasury
+      if (totalTreasuryFees.gt(0)) {
+        steps.push({
+          action: 'withdraw',
+          label: `Withdraw ${formatTokenAmount(
+            totalTreasuryFees,
+            false,
+            feeToken.decimals
+          )} ${feeToken.symbol} from the treasury`,
+          params: [feeToken.id, wallet.account, totalTreasuryFees.toString()],
+        })
+      }
 
-        await Promise.all(rewardTransactionQueue.map(tx => tx.wait()))
-      } catch (err) {
-        console.error(`Error claiming rewards: ${err}`)
-        Sentry.captureException(err)
+      // Claim subscription fees
+      for (const subscriptionFee of subscriptionFees) {
+        steps.push({
+          action: 'claimSubscriptionFees',
+          label: `Claim subscription fees of period #${subscriptionFee.periodId}`,
+          params: [subscriptionFee.periodId],
+        })
       }
+
+      startClaimQueue(steps)
     },
     [
       feeRewards,
       feeToken,
-      onClaimSubscriptionFees,
-      onSettleAppealDeposit,
-      onSettleReward,
-      onWithdraw,
       rewards,
+      startClaimQueue,
       subscriptionFees,
       totalTreasuryFees,
       wallet.account,
     ]
   )
 
+  const {
+    claimSubscriptionFees: estimateClaimSubscriptionFees,
+    settleAppealDeposit: estimateSettleAppealDeposit,
+    settleReward: estimateSettleReward,
+    withdraw: estimateWithdraw,
+  } = estimateGas
+
+  // Total gas limit of the transactions sent by `handleFormSubmit()`. The
+  // amount is passed as a string to keep the estimate function stable.
+  const treasuryFeesAmount = totalTreasuryFees.toString()
+  const estimateClaimGasLimit = useCallback(async () => {
+    if (!rewards) {
+      return null
+    }
+
+    const estimates = []
+    for (const { disputeId, rounds } of feeRewards.arbitrableFees) {
+      for (const roundId of rounds) {
+        estimates.push(estimateSettleReward(disputeId, roundId, wallet.account))
+      }
+    }
+    for (const { disputeId, rounds } of feeRewards.appealFees) {
+      for (const roundId of rounds) {
+        estimates.push(estimateSettleAppealDeposit(disputeId, roundId))
+      }
+    }
+    if (bigNum(treasuryFeesAmount).gt(0)) {
+      estimates.push(
+        estimateWithdraw(feeToken.id, wallet.account, treasuryFeesAmount)
+      )
+    }
+    for (const { periodId } of subscriptionFees) {
+      estimates.push(estimateClaimSubscriptionFees(periodId))
+    }
+
+    const gasLimits = await Promise.all(estimates)
+
+    // The total is unknown as soon as one of the transactions can’t be estimated
+    return gasLimits.every(Boolean)
+      ? gasLimits.reduce((total, gasLimit) => total.add(gasLimit), bigNum(0))
+      : null
+  }, [
+    estimateClaimSubscriptionFees,
+    estimateSettleAppealDeposit,
+    estimateSettleReward,
+    estimateWithdraw,
+    feeRewards,
+    feeToken,
+    rewards,
+    subscriptionFees,
+    treasuryFeesAmount,
+    wallet.account,
+  ])
+
+  const [claimCost, estimatingClaimCost] = useTransactionCost(
+    totalFeeRewards.gt(0) ? estimateClaimGasLimit : null
+  )
+
+  // The withdrawal can’t be simulated before the settle transactions moved the
+  // fees to the treasury, so its estimate falls back to the maximum gas limit
+  const claimCostIsUpperBound = totalDisputesFees.gt(0)
+
   const hasRewardsToClaim = anjRewards?.gt(0) || totalFeeRewards.gt(0)
   const showHeading = !loading && hasRewardsToClaim
 
@@ -182,6 +267,10 @@ const RewardsModule = React.memo(function RewardsModule({
                   <SubscriptionFeeRewards totalFees={totalSubscriptionFees} />
                 )}
                 <TotalFees
+                  claimCost={claimCost}
+                  claimCostIsUpperBound={claimCostIsUpperBound}
+                  claimQueue={claimQueue}
+                  estimatingClaimCost={estimatingClaimCost}
                   totalFees={totalFeeRewards}
                   requiresMultipleTxs={
                     totalDisputesFees.gt(0) ||
@@ -325,7 +414,14 @@ function SubscriptionFeeRewards({ totalFees }) {
   )
 }
 
-function TotalFees({ totalFees, requiresMultipleTxs }) {
+function TotalFees({
+  claimCost,
+  claimCostIsUpperBound,
+  claimQueue,
+  estimatingClaimCost,
+  totalFees,
+  requiresMultipleTxs,
+}) {
   const theme = useTheme()
   const { activated } = useWallet()
   const { feeToken } = useCourtConfig()
@@ -355,10 +451,31 @@ function TotalFees({ totalFees, requiresMultipleTxs }) {
             margin-bottom: ${2 * GU}px;
           `}
         />
-        <Button mode="positive" type="submit" wide>
-          Claim rewards
-        </Button>
-        {requiresMultipleTxs && (
+        {claimQueue.queue && (
+          <TransactionQueue
+            interrupted={claimQueue.interrupted}
+            queue={claimQueue.queue}
+            onAbort={claimQueue.abort}
+            onResume={claimQueue.resume}
+            css={`
+              margin-bottom: ${2 * GU}px;
+            `}
+          />
+        )}
+        {!claimQueue.running && !claimQueue.interrupted && (
+          <>
+            <TransactionCost
+              cost={claimCost}
+              estimating={estimatingClaimCost}
+              multiple={requiresMultipleTxs}
+              upperBound={claimCostIsUpperBound}
+            />
+            <Button mode="positive" type="submit" wide>
+              Claim rewards
+            </Button>
+          </>
+        )}
+        {requiresMultipleTxs && !claimQueue.interrupted && (
           <Info
             css={`
               margin-top: ${2 * GU}px;
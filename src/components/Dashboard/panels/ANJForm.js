@@ -1,4 +1,4 @@
-import React, { useCallback, useState } from 'react'
+import React, { useCallback, useMemo, useState } from 'react'
 import {
   ButtonBase,
   Button,
@@ -10,6 +10,8 @@ import {
   useTheme,
 } from '@aragon/ui'
 
+import TransactionCost from '../../TransactionCost'
+import useTransactionCost from '../../../hooks/useTransactionCost'
 import { parseUnits, formatUnits, bigNum } from '../../../lib/math-utils'
 import { useCourtConfig } from '../../../providers/CourtConfig'
 
@@ -17,6 +19,7 @@ const ANJForm = React.memo(function ANJForm({
   actionLabel,
   maxAmount,
   onDone,
+  onEstimateGas,
   onSubmit,
   runParentValidation,
 }) {
@@ -29,6 +32,15 @@ const ANJForm = React.memo(function ANJForm({
   const { anjToken } = useCourtConfig()
   const inputRef = useSidePanelFocusOnReady()
 
+  const estimateGasLimit = useMemo(
+    () =>
+      onEstimateGas && amount.valueBN.gt(0)
+        ? () => onEstimateGas(amount.valueBN)
+        : null,
+    [amount.valueBN, onEstimateGas]
+  )
+  const [transactionCost, estimatingCost] = useTransactionCost(estimateGasLimit)
+
   const handleEditMode = useCallback(
     editMode => {
       setAmount(amount => ({
@@ -155,6 +167,9 @@ const ANJForm = React.memo(function ANJForm({
           {errorMessage}
         </Info>
       )}
+      {estimateGasLimit && (
+        <TransactionCost cost={transactionCost} estimating={estimatingCost} />
+      )}
       <Button
         css={`
           margin-bottom: ${1 * GU}px;
@@ -11,6 +11,7 @@ const ActivateANJ = React.memo(function ActivateANJ({
   inactiveBalance,
   fromWallet,
   onDone,
+  onEstimateGas,
 }) {
   const { anjToken, minActiveBalance } = useCourtConfig()
   const maxAmount = fromWallet ? walletBalance : inactiveBalance
@@ -56,6 +57,7 @@ const ActivateANJ = React.memo(function ActivateANJ({
       maxAmount={maxAmount}
       onSubmit={onActivateANJ}
       onDone={onDone}
+      onEstimateGas={onEstimateGas}
       runParentValidation={validation}
     />
   )
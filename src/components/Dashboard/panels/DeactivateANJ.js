@@ -7,6 +7,7 @@ const DeactivateANJ = React.memo(function DeactivateANJ({
   onDeactivateANJ,
   activeBalance,
   onDone,
+  onEstimateGas,
 }) {
   const { anjToken, minActiveBalance } = useCourtConfig()
   const maxAmount = activeBalance
@@ -49,6 +50,7 @@ const DeactivateANJ = React.memo(function DeactivateANJ({
       maxAmount={maxAmount}
       onSubmit={onDeactivateANJ}
       onDone={onDone}
+      onEstimateGas={onEstimateGas}
       runParentValidation={validation}
     />
   )
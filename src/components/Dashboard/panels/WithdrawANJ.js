@@ -7,6 +7,7 @@ const WithdrawANJ = React.memo(function WithdrawANJ({
   onWithdrawANJ,
   inactiveBalance,
   onDone,
+  onEstimateGas,
 }) {
   const { anjToken } = useCourtConfig()
 
@@ -33,6 +34,7 @@ const WithdrawANJ = React.memo(function WithdrawANJ({
       maxAmount={maxAmount}
       onSubmit={onWithdrawANJ}
       onDone={onDone}
+      onEstimateGas={onEstimateGas}
       runParentValidation={validation}
     />
   )
@@ -0,0 +1,42 @@
+import React from 'react'
+import { Tag, useTheme } from '@aragon/ui'
+import { ContentCheck } from '../../types/evidences-status-types'
+
+function ContentCheckTag({ contentCheck, ...props }) {
+  const theme = useTheme()
+
+  if (contentCheck === ContentCheck.Verified) {
+    return (
+      <Tag
+        mode="new"
+        label="Content verified"
+        title="This content matches the CID referenced on chain"
+        {...props}
+      />
+    )
+  }
+  if (contentCheck === ContentCheck.Mismatch) {
+    return (
+      <Tag
+        background={theme.negativeSurface}
+        color={theme.negative}
+        label="Content mismatch"
+        title="The IPFS gateway served a content not matching the CID referenced on chain"
+        {...props}
+      />
+    )
+  }
+  if (contentCheck === ContentCheck.Unverifiable) {
+    return (
+      <Tag
+        mode="identifier"
+        label="Not verified"
+        title="The IPFS gateway doesn’t allow to check this content against the CID referenced on chain"
+        {...props}
+      />
+    )
+  }
+  return null
+}
+
+export default ContentCheckTag
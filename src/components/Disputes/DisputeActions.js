@@ -7,6 +7,7 @@ import {
 import DisputeVoting from './actions/DisputeVoting'
 import DisputeDraft from './actions/DisputeDraft'
 import DisputeReveal from './actions/DisputeReveal'
+import DisputeAutoReveal from './actions/DisputeAutoReveal'
 import DisputeAppeal from './actions/DisputeAppeal'
 import DisputeExecuteRuling from './actions/DisputeExecuteRuling'
 import { useWallet } from '../../providers/Wallet'
@@ -21,6 +22,7 @@ import {
   OUTCOMES,
 } from '../../utils/crvoting-utils'
 import { dateFormat } from '../../utils/date-utils'
+import { isRevealServiceEnabled } from '../../utils/reveal-service-utils'
 
 import IconGavelOrange from '../../assets/IconGavelOrange.svg'
 import IconGavelRed from '../../assets/IconGavelRed.svg'
@@ -73,6 +75,17 @@ function DisputeActions({
         hasJurorVoted={jurorHasVoted}
         lastRound={lastRound}
       />
+      {isRevealServiceEnabled() &&
+        jurorHasVoted &&
+        !jurorDraft.outcome &&
+        (phase === DisputePhase.VotingPeriod ||
+          phase === DisputePhase.RevealVote) && (
+          <DisputeAutoReveal
+            disputeId={dispute.id}
+            juror={wallet.account}
+            roundId={dispute.lastRoundId}
+          />
+        )}
       {(() => {
         // Means juror has already voted
         if (phase === DisputePhase.VotingPeriod) return null
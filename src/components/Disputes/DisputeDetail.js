@@ -1,33 +1,57 @@
 import React, { useCallback, useMemo } from 'react'
-import { BackButton, Bar, Box, GU, SidePanel, Split } from '@aragon/ui'
+import {
+  BackButton,
+  Bar,
+  Box,
+  Button,
+  GU,
+  IconCalendar,
+  SidePanel,
+  Split,
+} from '@aragon/ui'
 import { useHistory } from 'react-router-dom'
 import { utils as EthersUtils } from 'ethers'
 
 import AppealPanel from './panels/AppealPanel'
 import Banner from './PrecedenceCampaign/PrecedenceCampaignBanner'
+import CachedDataInfo from '../CachedDataInfo'
 import CommitPanel from './panels/CommitPanel'
 import DisputeEvidences from './DisputeEvidences'
 import DisputeInfo from './DisputeInfo'
 import DisputeTimeline from './DisputeTimeline'
+import EvidenceComposer from './EvidenceComposer'
+import ExportDossierButton from './Dossier/ExportDossierButton'
 import MessageCard from '../MessageCard'
 import NoEvidence from './NoEvidence'
 import RevealPanel from './panels/RevealPanel'
 import TitleHeader from '../TitleHeader'
 
-import { Status as DisputeStatus } from '../../types/dispute-status-types'
+import {
+  Phase as DisputePhase,
+  Status as DisputeStatus,
+} from '../../types/dispute-status-types'
 import { useDisputeLogic, REQUEST_MODE } from '../../dispute-logic'
+import { useCourtConfig } from '../../providers/CourtConfig'
+import { useWallet } from '../../providers/Wallet'
+import usePendingEvidences from '../../hooks/usePendingEvidences'
+import {
+  downloadCalendar,
+  getDisputeDeadlines,
+} from '../../utils/calendar-utils'
 import { DisputeNotFound } from '../../errors'
 
 import timelineErrorSvg from '../../assets/timelineError.svg'
 
 const DisputeDetail = React.memo(function DisputeDetail({ match }) {
   const history = useHistory()
+  const wallet = useWallet()
   const { id: disputeId } = match.params
 
   const {
     actions,
     error,
     dispute,
+    disputeCachedAt,
     disputeFetching,
     requestMode,
     panelState,
@@ -46,12 +70,43 @@ const DisputeDetail = React.memo(function DisputeDetail({ match }) {
     [evidenceList]
   )
 
+  const [
+    pendingEvidences,
+    addPendingEvidence,
+    removePendingEvidence,
+  ] = usePendingEvidences(disputeId, evidences)
+
+  const allEvidences = useMemo(() => [...evidences, ...pendingEvidences], [
+    evidences,
+    pendingEvidences,
+  ])
+
   const handleBack = useCallback(() => {
     history.push('/disputes')
   }, [history])
 
+  const courtConfig = useCourtConfig()
+  const deadlines = useMemo(
+    () => (dispute ? getDisputeDeadlines(dispute, courtConfig) : []),
+    [courtConfig, dispute]
+  )
+
+  const handleExportCalendar = useCallback(() => {
+    downloadCalendar(
+      deadlines,
+      `Aragon Court dispute #${disputeId}`,
+      `court-dispute-${disputeId}`
+    )
+  }, [deadlines, disputeId])
+
   const noDispute = !dispute && !disputeFetching
 
+  const canExportDossier =
+    dispute &&
+    !disputeFetching &&
+    !error?.fromGraph &&
+    dispute.status !== DisputeStatus.Voided
+
   if (noDispute && !error) {
     throw new DisputeNotFound(disputeId)
   }
@@ -75,9 +130,34 @@ const DisputeDetail = React.memo(function DisputeDetail({ match }) {
     <React.Fragment>
       {dispute?.marksPrecedent && <Banner disputeId={disputeId} />}
       <TitleHeader title="Disputes" />
-      <Bar>
-        <BackButton onClick={handleBack} />
-      </Bar>
+      <Bar
+        primary={<BackButton onClick={handleBack} />}
+        secondary={
+          <div
+            css={`
+              display: flex;
+            `}
+          >
+            {deadlines.length > 0 && (
+              <Button
+                icon={<IconCalendar />}
+                label="Export to calendar"
+                onClick={handleExportCalendar}
+              />
+            )}
+            {canExportDossier && (
+              <ExportDossierButton
+                dispute={dispute}
+                evidences={evidences}
+                css={`
+                  margin-left: ${1 * GU}px;
+                `}
+              />
+            )}
+          </div>
+        }
+      />
+      {disputeCachedAt && <CachedDataInfo cachedAt={disputeCachedAt} />}
       {dispute?.status === DisputeStatus.Voided ? (
         DisputeInfoComponent
       ) : (
@@ -89,11 +169,21 @@ const DisputeDetail = React.memo(function DisputeDetail({ match }) {
                 if (disputeFetching || error?.fromGraph) {
                   return null
                 }
-                if (evidences.length === 0) {
+                if (allEvidences.length === 0) {
                   return <NoEvidence />
                 }
-                return <DisputeEvidences evidences={evidences} />
+                return <DisputeEvidences evidences={allEvidences} />
               })()}
+              {dispute?.phase === DisputePhase.Evidence &&
+                wallet.account &&
+                !disputeCachedAt && (
+                  <EvidenceComposer
+                    arbitrable={dispute.subject.id}
+                    disputeId={disputeId}
+                    onFailed={removePendingEvidence}
+                    onPending={addPendingEvidence}
+                  />
+                )}
             </React.Fragment>
           }
           secondary={
@@ -143,6 +233,7 @@ const DisputeDetail = React.memo(function DisputeDetail({ match }) {
             appeal={actions.appeal}
             confirmAppeal={actions.confirmAppeal}
             approveFeeDeposit={actions.approveFeeDeposit}
+            estimateGas={actions.estimateGas}
             onDone={panelState.requestClose}
           />
         </div>
@@ -177,6 +268,7 @@ const PanelComponent = ({
   commit,
   confirmAppeal,
   dispute,
+  estimateGas,
   requestMode,
   reveal,
   ...props
@@ -189,6 +281,7 @@ const PanelComponent = ({
         dispute={dispute}
         commitment={data.commitment}
         onCommit={commit}
+        onEstimateCommit={estimateGas.commit}
         {...props}
       />
     )
@@ -204,6 +297,10 @@ const PanelComponent = ({
         dispute={dispute}
         onApproveFeeDeposit={approveFeeDeposit}
         onAppeal={data.confirm ? confirmAppeal : appeal}
+        onEstimateAppeal={
+          data.confirm ? estimateGas.confirmAppeal : estimateGas.appeal
+        }
+        onEstimateApproveFeeDeposit={estimateGas.approveFeeDeposit}
         confirm={data.confirm}
         {...props}
       />
@@ -1,12 +1,25 @@
-import React from 'react'
-import { Accordion, GU, SyncIndicator, textStyle, useTheme } from '@aragon/ui'
+import React, { useCallback } from 'react'
+import {
+  Accordion,
+  GU,
+  SyncIndicator,
+  Tag,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
 import { useWallet } from 'use-wallet'
 import useEvidences from '../../hooks/useEvidences'
 import { addressesEqual } from '../../lib/web3-utils'
+import ContentCheckTag from './ContentCheckTag'
 import ErrorLoadingEvidence from './ErrorLoadingEvidence'
+import EvidenceAttachments from './EvidenceAttachments'
 import LocalIdentityBadge from '../LocalIdentityBadge/LocalIdentityBadge'
 import Markdown from '../Markdown'
 import { dateFormat } from '../../utils/date-utils'
+import {
+  getEvidenceLinkUrl,
+  resolveEvidenceLink,
+} from '../../utils/evidence-utils'
 
 import folderIcon from '../../assets/folderIcon.svg'
 
@@ -18,7 +31,7 @@ const DisputeEvidences = React.memo(function DisputeEvidences({ evidences }) {
       <SyncIndicator visible={fetchingEvidences} label="Loading evidences..." />
       {evidenceProcessed &&
         evidenceProcessed.map((evidence, index) => {
-          const { createdAt, submitter, metadata, error } = evidence
+          const { pending } = evidence
           return (
             <Accordion
               key={index}
@@ -38,13 +51,17 @@ const DisputeEvidences = React.memo(function DisputeEvidences({ evidences }) {
                     >
                       Argument #{index + 1}
                     </span>
+                    {pending && (
+                      <Tag
+                        mode="activity"
+                        label="Pending"
+                        css={`
+                          margin-left: ${1.5 * GU}px;
+                        `}
+                      />
+                    )}
                   </div>,
-                  <EvidenceContent
-                    metadata={metadata}
-                    submitter={submitter}
-                    createdAt={createdAt}
-                    error={error}
-                  />,
+                  <EvidenceContent evidence={evidence} />,
                 ],
               ]}
             />
@@ -54,17 +71,30 @@ const DisputeEvidences = React.memo(function DisputeEvidences({ evidences }) {
   )
 })
 
-const EvidenceContent = React.memo(function EvidenceContent({
-  metadata,
-  submitter,
-  createdAt,
-  error,
-}) {
+const EvidenceContent = React.memo(function EvidenceContent({ evidence }) {
   const theme = useTheme()
   const wallet = useWallet()
+  const {
+    attachments,
+    contentCheck,
+    createdAt,
+    error,
+    metadata,
+    submitter,
+    title,
+    uri,
+  } = evidence
+
+  const resolveUrl = useCallback(
+    url => {
+      const link = resolveEvidenceLink(url, uri)
+      return link && getEvidenceLinkUrl(link)
+    },
+    [uri]
+  )
 
   if (error) {
-    return <ErrorLoadingEvidence />
+    return <ErrorLoadingEvidence error={error} />
   }
   return (
     <div
@@ -122,25 +152,49 @@ const EvidenceContent = React.memo(function EvidenceContent({
           </span>
         </div>
       </div>
-      <div>
+      <div
+        css={`
+          margin-bottom: ${attachments.length > 0 ? 5 * GU : 0}px;
+        `}
+      >
         <h2
           css={`
+            display: flex;
+            align-items: center;
             ${textStyle('label2')};
             color: ${theme.surfaceContentSecondary};
             margin-bottom: ${2 * GU}px;
           `}
         >
           Data
+          <ContentCheckTag
+            contentCheck={contentCheck}
+            css={`
+              margin-left: ${1 * GU}px;
+            `}
+          />
         </h2>
+        {title && (
+          <h3
+            css={`
+              ${textStyle('title4')};
+            `}
+          >
+            {title}
+          </h3>
+        )}
         <div
           css={`
             display: flex;
             align-items: flex-start;
           `}
         >
-          <Markdown text={metadata} />
+          <Markdown text={metadata} resolveUrl={resolveUrl} />
         </div>
       </div>
+      {attachments.length > 0 && (
+        <EvidenceAttachments attachments={attachments} />
+      )}
     </div>
   )
 })
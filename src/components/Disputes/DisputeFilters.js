@@ -1,5 +1,12 @@
 import React from 'react'
-import { DropDown, DateRangePicker, GU } from '@aragon/ui'
+import {
+  DropDown,
+  DateRangePicker,
+  GU,
+  LoadingRing,
+  SearchInput,
+} from '@aragon/ui'
+import FilterPresets from '../FilterPresets'
 
 const DisputeFilters = ({
   phaseTypes,
@@ -7,8 +14,13 @@ const DisputeFilters = ({
   dateRangeFilter,
   phaseFilter,
   statusFilter,
+  searchQuery,
+  searching,
+  filtersSearch,
+  onSelectPreset,
   onDateRangeChange,
   onPhaseChange,
+  onSearchChange,
   onStatusChange,
 }) => {
   return (
@@ -16,7 +28,7 @@ const DisputeFilters = ({
       css={`
         height: ${8 * GU}px;
         display: grid;
-        grid-template-columns: auto auto 1fr auto;
+        grid-template-columns: auto auto 1fr auto auto;
         grid-gap: ${1 * GU}px;
         align-items: center;
         padding: 0 ${3 * GU}px;
@@ -41,6 +53,33 @@ const DisputeFilters = ({
         endDate={dateRangeFilter.end}
         onChange={onDateRangeChange}
       />
+      <FilterPresets
+        screen="disputes"
+        filtersSearch={filtersSearch}
+        onSelectPreset={onSelectPreset}
+      />
+      <div
+        css={`
+          display: flex;
+          align-items: center;
+        `}
+      >
+        {searching && (
+          <LoadingRing
+            css={`
+              margin-right: ${1 * GU}px;
+            `}
+          />
+        )}
+        <SearchInput
+          placeholder="Search disputes, evidence or addresses"
+          value={searchQuery}
+          onChange={onSearchChange}
+          css={`
+            width: ${40 * GU}px;
+          `}
+        />
+      </div>
     </div>
   )
 }
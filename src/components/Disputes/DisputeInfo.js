@@ -142,6 +142,22 @@ const DisputeInfo = React.memo(function({
                 )}
                 {defendant && <Field label="Defendant" value={defendant} />}
               </Row>
+              {dispute.subject && (
+                <Row compactMode={compactMode}>
+                  <Field
+                    label="Arbitrable"
+                    value={
+                      <Link
+                        href={`/arbitrables/${dispute.subject.id}`}
+                        external={false}
+                      >
+                        See all the disputes raised by this arbitrable
+                      </Link>
+                    }
+                  />
+                  <div />
+                </Row>
+              )}
             </>
           )
         })()}
@@ -1,11 +1,25 @@
-import React, { useCallback, useState } from 'react'
-import { Bar, CardLayout, GU, useLayout, useTheme } from '@aragon/ui'
+import React, { useCallback, useEffect, useRef } from 'react'
+import {
+  Bar,
+  CardLayout,
+  GU,
+  LoadingRing,
+  useLayout,
+  useTheme,
+} from '@aragon/ui'
 import DisputeCard from './DisputeCard'
 import DisputeFilters from './DisputeFilters'
 import DisputesLoading from './Loading'
 import ErrorLoading from '../Errors/ErrorLoading'
 import NoFilterResults from './NoFilterResults'
 import MessageCard from '../MessageCard'
+import useDisputeSearch from '../../hooks/useDisputeSearch'
+import useUrlFilters, {
+  NO_DATE_RANGE,
+  dateRangeParam,
+  textParam,
+  typeParam,
+} from '../../hooks/useUrlFilters'
 import { dayjs } from '../../utils/date-utils'
 import * as DisputesTypes from '../../types/dispute-status-types'
 
@@ -14,7 +28,6 @@ import noDraftSvg from '../../assets/noDraft.svg'
 
 const ALL_FILTER = 0
 const UNSELECTED_FILTER = -1
-const INITIAL_DATE_RANGE = { start: null, end: null }
 const DISPUTES_STATUS_TYPES = [
   DisputesTypes.Phase.All,
   DisputesTypes.Status.Open,
@@ -38,14 +51,23 @@ const DISPUTES_PHASE_STRING = DISPUTES_PHASE_TYPES.map(
   DisputesTypes.convertToString
 )
 
+const FILTERS_PARAMS = {
+  dates: dateRangeParam,
+  phase: typeParam(DISPUTES_PHASE_TYPES, UNSELECTED_FILTER),
+  q: textParam,
+  status: typeParam(DISPUTES_STATUS_TYPES, UNSELECTED_FILTER),
+}
+
 const getFilteredDisputes = ({
   disputes = [],
+  searchResults,
   selectedDateRange,
   selectedStatus,
   selectedPhase,
 }) => {
   return disputes.filter(
-    ({ createdAt, status, phase }) =>
+    ({ createdAt, id, status, phase }) =>
+      (!searchResults || searchResults.has(id)) &&
       (selectedPhase === UNSELECTED_FILTER ||
         selectedPhase === ALL_FILTER ||
         phase === DISPUTES_PHASE_TYPES[selectedPhase]) &&
@@ -67,46 +89,81 @@ function DisputeList({
   loading,
   errorLoading,
   myDisputeSelected,
+  hasMore,
+  loadingMore,
+  onLoadMore,
   onSelectDispute,
 }) {
-  const [selectedDateRange, setSelectedDateRange] = useState(INITIAL_DATE_RANGE)
-  const [selectedStatus, setSelectedStatus] = useState(UNSELECTED_FILTER)
-  const [selectedPhase, setSelectedPhase] = useState(UNSELECTED_FILTER)
+  const {
+    filters: {
+      dates: selectedDateRange,
+      phase: selectedPhase,
+      q: searchQuery,
+      status: selectedStatus,
+    },
+    filtersSearch,
+    setFiltersSearch,
+    updateFilters,
+  } = useUrlFilters(FILTERS_PARAMS)
+  const [searchResults, indexing] = useDisputeSearch(disputes, searchQuery)
   const { layoutName } = useLayout()
   const compactMode = layoutName === 'small'
 
   const handleSelectedDateRangeChange = range => {
-    setSelectedDateRange(range)
+    updateFilters({ dates: range })
   }
-  const handlePhaseChange = useCallback(index => {
-    return setSelectedPhase(index)
-  }, [])
+  const handlePhaseChange = useCallback(
+    index => {
+      updateFilters({ phase: index })
+    },
+    [updateFilters]
+  )
 
   const handleStatusChange = useCallback(
     index => {
-      setSelectedStatus(index)
+      updateFilters({ status: index })
     },
-    [setSelectedStatus]
+    [updateFilters]
+  )
+
+  const handleSearchChange = useCallback(
+    query => {
+      updateFilters({ q: query }, { replace: true })
+    },
+    [updateFilters]
   )
 
   const handleOnClearAllFilters = useCallback(() => {
-    setSelectedDateRange(INITIAL_DATE_RANGE)
-    setSelectedStatus(UNSELECTED_FILTER)
-    setSelectedPhase(UNSELECTED_FILTER)
-  }, [])
+    updateFilters({
+      dates: NO_DATE_RANGE,
+      phase: UNSELECTED_FILTER,
+      q: '',
+      status: UNSELECTED_FILTER,
+    })
+  }, [updateFilters])
 
   const filteredDisputes = getFilteredDisputes({
     disputes,
+    searchResults,
     selectedDateRange,
     selectedStatus,
     selectedPhase,
   })
 
   const filtersSelected =
-    selectedDateRange !== INITIAL_DATE_RANGE ||
+    searchResults !== null ||
+    selectedDateRange !== NO_DATE_RANGE ||
     selectedStatus !== UNSELECTED_FILTER ||
     selectedPhase !== UNSELECTED_FILTER
 
+  // Filters and searches apply to all the disputes: the remaining pages get
+  // loaded while they are used
+  useEffect(() => {
+    if (filtersSelected && hasMore && !loadingMore) {
+      onLoadMore()
+    }
+  }, [filtersSelected, hasMore, loadingMore, onLoadMore])
+
   return (
     <div
       css={`
@@ -129,15 +186,27 @@ function DisputeList({
             dateRangeFilter={selectedDateRange}
             phaseFilter={selectedPhase}
             statusFilter={selectedStatus}
+            searchQuery={searchQuery}
+            filtersSearch={filtersSearch}
+            onSelectPreset={setFiltersSearch}
+            searching={indexing && searchResults !== null}
             onDateRangeChange={handleSelectedDateRangeChange}
             onPhaseChange={handlePhaseChange}
+            onSearchChange={handleSearchChange}
             onStatusChange={handleStatusChange}
           />
         </Bar>
       )}
 
       {(() => {
-        if (filteredDisputes.length === 0 && filtersSelected)
+        // Results can still show up while the evidences are being indexed,
+        // or the remaining pages loaded
+        if (
+          filteredDisputes.length === 0 &&
+          filtersSelected &&
+          !indexing &&
+          !hasMore
+        )
           return <NoFilterResults onClearFilters={handleOnClearAllFilters} />
 
         if (errorLoading) {
@@ -150,7 +219,7 @@ function DisputeList({
           return <DisputesLoading />
         }
 
-        if (disputes.length === 0) {
+        if (disputes.length === 0 && !hasMore) {
           return myDisputeSelected ? <NoMyDisputes /> : <NoDisputes />
         }
 
@@ -168,6 +237,48 @@ function DisputeList({
           </CardLayout>
         )
       })()}
+
+      {!loading && !errorLoading && hasMore && (
+        <LoadMore loading={loadingMore} onLoadMore={onLoadMore} />
+      )}
+    </div>
+  )
+}
+
+// Loads the next page of disputes as soon as it gets scrolled into view
+function LoadMore({ loading, onLoadMore }) {
+  const ref = useRef()
+
+  useEffect(() => {
+    // Observing again once a page is loaded also loads the next one, as long
+    // as the end of the list stays visible
+    if (loading || !ref.current) {
+      return
+    }
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        onLoadMore()
+      }
+    })
+    observer.observe(ref.current)
+
+    return () => {
+      observer.disconnect()
+    }
+  }, [loading, onLoadMore])
+
+  return (
+    <div
+      ref={ref}
+      css={`
+        display: flex;
+        justify-content: center;
+        height: ${6 * GU}px;
+        padding-top: ${2 * GU}px;
+      `}
+    >
+      {loading && <LoadingRing />}
     </div>
   )
 }
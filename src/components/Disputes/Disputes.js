@@ -1,28 +1,52 @@
-import React, { useCallback, useState } from 'react'
+import React, { useCallback, useMemo } from 'react'
 import { Tabs, Tag } from '@aragon/ui'
 import { useHistory } from 'react-router-dom'
 
+import CachedDataInfo from '../CachedDataInfo'
 import DisputeList from './DisputeList'
 import TitleHeader from '../TitleHeader'
-import useDisputes from '../../hooks/useDisputes'
-import { useJurorDraftQuery } from '../../hooks/query-hooks'
+import useDisputes, { useJurorDisputes } from '../../hooks/useDisputes'
+import useUrlFilters, { optionParam } from '../../hooks/useUrlFilters'
 import { useWallet } from '../../providers/Wallet'
 
+const TAB_PARAMS = { tab: optionParam(['all', 'mine']) }
+
 function Disputes() {
   const wallet = useWallet()
-  const [screenIndex, setScreenIndex] = useState(0)
   const {
+    filters: { tab: screenIndex },
+    updateFilters,
+  } = useUrlFilters(TAB_PARAMS)
+  const {
+    cachedAt,
     disputes,
     fetching: disputesFetching,
     error: errorFetching,
+    hasMore,
+    loadingMore,
+    loadMore,
   } = useDisputes()
 
-  // Query for all dispute ids where the juror has been drafted
-  const jurorDisputeIds = useJurorDraftQuery(wallet.account)
+  // All the disputes where the juror has been drafted, not only the loaded
+  // pages
+  const {
+    disputes: queriedJurorDisputes,
+    fetching: jurorDisputesFetching,
+    error: jurorDisputesError,
+  } = useJurorDisputes(wallet.account)
 
-  const jurorDisputes = disputes?.filter(dispute =>
-    jurorDisputeIds.includes(dispute.id)
-  )
+  // The disputes loaded by the subscription are the most up to date
+  const jurorDisputes = useMemo(() => {
+    const disputesById = new Map((disputes || []).map(d => [d.id, d]))
+    return (
+      queriedJurorDisputes &&
+      queriedJurorDisputes.map(d => disputesById.get(d.id) || d)
+    )
+  }, [disputes, queriedJurorDisputes])
+
+  // Dispute ids are sequential, from 0
+  const disputesCount =
+    disputes && disputes.length > 0 ? Number(disputes[0].id) + 1 : 0
 
   const history = useHistory()
   const handleSelectDispute = useCallback(
@@ -33,21 +57,18 @@ function Disputes() {
   )
 
   const handleTabChange = screenIndex => {
-    setScreenIndex(screenIndex)
+    updateFilters({ tab: screenIndex })
   }
 
   return (
     <>
       <TitleHeader title="Disputes" />
+      {cachedAt && <CachedDataInfo cachedAt={cachedAt} />}
       <Tabs
         items={[
           <div>
             <span>All disputes </span>
-            <Tag
-              limitDigits={4}
-              label={disputes ? disputes.length : 0}
-              size="small"
-            />
+            <Tag limitDigits={4} label={disputesCount} size="small" />
           </div>,
           <div>
             <span>My disputes </span>
@@ -62,13 +83,26 @@ function Disputes() {
         onChange={handleTabChange}
       />
 
-      <DisputeList
-        disputes={screenIndex === 0 ? disputes : jurorDisputes}
-        loading={disputesFetching}
-        errorLoading={errorFetching}
-        myDisputeSelected={screenIndex === 1}
-        onSelectDispute={handleSelectDispute}
-      />
+      {screenIndex === 0 ? (
+        <DisputeList
+          disputes={disputes}
+          loading={disputesFetching}
+          errorLoading={errorFetching}
+          myDisputeSelected={false}
+          hasMore={hasMore}
+          loadingMore={loadingMore}
+          onLoadMore={loadMore}
+          onSelectDispute={handleSelectDispute}
+        />
+      ) : (
+        <DisputeList
+          disputes={jurorDisputes}
+          loading={jurorDisputesFetching}
+          errorLoading={jurorDisputesError}
+          myDisputeSelected
+          onSelectDispute={handleSelectDispute}
+        />
+      )}
     </>
   )
 }
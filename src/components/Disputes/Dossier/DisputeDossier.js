@@ -0,0 +1,393 @@
+import React from 'react'
+import { renderToStaticMarkup } from 'react-dom/server'
+import remark from 'remark'
+import remark2react from 'remark-react'
+import { rewriteUrls } from '../../Markdown'
+import { dateFormat } from '../../../utils/date-utils'
+import {
+  appealRulingToString,
+  finalRulingToString,
+  isvoteLeaked,
+  juryOutcomeToString,
+} from '../../../utils/crvoting-utils'
+import {
+  formatFileSize,
+  getEvidenceLinkUrl,
+  resolveEvidenceLink,
+} from '../../../utils/evidence-utils'
+import { convertToString } from '../../../types/dispute-status-types'
+import {
+  ContentCheck,
+  ERROR_TYPES,
+} from '../../../types/evidences-status-types'
+
+// The dossier is a standalone document, opened outside of the dashboard and
+// printed: it gets styled by this stylesheet only
+const DOSSIER_STYLES = `
+  body {
+    max-width: 800px;
+    margin: 40px auto;
+    padding: 0 20px;
+    color: #212b36;
+    font: 15px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  h1 { font-size: 26px; margin-bottom: 4px; }
+  h2 { font-size: 20px; margin-top: 40px; border-bottom: 1px solid #dde4e9; }
+  h3 { font-size: 16px; margin: 24px 0 4px; }
+  a { color: #08bee5; word-break: break-all; }
+  dl { display: grid; grid-template-columns: max-content auto; grid-gap: 4px 16px; }
+  dt { color: #637381; }
+  dd { margin: 0; word-break: break-word; }
+  table { width: 100%; border-collapse: collapse; margin: 8px 0; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 8px 4px 0; border-bottom: 1px solid #dde4e9; }
+  th { color: #637381; font-weight: normal; }
+  pre { white-space: pre-wrap; background: #f9fafc; padding: 8px; }
+  img { max-width: 100%; }
+  .secondary { color: #637381; font-size: 13px; }
+  .warning { color: #ff6969; }
+  .content { border-left: 3px solid #dde4e9; padding-left: 12px; }
+  .evidence, .round { page-break-inside: avoid; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    a { color: inherit; }
+  }
+`
+
+const CONTENT_CHECK_LABELS = new Map([
+  [ContentCheck.Verified, 'Content verified against its CID'],
+  [ContentCheck.Unverifiable, 'Content not verified'],
+  [ContentCheck.Mismatch, 'Content not matching its CID'],
+])
+
+function formatDate(time) {
+  return time ? dateFormat(time, 'standard') : '-'
+}
+
+function DisputeDossier({
+  agreement,
+  dispute,
+  evidences,
+  exportedAt,
+  timeline,
+  url,
+}) {
+  const {
+    agreementText,
+    agreementUrl,
+    createdAt,
+    defendant,
+    description,
+    disputedActionRadspec,
+    disputedActionText,
+    disputedActionURL,
+    finalRuling,
+    id,
+    organization,
+    phase,
+    plaintiff,
+    rounds,
+    subject,
+    txHash,
+  } = dispute
+
+  // Set by the plaintiff: only web and IPFS links are kept
+  const resolvedActionLink = resolveEvidenceLink(disputedActionURL)
+  const disputedActionLink =
+    resolvedActionLink && getEvidenceLinkUrl(resolvedActionLink)
+
+  return (
+    <html lang="en">
+      <head>
+        <meta charSet="utf-8" />
+        <title>{`Dispute #${id} dossier`}</title>
+        <style dangerouslySetInnerHTML={{ __html: DOSSIER_STYLES }} />
+      </head>
+      <body>
+        <h1>{`Dispute #${id}: ${description || ''}`}</h1>
+        <p className="secondary">
+          Exported from <a href={url}>{url}</a> on {formatDate(exportedAt)}.
+        </p>
+
+        <h2>Dispute</h2>
+        <dl>
+          <Field label="Current phase" value={convertToString(phase)} />
+          <Field label="Created" value={formatDate(createdAt)} />
+          <Field label="Transaction" value={txHash} />
+          <Field label="Arbitrable" value={subject?.id} />
+          <Field label="Organization" value={organization} />
+          <Field label="Plaintiff" value={plaintiff || subject?.id} />
+          <Field label="Defendant" value={defendant} />
+          <Field
+            label="Disputed action"
+            value={
+              disputedActionLink ? (
+                <a href={disputedActionLink}>{disputedActionText}</a>
+              ) : (
+                disputedActionText
+              )
+            }
+          />
+          <Field label="Description" value={disputedActionRadspec} />
+        </dl>
+
+        <h2>Agreement</h2>
+        {agreementUrl ? (
+          <Agreement
+            agreement={agreement}
+            title={agreementText}
+            url={agreementUrl}
+          />
+        ) : (
+          <p className="secondary">No agreement was referenced.</p>
+        )}
+
+        <h2>Evidence</h2>
+        {evidences.length === 0 ? (
+          <p className="secondary">No evidence was submitted.</p>
+        ) : (
+          evidences.map((evidence, index) => (
+            <Evidence key={evidence.id} evidence={evidence} index={index} />
+          ))
+        )}
+
+        <h2>Timeline</h2>
+        <table>
+          <thead>
+            <tr>
+              <th>Step</th>
+              <th>Round</th>
+              <th>Date</th>
+              <th>Outcome</th>
+            </tr>
+          </thead>
+          <tbody>
+            {timeline.map((step, index) => (
+              <tr key={index}>
+                <td>
+                  {step.title}
+                  {step.active && ' (current)'}
+                </td>
+                <td>{step.roundId !== undefined ? step.roundId : '-'}</td>
+                <td>
+                  {step.active && step.endTime
+                    ? `Ends ${formatDate(step.endTime)}`
+                    : formatDate(step.endTime)}
+                </td>
+                <td>{step.outcome || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h2>Rounds</h2>
+        {rounds.map(round => (
+          <Round key={round.id} round={round} />
+        ))}
+
+        <h2>Final ruling</h2>
+        <p>
+          {finalRuling
+            ? finalRulingToString(finalRuling)
+            : 'The final ruling hasn’t been ensured yet.'}
+        </p>
+      </body>
+    </html>
+  )
+}
+
+function Field({ label, value }) {
+  if (!value) {
+    return null
+  }
+  return (
+    <>
+      <dt>{label}</dt>
+      <dd>{value}</dd>
+    </>
+  )
+}
+
+function MarkdownContent({ text, resolveUrl }) {
+  const processor = resolveUrl
+    ? remark().use(rewriteUrls(resolveUrl))
+    : remark()
+  return (
+    <div className="content">
+      {processor.use(remark2react).processSync(text).contents}
+    </div>
+  )
+}
+
+function Agreement({ agreement, title, url }) {
+  return (
+    <>
+      <p>
+        <a href={url}>{title || url}</a>
+        {agreement?.contentCheck && (
+          <span className="secondary">
+            {' '}
+            ({CONTENT_CHECK_LABELS.get(agreement.contentCheck)})
+          </span>
+        )}
+      </p>
+      {(() => {
+        if (!agreement || agreement.error) {
+          return (
+            <p className="warning">
+              The agreement couldn’t be fetched, it can be found at the link
+              above.
+            </p>
+          )
+        }
+        if (agreement.text === null) {
+          return (
+            <p className="secondary">
+              The agreement isn’t a text document, it can be found at the link
+              above.
+            </p>
+          )
+        }
+        return <MarkdownContent text={agreement.text} />
+      })()}
+    </>
+  )
+}
+
+function Evidence({ evidence, index }) {
+  const {
+    attachments,
+    contentCheck,
+    createdAt,
+    error,
+    metadata,
+    submitter,
+    title,
+    uri,
+  } = evidence
+
+  const resolveUrl = link => {
+    const resolvedLink = resolveEvidenceLink(link, uri)
+    return resolvedLink && getEvidenceLinkUrl(resolvedLink)
+  }
+
+  return (
+    <div className="evidence">
+      <h3>{`#${index + 1}${title ? ` ${title}` : ''}`}</h3>
+      <p className="secondary">
+        Submitted by {submitter} on {formatDate(createdAt)}
+        {contentCheck && (
+          <>
+            <br />
+            {uri} ({CONTENT_CHECK_LABELS.get(contentCheck)})
+          </>
+        )}
+      </p>
+      {error ? (
+        <p className="warning">
+          {error === ERROR_TYPES.ERROR_CONTENT_MISMATCH
+            ? 'The content served by the IPFS gateways doesn’t match the CID of this evidence.'
+            : 'The content of this evidence couldn’t be fetched.'}
+        </p>
+      ) : (
+        <MarkdownContent text={metadata} resolveUrl={resolveUrl} />
+      )}
+      {attachments.length > 0 && (
+        <ul>
+          {attachments.map((attachment, index) => (
+            <li key={index}>
+              <a href={getEvidenceLinkUrl(attachment.uri)}>{attachment.name}</a>
+              {attachment.size > 0 && (
+                <span className="secondary">
+                  {' '}
+                  ({formatFileSize(attachment.size)})
+                </span>
+              )}
+              {attachment.image && (
+                <div>
+                  <img src={attachment.image} alt={attachment.name} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+function getJurorVote({ commitment, outcome }) {
+  if (isvoteLeaked(outcome)) {
+    return 'Leaked'
+  }
+  if (outcome) {
+    return juryOutcomeToString(outcome)
+  }
+  return commitment ? 'Not revealed' : 'No vote'
+}
+
+function Round({ round }) {
+  const { appeal, jurors, jurorsNumber, number } = round
+
+  return (
+    <div className="round">
+      <h3>{`Round ${number}`}</h3>
+      <p className="secondary">{jurorsNumber} jurors requested</p>
+      {jurors.length > 0 && (
+        <table>
+          <thead>
+            <tr>
+              <th>Juror</th>
+              <th>Weight</th>
+              <th>Committed</th>
+              <th>Revealed</th>
+              <th>Vote</th>
+            </tr>
+          </thead>
+          <tbody>
+            {jurors.map(juror => (
+              <tr key={juror.juror.id}>
+                <td>{juror.juror.id}</td>
+                <td>{juror.weight}</td>
+                <td>{formatDate(juror.commitmentDate)}</td>
+                <td>{formatDate(juror.revealDate)}</td>
+                <td>{getJurorVote(juror)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {appeal ? (
+        <dl>
+          <Field label="Appealed by" value={appeal.maker} />
+          <Field
+            label="Appealed ruling"
+            value={appealRulingToString(appeal.appealedRuling, false)}
+          />
+          <Field label="Appealed on" value={formatDate(appeal.createdAt)} />
+          <Field label="Confirmed by" value={appeal.taker} />
+          <Field
+            label="Opposed ruling"
+            value={appealRulingToString(appeal.opposedRuling, true)}
+          />
+          <Field
+            label="Confirmed on"
+            value={appeal.confirmedAt && formatDate(appeal.confirmedAt)}
+          />
+        </dl>
+      ) : (
+        <p className="secondary">This round wasn’t appealed.</p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Render the dossier of a dispute as a standalone HTML document
+ * @param {Object} props Props of the dossier: `agreement` (see `fetchAgreement()`), `dispute`, `evidences` (see `fetchEvidenceData()`), `exportedAt`, `timeline` (see `getDossierTimeline()`) and `url` of the dispute
+ * @returns {String} The HTML document
+ */
+export function renderDisputeDossier(props) {
+  return `<!DOCTYPE html>${renderToStaticMarkup(<DisputeDossier {...props} />)}`
+}
+
+export default DisputeDossier
@@ -0,0 +1,72 @@
+import React, { useCallback, useState } from 'react'
+import { Button, IconDownload, useToast } from '@aragon/ui'
+import { renderDisputeDossier } from './DisputeDossier'
+import { useCourtConfig } from '../../../providers/CourtConfig'
+import { fetchEvidenceData } from '../../../hooks/useEvidences'
+import {
+  downloadDossier,
+  fetchAgreement,
+  getDossierTimeline,
+  getEmbeddedImage,
+} from '../../../utils/dossier-utils'
+
+async function fetchDossierEvidence(rawEvidence) {
+  const evidence = await fetchEvidenceData(rawEvidence)
+  const attachments = await Promise.all(
+    evidence.attachments.map(async attachment => ({
+      ...attachment,
+      image: await getEmbeddedImage(attachment),
+    }))
+  )
+  return { ...evidence, attachments }
+}
+
+function ExportDossierButton({ dispute, evidences, ...props }) {
+  const courtConfig = useCourtConfig()
+  const toast = useToast()
+  const [exporting, setExporting] = useState(false)
+
+  const handleExport = useCallback(async () => {
+    setExporting(true)
+    try {
+      const [agreement, dossierEvidences] = await Promise.all([
+        dispute.agreementUrl ? fetchAgreement(dispute.agreementUrl) : null,
+        Promise.all(
+          [...evidences]
+            .sort(
+              (evidenceA, evidenceB) =>
+                evidenceA.createdAt - evidenceB.createdAt
+            )
+            .map(fetchDossierEvidence)
+        ),
+      ])
+
+      const dossier = renderDisputeDossier({
+        agreement,
+        dispute,
+        evidences: dossierEvidences,
+        exportedAt: Date.now(),
+        timeline: getDossierTimeline(dispute, courtConfig),
+        url: `${window.location.origin}/disputes/${dispute.id}`,
+      })
+      downloadDossier(dossier, `court-dispute-${dispute.id}-dossier`)
+    } catch (err) {
+      console.error('Error exporting the dossier: ', err)
+      toast('The dossier couldn’t be exported')
+    } finally {
+      setExporting(false)
+    }
+  }, [courtConfig, dispute, evidences, toast])
+
+  return (
+    <Button
+      icon={<IconDownload />}
+      label={exporting ? 'Exporting dossier…' : 'Export dossier'}
+      onClick={handleExport}
+      disabled={exporting}
+      {...props}
+    />
+  )
+}
+
+export default ExportDossierButton
@@ -1,9 +1,10 @@
 import React from 'react'
 import { GU, textStyle, useTheme } from '@aragon/ui'
+import { ERROR_TYPES } from '../../types/evidences-status-types'
 
 import errorLoadingSvg from '../../assets/errorLoading.svg'
 
-export default function ErrorLoadingEvidence() {
+export default function ErrorLoadingEvidence({ error }) {
   const theme = useTheme()
   return (
     <div
@@ -51,7 +52,11 @@ export default function ErrorLoadingEvidence() {
                 text-align: center; 
               `}
         >
-          <span>Something went wrong! Please try refreshing this page.</span>
+          <span>
+            {error === ERROR_TYPES.ERROR_CONTENT_MISMATCH
+              ? 'The IPFS gateway served a content not matching the one referenced on chain. Please try another gateway from the network preferences.'
+              : 'Something went wrong! Please try refreshing this page.'}
+          </span>
         </div>
       </div>
     </div>
@@ -0,0 +1,178 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import {
+  Button,
+  GU,
+  IconDownload,
+  Link,
+  LoadingRing,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import { saveAs } from 'file-saver'
+import ContentCheckTag from './ContentCheckTag'
+import useIpfsFile from '../../hooks/useIpfsFile'
+import {
+  formatFileSize,
+  getAttachmentMimeType,
+  getAttachmentPreviewType,
+  getEvidenceLinkUrl,
+} from '../../utils/evidence-utils'
+
+function EvidenceAttachments({ attachments }) {
+  const theme = useTheme()
+
+  return (
+    <div>
+      <h2
+        css={`
+          ${textStyle('label2')};
+          color: ${theme.surfaceContentSecondary};
+          margin-bottom: ${2 * GU}px;
+        `}
+      >
+        Attachments
+      </h2>
+      {attachments.map((attachment, index) => (
+        <EvidenceAttachment key={index} attachment={attachment} />
+      ))}
+    </div>
+  )
+}
+
+function EvidenceAttachment({ attachment }) {
+  const theme = useTheme()
+  const { name, size, uri } = attachment
+  const previewType = getAttachmentPreviewType(attachment)
+  const onIpfs = uri.startsWith('ipfs:')
+
+  // Only previews get loaded right away, other files once downloaded
+  const [requested, setRequested] = useState(Boolean(previewType))
+  const [downloading, setDownloading] = useState(false)
+  const { blob, contentCheck, error, loading, url } = useIpfsFile(
+    uri,
+    getAttachmentMimeType(attachment),
+    requested
+  )
+
+  // Files not matching their CID are never saved
+  useEffect(() => {
+    if (downloading && (blob || error)) {
+      if (blob) {
+        saveAs(blob, name)
+      }
+      setDownloading(false)
+    }
+  }, [blob, downloading, error, name])
+
+  const handleDownload = useCallback(() => {
+    setRequested(true)
+    setDownloading(true)
+  }, [])
+
+  return (
+    <div
+      css={`
+        margin-bottom: ${3 * GU}px;
+      `}
+    >
+      <div
+        css={`
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          margin-bottom: ${1 * GU}px;
+        `}
+      >
+        <div
+          css={`
+            display: flex;
+            align-items: center;
+            min-width: 0;
+          `}
+        >
+          <span
+            css={`
+              ${textStyle('body2')};
+              overflow: hidden;
+              text-overflow: ellipsis;
+              white-space: nowrap;
+            `}
+          >
+            {name}
+          </span>
+          {size !== null && (
+            <span
+              css={`
+                ${textStyle('body3')};
+                color: ${theme.surfaceContentSecondary};
+                margin-left: ${1 * GU}px;
+                white-space: nowrap;
+              `}
+            >
+              {formatFileSize(size)}
+            </span>
+          )}
+          <ContentCheckTag
+            contentCheck={contentCheck}
+            css={`
+              margin-left: ${1 * GU}px;
+            `}
+          />
+        </div>
+        {onIpfs ? (
+          <Button
+            icon={loading ? <LoadingRing /> : <IconDownload />}
+            label="Download"
+            display="icon"
+            size="small"
+            disabled={loading || error}
+            onClick={handleDownload}
+          />
+        ) : (
+          <Link href={getEvidenceLinkUrl(uri)} external>
+            Open
+          </Link>
+        )}
+      </div>
+      {error && (
+        <span
+          css={`
+            ${textStyle('body3')};
+            color: ${theme.negative};
+          `}
+        >
+          This file couldn’t be loaded.
+        </span>
+      )}
+      {url && previewType === 'image' && (
+        <img
+          src={url}
+          alt={name}
+          css={`
+            display: block;
+            max-width: 100%;
+            max-height: ${60 * GU}px;
+            border: 1px solid ${theme.border};
+            border-radius: ${0.5 * GU}px;
+          `}
+        />
+      )}
+      {url && previewType === 'pdf' && (
+        <iframe
+          src={url}
+          title={name}
+          sandbox=""
+          css={`
+            display: block;
+            width: 100%;
+            height: ${80 * GU}px;
+            border: 1px solid ${theme.border};
+            border-radius: ${0.5 * GU}px;
+          `}
+        />
+      )}
+    </div>
+  )
+}
+
+export default EvidenceAttachments
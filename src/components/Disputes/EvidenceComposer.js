@@ -0,0 +1,273 @@
+import React, { useCallback, useRef, useState } from 'react'
+import {
+  Box,
+  Button,
+  GU,
+  IconTrash,
+  IconUpload,
+  Info,
+  Tabs,
+  TextInput,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import { useActivity } from '../Activity/ActivityProvider'
+import { useWallet } from '../../providers/Wallet'
+import { useArbitrableActions } from '../../hooks/useCourtContracts'
+import Markdown from '../Markdown'
+import {
+  MAX_ATTACHMENTS_SIZE,
+  formatFileSize,
+  getAttachmentName,
+  getAttachmentsSize,
+  pinEvidence,
+} from '../../utils/evidence-utils'
+import { IpfsUploadError, TransactionWouldFail } from '../../errors'
+
+const STATUS_PINNING = Symbol('STATUS_PINNING')
+const STATUS_SIGNING = Symbol('STATUS_SIGNING')
+
+function EvidenceComposer({ arbitrable, disputeId, onFailed, onPending }) {
+  const theme = useTheme()
+  const wallet = useWallet()
+  const { waitForActivity } = useActivity()
+  const { submitEvidence } = useArbitrableActions(arbitrable)
+  const fileInput = useRef(null)
+
+  const [text, setText] = useState('')
+  const [files, setFiles] = useState([])
+  const [previewing, setPreviewing] = useState(false)
+  const [status, setStatus] = useState(null)
+  const [error, setError] = useState(null)
+
+  const attachmentsSize = getAttachmentsSize(files)
+  const tooLarge = attachmentsSize > MAX_ATTACHMENTS_SIZE
+
+  const handleTextChange = useCallback(event => {
+    setText(event.target.value)
+  }, [])
+
+  // Files with the same name replace the previous ones
+  const handleFilesChange = useCallback(event => {
+    const addedFiles = Array.from(event.target.files)
+    const addedNames = addedFiles.map(file => getAttachmentName(file.name))
+    setFiles(files => [
+      ...files.filter(
+        file => !addedNames.includes(getAttachmentName(file.name))
+      ),
+      ...addedFiles,
+    ])
+    event.target.value = ''
+  }, [])
+
+  const handleRemoveFile = useCallback(name => {
+    setFiles(files => files.filter(file => file.name !== name))
+  }, [])
+
+  const handleSubmit = useCallback(
+    async event => {
+      event.preventDefault()
+      setError(null)
+
+      let tx
+      try {
+        setStatus(STATUS_PINNING)
+        const evidenceUri = await pinEvidence({ text, files })
+
+        setStatus(STATUS_SIGNING)
+        tx = await submitEvidence(disputeId, evidenceUri)
+        onPending(tx.hash, wallet.account, evidenceUri)
+
+        setText('')
+        setFiles([])
+        setPreviewing(false)
+      } catch (err) {
+        console.error('Error submitting evidence: ', err)
+        if (
+          err instanceof IpfsUploadError ||
+          err instanceof TransactionWouldFail
+        ) {
+          setError(err.message)
+        }
+        return
+      } finally {
+        setStatus(null)
+      }
+
+      try {
+        await waitForActivity(tx.hash)
+      } catch (err) {
+        console.error('Error submitting evidence: ', err)
+        onFailed(tx.hash)
+      }
+    },
+    [
+      disputeId,
+      files,
+      onFailed,
+      onPending,
+      submitEvidence,
+      text,
+      waitForActivity,
+      wallet.account,
+    ]
+  )
+
+  return (
+    <Box heading="Submit evidence">
+      <form onSubmit={handleSubmit}>
+        <Tabs
+          items={['Write', 'Preview']}
+          selected={previewing ? 1 : 0}
+          onChange={index => setPreviewing(index === 1)}
+        />
+        {previewing ? (
+          <div
+            css={`
+              min-height: ${20 * GU}px;
+              margin-bottom: ${2 * GU}px;
+            `}
+          >
+            {text.trim() ? (
+              <Markdown text={text} />
+            ) : (
+              <span
+                css={`
+                  color: ${theme.surfaceContentSecondary};
+                `}
+              >
+                Nothing to preview.
+              </span>
+            )}
+          </div>
+        ) : (
+          <TextInput
+            multiline
+            wide
+            value={text}
+            onChange={handleTextChange}
+            placeholder="Present your arguments (Markdown is supported)"
+            css={`
+              min-height: ${20 * GU}px;
+              margin-bottom: ${2 * GU}px;
+            `}
+          />
+        )}
+        {files.length > 0 && (
+          <ul
+            css={`
+              list-style: none;
+              margin-bottom: ${2 * GU}px;
+            `}
+          >
+            {files.map(file => (
+              <li
+                key={file.name}
+                css={`
+                  display: flex;
+                  align-items: center;
+                  justify-content: space-between;
+                  padding: ${0.5 * GU}px 0;
+                `}
+              >
+                <span
+                  css={`
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                  `}
+                >
+                  {file.name}{' '}
+                  <span
+                    css={`
+                      ${textStyle('body3')};
+                      color: ${theme.surfaceContentSecondary};
+                    `}
+                  >
+                    ({formatFileSize(file.size)})
+                  </span>
+                </span>
+                <Button
+                  icon={<IconTrash />}
+                  label="Remove"
+                  display="icon"
+                  size="small"
+                  onClick={() => handleRemoveFile(file.name)}
+                />
+              </li>
+            ))}
+          </ul>
+        )}
+        {tooLarge && (
+          <Info
+            mode="warning"
+            css={`
+              margin-bottom: ${2 * GU}px;
+            `}
+          >
+            The attached files can’t exceed{' '}
+            {formatFileSize(MAX_ATTACHMENTS_SIZE)}.
+          </Info>
+        )}
+        {error && (
+          <Info
+            mode="error"
+            title="The evidence couldn’t be submitted"
+            css={`
+              margin-bottom: ${2 * GU}px;
+            `}
+          >
+            {error}
+          </Info>
+        )}
+        <input
+          ref={fileInput}
+          type="file"
+          multiple
+          onChange={handleFilesChange}
+          css="display: none"
+        />
+        <div
+          css={`
+            display: flex;
+            justify-content: space-between;
+          `}
+        >
+          <Button
+            icon={<IconUpload />}
+            label="Attach files"
+            onClick={() => fileInput.current.click()}
+            disabled={Boolean(status)}
+          />
+          <Button
+            type="submit"
+            mode="strong"
+            label={(() => {
+              if (status === STATUS_PINNING) {
+                return 'Uploading to IPFS…'
+              }
+              if (status === STATUS_SIGNING) {
+                return 'Waiting for signature…'
+              }
+              return 'Submit evidence'
+            })()}
+            disabled={
+              !wallet.account || !text.trim() || tooLarge || Boolean(status)
+            }
+          />
+        </div>
+        <Info
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+        >
+          The evidence and its attachments are pinned to IPFS, then submitted
+          through the arbitrable. Only the parties of the dispute can submit
+          evidence, and it can’t be edited once submitted.
+        </Info>
+      </form>
+    </Box>
+  )
+}
+
+export default EvidenceComposer
@@ -0,0 +1,81 @@
+import React from 'react'
+import { GU, Info, Link, blockExplorerUrl } from '@aragon/ui'
+import { useRevealRequest } from '../../../hooks/useRevealService'
+import { REVEAL_REQUEST_STATUS } from '../../../utils/reveal-service-utils'
+import { getNetworkType } from '../../../lib/web3-utils'
+
+function getStatusData(revealRequest) {
+  switch (revealRequest.status) {
+    case REVEAL_REQUEST_STATUS.Revealed:
+      return [
+        'info',
+        'The auto-reveal service revealed your vote.',
+        revealRequest.transactionHash,
+      ]
+    case REVEAL_REQUEST_STATUS.Failed:
+      return [
+        'error',
+        `The auto-reveal service couldn’t reveal your vote${
+          revealRequest.error ? ` (${revealRequest.error})` : ''
+        }. Please reveal it yourself before the reveal period ends.`,
+        revealRequest.transactionHash,
+      ]
+    case REVEAL_REQUEST_STATUS.Expired:
+      return [
+        'error',
+        'The reveal period ended before the auto-reveal service could reveal your vote.',
+      ]
+    default:
+      return [
+        'info',
+        'The auto-reveal service will reveal your vote as soon as the reveal period starts. You can still reveal it yourself.',
+      ]
+  }
+}
+
+function DisputeAutoReveal({ disputeId, juror, roundId }) {
+  const [revealRequest, error] = useRevealRequest(juror, disputeId, roundId)
+
+  if (error) {
+    return (
+      <Info
+        mode="warning"
+        css={`
+          margin-bottom: ${1.5 * GU}px;
+        `}
+      >
+        The status of the auto-reveal service couldn’t be fetched. Make sure to
+        reveal your vote yourself if it isn’t revealed on time.
+      </Info>
+    )
+  }
+
+  if (!revealRequest) {
+    return null
+  }
+
+  const [mode, message, transactionHash] = getStatusData(revealRequest)
+
+  return (
+    <Info
+      mode={mode}
+      title="Auto-reveal service"
+      css={`
+        margin-bottom: ${1.5 * GU}px;
+      `}
+    >
+      {message}{' '}
+      {transactionHash && (
+        <Link
+          href={blockExplorerUrl('transaction', transactionHash, {
+            networkType: getNetworkType(),
+          })}
+        >
+          See the transaction
+        </Link>
+      )}
+    </Info>
+  )
+}
+
+export default DisputeAutoReveal
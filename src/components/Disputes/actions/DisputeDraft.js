@@ -1,19 +1,25 @@
-import React, { useCallback } from 'react'
+import React, { useCallback, useState } from 'react'
 import { Button, GU, Info } from '@aragon/ui'
 import { useWallet } from '../../../providers/Wallet'
+import { TransactionWouldFail } from '../../../errors'
 
 function DisputeDraft({ disputeId, onDraft }) {
   const wallet = useWallet()
+  const [error, setError] = useState(null)
 
   const handleSubmit = useCallback(
     async event => {
       event.preventDefault()
+      setError(null)
 
       try {
         const tx = await onDraft(disputeId)
         await tx.wait()
       } catch (err) {
         console.error('Error submitting tx: ', err)
+        if (err instanceof TransactionWouldFail) {
+          setError(err.message)
+        }
       }
     },
     [disputeId, onDraft]
@@ -32,6 +38,17 @@ function DisputeDraft({ disputeId, onDraft }) {
           Draft jury
         </Button>
       </div>
+      {error && (
+        <Info
+          mode="error"
+          title="The jury can’t be drafted"
+          css={`
+            margin-bottom: ${1.5 * GU}px;
+          `}
+        >
+          {error}
+        </Info>
+      )}
       <Info>
         The evidence submission period is closed. <strong>Anyone</strong> can
         now trigger the drafting of a jury and earn some rewards.
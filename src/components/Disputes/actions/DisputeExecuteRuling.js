@@ -1,19 +1,25 @@
-import React, { useCallback } from 'react'
+import React, { useCallback, useState } from 'react'
 import { Button, GU, Info } from '@aragon/ui'
 import { useWallet } from '../../../providers/Wallet'
+import { TransactionWouldFail } from '../../../errors'
 
 function DisputeExecuteRuling({ disputeId, onExecuteRuling }) {
   const wallet = useWallet()
+  const [error, setError] = useState(null)
 
   const handleSubmit = useCallback(
     async event => {
       event.preventDefault()
+      setError(null)
 
       try {
         const tx = await onExecuteRuling(disputeId)
         await tx.wait()
       } catch (err) {
         console.error('Error submitting tx: ', err)
+        if (err instanceof TransactionWouldFail) {
+          setError(err.message)
+        }
       }
     },
     [disputeId, onExecuteRuling]
@@ -32,6 +38,17 @@ function DisputeExecuteRuling({ disputeId, onExecuteRuling }) {
           Execute ruling
         </Button>
       </div>
+      {error && (
+        <Info
+          mode="error"
+          title="The ruling can’t be executed"
+          css={`
+            margin-bottom: ${1.5 * GU}px;
+          `}
+        >
+          {error}
+        </Info>
+      )}
       <Info>
         <strong>Anyone</strong> can now trigger this action.
       </Info>
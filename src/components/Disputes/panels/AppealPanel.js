@@ -1,11 +1,15 @@
-import React, { useCallback, useEffect, useState } from 'react'
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
 import { Button, DropDown, Field, GU, Info, Link } from '@aragon/ui'
+import TransactionCost from '../../TransactionCost'
+import TransactionQueue from '../../TransactionQueue'
+import useTransactionCost from '../../../hooks/useTransactionCost'
+import useTransactionQueue from '../../../hooks/useTransactionQueue'
 import { getDisputeLastRound } from '../../../utils/dispute-utils'
 import {
   getAppealRulingOptions,
   appealOptionToString,
 } from '../../../utils/crvoting-utils'
-import { formatUnits } from '../../../lib/math-utils'
+import { bigNum, formatUnits } from '../../../lib/math-utils'
 import { Phase as DisputePhase } from '../../../types/dispute-status-types'
 import {
   useAppealDeposits,
@@ -21,6 +25,8 @@ function AppealPanel({
   onAppeal,
   onApproveFeeDeposit,
   onDone,
+  onEstimateAppeal,
+  onEstimateApproveFeeDeposit,
 }) {
   const { feeToken } = useCourtConfig()
   const { account: connectedAccount } = useWallet()
@@ -63,10 +69,64 @@ function AppealPanel({
     confirm ? appeal.appealedRuling : winningOutcome
   )
 
+  // The ruling doesn’t change the cost much: the first option is used until
+  // one gets selected.
+  const estimatedOutcome = (
+    appealOptions[selectedOutcome.value] || appealOptions[0]
+  ).outcome
+  const needsApproval = feeAllowance.lt(requiredDeposit)
+
+  const estimateGasLimit = useMemo(
+    () => async () => {
+      const [approveGasLimit, appealGasLimit] = await Promise.all([
+        needsApproval ? onEstimateApproveFeeDeposit(requiredDeposit) : null,
+        onEstimateAppeal(dispute.id, dispute.lastRoundId, estimatedOutcome),
+      ])
+      if (needsApproval && !approveGasLimit) {
+        return null
+      }
+      return approveGasLimit
+        ? appealGasLimit.add(approveGasLimit)
+        : appealGasLimit
+    },
+    [
+      dispute.id,
+      dispute.lastRoundId,
+      estimatedOutcome,
+      needsApproval,
+      onEstimateAppeal,
+      onEstimateApproveFeeDeposit,
+      requiredDeposit,
+    ]
+  )
+
+  // check if connected account has the minimum required deposit to be able to appeal
+  const canAppeal = feeBalance.gte(requiredDeposit)
+
+  const [transactionCost, estimatingCost] = useTransactionCost(
+    canAppeal ? estimateGasLimit : null
+  )
+
   const handleOutcomeSelected = useCallback(newOutcome => {
     setSelectedOutcome({ value: newOutcome })
   }, [])
 
+  // The queue params are stored, so amounts are passed as strings
+  const appealQueueActions = useMemo(
+    () => ({
+      approveFeeDeposit: amount => onApproveFeeDeposit(bigNum(amount)),
+      appeal: onAppeal,
+    }),
+    [onAppeal, onApproveFeeDeposit]
+  )
+  const appealQueue = useTransactionQueue(
+    `${confirm ? 'confirmAppeal' : 'appeal'}:${dispute.id}:${
+      dispute.lastRoundId
+    }`,
+    appealQueueActions
+  )
+  const { start: startAppealQueue } = appealQueue
+
   // For submission
   const handleAppeal = useCallback(
     async event => {
@@ -77,48 +137,51 @@ function AppealPanel({
         return
       }
 
-      try {
-        if (feeAllowance.lt(requiredDeposit)) {
-          // TODO: some ERC20s don't let to set a new allowance if the current allowance is positive (handle this cases)
-          if (feeAllowance.eq(0)) {
-            console.warn('Allowance must be zero')
-          }
-          // Approve fee deposit for appealing
-          const approveTx = await onApproveFeeDeposit(requiredDeposit)
-          await approveTx.wait()
+      const steps = []
+      if (feeAllowance.lt(requiredDeposit)) {
+        // TODO: some ERC20s don't let to set a new allowance if the current allowance is positive (handle this cases)
+        if (feeAllowance.eq(0)) {
+          console.warn('Allowance must be zero')
         }
+        // Approve fee deposit for appealing
+        steps.push({
+          action: 'approveFeeDeposit',
+          label: `Approve ${formatUnits(requiredDeposit)} ${
+            feeToken.symbol
+          } of collateral`,
+          params: [requiredDeposit.toString()],
+        })
+      }
 
-        const appealOption = appealOptions[selectedOutcome.value]
+      const appealOption = appealOptions[selectedOutcome.value]
 
-        // Appeal ruling
-        const tx = await onAppeal(
-          dispute.id,
-          dispute.lastRoundId,
-          appealOption.outcome
-        )
+      // Appeal ruling
+      steps.push({
+        action: 'appeal',
+        label: `${confirm ? 'Confirm appeal' : 'Appeal'} in favor of “${
+          appealOption.description
+        }”`,
+        params: [dispute.id, dispute.lastRoundId, appealOption.outcome],
+      })
 
+      if (await startAppealQueue(steps)) {
         onDone()
-        await tx.wait()
-      } catch (err) {
-        console.error('Error submitting tx: ', err)
       }
     },
     [
       appealOptions,
+      confirm,
       dispute.id,
       dispute.lastRoundId,
       feeAllowance,
-      onAppeal,
-      onApproveFeeDeposit,
+      feeToken.symbol,
       onDone,
       requiredDeposit,
       selectedOutcome.value,
+      startAppealQueue,
     ]
   )
 
-  // check if connected account has the minimum required deposit to be able to appeal
-  const canAppeal = feeBalance.gte(requiredDeposit)
-
   // Form validation
   const validateForm = outcome => {
     if (outcome === -1) {
@@ -171,17 +234,39 @@ function AppealPanel({
           `}
         />
       </Field>
-      <Button
-        type="submit"
-        mode="strong"
-        wide
-        disabled={!canAppeal}
-        css={`
-          margin-bottom: ${2 * GU}px;
-        `}
-      >
-        {actionLabel}
-      </Button>
+      {appealQueue.queue && (
+        <TransactionQueue
+          interrupted={appealQueue.interrupted}
+          queue={appealQueue.queue}
+          onAbort={appealQueue.abort}
+          onResume={appealQueue.resume}
+          css={`
+            margin-bottom: ${2 * GU}px;
+          `}
+        />
+      )}
+      {!appealQueue.running && !appealQueue.interrupted && (
+        <>
+          {canAppeal && (
+            <TransactionCost
+              cost={transactionCost}
+              estimating={estimatingCost}
+              multiple={needsApproval}
+            />
+          )}
+          <Button
+            type="submit"
+            mode="strong"
+            wide
+            disabled={!canAppeal}
+            css={`
+              margin-bottom: ${2 * GU}px;
+            `}
+          >
+            {actionLabel}
+          </Button>
+        </>
+      )}
       {!canAppeal && (
         <Info
           mode="warning"
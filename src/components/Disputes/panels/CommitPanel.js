@@ -1,4 +1,4 @@
-import React, { useCallback, useRef, useState } from 'react'
+import React, { useCallback, useMemo, useRef, useState } from 'react'
 import {
   Button,
   GU,
@@ -12,30 +12,59 @@ import {
   useToast,
   useTheme,
 } from '@aragon/ui'
+import TransactionCost from '../../TransactionCost'
+import { useActivity } from '../../Activity/ActivityProvider'
 import useOneTimeCode from '../../../hooks/useOneTimeCode'
+import useTransactionCost from '../../../hooks/useTransactionCost'
+import { useRevealServiceAvailable } from '../../../hooks/useRevealService'
+import { useCommitVault } from '../../../providers/CommitVault'
 import { useWallet } from '../../../providers/Wallet'
-import { saveCodeInLocalStorage } from '../../../utils/one-time-code-utils'
+import { getVoteId, hashPassword } from '../../../utils/crvoting-utils'
+import { getCodeFromLocalStorage } from '../../../utils/one-time-code-utils'
+import { scheduleReveal } from '../../../utils/reveal-service-utils'
+import { TransactionWouldFail } from '../../../errors'
 
 import IconOneTimeCode from '../../../assets/IconOneTimeCode.svg'
 
-const AUTO_REVEAL_ENABLED = false // TODO: Remove when auto reveal service is running
-
 const CommitPanel = React.memo(function CommitPanel({
   dispute,
   onCommit,
   commitment,
   onDone,
+  onEstimateCommit,
 }) {
   const [codeSaved, setCodeSaved] = useState(false)
   const [codeCopied, setCodeCopied] = useState(false)
   const [revealService, setRevealService] = useState(false)
+  const [error, setError] = useState(null)
   const { account: connectedAccount } = useWallet()
   const { oneTimeCode, download } = useOneTimeCode()
+  const commitVault = useCommitVault()
+  const { waitForActivity } = useActivity()
   const toast = useToast()
 
+  const estimateGasLimit = useMemo(
+    () => () =>
+      onEstimateCommit(
+        dispute.id,
+        dispute.lastRoundId,
+        commitment,
+        oneTimeCode
+      ),
+    [commitment, dispute.id, dispute.lastRoundId, onEstimateCommit, oneTimeCode]
+  )
+  const [transactionCost, estimatingCost] = useTransactionCost(estimateGasLimit)
+
+  // A code from a previous round of this dispute would get replaced
+  const codeAlreadyStored = Boolean(
+    getCodeFromLocalStorage(connectedAccount, dispute.id) ||
+      commitVault.entries?.[dispute.id]
+  )
+
   const handleCommit = useCallback(
     async event => {
       event.preventDefault()
+      setError(null)
 
       try {
         const tx = await onCommit(
@@ -46,13 +75,45 @@ const CommitPanel = React.memo(function CommitPanel({
         )
 
         onDone()
-        await tx.wait()
-        saveCodeInLocalStorage(connectedAccount, dispute.id, oneTimeCode)
+        await waitForActivity(tx.hash)
       } catch (err) {
         console.error('Error submitting transaction: ', err)
+        if (err instanceof TransactionWouldFail) {
+          setError(err.message)
+        }
+        return
+      }
+
+      const codeInVault = await commitVault
+        .saveCode(dispute.id, dispute.lastRoundId, oneTimeCode)
+        .catch(err => {
+          console.error('Error saving the one-time-use code: ', err)
+          return false
+        })
+      if (!codeInVault) {
+        toast(
+          'Your one-time-use code is kept in this browser until you unlock your commit vault'
+        )
+      }
+
+      if (revealService) {
+        try {
+          await scheduleReveal({
+            juror: connectedAccount,
+            voteId: getVoteId(dispute.id, dispute.lastRoundId).toString(),
+            outcome: commitment,
+            salt: hashPassword(oneTimeCode),
+          })
+        } catch (err) {
+          console.error('Error scheduling the auto-reveal: ', err)
+          toast(
+            'The auto-reveal service couldn’t take your vote, please reveal it yourself'
+          )
+        }
       }
     },
     [
+      commitVault,
       commitment,
       connectedAccount,
       dispute.id,
@@ -60,6 +121,9 @@ const CommitPanel = React.memo(function CommitPanel({
       onCommit,
       onDone,
       oneTimeCode,
+      revealService,
+      toast,
+      waitForActivity,
     ]
   )
 
@@ -101,10 +165,25 @@ const CommitPanel = React.memo(function CommitPanel({
         copiedOrSaved={codeCopied || codeSaved}
         revealService={revealService}
       />
-      <Button
+      {codeAlreadyStored && (
+        <Info
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+          mode="warning"
+        >
+          A one-time-use code is already stored for this dispute. Committing
+          your vote will replace it with the code displayed above.
+        </Info>
+      )}
+      <TransactionCost
+        cost={transactionCost}
+        estimating={estimatingCost}
         css={`
           margin-top: ${2 * GU}px;
         `}
+      />
+      <Button
         disabled={!(revealService || codeSaved || codeCopied)}
         onClick={handleCommit}
         type="submit"
@@ -113,6 +192,17 @@ const CommitPanel = React.memo(function CommitPanel({
       >
         Commit your vote
       </Button>
+      {error && (
+        <Info
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+          mode="error"
+          title="Your vote can’t be committed"
+        >
+          {error}
+        </Info>
+      )}
     </form>
   )
 })
@@ -229,6 +319,8 @@ const RevealService = React.memo(function RevealService({
   onRevealServiceChange,
   revealService,
 }) {
+  const available = useRevealServiceAvailable()
+
   return (
     <React.Fragment>
       <div
@@ -241,7 +333,7 @@ const RevealService = React.memo(function RevealService({
         <Switch
           checked={revealService}
           onChange={onRevealServiceChange}
-          disabled={!AUTO_REVEAL_ENABLED}
+          disabled={!available}
         />
         <span
           css={`
@@ -251,14 +343,14 @@ const RevealService = React.memo(function RevealService({
         >
           Auto-reveal service.
         </span>
-        {!AUTO_REVEAL_ENABLED && (
+        {!available && (
           <Tag
             css={`
               margin-left: ${1 * GU}px;
             `}
             mode="new"
           >
-            Coming soon
+            Not available
           </Tag>
         )}
       </div>
@@ -268,10 +360,10 @@ const RevealService = React.memo(function RevealService({
           ${textStyle('body2')};
         `}
       >
-        By enabling this feature you trust Aragon One to reveal your vote on
-        your behalf in this and following disputes. You can always turn off this
-        service later if you choose.
-        {/* TODO: Add ref:  <Link>Learn more</Link>. */}
+        By enabling this feature you trust the auto-reveal service operated for
+        this dashboard to reveal your vote on your behalf in this dispute, as
+        soon as the reveal period starts. It will receive your vote and the hash
+        of your one-time-use code.
       </div>
     </React.Fragment>
   )
@@ -283,7 +375,7 @@ const InfoSection = React.memo(function InfoSection({
   revealService,
 }) {
   const content = revealService
-    ? 'This temporary code will be valid to commit and reveal your vote for this dispute only. You won’t be required to enter this code unless a problem occur with our services.'
+    ? 'This temporary code will be valid to commit and reveal your vote for this dispute only. You won’t be required to enter this code unless a problem occurs with the auto-reveal service.'
     : 'You must copy or download this code before you can commit your vote. You will be asked to confirm it in order to reveal your vote. Failure to do so will result in a monetary penalty to your account.'
 
   return (
@@ -1,5 +1,7 @@
 import React, { useCallback, useEffect, useState } from 'react'
-import { Button, Field, GU, TextInput } from '@aragon/ui'
+import { Button, Field, GU, Info, TextInput } from '@aragon/ui'
+import { useActivity } from '../../Activity/ActivityProvider'
+import { useCommitVault } from '../../../providers/CommitVault'
 import { useWallet } from '../../../providers/Wallet'
 import { getDisputeLastRound } from '../../../utils/dispute-utils'
 import { getJurorDraft } from '../../../utils/juror-draft-utils'
@@ -7,6 +9,7 @@ import {
   getCodeFromLocalStorage,
   removeCodeFromLocalStorage,
 } from '../../../utils/one-time-code-utils'
+import { TransactionWouldFail } from '../../../errors'
 
 const RevealPanel = React.memo(function RevealPanel({
   dispute,
@@ -14,23 +17,40 @@ const RevealPanel = React.memo(function RevealPanel({
   onReveal,
 }) {
   const wallet = useWallet()
+  const commitVault = useCommitVault()
+  const { waitForActivity } = useActivity()
   const [password, setPassword] = useState('')
+  const [vaultError, setVaultError] = useState(null)
+  const [error, setError] = useState(null)
   const lastRound = getDisputeLastRound(dispute)
 
   const jurorDraft = getJurorDraft(lastRound, wallet.account)
+  const vaultCode = commitVault.getCode(dispute.id, jurorDraft.commitment)
 
   useEffect(() => {
-    const oneTimeCode = getCodeFromLocalStorage(wallet.account, dispute.id)
+    const oneTimeCode =
+      getCodeFromLocalStorage(wallet.account, dispute.id) || vaultCode
     if (oneTimeCode) {
       setPassword(oneTimeCode)
     }
-  }, [dispute.id, wallet.account])
+  }, [dispute.id, vaultCode, wallet.account])
+
+  const handleUnlockVault = useCallback(async () => {
+    setVaultError(null)
+    try {
+      await commitVault.unlock()
+    } catch (err) {
+      console.error('Error unlocking the commit code vault: ', err)
+      setVaultError('Your commit code vault couldn’t be unlocked.')
+    }
+  }, [commitVault])
 
   const handlePasswordChange = event => setPassword(event.target.value)
 
   const handleReveal = useCallback(
     async event => {
       event.preventDefault()
+      setError(null)
 
       try {
         const tx = await onReveal(
@@ -42,25 +62,66 @@ const RevealPanel = React.memo(function RevealPanel({
         )
 
         onDone()
-        await tx.wait()
+        await waitForActivity(tx.hash)
         removeCodeFromLocalStorage(wallet.account, dispute.id)
+        await commitVault.removeCode(dispute.id)
       } catch (err) {
         console.error('Error submitting tx: ', err)
+        if (err instanceof TransactionWouldFail) {
+          setError(err.message)
+        }
       }
     },
     [
+      commitVault,
       dispute.id,
       dispute.lastRoundId,
       jurorDraft.commitment,
       onDone,
       onReveal,
       password,
+      waitForActivity,
       wallet.account,
     ]
   )
 
+  const canUseVault =
+    !password && commitVault.hasStoredEntries && !commitVault.unlocked
+
   return (
     <form onSubmit={handleReveal}>
+      {canUseVault && (
+        <div
+          css={`
+            margin-bottom: ${2 * GU}px;
+          `}
+        >
+          <Button
+            label="Get code from your vault"
+            onClick={handleUnlockVault}
+            wide
+          />
+          <Info
+            css={`
+              margin-top: ${1 * GU}px;
+            `}
+            mode={vaultError ? 'error' : 'info'}
+          >
+            {vaultError ||
+              'You will be asked to sign a message to decrypt your commit code vault.'}
+          </Info>
+        </div>
+      )}
+      {commitVault.unlocked && !password && (
+        <Info
+          css={`
+            margin-bottom: ${2 * GU}px;
+          `}
+          mode="warning"
+        >
+          Your commit code vault doesn’t hold a valid code for this vote.
+        </Info>
+      )}
       <Field label="One-time-use code">
         <TextInput
           value={password}
@@ -82,6 +143,11 @@ const RevealPanel = React.memo(function RevealPanel({
       >
         Reveal your vote
       </Button>
+      {error && (
+        <Info mode="error" title="Your vote can’t be revealed">
+          {error}
+        </Info>
+      )}
     </form>
   )
 })
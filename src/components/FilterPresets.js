@@ -0,0 +1,147 @@
+import React, { useCallback, useRef, useState } from 'react'
+import {
+  Button,
+  ButtonIcon,
+  DropDown,
+  GU,
+  IconBookmark,
+  IconTrash,
+  Popover,
+  TextInput,
+  useTheme,
+} from '@aragon/ui'
+import useFilterPresets from '../hooks/useFilterPresets'
+
+function FilterPresets({ screen, filtersSearch, onSelectPreset }) {
+  const theme = useTheme()
+  const {
+    presets,
+    presetsEnabled,
+    removePreset,
+    savePreset,
+  } = useFilterPresets(screen)
+  const [saveOpened, setSaveOpened] = useState(false)
+  const [presetName, setPresetName] = useState('')
+  const saveButtonRef = useRef()
+
+  const selectedPreset = presets.findIndex(
+    ({ search }) => search === filtersSearch
+  )
+
+  const handlePresetChange = useCallback(
+    index => {
+      onSelectPreset(presets[index].search)
+    },
+    [onSelectPreset, presets]
+  )
+
+  const handleRemovePreset = useCallback(() => {
+    removePreset(presets[selectedPreset].name)
+  }, [presets, removePreset, selectedPreset])
+
+  const handlePresetNameChange = useCallback(event => {
+    setPresetName(event.target.value)
+  }, [])
+
+  const handleSaveOpen = useCallback(() => setSaveOpened(true), [])
+  const handleSaveClose = useCallback(() => setSaveOpened(false), [])
+
+  const handleSave = useCallback(
+    event => {
+      event.preventDefault()
+      savePreset(presetName.trim(), filtersSearch)
+      setPresetName('')
+      setSaveOpened(false)
+    },
+    [filtersSearch, presetName, savePreset]
+  )
+
+  // Presets are saved by account
+  if (!presetsEnabled) {
+    return null
+  }
+
+  return (
+    <div
+      css={`
+        display: flex;
+        align-items: center;
+      `}
+    >
+      <DropDown
+        header="Presets"
+        placeholder="Presets"
+        items={presets.map(({ name }) => name)}
+        selected={selectedPreset}
+        onChange={handlePresetChange}
+        disabled={presets.length === 0}
+      />
+      {selectedPreset > -1 ? (
+        <ButtonIcon
+          label="Remove preset"
+          onClick={handleRemovePreset}
+          css={`
+            margin-left: ${0.5 * GU}px;
+          `}
+        >
+          <IconTrash
+            css={`
+              color: ${theme.surfaceIcon};
+            `}
+          />
+        </ButtonIcon>
+      ) : (
+        <div
+          ref={saveButtonRef}
+          css={`
+            margin-left: ${0.5 * GU}px;
+          `}
+        >
+          <ButtonIcon
+            label="Save filters as a preset"
+            onClick={handleSaveOpen}
+            disabled={!filtersSearch}
+          >
+            <IconBookmark
+              css={`
+                color: ${theme.surfaceIcon};
+              `}
+            />
+          </ButtonIcon>
+        </div>
+      )}
+      <Popover
+        placement="bottom-end"
+        visible={saveOpened}
+        opener={saveButtonRef.current}
+        onClose={handleSaveClose}
+      >
+        <form
+          onSubmit={handleSave}
+          css={`
+            display: flex;
+            padding: ${2 * GU}px;
+          `}
+        >
+          <TextInput
+            autoFocus
+            placeholder="Preset name"
+            value={presetName}
+            onChange={handlePresetNameChange}
+          />
+          <Button
+            type="submit"
+            mode="strong"
+            label="Save"
+            disabled={!presetName.trim()}
+            css={`
+              margin-left: ${1 * GU}px;
+            `}
+          />
+        </form>
+      </Popover>
+    </div>
+  )
+}
+
+export default FilterPresets
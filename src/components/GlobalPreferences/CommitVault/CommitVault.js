@@ -0,0 +1,240 @@
+import React, { useCallback, useRef, useState } from 'react'
+import {
+  Box,
+  Button,
+  GU,
+  IconDownload,
+  IconUpload,
+  Info,
+  textStyle,
+  useLayout,
+  useTheme,
+  useToast,
+} from '@aragon/ui'
+import { useCommitVault } from '../../../providers/CommitVault'
+import { useWallet } from '../../../providers/Wallet'
+import { shortenAddress } from '../../../lib/web3-utils'
+import { InvalidVaultFile } from '../../../errors'
+
+function CommitVault() {
+  const theme = useTheme()
+  const toast = useToast()
+  const wallet = useWallet()
+  const commitVault = useCommitVault()
+  const [pendingImport, setPendingImport] = useState(null)
+  const [error, setError] = useState(null)
+  const fileInput = useRef()
+
+  const { layoutName } = useLayout()
+  const compact = layoutName === 'small'
+
+  const handleUnlock = useCallback(async () => {
+    setError(null)
+    try {
+      await commitVault.unlock()
+    } catch (err) {
+      console.error('Error unlocking the commit code vault: ', err)
+      setError('Your commit code vault couldn’t be unlocked.')
+    }
+  }, [commitVault])
+
+  const handleSelectFile = useCallback(() => {
+    if (fileInput.current) {
+      fileInput.current.click()
+    }
+  }, [])
+
+  const applyImport = useCallback(
+    async ({ apply }) => {
+      await apply()
+      setPendingImport(null)
+      toast('Commit codes imported')
+    },
+    [toast]
+  )
+
+  const handleFileChange = useCallback(
+    async event => {
+      const [file] = event.target.files
+      // Allows selecting the same file again
+      event.target.value = ''
+
+      if (!file) {
+        return
+      }
+
+      setError(null)
+      try {
+        const importResult = await commitVault.importVault(await file.text())
+
+        if (
+          importResult.disputeConflicts.length > 0 ||
+          importResult.accountConflicts.length > 0
+        ) {
+          setPendingImport(importResult)
+          return
+        }
+        await applyImport(importResult)
+      } catch (err) {
+        console.error('Error importing the commit code vault: ', err)
+        setError(
+          err instanceof InvalidVaultFile
+            ? err.message
+            : 'The file couldn’t be imported with the connected account.'
+        )
+      }
+    },
+    [applyImport, commitVault]
+  )
+
+  const handleConfirmImport = useCallback(() => applyImport(pendingImport), [
+    applyImport,
+    pendingImport,
+  ])
+
+  const handleCancelImport = useCallback(() => setPendingImport(null), [])
+
+  return (
+    <Box heading="Commit code vault">
+      <p
+        css={`
+          margin-bottom: ${2 * GU}px;
+        `}
+      >
+        Your one-time-use codes are encrypted with a key derived from a
+        signature of your account, so you can keep a backup of them or move them
+        to another browser and reveal your votes from there.
+      </p>
+      {!wallet.account ? (
+        <Info>Connect your account to manage your commit code vault.</Info>
+      ) : (
+        <React.Fragment>
+          <div
+            css={`
+              margin-bottom: ${2 * GU}px;
+              ${textStyle('body2')};
+              color: ${theme.contentSecondary};
+            `}
+          >
+            {commitVault.unlocked
+              ? `Unlocked: ${
+                  Object.keys(commitVault.entries).length
+                } code(s) stored for ${shortenAddress(wallet.account)}.`
+              : 'Locked. Unlock it to add the codes saved in this browser.'}
+            {commitVault.storedAccounts.length > 0 &&
+              ` The vault holds codes for ${commitVault.storedAccounts.length} account(s).`}
+          </div>
+          <div
+            css={`
+              display: flex;
+              flex-wrap: wrap;
+              margin-bottom: ${2 * GU}px;
+
+              & > * {
+                margin: 0 ${1 * GU}px ${1 * GU}px 0;
+              }
+            `}
+          >
+            {!commitVault.unlocked && (
+              <Button mode="strong" onClick={handleUnlock} wide={compact}>
+                Unlock vault
+              </Button>
+            )}
+            <Button
+              disabled={!commitVault.unlocked}
+              icon={<IconDownload />}
+              label="Export vault"
+              onClick={commitVault.exportVault}
+              wide={compact}
+            />
+            <Button
+              icon={<IconUpload />}
+              label="Import vault"
+              onClick={handleSelectFile}
+              wide={compact}
+            />
+            <input
+              ref={fileInput}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleFileChange}
+              css={`
+                display: none;
+              `}
+            />
+          </div>
+          {pendingImport && (
+            <ImportConflicts
+              accountConflicts={pendingImport.accountConflicts}
+              disputeConflicts={pendingImport.disputeConflicts}
+              onCancel={handleCancelImport}
+              onConfirm={handleConfirmImport}
+            />
+          )}
+          {error && <Info mode="error">{error}</Info>}
+          {!commitVault.unlocked && (
+            <Info>
+              Unlock your vault before importing a file to merge its codes with
+              yours one by one. Otherwise, the codes stored for each account of
+              the file will be replaced.
+            </Info>
+          )}
+        </React.Fragment>
+      )}
+    </Box>
+  )
+}
+
+function ImportConflicts({
+  accountConflicts,
+  disputeConflicts,
+  onCancel,
+  onConfirm,
+}) {
+  return (
+    <Info
+      mode="warning"
+      title="Some codes will be overwritten"
+      css={`
+        margin-bottom: ${2 * GU}px;
+      `}
+    >
+      {disputeConflicts.length > 0 && (
+        <p>
+          The imported codes for disputes{' '}
+          {disputeConflicts.map(id => `#${id}`).join(', ')} are different from
+          the ones stored in your vault.
+        </p>
+      )}
+      {accountConflicts.length > 0 && (
+        <p>
+          All the codes stored for{' '}
+          {accountConflicts.map(id => shortenAddress(id)).join(', ')} will be
+          replaced by the imported ones.
+        </p>
+      )}
+      <div
+        css={`
+          display: flex;
+          margin-top: ${1.5 * GU}px;
+        `}
+      >
+        <Button
+          mode="strong"
+          size="small"
+          onClick={onConfirm}
+          css={`
+            margin-right: ${1 * GU}px;
+          `}
+        >
+          Overwrite
+        </Button>
+        <Button size="small" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </Info>
+  )
+}
+
+export default React.memo(CommitVault)
@@ -12,13 +12,21 @@ import {
 } from '@aragon/ui'
 import { Transition, animated } from 'react-spring/renderprops'
 import { useEsc } from '../../hooks/useKeyboardArrows'
+import CommitVault from './CommitVault/CommitVault'
 import Network from './Network/Network'
+import Notifications from './Notifications/Notifications'
 
-const SECTIONS = new Map([['network', 'Network']])
+const SECTIONS = new Map([
+  ['network', 'Network'],
+  ['vault', 'Commit codes'],
+  ['notifications', 'Notifications'],
+])
 const PATHS = Array.from(SECTIONS.keys())
 const VALUES = Array.from(SECTIONS.values())
 
 const NETWORK_INDEX = 0
+const VAULT_INDEX = 1
+const NOTIFICATIONS_INDEX = 2
 
 const AnimatedDiv = animated.div
 
@@ -49,7 +57,11 @@ function GlobalPreferences({ compact, onClose, onNavigation, sectionIndex }) {
             selected={sectionIndex}
           />
 
-          <main>{sectionIndex === NETWORK_INDEX && <Network />}</main>
+          <main>
+            {sectionIndex === NETWORK_INDEX && <Network />}
+            {sectionIndex === VAULT_INDEX && <CommitVault />}
+            {sectionIndex === NOTIFICATIONS_INDEX && <Notifications />}
+          </main>
         </React.Fragment>
       </Layout>
     </div>
@@ -60,7 +72,7 @@ function useGlobalPreferences({ path = '', onScreenChange }) {
   const [sectionIndex, setSectionIndex] = useState(null)
   const handleNavigation = useCallback(
     index => {
-      onScreenChange(PATHS[index]) // TODO - Test if this is working with the email preferences
+      onScreenChange(PATHS[index])
     },
     [onScreenChange]
   )
@@ -0,0 +1,105 @@
+import React from 'react'
+import { Box, Button, GU, Tag, textStyle, useTheme } from '@aragon/ui'
+import useIpfsGatewaysHealth from '../../../hooks/useIpfsGatewaysHealth'
+import { GatewayStatus } from '../../../types/ipfs-gateway-status-types'
+
+function IpfsGateways() {
+  const theme = useTheme()
+  const [gatewaysHealth, checkGateways, checking] = useIpfsGatewaysHealth()
+
+  return (
+    <Box heading="IPFS gateways">
+      <p
+        css={`
+          margin-bottom: ${2 * GU}px;
+        `}
+      >
+        Content from IPFS is requested from these gateways, the fastest
+        answering first. Gateways able to serve raw blocks allow to check the
+        content against its CID.
+      </p>
+      {gatewaysHealth.map(
+        ({ gateway, latency, lastError, rawBlocks, status }) => (
+          <div
+            key={gateway}
+            css={`
+              display: flex;
+              align-items: center;
+              justify-content: space-between;
+              padding: ${1 * GU}px 0;
+              border-bottom: 1px solid ${theme.border};
+            `}
+          >
+            <div
+              css={`
+                min-width: 0;
+              `}
+            >
+              <div
+                css={`
+                  overflow: hidden;
+                  text-overflow: ellipsis;
+                  white-space: nowrap;
+                `}
+              >
+                {gateway}
+              </div>
+              <div
+                css={`
+                  ${textStyle('body3')};
+                  color: ${theme.surfaceContentSecondary};
+                `}
+              >
+                {[
+                  latency !== null && `${latency} ms`,
+                  rawBlocks !== null &&
+                    (rawBlocks ? 'Checks content' : 'Can’t check content'),
+                  status === GatewayStatus.Failing && lastError,
+                ]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </div>
+            </div>
+            <GatewayStatusTag status={status} />
+          </div>
+        )
+      )}
+      <Button
+        label={checking ? 'Checking…' : 'Check gateways'}
+        onClick={checkGateways}
+        disabled={checking}
+        css={`
+          margin-top: ${2 * GU}px;
+        `}
+      />
+    </Box>
+  )
+}
+
+function GatewayStatusTag({ status }) {
+  const theme = useTheme()
+
+  if (status === GatewayStatus.Failing) {
+    return (
+      <Tag background={theme.negativeSurface} color={theme.negative}>
+        Failing
+      </Tag>
+    )
+  }
+  if (status === GatewayStatus.Slow) {
+    return (
+      <Tag
+        background={theme.warningSurface}
+        color={theme.warningSurfaceContent}
+      >
+        Slow
+      </Tag>
+    )
+  }
+  if (status === GatewayStatus.Healthy) {
+    return <Tag mode="new">Healthy</Tag>
+  }
+  return <Tag mode="identifier">Not used yet</Tag>
+}
+
+export default IpfsGateways
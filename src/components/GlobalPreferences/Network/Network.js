@@ -9,10 +9,18 @@ import {
   useLayout,
   useTheme,
 } from '@aragon/ui'
-import { defaultEthNode, defaultIpfsGateway } from '../../../networks'
+import IpfsGateways from './IpfsGateways'
+import {
+  defaultEthNode,
+  defaultIpfsApi,
+  defaultIpfsFallbackGateways,
+  defaultIpfsGateway,
+} from '../../../networks'
 import {
   clearLocalStorageNetworkSettings,
   setDefaultEthNode,
+  setIpfsApi,
+  setIpfsFallbackGateways,
   setIpfsGateway,
 } from '../../../local-settings'
 import { InvalidNetworkType, InvalidURI, NoConnection } from '../../../errors'
@@ -28,8 +36,12 @@ function Network() {
     ethNode,
     networkType,
     ipfsGateway,
+    ipfsFallbackGateways,
+    ipfsApi,
     handleEthNodeChange,
     handleIpfsGatewayChange,
+    handleIpfsFallbackGatewaysChange,
+    handleIpfsApiChange,
     networkError,
     handleNetworkChange,
     handleClearNetworkSettings,
@@ -89,10 +101,35 @@ function Network() {
             `}
           />
         </Label>
+        <Label theme={theme}>
+          Fallback IPFS gateways (separated by spaces)
+          <TextInput
+            value={ipfsFallbackGateways}
+            wide
+            onChange={handleIpfsFallbackGatewaysChange}
+            css={`
+              ${textStyle('body2')};
+              color: ${theme.contentSecondary};
+            `}
+          />
+        </Label>
+        <Label theme={theme}>
+          IPFS API (used to upload evidence)
+          <TextInput
+            value={ipfsApi}
+            wide
+            onChange={handleIpfsApiChange}
+            css={`
+              ${textStyle('body2')};
+              color: ${theme.contentSecondary};
+            `}
+          />
+        </Label>
         <Button mode="strong" onClick={handleNetworkChange} wide={compact}>
           Save changes
         </Button>
       </Box>
+      <IpfsGateways />
       <Box heading="Troubleshooting">
         <div
           css={`
@@ -121,10 +158,17 @@ const useNetwork = () => {
   const [networkError, setNetworkError] = useState(null)
   const [ethNode, setEthNodeValue] = useState(defaultEthNode)
   const [ipfsGateway, setIpfsGatewayValue] = useState(defaultIpfsGateway)
+  const [ipfsFallbackGateways, setIpfsFallbackGatewaysValue] = useState(
+    defaultIpfsFallbackGateways.join(' ')
+  )
+  const [ipfsApi, setIpfsApiValue] = useState(defaultIpfsApi)
   const networkType = getNetworkType()
 
   const defaultsChanged =
-    ipfsGateway !== defaultIpfsGateway || ethNode !== defaultEthNode
+    ipfsGateway !== defaultIpfsGateway ||
+    ipfsFallbackGateways !== defaultIpfsFallbackGateways.join(' ') ||
+    ipfsApi !== defaultIpfsApi ||
+    ethNode !== defaultEthNode
 
   const handleNetworkChange = useCallback(async () => {
     if (!defaultsChanged) {
@@ -138,8 +182,12 @@ const useNetwork = () => {
     }
     setDefaultEthNode(ethNode)
     setIpfsGateway(ipfsGateway)
+    setIpfsFallbackGateways(
+      ipfsFallbackGateways.split(/[\s,]+/).filter(Boolean)
+    )
+    setIpfsApi(ipfsApi)
     window.location.reload()
-  }, [ethNode, ipfsGateway, defaultsChanged])
+  }, [ethNode, ipfsApi, ipfsFallbackGateways, ipfsGateway, defaultsChanged])
 
   const handleClearNetworkSettings = useCallback(() => {
     clearLocalStorageNetworkSettings()
@@ -152,6 +200,8 @@ const useNetwork = () => {
     ethNode,
     networkType,
     ipfsGateway,
+    ipfsFallbackGateways,
+    ipfsApi,
     handleNetworkChange,
     handleClearNetworkSettings,
     networkError,
@@ -159,6 +209,10 @@ const useNetwork = () => {
       setEthNodeValue(value),
     handleIpfsGatewayChange: ({ currentTarget: { value } }) =>
       setIpfsGatewayValue(value),
+    handleIpfsFallbackGatewaysChange: ({ currentTarget: { value } }) =>
+      setIpfsFallbackGatewaysValue(value),
+    handleIpfsApiChange: ({ currentTarget: { value } }) =>
+      setIpfsApiValue(value),
   }
 }
 
@@ -0,0 +1,333 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import {
+  Box,
+  Button,
+  Checkbox,
+  GU,
+  Info,
+  LoadingRing,
+  Tag,
+  TextInput,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import { useWallet } from '../../../providers/Wallet'
+import useEmailNotifications from '../../../hooks/useEmailNotifications'
+import {
+  DEFAULT_EMAIL_EVENTS,
+  EMAIL_EVENTS,
+  isValidEmail,
+} from '../../../utils/email-notifications-utils'
+import Setting from './Setting'
+
+function EmailNotifications() {
+  const wallet = useWallet()
+  const {
+    enabled,
+    error,
+    fetching,
+    resendVerification,
+    session,
+    signIn,
+    signOut,
+    subscribe,
+    subscription,
+    unsubscribe,
+    updateEvents,
+    working,
+  } = useEmailNotifications()
+  const [editingEmail, setEditingEmail] = useState(false)
+
+  // Back to the subscription details once the email got updated
+  useEffect(() => {
+    setEditingEmail(false)
+  }, [subscription])
+
+  const handleEventChange = useCallback(
+    (name, checked) => {
+      updateEvents(
+        checked
+          ? [...subscription.events, name]
+          : subscription.events.filter(event => event !== name)
+      )
+    },
+    [subscription, updateEvents]
+  )
+
+  // The service isn’t configured for this build
+  if (!enabled) {
+    return null
+  }
+
+  return (
+    <Box heading="Email notifications">
+      <p
+        css={`
+          margin-bottom: ${2 * GU}px;
+        `}
+      >
+        Receive an email when you are drafted, when your tasks are due and when
+        the rulings you voted on get appealed, even when the dashboard isn’t
+        open.
+      </p>
+      {(() => {
+        if (!wallet.account) {
+          return (
+            <Info>
+              Connect your account to manage your email notifications.
+            </Info>
+          )
+        }
+        if (!session) {
+          return <SignIn onSignIn={signIn} working={working} />
+        }
+        if (fetching && !subscription) {
+          return <LoadingRing />
+        }
+        if (!subscription || editingEmail) {
+          return (
+            <SubscriptionForm
+              email={subscription ? subscription.email : ''}
+              events={subscription ? subscription.events : DEFAULT_EMAIL_EVENTS}
+              onCancel={subscription ? () => setEditingEmail(false) : null}
+              onSubmit={subscribe}
+              working={working}
+            />
+          )
+        }
+        return (
+          <Subscription
+            onChangeEmail={() => setEditingEmail(true)}
+            onEventChange={handleEventChange}
+            onResendVerification={resendVerification}
+            onSignOut={signOut}
+            onUnsubscribe={unsubscribe}
+            subscription={subscription}
+            working={working}
+          />
+        )
+      })()}
+      {error && (
+        <Info
+          mode="error"
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+        >
+          {error.message}
+        </Info>
+      )}
+    </Box>
+  )
+}
+
+function SignIn({ onSignIn, working }) {
+  return (
+    <React.Fragment>
+      <p
+        css={`
+          margin-bottom: ${2 * GU}px;
+          ${textStyle('body3')};
+        `}
+      >
+        Sign a message with your account to prove that you own it. This doesn’t
+        send any transaction.
+      </p>
+      <Button
+        mode="strong"
+        label="Sign in with your account"
+        onClick={onSignIn}
+        disabled={working}
+      />
+    </React.Fragment>
+  )
+}
+
+function SubscriptionForm({ email, events, onCancel, onSubmit, working }) {
+  const theme = useTheme()
+  const [emailValue, setEmailValue] = useState(email)
+  const [selectedEvents, setSelectedEvents] = useState(events)
+
+  const handleEmailChange = useCallback(event => {
+    setEmailValue(event.target.value)
+  }, [])
+
+  const handleEventChange = useCallback((name, checked) => {
+    setSelectedEvents(selectedEvents =>
+      checked
+        ? [...selectedEvents, name]
+        : selectedEvents.filter(event => event !== name)
+    )
+  }, [])
+
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      onSubmit(emailValue.trim(), selectedEvents)
+    },
+    [emailValue, onSubmit, selectedEvents]
+  )
+
+  const validEmail = isValidEmail(emailValue.trim())
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <TextInput
+        type="email"
+        placeholder="Your email"
+        value={emailValue}
+        onChange={handleEmailChange}
+        wide
+      />
+      <div
+        css={`
+          margin: ${2 * GU}px 0;
+          color: ${theme.contentSecondary};
+          ${textStyle('body3')};
+        `}
+      >
+        We’ll send you a link to verify this email before sending any
+        notification.
+      </div>
+      {EMAIL_EVENTS.map(({ name, label }) => (
+        <label
+          key={name}
+          css={`
+            display: flex;
+            align-items: center;
+            margin-bottom: ${1 * GU}px;
+            cursor: pointer;
+            ${textStyle('body2')};
+          `}
+        >
+          <Checkbox
+            checked={selectedEvents.includes(name)}
+            onChange={checked => handleEventChange(name, checked)}
+          />
+          {label}
+        </label>
+      ))}
+      <div
+        css={`
+          display: flex;
+          margin-top: ${2 * GU}px;
+        `}
+      >
+        <Button
+          type="submit"
+          mode="strong"
+          label={email ? 'Update email' : 'Subscribe'}
+          disabled={!validEmail || working}
+        />
+        {onCancel && (
+          <Button
+            label="Cancel"
+            onClick={onCancel}
+            css={`
+              margin-left: ${1 * GU}px;
+            `}
+          />
+        )}
+      </div>
+    </form>
+  )
+}
+
+function Subscription({
+  onChangeEmail,
+  onEventChange,
+  onResendVerification,
+  onSignOut,
+  onUnsubscribe,
+  subscription,
+  working,
+}) {
+  const { email, events, verified } = subscription
+
+  return (
+    <React.Fragment>
+      <div
+        css={`
+          display: flex;
+          align-items: center;
+          margin-bottom: ${2 * GU}px;
+          ${textStyle('body1')};
+        `}
+      >
+        {email}
+        <Tag
+          mode={verified ? 'identifier' : 'new'}
+          css={`
+            margin-left: ${1 * GU}px;
+          `}
+        >
+          {verified ? 'Verified' : 'Not verified'}
+        </Tag>
+      </div>
+      {!verified && (
+        <Info
+          mode="warning"
+          css={`
+            margin-bottom: ${2 * GU}px;
+          `}
+        >
+          Follow the link sent to {email} to start receiving notifications.
+          Can’t find it?{' '}
+          <Button
+            size="mini"
+            label="Send it again"
+            onClick={onResendVerification}
+            disabled={working}
+          />
+        </Info>
+      )}
+      <h3
+        css={`
+          margin-bottom: ${2 * GU}px;
+          ${textStyle('label2')};
+        `}
+      >
+        Notify me when
+      </h3>
+      {EMAIL_EVENTS.map(({ name, label }) => (
+        <Setting
+          key={name}
+          label={label}
+          checked={events.includes(name)}
+          disabled={working}
+          onChange={checked => onEventChange(name, checked)}
+        />
+      ))}
+      <div
+        css={`
+          display: flex;
+          flex-wrap: wrap;
+        `}
+      >
+        <Button
+          label="Change email"
+          onClick={onChangeEmail}
+          disabled={working}
+        />
+        <Button
+          mode="negative"
+          label="Unsubscribe"
+          onClick={onUnsubscribe}
+          disabled={working}
+          css={`
+            margin-left: ${1 * GU}px;
+          `}
+        />
+        <Button
+          label="Sign out"
+          onClick={onSignOut}
+          css={`
+            margin-left: ${1 * GU}px;
+          `}
+        />
+      </div>
+    </React.Fragment>
+  )
+}
+
+export default EmailNotifications
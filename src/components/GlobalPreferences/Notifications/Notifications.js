@@ -0,0 +1,157 @@
+import React, { useCallback } from 'react'
+import { Box, Checkbox, GU, Info, textStyle, useTheme } from '@aragon/ui'
+import { useNotifications } from '../../../providers/Notifications'
+import { useWallet } from '../../../providers/Wallet'
+import { DEADLINE_THRESHOLDS } from '../../../utils/notifications-utils'
+import EmailNotifications from './EmailNotifications'
+import Setting from './Setting'
+
+function Notifications() {
+  const wallet = useWallet()
+  const {
+    active,
+    disableNotifications,
+    enableNotifications,
+    permission,
+    settings,
+    supported,
+    updateSettings,
+  } = useNotifications()
+
+  const handleEnabledChange = useCallback(
+    enabled => {
+      if (enabled) {
+        enableNotifications()
+      } else {
+        disableNotifications()
+      }
+    },
+    [disableNotifications, enableNotifications]
+  )
+
+  const handleThresholdChange = useCallback(
+    (threshold, checked) => {
+      updateSettings({
+        deadlineThresholds: checked
+          ? [...settings.deadlineThresholds, threshold]
+          : settings.deadlineThresholds.filter(value => value !== threshold),
+      })
+    },
+    [settings.deadlineThresholds, updateSettings]
+  )
+
+  return (
+    <React.Fragment>
+      <Box heading="Browser notifications">
+        <p
+          css={`
+            margin-bottom: ${2 * GU}px;
+          `}
+        >
+          Get notified by this browser when you are drafted, before your commit
+          and reveal deadlines, and when you have rewards to claim.
+          Notifications are only sent while the dashboard is open in a tab.
+        </p>
+        {(() => {
+          if (!supported) {
+            return <Info>Your browser doesn’t support notifications.</Info>
+          }
+          if (permission === 'denied') {
+            return (
+              <Info mode="warning">
+                Notifications are blocked for this site. Allow them from your
+                browser settings to enable them.
+              </Info>
+            )
+          }
+          return (
+            <Setting
+              label="Enable notifications"
+              checked={active}
+              onChange={handleEnabledChange}
+            />
+          )
+        })()}
+        {active && !wallet.account && (
+          <Info
+            css={`
+              margin-top: ${2 * GU}px;
+            `}
+          >
+            Connect your account to get notified about your drafts and rewards.
+          </Info>
+        )}
+      </Box>
+      {active && (
+        <Box heading="Notify me when">
+          <Setting
+            label="I am drafted to arbitrate a dispute"
+            checked={settings.drafted}
+            onChange={drafted => updateSettings({ drafted })}
+          />
+          <Setting
+            label="A commit or reveal deadline is approaching"
+            checked={settings.deadlines}
+            onChange={deadlines => updateSettings({ deadlines })}
+          />
+          {settings.deadlines && (
+            <Thresholds
+              selected={settings.deadlineThresholds}
+              onChange={handleThresholdChange}
+            />
+          )}
+          <Setting
+            label="I have rewards to claim"
+            checked={settings.rewards}
+            onChange={rewards => updateSettings({ rewards })}
+          />
+        </Box>
+      )}
+      <EmailNotifications />
+    </React.Fragment>
+  )
+}
+
+function Thresholds({ selected, onChange }) {
+  const theme = useTheme()
+
+  return (
+    <div
+      css={`
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        margin: -${1 * GU}px 0 ${2 * GU}px ${7 * GU}px;
+        color: ${theme.contentSecondary};
+        ${textStyle('body3')};
+      `}
+    >
+      <span
+        css={`
+          margin-right: ${2 * GU}px;
+        `}
+      >
+        Before the deadline:
+      </span>
+      {DEADLINE_THRESHOLDS.map(({ label, value }) => (
+        <label
+          key={value}
+          css={`
+            display: flex;
+            align-items: center;
+            margin-right: ${2 * GU}px;
+            cursor: pointer;
+          `}
+        >
+          <Checkbox
+            checked={selected.includes(value)}
+            onChange={checked => onChange(value, checked)}
+          />
+          {label}
+        </label>
+      ))}
+    </div>
+  )
+}
+
+export default Notifications
@@ -0,0 +1,27 @@
+import React from 'react'
+import { GU, Switch, textStyle } from '@aragon/ui'
+
+function Setting({ label, checked, disabled, onChange }) {
+  return (
+    <label
+      css={`
+        display: flex;
+        align-items: center;
+        margin-bottom: ${2 * GU}px;
+        cursor: ${disabled ? 'default' : 'pointer'};
+      `}
+    >
+      <Switch checked={checked} disabled={disabled} onChange={onChange} />
+      <span
+        css={`
+          margin-left: ${2 * GU}px;
+          ${textStyle('body2')};
+        `}
+      >
+        {label}
+      </span>
+    </label>
+  )
+}
+
+export default Setting
@@ -0,0 +1,98 @@
+import React from 'react'
+import { DataView, Link, textStyle, useTheme } from '@aragon/ui'
+
+import { useCourtConfig } from '../../providers/CourtConfig'
+import { dateFormat } from '../../utils/date-utils'
+import { formatUnits } from '../../lib/math-utils'
+import { appealRulingToString } from '../../utils/crvoting-utils'
+
+const ENTRIES_PER_PAGE = 5
+
+// Same conditions than `shouldAppealerBeRewarded()`, from the appealer side
+function getAppealResult(appeal) {
+  const { appealedRuling, confirm, opposedRuling, round } = appeal
+  const { finalRuling } = round.dispute
+
+  if (finalRuling === 0) {
+    return 'Pending'
+  }
+  if (!opposedRuling) {
+    return 'Not confirmed'
+  }
+  if ((confirm ? opposedRuling : appealedRuling) === finalRuling) {
+    return 'Won'
+  }
+  return appealedRuling !== finalRuling && opposedRuling !== finalRuling
+    ? 'Refunded'
+    : 'Lost'
+}
+
+function JurorAppeals({ appeals }) {
+  const theme = useTheme()
+  const { feeToken } = useCourtConfig()
+
+  return (
+    <DataView
+      heading={
+        <div
+          css={`
+            color: ${theme.content};
+            ${textStyle('body1')};
+          `}
+        >
+          Appeals
+        </div>
+      }
+      entriesPerPage={ENTRIES_PER_PAGE}
+      fields={['Dispute', 'Date', 'Action', 'Ruling', 'Deposit', 'Result']}
+      entries={appeals}
+      emptyState={{
+        default: {
+          title: 'No appeals yet',
+          subtitle: 'This juror hasn’t appealed or confirmed any ruling.',
+        },
+      }}
+      renderEntry={appeal => {
+        const {
+          appealedRuling,
+          confirm,
+          createdAt,
+          deposit,
+          opposedRuling,
+          round,
+        } = appeal
+        const { dispute } = round
+        const result = getAppealResult(appeal)
+
+        return [
+          <Link href={`/disputes/${dispute.id}`} external={false}>
+            Dispute #{dispute.id} (round {round.number})
+          </Link>,
+          <span>{dateFormat(createdAt, 'onlyDate')}</span>,
+          <span>{confirm ? 'Confirmed appeal' : 'Appealed'}</span>,
+          <span>
+            {appealRulingToString(
+              confirm ? opposedRuling : appealedRuling,
+              confirm
+            )}
+          </span>,
+          <span>
+            {formatUnits(deposit, { digits: feeToken.decimals })}{' '}
+            {feeToken.symbol}
+          </span>,
+          <span
+            css={`
+              color: ${(result === 'Won' && theme.positive) ||
+                (result === 'Lost' && theme.negative) ||
+                theme.content};
+            `}
+          >
+            {result}
+          </span>,
+        ]
+      }}
+    />
+  )
+}
+
+export default JurorAppeals
@@ -0,0 +1,105 @@
+import React from 'react'
+import { DataView, Link, textStyle, useTheme } from '@aragon/ui'
+
+import { useCourtConfig } from '../../providers/CourtConfig'
+import { dateFormat } from '../../utils/date-utils'
+import { formatUnits } from '../../lib/math-utils'
+import {
+  appealOptionToString,
+  finalRulingToString,
+  isvoteLeaked,
+} from '../../utils/crvoting-utils'
+import {
+  getJurorDraftRewards,
+  hasJurorVoted,
+  isJurorCoherent,
+} from '../../utils/juror-draft-utils'
+
+const ENTRIES_PER_PAGE = 10
+
+function getVoteString(draft) {
+  if (!hasJurorVoted(draft)) {
+    return 'No vote'
+  }
+  if (isvoteLeaked(draft.outcome)) {
+    return 'Leaked'
+  }
+  return draft.outcome ? appealOptionToString(draft.outcome) : 'Not revealed'
+}
+
+function JurorDrafts({ drafts }) {
+  const theme = useTheme()
+  const { anjToken, feeToken } = useCourtConfig()
+
+  return (
+    <DataView
+      heading={
+        <div
+          css={`
+            color: ${theme.content};
+            ${textStyle('body1')};
+          `}
+        >
+          Drafts
+        </div>
+      }
+      entriesPerPage={ENTRIES_PER_PAGE}
+      fields={[
+        'Dispute',
+        'Drafted',
+        'Vote',
+        'Final ruling',
+        'Coherence',
+        'Rewards',
+      ]}
+      entries={drafts}
+      emptyState={{
+        default: {
+          title: 'No drafts yet',
+          subtitle: 'This juror hasn’t been drafted to any dispute.',
+        },
+      }}
+      renderEntry={draft => {
+        const { createdAt, round } = draft
+        const { dispute } = round
+        const ruled = dispute.finalRuling !== 0
+        const rewards = getJurorDraftRewards(draft)
+
+        return [
+          <Link href={`/disputes/${dispute.id}`} external={false}>
+            Dispute #{dispute.id} (round {round.number})
+          </Link>,
+          <span>{dateFormat(createdAt, 'onlyDate')}</span>,
+          <span>{getVoteString(draft)}</span>,
+          <span>{ruled ? finalRulingToString(dispute.finalRuling) : '-'}</span>,
+          (() => {
+            if (!ruled) {
+              return <span>Pending</span>
+            }
+            const coherent = isJurorCoherent(draft)
+            return (
+              <span
+                css={`
+                  color: ${coherent ? theme.positive : theme.negative};
+                `}
+              >
+                {coherent ? 'Coherent' : 'Incoherent'}
+              </span>
+            )
+          })(),
+          <span>
+            {rewards
+              ? `${formatUnits(rewards.anjAmount, {
+                  digits: anjToken.decimals,
+                })} ${anjToken.symbol} + ${formatUnits(rewards.feeAmount, {
+                  digits: feeToken.decimals,
+                })} ${feeToken.symbol}`
+              : '-'}
+          </span>,
+        ]
+      }}
+    />
+  )
+}
+
+export default JurorDrafts
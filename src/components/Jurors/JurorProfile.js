@@ -0,0 +1,101 @@
+import React, { useCallback } from 'react'
+import { BackButton, Bar, GU, IdentityBadge, Split } from '@aragon/ui'
+import { useHistory } from 'react-router-dom'
+import { utils as EthersUtils } from 'ethers'
+
+import ErrorLoading from '../Errors/ErrorLoading'
+import JurorAppeals from './JurorAppeals'
+import JurorDrafts from './JurorDrafts'
+import JurorRewards from './JurorRewards'
+import JurorSummary from './JurorSummary'
+import Loading from '../Disputes/Loading'
+import MessageCard from '../MessageCard'
+import TitleHeader from '../TitleHeader'
+
+import { useJurorProfileQuery } from '../../hooks/query-hooks'
+import { getNetworkType } from '../../lib/web3-utils'
+
+import noDataSvg from '../../assets/noData.svg'
+
+function JurorProfile({ match }) {
+  const history = useHistory()
+  const { address } = match.params
+
+  const handleBack = useCallback(() => {
+    history.goBack()
+  }, [history])
+
+  return (
+    <React.Fragment>
+      <TitleHeader title="Jurors" />
+      <Bar
+        primary={<BackButton onClick={handleBack} />}
+        secondary={
+          EthersUtils.isHexString(address, 20) && (
+            <IdentityBadge entity={address} networkType={getNetworkType()} />
+          )
+        }
+      />
+      {EthersUtils.isHexString(address, 20) ? (
+        <JurorProfileContent address={address} />
+      ) : (
+        <NoJuror paragraph={`“${address}” is not a valid Ethereum address.`} />
+      )}
+    </React.Fragment>
+  )
+}
+
+function JurorProfileContent({ address }) {
+  const { profile, fetching, error } = useJurorProfileQuery(address)
+
+  if (error) {
+    return <ErrorLoading subject="juror" errors={[error.message]} />
+  }
+
+  if (fetching) {
+    return <Loading />
+  }
+
+  if (!profile.juror) {
+    return (
+      <NoJuror paragraph="This account has never activated ANJ on this court." />
+    )
+  }
+
+  const { appeals, drafts, juror } = profile
+
+  return (
+    <Split
+      primary={
+        <div
+          css={`
+            & > * {
+              margin-bottom: ${2 * GU}px;
+            }
+          `}
+        >
+          <JurorDrafts drafts={drafts} />
+          <JurorAppeals appeals={appeals} />
+        </div>
+      }
+      secondary={
+        <React.Fragment>
+          <JurorSummary juror={juror} drafts={drafts} />
+          <JurorRewards rewards={juror.rewards} slashes={juror.slashes} />
+        </React.Fragment>
+      }
+    />
+  )
+}
+
+function NoJuror({ paragraph }) {
+  return (
+    <MessageCard
+      title="Juror not found"
+      paragraph={paragraph}
+      icon={noDataSvg}
+    />
+  )
+}
+
+export default JurorProfile
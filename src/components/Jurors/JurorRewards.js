@@ -0,0 +1,79 @@
+import React, { useMemo } from 'react'
+import { Box, GU, textStyle, useTheme } from '@aragon/ui'
+
+import { useCourtConfig } from '../../providers/CourtConfig'
+import { dateFormat } from '../../utils/date-utils'
+import { formatTokenAmount } from '../../lib/math-utils'
+import { ANJMovement, convertToString } from '../../types/anj-types'
+
+// ANJ rewarded to or slashed from the juror, most recent first
+function JurorRewards({ rewards, slashes }) {
+  const theme = useTheme()
+  const { anjToken } = useCourtConfig()
+
+  const movements = useMemo(
+    () =>
+      [
+        ...rewards.map(reward => ({ ...reward, type: ANJMovement.Reward })),
+        ...slashes.map(slash => ({ ...slash, type: ANJMovement.Slash })),
+      ].sort((a, b) => b.createdAt - a.createdAt),
+    [rewards, slashes]
+  )
+
+  return (
+    <Box heading="Rewards and slashes" padding={3 * GU}>
+      {movements.length === 0 ? (
+        <span
+          css={`
+            ${textStyle('body2')};
+            color: ${theme.surfaceContentSecondary};
+          `}
+        >
+          No ANJ rewarded or slashed yet.
+        </span>
+      ) : (
+        movements.map(({ amount, createdAt, id, type }) => {
+          const isIncoming = type === ANJMovement.Reward
+
+          return (
+            <div
+              key={id}
+              css={`
+                display: flex;
+                justify-content: space-between;
+                margin-bottom: ${1.5 * GU}px;
+                ${textStyle('body2')};
+
+                &:last-child {
+                  margin-bottom: 0;
+                }
+              `}
+            >
+              <span>
+                {convertToString(type)}
+                <span
+                  css={`
+                    margin-left: ${1 * GU}px;
+                    color: ${theme.surfaceContentSecondary};
+                  `}
+                >
+                  {dateFormat(createdAt, 'onlyDate')}
+                </span>
+              </span>
+              <span
+                css={`
+                  color: ${isIncoming ? theme.positive : theme.negative};
+                `}
+              >
+                {formatTokenAmount(amount, isIncoming, anjToken.decimals, true)}{' '}
+                {anjToken.symbol}
+              </span>
+            </div>
+          )
+        })
+      )}
+    </Box>
+  )
+}
+
+export default JurorRewards
@@ -0,0 +1,86 @@
+import React, { useMemo } from 'react'
+import { Box, GU, textStyle, useTheme } from '@aragon/ui'
+
+import { useCourtConfig } from '../../providers/CourtConfig'
+import { bigNum, formatUnits } from '../../lib/math-utils'
+import { getJurorParticipation } from '../../utils/juror-draft-utils'
+
+function sumAmounts(movements) {
+  return movements.reduce((total, { amount }) => total.add(amount), bigNum(0))
+}
+
+function JurorSummary({ juror, drafts }) {
+  const { anjToken, feeToken } = useCourtConfig()
+
+  const stats = useMemo(() => {
+    const {
+      coherenceRate,
+      feeRewards,
+      leakedVotes,
+      missedVotes,
+    } = getJurorParticipation(drafts)
+
+    const formatAnj = amount =>
+      `${formatUnits(amount, { digits: anjToken.decimals })} ${anjToken.symbol}`
+
+    return [
+      { label: 'Active', value: formatAnj(juror.activeBalance) },
+      { label: 'Locked', value: formatAnj(juror.lockedBalance) },
+      { label: 'Inactive', value: formatAnj(juror.inactiveBalance) },
+      { label: 'Deactivating', value: formatAnj(juror.deactivationBalance) },
+      {
+        label: 'Coherence',
+        value:
+          coherenceRate === null ? '-' : `${Math.round(coherenceRate * 100)}%`,
+      },
+      { label: 'Missed votes', value: missedVotes },
+      { label: 'Leaked votes', value: leakedVotes },
+      { label: 'Rewards earned', value: formatAnj(sumAmounts(juror.rewards)) },
+      {
+        label: 'Fees earned',
+        value: `${formatUnits(feeRewards, { digits: feeToken.decimals })} ${
+          feeToken.symbol
+        }`,
+      },
+      { label: 'Slashed', value: formatAnj(sumAmounts(juror.slashes)) },
+    ]
+  }, [anjToken, drafts, feeToken, juror])
+
+  return (
+    <Box heading="Juror" padding={3 * GU}>
+      {stats.map(({ label, value }) => (
+        <Stat key={label} label={label} value={value} />
+      ))}
+    </Box>
+  )
+}
+
+function Stat({ label, value }) {
+  const theme = useTheme()
+
+  return (
+    <div
+      css={`
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: ${1.5 * GU}px;
+        ${textStyle('body2')};
+
+        &:last-child {
+          margin-bottom: 0;
+        }
+      `}
+    >
+      <span
+        css={`
+          color: ${theme.surfaceContentSecondary};
+        `}
+      >
+        {label}
+      </span>
+      <span>{value}</span>
+    </div>
+  )
+}
+
+export default JurorSummary
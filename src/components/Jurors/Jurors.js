@@ -0,0 +1,29 @@
+import React from 'react'
+
+import ErrorLoading from '../Errors/ErrorLoading'
+import JurorsTable from './JurorsTable'
+import Loading from '../Disputes/Loading'
+import TitleHeader from '../TitleHeader'
+
+import { useActiveJurorsParticipationQuery } from '../../hooks/query-hooks'
+
+function Jurors() {
+  const { jurors, fetching, error } = useActiveJurorsParticipationQuery()
+
+  return (
+    <React.Fragment>
+      <TitleHeader title="Jurors" />
+      {(() => {
+        if (error) {
+          return <ErrorLoading subject="jurors" errors={[error.message]} />
+        }
+        if (fetching) {
+          return <Loading />
+        }
+        return <JurorsTable jurors={jurors} />
+      })()}
+    </React.Fragment>
+  )
+}
+
+export default Jurors
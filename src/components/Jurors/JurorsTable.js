@@ -0,0 +1,170 @@
+import React, { useCallback, useMemo, useState } from 'react'
+import {
+  ButtonBase,
+  DataView,
+  GU,
+  IconDown,
+  IconUp,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+
+import LocalIdentityBadge from '../LocalIdentityBadge/LocalIdentityBadge'
+import { useCourtConfig } from '../../providers/CourtConfig'
+import { formatUnits } from '../../lib/math-utils'
+
+const ENTRIES_PER_PAGE = 20
+
+const SORT_DESC = -1
+const SORT_ASC = 1
+
+function compareAmounts(a, b) {
+  if (a.eq(b)) {
+    return 0
+  }
+  return a.lt(b) ? -1 : 1
+}
+
+function compareNumbers(a, b) {
+  // Jurors without ruled drafts have no coherence rate
+  return (a === null ? -1 : a) - (b === null ? -1 : b)
+}
+
+const COLUMNS = [
+  { key: 'activeBalance', label: 'Active ANJ', compare: compareAmounts },
+  { key: 'drafts', label: 'Drafts', compare: compareNumbers },
+  { key: 'coherenceRate', label: 'Coherence', compare: compareNumbers },
+  { key: 'missedVotes', label: 'Missed votes', compare: compareNumbers },
+  { key: 'leakedVotes', label: 'Leaked votes', compare: compareNumbers },
+  // Rewarded in different tokens, so they get their own columns
+  { key: 'feeRewards', label: 'Fee rewards', compare: compareAmounts },
+  { key: 'anjRewards', label: 'ANJ rewards', compare: compareAmounts },
+]
+
+function JurorsTable({ jurors }) {
+  const theme = useTheme()
+  const { anjToken, feeToken } = useCourtConfig()
+  const [sort, setSort] = useState({
+    column: COLUMNS[0],
+    direction: SORT_DESC,
+  })
+  const [page, setPage] = useState(0)
+
+  const handleSort = useCallback(column => {
+    setSort(sort => ({
+      column,
+      direction:
+        sort.column === column && sort.direction === SORT_DESC
+          ? SORT_ASC
+          : SORT_DESC,
+    }))
+    setPage(0)
+  }, [])
+
+  const sortedJurors = useMemo(() => {
+    const { column, direction } = sort
+    return [...jurors].sort(
+      (a, b) => column.compare(a[column.key], b[column.key]) * direction
+    )
+  }, [jurors, sort])
+
+  return (
+    <DataView
+      heading={
+        <div
+          css={`
+            color: ${theme.content};
+            ${textStyle('body1')};
+          `}
+        >
+          Active jurors
+        </div>
+      }
+      fields={[
+        'Juror',
+        ...COLUMNS.map(column => ({
+          label: (
+            <SortHeader
+              column={column}
+              direction={sort.column === column ? sort.direction : null}
+              onSort={handleSort}
+            />
+          ),
+        })),
+      ]}
+      entries={sortedJurors}
+      entriesPerPage={ENTRIES_PER_PAGE}
+      page={page}
+      onPageChange={setPage}
+      emptyState={{
+        default: {
+          title: 'No active jurors',
+          subtitle: 'No juror has activated ANJ on this court yet.',
+        },
+      }}
+      renderEntry={({
+        activeBalance,
+        anjRewards,
+        coherenceRate,
+        drafts,
+        feeRewards,
+        id,
+        leakedVotes,
+        missedVotes,
+      }) => [
+        <LocalIdentityBadge entity={id} />,
+        <span>
+          {formatUnits(activeBalance, { digits: anjToken.decimals })}{' '}
+          {anjToken.symbol}
+        </span>,
+        <span>{drafts}</span>,
+        <span>
+          {coherenceRate === null ? '-' : `${Math.round(coherenceRate * 100)}%`}
+        </span>,
+        <span>{missedVotes}</span>,
+        <span>{leakedVotes}</span>,
+        <span>
+          {formatUnits(feeRewards, { digits: feeToken.decimals })}{' '}
+          {feeToken.symbol}
+        </span>,
+        <span>
+          {formatUnits(anjRewards, { digits: anjToken.decimals })}{' '}
+          {anjToken.symbol}
+        </span>,
+      ]}
+    />
+  )
+}
+
+function SortHeader({ column, direction, onSort }) {
+  const theme = useTheme()
+  const Icon = direction === SORT_ASC ? IconUp : IconDown
+
+  const handleClick = useCallback(() => {
+    onSort(column)
+  }, [column, onSort])
+
+  return (
+    <ButtonBase
+      onClick={handleClick}
+      css={`
+        display: inline-flex;
+        align-items: center;
+        color: ${direction ? theme.content : 'inherit'};
+        text-transform: inherit;
+        font: inherit;
+      `}
+    >
+      {column.label}
+      <Icon
+        size="tiny"
+        css={`
+          margin-left: ${0.5 * GU}px;
+          opacity: ${direction ? 1 : 0};
+        `}
+      />
+    </ButtonBase>
+  )
+}
+
+export default JurorsTable
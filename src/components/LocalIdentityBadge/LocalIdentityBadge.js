@@ -1,10 +1,27 @@
-import React from 'react'
+import React, { useMemo } from 'react'
 import { IdentityBadge } from '@aragon/ui'
+import { useHistory } from 'react-router-dom'
 import { getNetworkType } from '../../lib/web3-utils'
 
 function LocalIdentityBadge({ entity, ...props }) {
+  const history = useHistory()
+
+  // Every badge links to the public profile of the juror
+  const popoverAction = useMemo(
+    () => ({
+      label: 'View juror profile',
+      onClick: () => history.push(`/jurors/${entity}`),
+    }),
+    [entity, history]
+  )
+
   return (
-    <IdentityBadge entity={entity} networkType={getNetworkType()} {...props} />
+    <IdentityBadge
+      entity={entity}
+      networkType={getNetworkType()}
+      popoverAction={popoverAction}
+      {...props}
+    />
   )
 }
 
@@ -5,14 +5,30 @@ import remark from 'remark'
 import remark2react from 'remark-react'
 import { Link, GU, textStyle, useTheme } from '@aragon/ui'
 
-const Markdown = React.memo(({ text }) => {
+// Rewrite the URLs of the links, images and link definitions, the ones that
+// can’t be resolved being removed
+export function rewriteUrls(resolveUrl) {
+  const visit = node => {
+    if (typeof node.url === 'string') {
+      node.url = resolveUrl(node.url) || ''
+    }
+    ;(node.children || []).forEach(visit)
+  }
+  return () => visit
+}
+
+const Markdown = React.memo(({ text, resolveUrl }) => {
   const theme = useTheme()
 
+  const processor = resolveUrl
+    ? remark().use(rewriteUrls(resolveUrl))
+    : remark()
+
   return (
     <Wrapper theme={theme}>
       {
         /* eslint-disable react/prop-types */
-        remark()
+        processor
           .use(remark2react, {
             remarkReactComponents: {
               a: ({ children, ...props }) => {
@@ -33,6 +49,7 @@ const Markdown = React.memo(({ text }) => {
 
 Markdown.propTypes = {
   text: PropTypes.string,
+  resolveUrl: PropTypes.func,
 }
 
 Markdown.defaultProps = {
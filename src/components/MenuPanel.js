@@ -8,6 +8,8 @@ import HeaderLogo from './Header/HeaderLogo'
 import dashboardMenuIcon from '../assets/dashboardMenuIcon.svg'
 import tasksMenuIcon from '../assets/tasksMenuIcon.svg'
 import disputesMenuIcon from '../assets/disputesMenuIcon.svg'
+import jurorsMenuIcon from '../assets/jurorsMenuIcon.svg'
+import statsMenuIcon from '../assets/statsMenuIcon.svg'
 import { lerp } from '../lib/math-utils'
 
 export const MENU_PANEL_SHADOW_WIDTH = 3
@@ -72,6 +74,18 @@ function MenuPanel({ showHeaderLogo, onOpenPage }) {
           label="Disputes"
           onActivate={onOpenPage}
         />
+        <MenuItem
+          to="/jurors"
+          icon={jurorsMenuIcon}
+          label="Jurors"
+          onActivate={onOpenPage}
+        />
+        <MenuItem
+          to="/stats"
+          icon={statsMenuIcon}
+          label="Stats"
+          onActivate={onOpenPage}
+        />
       </div>
     </nav>
   )
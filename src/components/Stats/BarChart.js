@@ -0,0 +1,102 @@
+import React from 'react'
+import { GU, textStyle, useTheme } from '@aragon/ui'
+
+const WIDTH = 600
+const HEIGHT = 160
+const BAR_GAP = 0.2
+
+// Vertical bars for each point, grouped when there are several `bars` per point
+function BarChart({ points, bars, formatValue = String }) {
+  const theme = useTheme()
+
+  const maxValue = Math.max(
+    ...points.map(point => Math.max(...bars.map(({ key }) => point[key]))),
+    0
+  )
+  const slotWidth = WIDTH / Math.max(points.length, 1)
+  const barWidth = (slotWidth * (1 - BAR_GAP)) / bars.length
+
+  return (
+    <div>
+      <ChartScale max={formatValue(maxValue)} />
+      <svg
+        width="100%"
+        height={HEIGHT}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        css={`
+          display: block;
+          border-bottom: 1px solid ${theme.border};
+        `}
+      >
+        {points.map((point, pointIndex) =>
+          bars.map(({ color, key, label }, barIndex) => {
+            const height = maxValue ? (point[key] / maxValue) * HEIGHT : 0
+            return (
+              <rect
+                key={`${point.label}-${key}`}
+                x={
+                  pointIndex * slotWidth +
+                  (slotWidth * BAR_GAP) / 2 +
+                  barIndex * barWidth
+                }
+                y={HEIGHT - height}
+                width={barWidth}
+                height={height}
+                fill={color || theme.accent}
+              >
+                <title>
+                  {point.label}
+                  {label ? ` · ${label}` : ''}: {formatValue(point[key])}
+                </title>
+              </rect>
+            )
+          })
+        )}
+      </svg>
+      <ChartLabels points={points} />
+    </div>
+  )
+}
+
+export function ChartScale({ max }) {
+  const theme = useTheme()
+
+  return (
+    <div
+      css={`
+        margin-bottom: ${0.5 * GU}px;
+        ${textStyle('body4')};
+        color: ${theme.surfaceContentSecondary};
+      `}
+    >
+      {max}
+    </div>
+  )
+}
+
+// First and last labels of the series
+export function ChartLabels({ points }) {
+  const theme = useTheme()
+
+  if (points.length === 0) {
+    return null
+  }
+
+  return (
+    <div
+      css={`
+        display: flex;
+        justify-content: space-between;
+        margin-top: ${0.5 * GU}px;
+        ${textStyle('body4')};
+        color: ${theme.surfaceContentSecondary};
+      `}
+    >
+      <span>{points[0].label}</span>
+      {points.length > 1 && <span>{points[points.length - 1].label}</span>}
+    </div>
+  )
+}
+
+export default BarChart
@@ -0,0 +1,85 @@
+import React from 'react'
+import { Box, GU, LoadingRing, textStyle, useTheme } from '@aragon/ui'
+
+const CONTENT_HEIGHT = 24 * GU
+
+function ChartBox({ title, legend, series, children }) {
+  const theme = useTheme()
+  const { data, error } = series
+
+  return (
+    <Box heading={title} padding={3 * GU}>
+      {(() => {
+        if (error || !data || data.length === 0) {
+          return (
+            <div
+              css={`
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                height: ${CONTENT_HEIGHT}px;
+                ${textStyle('body2')};
+                color: ${theme.surfaceContentSecondary};
+              `}
+            >
+              {(() => {
+                if (error) {
+                  return 'We couldn’t load this data.'
+                }
+                if (!data) {
+                  return <LoadingRing />
+                }
+                return 'No data for this period.'
+              })()}
+            </div>
+          )
+        }
+        return (
+          <React.Fragment>
+            {children(data)}
+            {legend && <ChartLegend items={legend} />}
+          </React.Fragment>
+        )
+      })()}
+    </Box>
+  )
+}
+
+function ChartLegend({ items }) {
+  const theme = useTheme()
+
+  return (
+    <div
+      css={`
+        display: flex;
+        margin-top: ${1.5 * GU}px;
+        ${textStyle('body3')};
+        color: ${theme.surfaceContentSecondary};
+      `}
+    >
+      {items.map(({ color, label }) => (
+        <span
+          key={label}
+          css={`
+            display: flex;
+            align-items: center;
+            margin-right: ${2 * GU}px;
+          `}
+        >
+          <span
+            css={`
+              width: ${1 * GU}px;
+              height: ${1 * GU}px;
+              margin-right: ${0.75 * GU}px;
+              border-radius: 50%;
+              background: ${color};
+            `}
+          />
+          {label}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+export default ChartBox
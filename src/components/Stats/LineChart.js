@@ -0,0 +1,55 @@
+import React from 'react'
+import { useTheme } from '@aragon/ui'
+import { ChartLabels, ChartScale } from './BarChart'
+
+const WIDTH = 600
+const HEIGHT = 160
+const STROKE_WIDTH = 2
+
+function LineChart({ points, formatValue = String }) {
+  const theme = useTheme()
+
+  const maxValue = Math.max(...points.map(({ value }) => value), 0)
+  const step = WIDTH / Math.max(points.length - 1, 1)
+
+  const coordinates = points.map(({ value }, index) => [
+    index * step,
+    HEIGHT -
+      STROKE_WIDTH -
+      (maxValue ? value / maxValue : 0) * (HEIGHT - 2 * STROKE_WIDTH),
+  ])
+  const lastPoint = points[points.length - 1]
+
+  return (
+    <div>
+      <ChartScale max={formatValue(maxValue)} />
+      <svg
+        width="100%"
+        height={HEIGHT}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        css={`
+          display: block;
+          border-bottom: 1px solid ${theme.border};
+        `}
+      >
+        <polyline
+          points={coordinates.map(coordinate => coordinate.join(',')).join(' ')}
+          fill="none"
+          stroke={theme.accent}
+          strokeWidth={STROKE_WIDTH}
+          vectorEffect="non-scaling-stroke"
+        >
+          {lastPoint && (
+            <title>
+              {lastPoint.label}: {formatValue(lastPoint.value)}
+            </title>
+          )}
+        </polyline>
+      </svg>
+      <ChartLabels points={points} />
+    </div>
+  )
+}
+
+export default LineChart
@@ -0,0 +1,123 @@
+import React, { useMemo, useState } from 'react'
+import { Bar, DropDown, GU, useLayout, useTheme } from '@aragon/ui'
+
+import BarChart from './BarChart'
+import ChartBox from './ChartBox'
+import LineChart from './LineChart'
+import TitleHeader from '../TitleHeader'
+
+import useCourtHistory from '../../hooks/useCourtHistory'
+import { useCourtConfig } from '../../providers/CourtConfig'
+import { HISTORY_RANGES } from '../../utils/court-history-utils'
+
+const RANGE_LABELS = HISTORY_RANGES.map(({ label }) => label)
+
+function formatAmount(value) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+}
+
+function formatRate(value) {
+  return `${Math.round(value * 100)}%`
+}
+
+function Stats() {
+  const theme = useTheme()
+  const { layoutName } = useLayout()
+  const { anjToken, feeToken } = useCourtConfig()
+  const [selectedRange, setSelectedRange] = useState(0)
+
+  const { activeBalance, disputes, fees, subscriptionFees } = useCourtHistory(
+    HISTORY_RANGES[selectedRange]
+  )
+
+  const disputesBars = useMemo(
+    () => [
+      { key: 'created', label: 'Created', color: theme.accent },
+      { key: 'ruled', label: 'Ruled', color: theme.positive },
+    ],
+    [theme]
+  )
+
+  const formatAnj = value => `${formatAmount(value)} ${anjToken.symbol}`
+  const formatFees = value => `${formatAmount(value)} ${feeToken.symbol}`
+
+  return (
+    <React.Fragment>
+      <TitleHeader title="Stats" />
+      <Bar
+        primary={
+          <DropDown
+            header="Time range"
+            items={RANGE_LABELS}
+            selected={selectedRange}
+            onChange={setSelectedRange}
+          />
+        }
+      />
+      <div
+        css={`
+          display: grid;
+          grid-gap: ${2 * GU}px;
+          grid-template-columns: ${layoutName === 'large' ? '1fr 1fr' : '1fr'};
+          margin-bottom: ${2 * GU}px;
+
+          & > * {
+            margin: 0;
+          }
+        `}
+      >
+        <ChartBox title="Active ANJ" series={activeBalance}>
+          {points => <LineChart points={points} formatValue={formatAnj} />}
+        </ChartBox>
+        <ChartBox
+          title="Disputes created and ruled"
+          series={disputes}
+          legend={disputesBars}
+        >
+          {points => <BarChart points={points} bars={disputesBars} />}
+        </ChartBox>
+        <ChartBox title="Average rounds per dispute" series={disputes}>
+          {points => (
+            <BarChart
+              points={points}
+              bars={[{ key: 'averageRounds' }]}
+              formatValue={formatAmount}
+            />
+          )}
+        </ChartBox>
+        <ChartBox title="Appeal rate" series={disputes}>
+          {points => (
+            <BarChart
+              points={points}
+              bars={[{ key: 'appealRate' }]}
+              formatValue={formatRate}
+            />
+          )}
+        </ChartBox>
+        <ChartBox title="Fees" series={fees}>
+          {points => (
+            <BarChart
+              points={points}
+              bars={[{ key: 'value' }]}
+              formatValue={formatFees}
+            />
+          )}
+        </ChartBox>
+        <ChartBox
+          title="Subscription fees per period"
+          series={subscriptionFees}
+        >
+          {points => (
+            <BarChart
+              points={points}
+              bars={[{ key: 'value' }]}
+              formatValue={formatFees}
+            />
+          )}
+        </ChartBox>
+      </div>
+    </React.Fragment>
+  )
+}
+
+export default Stats
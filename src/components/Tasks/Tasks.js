@@ -1,5 +1,5 @@
-import React, { useState } from 'react'
-import { GU, Tabs, Tag } from '@aragon/ui'
+import React, { useCallback } from 'react'
+import { GU, Tabs, Tag, useToast } from '@aragon/ui'
 
 import NoTasks from './NoTasks'
 import NoMyTasks from './NoMyTasks'
@@ -8,12 +8,22 @@ import TasksLoading from '../Loading'
 import TitleHeader from '../TitleHeader'
 import ErrorLoading from '../Errors/ErrorLoading'
 import { useWallet } from '../../providers/Wallet'
+import useBatchReveal from '../../hooks/useBatchReveal'
 import useFilteredTasks from '../../hooks/useFilteredTasks'
+import useUrlFilters, { optionParam } from '../../hooks/useUrlFilters'
+import { downloadCalendar } from '../../utils/calendar-utils'
+
+const TAB_PARAMS = { tab: optionParam(['mine', 'all']) }
 
 const Tasks = React.memo(({ onlyTable }) => {
   const wallet = useWallet()
 
-  const [screenIndex, setScreenIndex] = useState(0)
+  // The filters are only kept in the URL on the tasks screen
+  const {
+    filters: { tab: screenIndex },
+    updateFilters,
+  } = useUrlFilters(TAB_PARAMS, !onlyTable)
+  const toast = useToast()
 
   const getMyTasksSelected = () => {
     if (onlyTable) {
@@ -32,7 +42,8 @@ const Tasks = React.memo(({ onlyTable }) => {
     fetching: tasksFetching,
     error: errorLoading,
     filtersSelected,
-    setFiltersSelected,
+    filtersSearch,
+    setFiltersSearch,
     emptyFilterResults,
     handleClearFilters,
     selectedDateRange,
@@ -41,13 +52,55 @@ const Tasks = React.memo(({ onlyTable }) => {
     handleSelectedPhaseChange,
     openTasksNumber,
     jurorOpenTaskNumber,
+    jurorRevealTasks,
+    jurorDeadlines,
     taskActionsString,
-  } = useFilteredTasks(myTasksSelected, wallet.account)
+  } = useFilteredTasks(myTasksSelected, wallet.account, !onlyTable)
+
+  const { revealAll, revealableCount, revealing } = useBatchReveal(
+    jurorRevealTasks,
+    wallet.account
+  )
+
+  // The reveals are followed from the activity panel, where they can be
+  // retried
+  const handleRevealAll = useCallback(async () => {
+    let result
+    try {
+      result = await revealAll()
+    } catch (err) {
+      console.error('Error unlocking the commit code vault: ', err)
+      toast('Your commit code vault couldn’t be unlocked')
+      return
+    }
+
+    const { sentCount, failedCount, missingCodeCount } = result
+    if (sentCount > 0) {
+      toast(
+        `${sentCount} reveal${
+          sentCount === 1 ? '' : 's'
+        } sent, see the activity panel`
+      )
+    }
+    if (failedCount > 0) {
+      toast(`${failedCount} reveal${failedCount === 1 ? '' : 's'} not sent`)
+    }
+    if (missingCodeCount > 0) {
+      toast(
+        `${missingCodeCount} vote${
+          missingCodeCount === 1 ? '' : 's'
+        } without one-time-use code`
+      )
+    }
+  }, [revealAll, toast])
+
+  const handleExportCalendar = useCallback(() => {
+    downloadCalendar(jurorDeadlines, 'Aragon Court tasks', 'court-tasks')
+  }, [jurorDeadlines])
 
   const handleTabChange = screenIndex => {
-    setFiltersSelected(false)
     handleClearFilters()
-    setScreenIndex(screenIndex)
+    updateFilters({ tab: screenIndex }, { replace: true })
   }
 
   return (
@@ -106,7 +159,19 @@ const Tasks = React.memo(({ onlyTable }) => {
             phaseFilter={selectedPhase}
             onPhaseChange={handleSelectedPhaseChange}
             phaseTypes={taskActionsString}
+            filtersSearch={filtersSearch}
+            onSelectPreset={setFiltersSearch}
             onlyTable={onlyTable}
+            onRevealAll={
+              !onlyTable && myTasksSelected && revealableCount > 0 && !revealing
+                ? handleRevealAll
+                : null
+            }
+            onExportCalendar={
+              !onlyTable && myTasksSelected && jurorDeadlines.length > 0
+                ? handleExportCalendar
+                : null
+            }
           />
         )
       })()}
@@ -1,5 +1,6 @@
 import React from 'react'
 import { DropDown, DateRangePicker, GU } from '@aragon/ui'
+import FilterPresets from '../FilterPresets'
 
 const TasksFilters = ({
   dateRangeFilter,
@@ -7,6 +8,8 @@ const TasksFilters = ({
   phaseFilter,
   onPhaseChange,
   phaseTypes,
+  filtersSearch,
+  onSelectPreset,
 }) => {
   return (
     <div
@@ -14,7 +17,7 @@ const TasksFilters = ({
         margin-bottom: ${1 * GU}px;
         display: grid;
         grid-gap: ${1.5 * GU}px;
-        grid-template-columns: 170px auto;
+        grid-template-columns: 170px auto 1fr;
       `}
     >
       <DropDown
@@ -29,6 +32,17 @@ const TasksFilters = ({
         endDate={dateRangeFilter.end}
         onChange={onDateRangeChange}
       />
+      <div
+        css={`
+          justify-self: end;
+        `}
+      >
+        <FilterPresets
+          screen="tasks"
+          filtersSearch={filtersSearch}
+          onSelectPreset={onSelectPreset}
+        />
+      </div>
     </div>
   )
 }
@@ -1,7 +1,9 @@
 import React from 'react'
 import {
+  Button,
   DataView,
   GU,
+  IconCalendar,
   Link,
   textStyle,
   useTheme,
@@ -24,7 +26,11 @@ const TaskTable = React.memo(function TaskTable({
   phaseFilter,
   onPhaseChange,
   phaseTypes,
+  filtersSearch,
+  onSelectPreset,
   onlyTable,
+  onRevealAll,
+  onExportCalendar,
 }) {
   const theme = useTheme()
   const { below } = useViewport()
@@ -51,6 +57,28 @@ const TaskTable = React.memo(function TaskTable({
             >
               Upcoming tasks
             </div>
+            <div>
+              {onExportCalendar && (
+                <Button
+                  size="small"
+                  icon={<IconCalendar />}
+                  label="Export to calendar"
+                  onClick={onExportCalendar}
+                />
+              )}
+              {onRevealAll && (
+                <Button
+                  mode="strong"
+                  size="small"
+                  onClick={onRevealAll}
+                  css={`
+                    margin-left: ${1 * GU}px;
+                  `}
+                >
+                  Reveal all
+                </Button>
+              )}
+            </div>
           </div>
           {!compactMode && !onlyTable && (
             <React.Fragment>
@@ -60,6 +88,8 @@ const TaskTable = React.memo(function TaskTable({
                 phaseFilter={phaseFilter}
                 onPhaseChange={onPhaseChange}
                 phaseTypes={phaseTypes}
+                filtersSearch={filtersSearch}
+                onSelectPreset={onSelectPreset}
               />
             </React.Fragment>
           )}
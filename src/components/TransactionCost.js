@@ -0,0 +1,49 @@
+import React from 'react'
+import { GU, textStyle, useTheme } from '@aragon/ui'
+import { utils as EthersUtils } from 'ethers'
+
+const MIN_DISPLAYED_COST = 0.00001
+
+function formatCost(cost, upperBound) {
+  const eth = parseFloat(EthersUtils.formatEther(cost))
+  return eth < MIN_DISPLAYED_COST
+    ? `<${MIN_DISPLAYED_COST}`
+    : `${upperBound ? 'up to ' : '~'}${Number(eth.toFixed(5))}`
+}
+
+// Estimated cost in ETH of the transactions of a form. With `upperBound`, the
+// cost is a maximum, e.g. when some of the transactions can’t be simulated.
+function TransactionCost({
+  cost,
+  estimating,
+  multiple = false,
+  upperBound = false,
+  ...props
+}) {
+  const theme = useTheme()
+
+  return (
+    <div
+      css={`
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: ${2 * GU}px;
+        ${textStyle('body3')};
+        color: ${theme.surfaceContentSecondary};
+      `}
+      {...props}
+    >
+      <span>Estimated transaction fee{multiple ? 's' : ''}</span>
+      <span>
+        {(() => {
+          if (estimating) {
+            return 'Estimating…'
+          }
+          return cost ? `${formatCost(cost, upperBound)} ETH` : 'Unavailable'
+        })()}
+      </span>
+    </div>
+  )
+}
+
+export default TransactionCost
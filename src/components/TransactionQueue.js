@@ -0,0 +1,161 @@
+import React from 'react'
+import {
+  Button,
+  GU,
+  IconCheck,
+  IconCross,
+  Info,
+  Link,
+  LoadingRing,
+  blockExplorerUrl,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import Stepper from './Stepper'
+import Step from './Step'
+import { getNetworkType } from '../lib/web3-utils'
+import { QueueStepStatus } from '../types/transaction-queue-types'
+
+const POINT_SIZE = 3 * GU
+
+function getStepStatusData({ error, status }, theme) {
+  switch (status) {
+    case QueueStepStatus.Signing:
+      return ['Waiting for signature', theme.surfaceContentSecondary]
+    case QueueStepStatus.Pending:
+      return ['Transaction pending', theme.surfaceContentSecondary]
+    case QueueStepStatus.Confirmed:
+      return ['Transaction confirmed', theme.positive]
+    case QueueStepStatus.Failed:
+      return [error || 'Transaction failed', theme.negative]
+    default:
+      return ['Waiting', theme.surfaceContentSecondary]
+  }
+}
+
+function StepPoint({ index, status }) {
+  const theme = useTheme()
+
+  let content = index + 1
+  let color = theme.surfaceContentSecondary
+  if (status === QueueStepStatus.Confirmed) {
+    content = <IconCheck size="small" />
+    color = theme.positive
+  } else if (status === QueueStepStatus.Failed) {
+    content = <IconCross size="small" />
+    color = theme.negative
+  } else if (
+    status === QueueStepStatus.Signing ||
+    status === QueueStepStatus.Pending
+  ) {
+    content = <LoadingRing />
+    color = theme.accent
+  }
+
+  return (
+    <div
+      css={`
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: ${POINT_SIZE}px;
+        height: ${POINT_SIZE}px;
+        border: 1px solid ${color};
+        border-radius: 50%;
+        background: ${theme.surface};
+        color: ${color};
+        ${textStyle('body3')};
+      `}
+    >
+      {content}
+    </div>
+  )
+}
+
+// Steps of a transaction queue (see useTransactionQueue()), with the option
+// to resume or abort it once interrupted.
+function TransactionQueue({ interrupted, queue, onAbort, onResume, ...props }) {
+  const theme = useTheme()
+
+  const confirmedCount = queue.steps.filter(
+    ({ status }) => status === QueueStepStatus.Confirmed
+  ).length
+
+  return (
+    <div {...props}>
+      <Stepper
+        lineColor={theme.border}
+        lineTop={POINT_SIZE / 2}
+        css={`
+          margin-bottom: ${2 * GU}px;
+        `}
+      >
+        {queue.steps.map((step, index) => {
+          const [statusLabel, statusColor] = getStepStatusData(step, theme)
+
+          return (
+            <Step
+              key={index}
+              active={false}
+              displayPoint
+              stepPoint={<StepPoint index={index} status={step.status} />}
+              content={
+                <div>
+                  <div>{step.label}</div>
+                  <div
+                    css={`
+                      ${textStyle('body3')};
+                      color: ${statusColor};
+                    `}
+                  >
+                    {statusLabel}
+                    {step.transactionHash && (
+                      <>
+                        {' · '}
+                        <Link
+                          href={blockExplorerUrl(
+                            'transaction',
+                            step.transactionHash,
+                            { networkType: getNetworkType() }
+                          )}
+                        >
+                          View
+                        </Link>
+                      </>
+                    )}
+                  </div>
+                </div>
+              }
+            />
+          )
+        })}
+      </Stepper>
+      {interrupted && (
+        <>
+          <Info
+            mode="warning"
+            css={`
+              margin-bottom: ${2 * GU}px;
+            `}
+          >
+            This sequence was interrupted after {confirmedCount} of{' '}
+            {queue.steps.length} transactions. You can resume it from where it
+            stopped, or abort the remaining transactions.
+          </Info>
+          <div
+            css={`
+              display: grid;
+              grid-template-columns: 1fr 1fr;
+              grid-gap: ${1 * GU}px;
+            `}
+          >
+            <Button label="Abort" onClick={onAbort} wide />
+            <Button label="Resume" mode="strong" onClick={onResume} wide />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default TransactionQueue
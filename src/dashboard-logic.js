@@ -69,6 +69,7 @@ export function useDashboardLogic() {
   const {
     activateANJ,
     deactivateANJ,
+    estimateGas: estimateANJGas,
     stakeActivateANJ,
     withdrawANJ,
   } = useANJActions()
@@ -87,8 +88,16 @@ export function useDashboardLogic() {
   const [mode, setMode] = usePanelRequestMode(panelState.requestOpen)
   const requests = usePanelRequestActions(setMode)
 
-  const { claimFees: claimSubscriptionFees } = useCourtSubscriptionActions()
-  const { settleReward, settleAppealDeposit, withdraw } = useRewardActions()
+  const {
+    claimFees: claimSubscriptionFees,
+    estimateGas: estimateSubscriptionGas,
+  } = useCourtSubscriptionActions()
+  const {
+    estimateGas: estimateRewardGas,
+    settleReward,
+    settleAppealDeposit,
+    withdraw,
+  } = useRewardActions()
   const actions = {
     activateANJ:
       mode === REQUEST_MODE.STAKE_ACTIVATE ? stakeActivateANJ : activateANJ,
@@ -100,11 +109,26 @@ export function useDashboardLogic() {
     withdraw,
   }
 
+  // Gas limit estimates of the same actions
+  const estimateGas = {
+    activateANJ:
+      mode === REQUEST_MODE.STAKE_ACTIVATE
+        ? estimateANJGas.stakeActivateANJ
+        : estimateANJGas.activateANJ,
+    claimSubscriptionFees: estimateSubscriptionGas.claimFees,
+    deactivateANJ: estimateANJGas.deactivateANJ,
+    withdrawANJ: estimateANJGas.withdrawANJ,
+    settleReward: estimateRewardGas.settleReward,
+    settleAppealDeposit: estimateRewardGas.settleAppealDeposit,
+    withdraw: estimateRewardGas.withdraw,
+  }
+
   return {
     actions,
     anjBalances,
     appealCollaterals,
     errorsFetching,
+    estimateGas,
     fetchingData,
     mode,
     panelState,
@@ -58,7 +58,9 @@ export function useDisputeLogic(disputeId) {
   )
   const requests = usePanelRequestActions(setRequestMode)
 
-  const [dispute, disputeFetching, error] = useDispute(disputeId)
+  const [dispute, disputeFetching, error, disputeCachedAt] = useDispute(
+    disputeId
+  )
 
   const actions = useDisputeActions()
 
@@ -66,6 +68,7 @@ export function useDisputeLogic(disputeId) {
     actions,
     error,
     dispute,
+    disputeCachedAt,
     disputeFetching,
     requestMode,
     panelState,
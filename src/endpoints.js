@@ -16,6 +16,16 @@ export const IPFS_ENDPOINT = isLocalOrUnknownNetwork(CHAIN_ID)
   ? 'http://127.0.0.1:8080/ipfs'
   : 'https://ipfs.eth.aragon.network/ipfs'
 
+// Gateways raced along with the main one (see lib/ipfs-client.js)
+export const IPFS_FALLBACK_ENDPOINTS = isLocalOrUnknownNetwork(CHAIN_ID)
+  ? []
+  : ['https://ipfs.io/ipfs', 'https://cloudflare-ipfs.com/ipfs']
+
+// HTTP API of an IPFS node, used to pin content (e.g. evidence)
+export const IPFS_API_ENDPOINT = isLocalOrUnknownNetwork(CHAIN_ID)
+  ? 'http://127.0.0.1:5001/api/v0'
+  : 'https://ipfs.infura.io:5001/api/v0'
+
 const GRAPH_API_PATH = '/subgraphs/name/aragon/aragon-court'
 
 function getAPIBase() {
@@ -34,6 +34,20 @@ const ENV_VARS = {
   IPFS_GATEWAY() {
     return process.env.REACT_APP_IPFS_GATEWAY || ''
   },
+  IPFS_FALLBACK_GATEWAYS() {
+    return process.env.REACT_APP_IPFS_FALLBACK_GATEWAYS || ''
+  },
+  IPFS_API() {
+    return process.env.REACT_APP_IPFS_API || ''
+  },
+  REVEAL_SERVICE_URL() {
+    const url = process.env.REACT_APP_REVEAL_SERVICE_URL || ''
+    return url.trim().replace(/\/+$/, '')
+  },
+  NOTIFICATIONS_API_URL() {
+    const url = process.env.REACT_APP_NOTIFICATIONS_API_URL || ''
+    return url.trim().replace(/\/+$/, '')
+  },
 }
 
 export default function env(name) {
@@ -21,6 +21,14 @@ export class DisputeNotFound extends Error {
   }
 }
 
+export class TransactionWouldFail extends Error {
+  name = 'TransactionWouldFail'
+  constructor(message = 'This transaction would fail.', reason = null) {
+    super(message)
+    this.reason = reason
+  }
+}
+
 export const InvalidNetworkType = extendError('InvalidNetworkType', {
   defaultMessage: 'The network type is invalid',
 })
@@ -30,3 +38,35 @@ export const InvalidURI = extendError('InvalidURI', {
 export const NoConnection = extendError('NoConnection', {
   defaultMessage: 'There is no connection',
 })
+export const InvalidVaultFile = extendError('InvalidVaultFile', {
+  defaultMessage: 'The file is not a valid commit code vault',
+})
+export const RevealServiceError = extendError('RevealServiceError', {
+  defaultMessage: 'The auto-reveal service couldn’t process the request',
+})
+export const IpfsContentMismatch = extendError('IpfsContentMismatch', {
+  defaultMessage: 'The content doesn’t match its CID',
+})
+export const IpfsContentUnverifiable = extendError('IpfsContentUnverifiable', {
+  defaultMessage: 'The content can’t be checked against its CID',
+})
+export const IpfsFetchError = extendError('IpfsFetchError', {
+  defaultMessage: 'The content couldn’t be fetched from IPFS',
+})
+export const IpfsUploadError = extendError('IpfsUploadError', {
+  defaultMessage: 'The files couldn’t be uploaded to IPFS',
+})
+export const NotificationsApiError = extendError('NotificationsApiError', {
+  defaultMessage: 'The notifications service couldn’t process the request',
+})
+export const NotificationsSessionExpired = extendError(
+  'NotificationsSessionExpired',
+  { defaultMessage: 'The notifications session has expired' }
+)
+export const TransactionAlreadyMined = extendError('TransactionAlreadyMined', {
+  defaultMessage: 'A transaction with the same nonce has already been mined',
+})
+export const TransactionFailed = extendError('TransactionFailed', {
+  defaultMessage:
+    'The transaction didn’t go through. Please check it in the activity panel.',
+})
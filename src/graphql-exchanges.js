@@ -1,7 +1,19 @@
 import { fetchExchange, subscriptionExchange } from 'urql'
+import {
+  filter,
+  fromPromise,
+  fromValue,
+  map,
+  merge,
+  mergeMap,
+  pipe,
+  share,
+  tap,
+} from 'wonka'
 import { SubscriptionClient } from 'subscriptions-transport-ws'
 import { captureMessage } from '@sentry/browser'
 import endpoints from './endpoints'
+import { getPersistedResult, persistResult } from './lib/graphql-cache'
 
 const GRAPH_API_ENDPOINTS = endpoints()
 const subscriptionClient = new SubscriptionClient(GRAPH_API_ENDPOINTS[1], {
@@ -15,6 +27,105 @@ const DEFAULT_SUBSCRIPTION_EXCHANGE = subscriptionExchange({
   forwardSubscription: operation => subscriptionClient.request(operation),
 })
 
+// Operations whose last result is persisted (see `persistedExchange()`)
+const PERSISTED_OPERATIONS = [
+  'AllDisputes',
+  'CourtConfig',
+  'DisputesPage',
+  'SingleDispute',
+]
+
+function isPersistedOperation({ query }) {
+  const definition = query.definitions.find(
+    ({ kind }) => kind === 'OperationDefinition'
+  )
+  return PERSISTED_OPERATIONS.includes(definition?.name?.value)
+}
+
+// The key of an operation depends on its query and variables only
+function getPersistedKey({ context, key }) {
+  return `${context.url}:${key}`
+}
+
+function getStaleResult(operation, { data, cachedAt }) {
+  return { operation, data, stale: true, extensions: { cachedAt } }
+}
+
+/**
+ * Persists the last result of the dispute operations in IndexedDB. The
+ * subscriptions get their persisted result right away, marked as stale until
+ * the subgraph answers, and the operations fall back to it when the subgraph
+ * can’t be reached. The time the result was persisted at is set as
+ * `extensions.cachedAt` on the stale results.
+ * @param {Object} exchangeInput Exchange input, as passed by urql
+ * @returns {Function} Exchange
+ */
+function persistedExchange({ forward }) {
+  return ops$ => {
+    const sharedOps$ = share(ops$)
+
+    // Operations already answered by the subgraph
+    const answeredKeys = new Set()
+
+    const persistedResults$ = pipe(
+      sharedOps$,
+      filter(
+        operation =>
+          operation.operationName === 'subscription' &&
+          isPersistedOperation(operation)
+      ),
+      mergeMap(operation =>
+        pipe(
+          fromPromise(getPersistedResult(getPersistedKey(operation))),
+          filter(
+            persisted => persisted !== null && !answeredKeys.has(operation.key)
+          ),
+          map(persisted => getStaleResult(operation, persisted))
+        )
+      )
+    )
+
+    const forwardedResults$ = pipe(
+      sharedOps$,
+      tap(operation => {
+        if (operation.operationName === 'teardown') {
+          answeredKeys.delete(operation.key)
+        }
+      }),
+      forward,
+      mergeMap(result => {
+        const { operation } = result
+        if (!isPersistedOperation(operation)) {
+          return fromValue(result)
+        }
+
+        if (result.data && !result.error) {
+          answeredKeys.add(operation.key)
+          persistResult(getPersistedKey(operation), result.data)
+          return fromValue(result)
+        }
+
+        if (result.data) {
+          return fromValue(result)
+        }
+
+        return pipe(
+          fromPromise(getPersistedResult(getPersistedKey(operation))),
+          map(persisted =>
+            persisted ? getStaleResult(operation, persisted) : result
+          )
+        )
+      })
+    )
+
+    return merge([persistedResults$, forwardedResults$])
+  }
+}
+
+export function getPersistedExchange() {
+  return persistedExchange
+}
+
 export function getFetchExchange() {
   return DEFAULT_FETCH_EXCHANGE
 }
@@ -1,8 +1,33 @@
+import { useMemo } from 'react'
 import { useQuery } from 'urql'
+import usePaginatedQuery from './usePaginatedQuery'
 
 import { JurorFirstANJActivationMovement } from '../queries/balances'
-import { ActiveJurors, JurorFeesClaimed } from '../queries/juror'
-import { JurorDrafts } from '../queries/jurorDrafts'
+import {
+  ActiveJurors,
+  ActiveJurorsParticipation,
+  JurorFeesClaimed,
+  JurorProfile,
+} from '../queries/juror'
+import { JurorDrafts, JurorProfileDrafts } from '../queries/jurorDrafts'
+import { ArbitrableDisputes, JurorDisputes } from '../queries/disputes'
+
+import { bigNum } from '../lib/math-utils'
+import { useCourtConfig } from '../providers/CourtConfig'
+import { transformArbitrableDispute } from '../utils/arbitrable-utils'
+import { transformDisputeDataAttributes } from '../utils/dispute-utils'
+import {
+  getJurorParticipation,
+  transformJurorDataAttributes,
+} from '../utils/juror-draft-utils'
+
+const NO_AMOUNT = bigNum(0)
+
+// Jurors come with all their drafts, which makes the pages heavy
+const JURORS_PARTICIPATION_PAGE_SIZE = 100
+
+// Drafts come with their whole dispute
+const JUROR_DISPUTES_PAGE_SIZE = 100
 
 export function useJurorDraftQuery(jurorId) {
   const [result] = useQuery({
@@ -53,9 +78,169 @@ export function useFirstANJActivationQuery(jurorId, { pause = false }) {
 }
 
 export function useActiveJurorsNumber() {
-  const [{ data, error }] = useQuery({
-    query: ActiveJurors,
+  const { data, error } = usePaginatedQuery(ActiveJurors, 'jurors')
+
+  return [data ? data.length : null, error]
+}
+
+function transformMovement(movement) {
+  return {
+    ...movement,
+    amount: bigNum(movement.amount),
+    createdAt: parseInt(movement.createdAt, 10) * 1000,
+  }
+}
+
+function transformProfileAppeal(appeal, confirm) {
+  const {
+    appealDeposit,
+    appealedRuling,
+    confirmAppealDeposit,
+    createdAt,
+    opposedRuling,
+    round,
+  } = appeal
+
+  return {
+    ...appeal,
+    appealedRuling: parseInt(appealedRuling, 10),
+    confirm,
+    createdAt: parseInt(createdAt, 10) * 1000,
+    deposit: bigNum(confirm ? confirmAppealDeposit : appealDeposit),
+    opposedRuling: parseInt(opposedRuling, 10),
+    round: { ...round, number: parseInt(round.number, 10) },
+  }
+}
+
+/**
+ * Queries everything shown on the public profile of the juror by id `jurorId`
+ * @param {String} jurorId Address of the juror
+ * @returns {Object} Juror balances, drafts, ANJ rewards and slashes, and appeals made or confirmed
+ * (`juror` is null if the address has never been a juror)
+ */
+export function useJurorProfileQuery(jurorId) {
+  const id = jurorId.toLowerCase()
+
+  const [profileResult] = useQuery({
+    query: JurorProfile,
+    variables: { id, account: id },
+  })
+  const [draftsResult] = useQuery({
+    query: JurorProfileDrafts,
+    variables: { id },
+  })
+
+  const profileData = profileResult.data
+  const draftsData = draftsResult.data
+
+  const profile = useMemo(() => {
+    if (!profileData || !draftsData) {
+      return null
+    }
+
+    const { juror, made, confirmed } = profileData
+
+    return {
+      juror: juror && {
+        activeBalance: bigNum(juror.activeBalance || NO_AMOUNT),
+        deactivationBalance: bigNum(juror.deactivationBalance || NO_AMOUNT),
+        inactiveBalance: bigNum(juror.availableBalance || NO_AMOUNT),
+        lockedBalance: bigNum(juror.lockedBalance || NO_AMOUNT),
+        rewards: juror.rewards.map(transformMovement),
+        slashes: juror.slashes.map(transformMovement),
+      },
+      drafts: (draftsData.juror?.drafts || []).map(draft => ({
+        ...transformJurorDataAttributes(draft),
+        createdAt: parseInt(draft.createdAt, 10) * 1000,
+      })),
+      appeals: [
+        ...made.map(appeal => transformProfileAppeal(appeal, false)),
+        ...confirmed.map(appeal => transformProfileAppeal(appeal, true)),
+      ].sort((a, b) => b.createdAt - a.createdAt),
+    }
+  }, [draftsData, profileData])
+
+  const error = profileResult.error || draftsResult.error
+
+  return { profile, fetching: !profile && !error, error }
+}
+
+/**
+ * Queries all the active jurors along with their participation in the court
+ * @returns {Object} Active jurors, with their active balance, participation (see `getJurorParticipation()`) and ANJ rewards
+ */
+export function useActiveJurorsParticipationQuery() {
+  const { data, error } = usePaginatedQuery(
+    ActiveJurorsParticipation,
+    'jurors',
+    { pageSize: JURORS_PARTICIPATION_PAGE_SIZE }
+  )
+
+  const jurors = useMemo(
+    () =>
+      data &&
+      data.map(({ activeBalance, drafts, id, rewards }) => ({
+        id,
+        activeBalance: bigNum(activeBalance),
+        anjRewards: rewards.reduce(
+          (total, { amount }) => total.add(amount),
+          bigNum(0)
+        ),
+        ...getJurorParticipation(drafts.map(transformJurorDataAttributes)),
+      })),
+    [data]
+  )
+
+  return { jurors, fetching: !jurors && !error, error }
+}
+
+/**
+ * Queries all the disputes raised by the arbitrable `subject`
+ * @param {String} subject Address of the arbitrable
+ * @returns {Object} Disputes raised by the arbitrable (see `transformArbitrableDispute()`), most recent first
+ */
+export function useArbitrableDisputesQuery(subject) {
+  const courtConfig = useCourtConfig()
+  const { data, error } = usePaginatedQuery(ArbitrableDisputes, 'disputes', {
+    variables: { subject: subject.toLowerCase() },
   })
 
-  return [data?.jurors?.length, error]
+  const disputes = useMemo(
+    () =>
+      data &&
+      data
+        .map(dispute => transformArbitrableDispute(dispute, courtConfig))
+        .sort((a, b) => b.createdAt - a.createdAt),
+    [courtConfig, data]
+  )
+
+  return { disputes, fetching: !disputes && !error, error }
+}
+
+/**
+ * Queries all the disputes the juror `jurorId` has been drafted in
+ * @param {String} jurorId Address of the juror
+ * @returns {Object} Disputes of the juror (see `transformDisputeDataAttributes()`), most recent first
+ */
+export function useJurorDisputesQuery(jurorId) {
+  const { data, error } = usePaginatedQuery(JurorDisputes, 'jurorDrafts', {
+    pageSize: JUROR_DISPUTES_PAGE_SIZE,
+    variables: { juror: jurorId ? jurorId.toLowerCase() : '' },
+  })
+
+  const disputes = useMemo(() => {
+    if (!data) {
+      return null
+    }
+
+    // A juror can be drafted in several rounds of a dispute
+    const disputesById = new Map(
+      data.map(({ round }) => [round.dispute.id, round.dispute])
+    )
+    return [...disputesById.values()]
+      .map(transformDisputeDataAttributes)
+      .sort((a, b) => b.createdAt - a.createdAt)
+  }, [data])
+
+  return { disputes, fetching: !disputes && !error, error }
 }
@@ -1,5 +1,5 @@
-import { useMemo } from 'react'
-import { useSubscription } from 'urql'
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { useClient, useSubscription } from 'urql'
 import { useCourtConfig } from '../providers/CourtConfig'
 
 // queries
@@ -9,7 +9,7 @@ import {
   FeeMovements,
   JurorsRegistryModule,
 } from '../queries/court'
-import { AllDisputes, SingleDispute } from '../queries/disputes'
+import { AllDisputes, DisputesPage, SingleDispute } from '../queries/disputes'
 import { AppealsByMaker, AppealsByTaker } from '../queries/appeals'
 import {
   JurorANJBalances,
@@ -36,6 +36,17 @@ import { CourtModuleType } from '../types/court-module-types'
 
 const NO_AMOUNT = bigNum(0)
 
+// Max number of entities returned by the subgraph for a list. Only limits the
+// disputes created since the first page got loaded.
+const MAX_DISPUTES = 1000
+// Used as the cursor of the first page of disputes
+const NO_CURSOR = { before: String(Number.MAX_SAFE_INTEGER), loadedIds: [] }
+
+// Time a stale result was persisted at (see `getPersistedExchange()`)
+function getCachedAt(stale, extensions) {
+  return stale ? extensions?.cachedAt || null : null
+}
+
 // Subscription to get juror's wallet balance
 function useANJBalance(jurorId) {
   const [{ data, error }] = useSubscription({
@@ -178,10 +189,10 @@ export function useCourtConfigSubscription(courtAddress) {
 /**
  * Subscribes to the dispute with id == `id`
  * @param {String} id Id of the dispute
- * @returns {Object} Dispute by `id`
+ * @returns {Object} Dispute by `id`, along with `cachedAt` if it is a persisted result not updated yet
  */
 export function useSingleDisputeSubscription(id) {
-  const [{ data, error }] = useSubscription({
+  const [{ data, error, extensions, stale }] = useSubscription({
     query: SingleDispute,
     variables: { id },
   })
@@ -194,31 +205,123 @@ export function useSingleDisputeSubscription(id) {
     [data]
   )
 
-  return { dispute, fetching: !data && !error, error }
+  return {
+    dispute,
+    fetching: !data && !error,
+    error,
+    cachedAt: getCachedAt(stale, extensions),
+  }
 }
 
 /**
- * Subscribes to all existing disputes on the court
- * @returns {Object} All disputes
+ * Subscribes to the most recent disputes of the court, the older ones being
+ * loaded page by page. The subscription only covers the disputes created since
+ * the oldest dispute of the first page: the older pages are fetched once.
+ * @param {Number} pageSize Number of disputes to load by page
+ * @returns {Object} Loaded disputes, along with `loadMore()` and `cachedAt` if they are a persisted result not updated yet
  */
-export function useDisputesSubscription() {
+export function useDisputesSubscription(pageSize) {
   const courtConfig = useCourtConfig()
+  const client = useClient()
+
+  // Oldest dispute of the first page, along with its creation time (in
+  // seconds)
+  const [headCursor, setHeadCursor] = useState(null)
+  const [olderDisputes, setOlderDisputes] = useState([])
+  // Creation time (in seconds) the next page starts from, along with the ids of
+  // the disputes created at that time and already loaded
+  const [cursor, setCursor] = useState(NO_CURSOR)
+  const [hasMore, setHasMore] = useState(false)
+  const [fetchingPage, setFetchingPage] = useState(false)
+  const [pageError, setPageError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setFetchingPage(true)
+
+    client
+      .query(DisputesPage, { ...cursor, first: pageSize })
+      .toPromise()
+      .then(({ data, error }) => {
+        if (cancelled) {
+          return
+        }
+        if (error) {
+          setPageError(error)
+          return
+        }
+
+        const { disputes } = data
+        if (cursor === NO_CURSOR) {
+          // No disputes yet, only subscribe to the new ones
+          setHeadCursor(
+            disputes.length > 0
+              ? disputes[disputes.length - 1]
+              : { id: null, createdAt: '0' }
+          )
+        } else {
+          setOlderDisputes(olderDisputes => [...olderDisputes, ...disputes])
+        }
+        setHasMore(disputes.length === pageSize)
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setFetchingPage(false)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [client, cursor, pageSize])
 
-  const [{ data, error }] = useSubscription({
+  const [{ data, error, extensions, stale }] = useSubscription({
     query: AllDisputes,
+    variables: { first: MAX_DISPUTES, since: headCursor?.createdAt },
+    pause: !headCursor,
   })
 
   const disputes = useMemo(
     () =>
       data?.disputes
-        ? data.disputes.map(dispute =>
+        ? [...data.disputes, ...olderDisputes].map(dispute =>
             transformDisputeDataAttributes(dispute, courtConfig)
           )
         : null,
-    [courtConfig, data]
+    [courtConfig, data, olderDisputes]
   )
 
-  return { disputes, fetching: !data && !error, error }
+  const loadingMore = fetchingPage && cursor !== NO_CURSOR
+
+  const loadMore = useCallback(() => {
+    const oldestDispute =
+      olderDisputes.length > 0
+        ? olderDisputes[olderDisputes.length - 1]
+        : headCursor
+    if (!oldestDispute || fetchingPage || !hasMore) {
+      return
+    }
+
+    // Several disputes can share the creation time of the oldest one, without
+    // all of them fitting in the loaded pages
+    const { createdAt } = oldestDispute
+    setCursor({
+      before: createdAt,
+      loadedIds: [...(data?.disputes || []), ...olderDisputes]
+        .filter(dispute => dispute.createdAt === createdAt)
+        .map(({ id }) => id),
+    })
+  }, [data, fetchingPage, hasMore, headCursor, olderDisputes])
+
+  return {
+    disputes,
+    fetching: !data && !error && !pageError,
+    error: error || pageError,
+    hasMore,
+    loadingMore,
+    loadMore,
+    cachedAt: getCachedAt(stale, extensions),
+  }
 }
 
 /**
@@ -0,0 +1,294 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useQuery } from 'urql'
+import { useCourtConfig } from '../providers/CourtConfig'
+import { useWallet } from '../providers/Wallet'
+import { AppealsByAccount } from '../queries/appeals'
+import { JurorFirstMovement } from '../queries/juror'
+import { CourtModuleType } from '../types/court-module-types'
+import { getModuleAddress } from '../utils/court-utils'
+import {
+  fetchHistoryEntries,
+  findBlockBefore,
+  toHistoryActivity,
+} from '../utils/activity-history-utils'
+
+// Minimum number of entries loaded at once
+const PAGE_SIZE = 10
+
+// Blocks covered by each request of the court events (about a week on mainnet)
+const HISTORY_BLOCK_RANGE = 40000
+
+const INITIAL_HISTORY = { entries: [], cursor: null, startBlock: null }
+
+const HISTORY_MODULES = [
+  CourtModuleType.DisputeManager,
+  CourtModuleType.JurorsRegistry,
+  CourtModuleType.Subscriptions,
+  CourtModuleType.Treasury,
+  CourtModuleType.Voting,
+]
+
+function useAccountAppeals(account) {
+  const [{ data, fetching }] = useQuery({
+    query: AppealsByAccount,
+    variables: { account: account?.toLowerCase() },
+    pause: !account,
+  })
+
+  const appeals = useMemo(() => {
+    if (!data) {
+      return []
+    }
+    return [
+      ...data.made.map(({ appealedRuling, createdAt, round }) => ({
+        confirm: false,
+        time: Number(createdAt),
+        disputeId: round.dispute.id,
+        roundId: String(round.number),
+        ruling: appealedRuling,
+      })),
+      ...data.confirmed.map(({ confirmedAt, opposedRuling, round }) => ({
+        confirm: true,
+        time: Number(confirmedAt),
+        disputeId: round.dispute.id,
+        roundId: String(round.number),
+        ruling: opposedRuling,
+      })),
+    ]
+  }, [data])
+
+  return [appeals, fetching]
+}
+
+// Time (in seconds) of the first court transaction of the account, or null if
+// it never interacted with the court
+function useHistoryStartTime(account, appeals, fetchingAppeals) {
+  const [{ data, fetching }] = useQuery({
+    query: JurorFirstMovement,
+    variables: { id: account?.toLowerCase() },
+    pause: !account,
+  })
+
+  const startTime = useMemo(() => {
+    const times = [
+      ...(data?.juror?.anjMovements || []).map(({ createdAt }) =>
+        Number(createdAt)
+      ),
+      ...appeals.map(({ time }) => time),
+    ]
+    return times.length > 0 ? Math.min(...times) : null
+  }, [appeals, data])
+
+  return [startTime, fetching || fetchingAppeals]
+}
+
+/**
+ * Past transactions of the connected account, rebuilt from the court events
+ * so that they don’t depend on what this browser tracked. The events are
+ * fetched by ranges of blocks, from the latest one back to the first court
+ * transaction of the account.
+ * @returns {Object} Activities of the loaded pages, along with `loadMore()`
+ */
+export default function useActivityHistory() {
+  const { account, ethers } = useWallet()
+  const { anjToken, feeToken, modules } = useCourtConfig() || {}
+  const [appeals, fetchingAppeals] = useAccountAppeals(account)
+  const [startTime, fetchingStartTime] = useHistoryStartTime(
+    account,
+    appeals,
+    fetchingAppeals
+  )
+
+  // `cursor` is the last block left to fetch, down to `startBlock`
+  const [history, setHistory] = useState(INITIAL_HISTORY)
+  const [fetchingEntries, setFetchingEntries] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Only the latest request updates the history
+  const requestId = useRef(0)
+
+  // Block timestamps are only fetched for the loaded pages
+  const [timestamps, setTimestamps] = useState({})
+  const requestedBlocks = useRef(new Set())
+
+  // The court config gets a new identity on every update of its subscription,
+  // while the history only depends on the addresses of its modules and tokens
+  const modulesKey = modules
+    ? HISTORY_MODULES.map(
+        moduleType => getModuleAddress(modules, moduleType) || ''
+      ).join(',')
+    : ''
+  const anjTokenId = anjToken?.id
+  const feeTokenId = feeToken?.id
+
+  const addresses = useMemo(() => {
+    const moduleAddresses = modulesKey.split(',')
+    return new Map(
+      HISTORY_MODULES.map((moduleType, index) => [
+        moduleType,
+        moduleAddresses[index] || null,
+      ])
+    )
+  }, [modulesKey])
+
+  const tokens = useMemo(
+    () => (anjToken && feeToken ? { anjToken, feeToken } : null),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [anjTokenId, feeTokenId]
+  )
+
+  const fetchPage = useCallback(
+    async ({ cursor, startBlock }) => {
+      const entries = []
+      while (entries.length < PAGE_SIZE && cursor >= startBlock) {
+        const fromBlock = Math.max(startBlock, cursor - HISTORY_BLOCK_RANGE + 1)
+        entries.push(
+          ...(await fetchHistoryEntries(ethers, {
+            account,
+            addresses,
+            appeals,
+            fromBlock,
+            toBlock: cursor,
+            tokens,
+          }))
+        )
+        cursor = fromBlock - 1
+      }
+      return { entries, cursor }
+    },
+    [account, addresses, appeals, ethers, tokens]
+  )
+
+  const loadHistory = useCallback(getHistory => {
+    const id = ++requestId.current
+    setFetchingEntries(true)
+
+    getHistory()
+      .then(getUpdatedHistory => {
+        if (id === requestId.current) {
+          setHistory(getUpdatedHistory)
+        }
+      })
+      .catch(err => {
+        console.error('Error fetching the activity history: ', err)
+        if (id === requestId.current) {
+          setError(err)
+        }
+      })
+      .finally(() => {
+        if (id === requestId.current) {
+          setFetchingEntries(false)
+        }
+      })
+  }, [])
+
+  useEffect(() => {
+    // Ignore the requests of the previous account
+    requestId.current++
+    setHistory(INITIAL_HISTORY)
+    setFetchingEntries(false)
+    setError(null)
+
+    if (!account || !ethers || !tokens || fetchingStartTime) {
+      return
+    }
+
+    if (startTime === null) {
+      setHistory({ entries: [], cursor: -1, startBlock: 0 })
+      return
+    }
+
+    loadHistory(async () => {
+      const [startBlock, latestBlock] = await Promise.all([
+        findBlockBefore(ethers, startTime),
+        ethers.getBlockNumber(),
+      ])
+      const { entries, cursor } = await fetchPage({
+        cursor: latestBlock,
+        startBlock,
+      })
+      return () => ({ entries, cursor, startBlock })
+    })
+  }, [
+    account,
+    ethers,
+    fetchPage,
+    fetchingStartTime,
+    loadHistory,
+    startTime,
+    tokens,
+  ])
+
+  const { entries, cursor, startBlock } = history
+  const hasMore = startBlock !== null && cursor >= startBlock
+
+  useEffect(() => {
+    const blockNumbers = [
+      ...new Set(entries.map(({ blockNumber }) => blockNumber)),
+    ].filter(blockNumber => !requestedBlocks.current.has(blockNumber))
+
+    if (!ethers || blockNumbers.length === 0) {
+      return
+    }
+
+    blockNumbers.forEach(blockNumber =>
+      requestedBlocks.current.add(blockNumber)
+    )
+
+    Promise.all(blockNumbers.map(blockNumber => ethers.getBlock(blockNumber)))
+      .then(blocks => {
+        setTimestamps(timestamps =>
+          blocks.reduce(
+            (timestamps, block, index) => ({
+              ...timestamps,
+              [blockNumbers[index]]: block.timestamp * 1000,
+            }),
+            timestamps
+          )
+        )
+      })
+      .catch(err => {
+        console.error('Error fetching the activity history blocks: ', err)
+        setError(err)
+        blockNumbers.forEach(blockNumber =>
+          requestedBlocks.current.delete(blockNumber)
+        )
+      })
+  }, [entries, ethers])
+
+  const activities = useMemo(
+    () =>
+      entries
+        .filter(({ blockNumber }) => timestamps[blockNumber] !== undefined)
+        .map(entry =>
+          toHistoryActivity(entry, account, timestamps[entry.blockNumber])
+        ),
+    [account, entries, timestamps]
+  )
+
+  const loadMore = useCallback(() => {
+    if (fetchingEntries || !hasMore) {
+      return
+    }
+
+    loadHistory(async () => {
+      const page = await fetchPage({ cursor, startBlock })
+      return history => ({
+        ...history,
+        entries: [...history.entries, ...page.entries],
+        cursor: page.cursor,
+      })
+    })
+  }, [cursor, fetchPage, fetchingEntries, hasMore, loadHistory, startBlock])
+
+  return {
+    activities,
+    error,
+    hasMore,
+    loadMore,
+    loading:
+      fetchingStartTime ||
+      fetchingEntries ||
+      activities.length < entries.length,
+  }
+}
@@ -0,0 +1,125 @@
+import { useCallback, useMemo, useState } from 'react'
+import { useDisputeActions } from './useCourtContracts'
+import { useActivity } from '../components/Activity/ActivityProvider'
+import { useCommitVault } from '../providers/CommitVault'
+import { getCodeForCommitment } from '../utils/commit-vault-utils'
+import { getOutcomeFromCommitment } from '../utils/crvoting-utils'
+import {
+  getCodeFromLocalStorage,
+  removeCodeFromLocalStorage,
+} from '../utils/one-time-code-utils'
+
+// The code of a reveal task, verified locally before sending anything
+function getTaskCode(task, account, vaultEntries) {
+  const localCode = getCodeFromLocalStorage(account, task.disputeId)
+  if (
+    localCode &&
+    getOutcomeFromCommitment(task.commitment, localCode) !== undefined
+  ) {
+    return localCode
+  }
+  return getCodeForCommitment(vaultEntries, task.disputeId, task.commitment)
+}
+
+/**
+ * Reveals every pending vote of `account`, one transaction after another. The
+ * reveals can be followed (and retried) from the activity panel.
+ * @param {Array} revealTasks Open `Reveal vote` tasks of the account
+ * @param {String} account Address of the juror
+ * @returns {Object} `revealAll()`, resolving to the number of reveals sent, failed and without code, along with `revealableCount` and `revealing`
+ */
+export default function useBatchReveal(revealTasks, account) {
+  const { reveal } = useDisputeActions()
+  const { waitForActivity } = useActivity()
+  const commitVault = useCommitVault()
+  const [revealing, setRevealing] = useState(false)
+
+  // Votes whose code is locked in the vault are assumed revealable
+  const revealableCount = useMemo(
+    () =>
+      commitVault.hasStoredEntries && !commitVault.unlocked
+        ? revealTasks.length
+        : revealTasks.filter(task =>
+            getTaskCode(task, account, commitVault.entries)
+          ).length,
+    [account, commitVault, revealTasks]
+  )
+
+  // Codes get removed once every reveal is mined
+  const removeRevealedCodes = useCallback(
+    async sentReveals => {
+      const revealedDisputeIds = (
+        await Promise.all(
+          sentReveals.map(({ disputeId, transactionHash }) =>
+            waitForActivity(transactionHash).then(
+              () => disputeId,
+              () => null
+            )
+          )
+        )
+      ).filter(Boolean)
+
+      revealedDisputeIds.forEach(disputeId => {
+        removeCodeFromLocalStorage(account, disputeId)
+      })
+      await commitVault.removeCodes(revealedDisputeIds)
+    },
+    [account, commitVault, waitForActivity]
+  )
+
+  const revealAll = useCallback(async () => {
+    setRevealing(true)
+    try {
+      const vaultEntries =
+        commitVault.entries ||
+        (commitVault.hasStoredEntries ? await commitVault.unlock() : null)
+
+      const sentReveals = []
+      let failedCount = 0
+      let missingCodeCount = 0
+
+      for (const task of revealTasks) {
+        const code = getTaskCode(task, account, vaultEntries)
+        if (!code) {
+          missingCodeCount++
+          continue
+        }
+
+        try {
+          const tx = await reveal(
+            task.disputeId,
+            task.number,
+            account,
+            task.commitment,
+            code
+          )
+          sentReveals.push({
+            disputeId: task.disputeId,
+            transactionHash: tx.hash,
+          })
+        } catch (err) {
+          console.error(
+            `Error revealing vote for dispute #${task.disputeId}: `,
+            err
+          )
+          failedCount++
+        }
+      }
+
+      // The next reveals get signed without waiting for the previous ones
+      removeRevealedCodes(sentReveals).catch(err => {
+        console.error('Error removing the codes of the revealed votes: ', err)
+      })
+
+      return {
+        sentCount: sentReveals.length,
+        failedCount,
+        missingCodeCount,
+      }
+    } finally {
+      setRevealing(false)
+    }
+  }, [account, commitVault, removeRevealedCodes, reveal, revealTasks])
+
+  return { revealAll, revealableCount, revealing }
+}
@@ -1,23 +1,31 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { captureException } from '@sentry/browser'
+import { utils as EthersUtils } from 'ethers'
 import { CourtModuleType } from '../types/court-module-types'
 import { useContract, useContractReadOnly } from '../web3-contracts'
 import { useCourtConfig } from '../providers/CourtConfig'
-import { getFunctionSignature } from '../lib/web3-utils'
+import { addressesEqual, getFunctionSignature } from '../lib/web3-utils'
 import { bigNum, formatUnits } from '../lib/math-utils'
 import {
   hashVote,
   getOutcomeFromCommitment,
   getVoteId,
   hashPassword,
+  isValidOutcome,
 } from '../utils/crvoting-utils'
 import { getModuleAddress } from '../utils/court-utils'
 import { retryMax } from '../utils/retry-max'
 import { useActivity } from '../components/Activity/ActivityProvider'
 import { networkAgentAddress, networkReserveAddress } from '../networks'
 import { getKnownToken } from '../utils/known-tokens'
+import {
+  getRevertReasonMessage,
+  simulateTransaction,
+} from '../utils/simulation-utils'
+import { TransactionWouldFail } from '../errors'
 
 import aragonCourtAbi from '../abi/AragonCourt.json'
+import arbitrableAbi from '../abi/Arbitrable.json'
 import courtSubscriptionsAbi from '../abi/CourtSubscriptions.json'
 import courtTreasuryAbi from '../abi/CourtTreasury.json'
 import disputeManagerAbi from '../abi/DisputeManager.json'
@@ -30,6 +38,59 @@ const ANJ_ACTIVATE_GAS_LIMIT = 500000
 const ANJ_ACTIONS_GAS_LIMIT = 325000
 const ACTIVATE_SELECTOR = getFunctionSignature('activate(uint256)')
 
+// Safety margin added to the gas estimates, in percent
+const GAS_LIMIT_MARGIN = 20
+
+function withGasMargin(gasEstimate) {
+  return gasEstimate.mul(100 + GAS_LIMIT_MARGIN).div(100)
+}
+
+/**
+ * Estimate the gas limit of a transaction, with a safety margin
+ * @param {Object} contract Ethers contract with a signer
+ * @param {String} method Name of the method, as in the contract ABI
+ * @param {Array} args Arguments of the method
+ * @param {Number} fallbackGasLimit Gas limit used if the estimation fails
+ * @returns {Promise<BigNumber>} The gas limit, null if it couldn’t be estimated and there is no fallback
+ */
+async function estimateGasLimit(contract, method, args, fallbackGasLimit) {
+  const fallback = fallbackGasLimit ? bigNum(fallbackGasLimit) : null
+  if (!contract) {
+    return fallback
+  }
+
+  try {
+    return withGasMargin(await contract.estimate[method](...args))
+  } catch (err) {
+    console.warn(`Couldn’t estimate the gas of ${method}: `, err)
+    return fallback
+  }
+}
+
+// Send a transaction using an estimated gas limit. With `simulate`, it gets
+// dry-run before asking for a signature, so nothing is sent if it would fail.
+async function sendTransaction(
+  contract,
+  method,
+  args,
+  { fallbackGasLimit, simulate = false } = {}
+) {
+  let gasLimit
+  if (simulate) {
+    const gasEstimate = await simulateTransaction(contract, method, args)
+    gasLimit = gasEstimate
+      ? withGasMargin(gasEstimate)
+      : await estimateGasLimit(contract, method, args, fallbackGasLimit)
+  } else {
+    gasLimit = await estimateGasLimit(contract, method, args, fallbackGasLimit)
+  }
+
+  // Without a gas limit, the wallet estimates it
+  return gasLimit
+    ? contract[method](...args, { gasLimit })
+    : contract[method](...args)
+}
+
 // ANJ contract
 function useANJTokenContract() {
   const { anjToken } = useCourtConfig()
@@ -78,8 +139,8 @@ export function useANJActions() {
   const activateANJ = useCallback(
     amount => {
       return addActivity(
-        jurorRegistryContract.activate(amount, {
-          gasLimit: ANJ_ACTIVATE_GAS_LIMIT,
+        sendTransaction(jurorRegistryContract, 'activate', [amount], {
+          fallbackGasLimit: ANJ_ACTIVATE_GAS_LIMIT,
         }),
         'activateAnj',
         { amount: formatUnits(amount) }
@@ -91,8 +152,8 @@ export function useANJActions() {
   const deactivateANJ = useCallback(
     amount => {
       return addActivity(
-        jurorRegistryContract.deactivate(amount, {
-          gasLimit: ANJ_ACTIONS_GAS_LIMIT,
+        sendTransaction(jurorRegistryContract, 'deactivate', [amount], {
+          fallbackGasLimit: ANJ_ACTIONS_GAS_LIMIT,
         }),
         'deactivateAnj',
         { amount: formatUnits(amount) }
@@ -105,11 +166,11 @@ export function useANJActions() {
   const stakeActivateANJ = useCallback(
     amount => {
       return addActivity(
-        anjTokenContract.approveAndCall(
-          jurorRegistryContract.address,
-          amount,
-          ACTIVATE_SELECTOR,
-          { gasLimit: ANJ_ACTIVATE_GAS_LIMIT }
+        sendTransaction(
+          anjTokenContract,
+          'approveAndCall',
+          [jurorRegistryContract.address, amount, ACTIVATE_SELECTOR],
+          { fallbackGasLimit: ANJ_ACTIVATE_GAS_LIMIT }
         ),
         'stakeActivateAnj',
         { amount: formatUnits(amount) }
@@ -121,8 +182,8 @@ export function useANJActions() {
   const withdrawANJ = useCallback(
     amount => {
       return addActivity(
-        jurorRegistryContract.unstake(amount, '0x', {
-          gasLimit: ANJ_ACTIONS_GAS_LIMIT,
+        sendTransaction(jurorRegistryContract, 'unstake', [amount, '0x'], {
+          fallbackGasLimit: ANJ_ACTIONS_GAS_LIMIT,
         }),
         'withdrawAnj',
         { amount: formatUnits(amount) }
@@ -131,7 +192,48 @@ export function useANJActions() {
     [jurorRegistryContract, addActivity]
   )
 
-  return { activateANJ, deactivateANJ, stakeActivateANJ, withdrawANJ }
+  // Gas limits of the same actions, to preview their cost
+  const estimateGas = useMemo(
+    () => ({
+      activateANJ: amount =>
+        estimateGasLimit(
+          jurorRegistryContract,
+          'activate',
+          [amount],
+          ANJ_ACTIVATE_GAS_LIMIT
+        ),
+      deactivateANJ: amount =>
+        estimateGasLimit(
+          jurorRegistryContract,
+          'deactivate',
+          [amount],
+          ANJ_ACTIONS_GAS_LIMIT
+        ),
+      stakeActivateANJ: amount =>
+        estimateGasLimit(
+          anjTokenContract,
+          'approveAndCall',
+          [jurorRegistryContract?.address, amount, ACTIVATE_SELECTOR],
+          ANJ_ACTIVATE_GAS_LIMIT
+        ),
+      withdrawANJ: amount =>
+        estimateGasLimit(
+          jurorRegistryContract,
+          'unstake',
+          [amount, '0x'],
+          ANJ_ACTIONS_GAS_LIMIT
+        ),
+    }),
+    [anjTokenContract, jurorRegistryContract]
+  )
+
+  return {
+    activateANJ,
+    deactivateANJ,
+    estimateGas,
+    stakeActivateANJ,
+    withdrawANJ,
+  }
 }
 
 /**
@@ -157,8 +259,9 @@ export function useDisputeActions() {
   const draft = useCallback(
     disputeId => {
       return addActivity(
-        disputeManagerContract.draft(disputeId, {
-          gasLimit: GAS_LIMIT,
+        sendTransaction(disputeManagerContract, 'draft', [disputeId], {
+          fallbackGasLimit: GAS_LIMIT,
+          simulate: true,
         }),
         'draftJury',
         { disputeId }
@@ -170,10 +273,21 @@ export function useDisputeActions() {
   // Commit
   const commit = useCallback(
     (disputeId, roundId, commitment, password) => {
+      if (!isValidOutcome(commitment)) {
+        return Promise.reject(
+          new TransactionWouldFail(
+            getRevertReasonMessage('CRV_INVALID_OUTCOME'),
+            'CRV_INVALID_OUTCOME'
+          )
+        )
+      }
+
       const voteId = getVoteId(disputeId, roundId)
       const hashedCommitment = hashVote(commitment, password)
       return addActivity(
-        votingContract.commit(voteId, hashedCommitment),
+        sendTransaction(votingContract, 'commit', [voteId, hashedCommitment], {
+          simulate: true,
+        }),
         'commitVote',
         { disputeId, roundId, commitment }
       )
@@ -186,8 +300,25 @@ export function useDisputeActions() {
     (disputeId, roundId, voter, commitment, salt) => {
       const voteId = getVoteId(disputeId, roundId)
       const outcome = getOutcomeFromCommitment(commitment, salt)
+
+      // The code is checked locally first: with a wrong code there is no
+      // outcome to reveal.
+      if (outcome === undefined) {
+        return Promise.reject(
+          new TransactionWouldFail(
+            getRevertReasonMessage('CRV_INVALID_COMMITMENT_SALT'),
+            'CRV_INVALID_COMMITMENT_SALT'
+          )
+        )
+      }
+
       return addActivity(
-        votingContract.reveal(voteId, voter, outcome, hashPassword(salt)),
+        sendTransaction(
+          votingContract,
+          'reveal',
+          [voteId, voter, outcome, hashPassword(salt)],
+          { simulate: true }
+        ),
         'revealVote',
         { roundId, disputeId }
       )
@@ -210,7 +341,10 @@ export function useDisputeActions() {
   const approveFeeDeposit = useCallback(
     value => {
       return addActivity(
-        feeTokenContract.approve(disputeManagerContract.address, value),
+        sendTransaction(feeTokenContract, 'approve', [
+          disputeManagerContract.address,
+          value,
+        ]),
         'approveFeeDeposit',
         { amount: formatUnits(value) }
       )
@@ -222,9 +356,12 @@ export function useDisputeActions() {
   const appeal = useCallback(
     (disputeId, roundId, ruling) => {
       return addActivity(
-        disputeManagerContract.createAppeal(disputeId, roundId, ruling, {
-          gasLimit: GAS_LIMIT,
-        }),
+        sendTransaction(
+          disputeManagerContract,
+          'createAppeal',
+          [disputeId, roundId, ruling],
+          { fallbackGasLimit: GAS_LIMIT, simulate: true }
+        ),
         'appealRuling',
         { disputeId, roundId, ruling }
       )
@@ -236,9 +373,12 @@ export function useDisputeActions() {
   const confirmAppeal = useCallback(
     (disputeId, round, ruling) => {
       return addActivity(
-        disputeManagerContract.confirmAppeal(disputeId, round, ruling, {
-          gasLimit: GAS_LIMIT,
-        }),
+        sendTransaction(
+          disputeManagerContract,
+          'confirmAppeal',
+          [disputeId, round, ruling],
+          { fallbackGasLimit: GAS_LIMIT, simulate: true }
+        ),
         'confirmAppeal',
         { disputeId, roundId: round, ruling }
       )
@@ -249,8 +389,9 @@ export function useDisputeActions() {
   const executeRuling = useCallback(
     disputeId => {
       return addActivity(
-        aragonCourtContract.executeRuling(disputeId, {
-          gasLimit: GAS_LIMIT,
+        sendTransaction(aragonCourtContract, 'executeRuling', [disputeId], {
+          fallbackGasLimit: GAS_LIMIT,
+          simulate: true,
         }),
         'executeRuling',
         { disputeId }
@@ -258,6 +399,37 @@ export function useDisputeActions() {
     },
     [aragonCourtContract, addActivity]
   )
+  // Gas limits of the actions requiring a confirmation, to preview their cost
+  const estimateGas = useMemo(
+    () => ({
+      approveFeeDeposit: value =>
+        estimateGasLimit(feeTokenContract, 'approve', [
+          disputeManagerContract?.address,
+          value,
+        ]),
+      commit: (disputeId, roundId, commitment, password) =>
+        estimateGasLimit(votingContract, 'commit', [
+          getVoteId(disputeId, roundId),
+          hashVote(commitment, password),
+        ]),
+      appeal: (disputeId, roundId, ruling) =>
+        estimateGasLimit(
+          disputeManagerContract,
+          'createAppeal',
+          [disputeId, roundId, ruling],
+          GAS_LIMIT
+        ),
+      confirmAppeal: (disputeId, round, ruling) =>
+        estimateGasLimit(
+          disputeManagerContract,
+          'confirmAppeal',
+          [disputeId, round, ruling],
+          GAS_LIMIT
+        ),
+    }),
+    [disputeManagerContract, feeTokenContract, votingContract]
+  )
+
   return {
     approveFeeDeposit,
     draft,
@@ -267,9 +439,40 @@ export function useDisputeActions() {
     appeal,
     confirmAppeal,
     executeRuling,
+    estimateGas,
   }
 }
 
+/**
+ * Interactions with the arbitrable (subject) of a dispute
+ * @param {String} arbitrableAddress Address of the arbitrable
+ * @returns {Object} all available functions around the arbitrable
+ */
+export function useArbitrableActions(arbitrableAddress) {
+  const { addActivity } = useActivity()
+  const arbitrableContract = useContract(arbitrableAddress, arbitrableAbi)
+
+  // Submit evidence, as an URI (e.g. `ipfs:<cid>`). Only the parties of the
+  // dispute are allowed to, which the simulation catches.
+  const submitEvidence = useCallback(
+    (disputeId, evidenceUri) => {
+      return addActivity(
+        sendTransaction(
+          arbitrableContract,
+          'submitEvidence',
+          [disputeId, EthersUtils.toUtf8Bytes(evidenceUri), false],
+          { fallbackGasLimit: GAS_LIMIT, simulate: true }
+        ),
+        'submitEvidence',
+        { disputeId }
+      )
+    },
+    [arbitrableContract, addActivity]
+  )
+
+  return { submitEvidence }
+}
+
 export function useHeartbeat() {
   const { addActivity } = useActivity()
   const aragonCourtContract = useCourtContract(
@@ -291,6 +494,7 @@ export function useHeartbeat() {
 
 export function useRewardActions() {
   const { addActivity } = useActivity()
+  const { feeToken } = useCourtConfig()
   const disputeManagerContract = useCourtContract(
     CourtModuleType.DisputeManager,
     disputeManagerAbi
@@ -304,9 +508,12 @@ export function useRewardActions() {
   const settleReward = useCallback(
     (disputeId, roundId, juror) => {
       return addActivity(
-        disputeManagerContract.settleReward(disputeId, roundId, juror, {
-          gasLimit: GAS_LIMIT,
-        }),
+        sendTransaction(
+          disputeManagerContract,
+          'settleReward',
+          [disputeId, roundId, juror],
+          { fallbackGasLimit: GAS_LIMIT }
+        ),
         'settleReward',
         { disputeId, roundId }
       )
@@ -317,9 +524,12 @@ export function useRewardActions() {
   const settleAppealDeposit = useCallback(
     (disputeId, roundId) => {
       return addActivity(
-        disputeManagerContract.settleAppealDeposit(disputeId, roundId, {
-          gasLimit: GAS_LIMIT,
-        }),
+        sendTransaction(
+          disputeManagerContract,
+          'settleAppealDeposit',
+          [disputeId, roundId],
+          { fallbackGasLimit: GAS_LIMIT }
+        ),
         'settleAppealDeposit',
         { roundId, disputeId }
       )
@@ -329,14 +539,48 @@ export function useRewardActions() {
 
   const withdraw = useCallback(
     (token, to, amount) => {
-      return treasuryContract.withdraw(token, to, amount, {
-        gasLimit: ANJ_ACTIONS_GAS_LIMIT,
-      })
+      return addActivity(
+        sendTransaction(treasuryContract, 'withdraw', [token, to, amount], {
+          fallbackGasLimit: ANJ_ACTIONS_GAS_LIMIT,
+        }),
+        'withdrawFees',
+        {
+          amount: formatUnits(bigNum(amount), { digits: feeToken.decimals }),
+          symbol: addressesEqual(token, feeToken.id) ? feeToken.symbol : '',
+        }
+      )
     },
-    [treasuryContract]
+    [addActivity, feeToken, treasuryContract]
   )
 
-  return { settleReward, settleAppealDeposit, withdraw }
+  const estimateGas = useMemo(
+    () => ({
+      settleReward: (disputeId, roundId, juror) =>
+        estimateGasLimit(
+          disputeManagerContract,
+          'settleReward',
+          [disputeId, roundId, juror],
+          GAS_LIMIT
+        ),
+      settleAppealDeposit: (disputeId, roundId) =>
+        estimateGasLimit(
+          disputeManagerContract,
+          'settleAppealDeposit',
+          [disputeId, roundId],
+          GAS_LIMIT
+        ),
+      withdraw: (token, to, amount) =>
+        estimateGasLimit(
+          treasuryContract,
+          'withdraw',
+          [token, to, amount],
+          ANJ_ACTIONS_GAS_LIMIT
+        ),
+    }),
+    [disputeManagerContract, treasuryContract]
+  )
+
+  return { estimateGas, settleReward, settleAppealDeposit, withdraw }
 }
 
 export function useCourtSubscriptionActions() {
@@ -349,7 +593,7 @@ export function useCourtSubscriptionActions() {
   const claimFees = useCallback(
     periodId => {
       return addActivity(
-        courtSubscriptionsContract.claimFees(periodId),
+        sendTransaction(courtSubscriptionsContract, 'claimFees', [periodId]),
         'claimSubscriptionFees',
         { periodId }
       )
@@ -369,8 +613,17 @@ export function useCourtSubscriptionActions() {
     [courtSubscriptionsContract, getJurorShare]
   )
 
+  const estimateGas = useMemo(
+    () => ({
+      claimFees: periodId =>
+        estimateGasLimit(courtSubscriptionsContract, 'claimFees', [periodId]),
+    }),
+    [courtSubscriptionsContract]
+  )
+
   return {
     claimFees,
+    estimateGas,
     getters,
   }
 }
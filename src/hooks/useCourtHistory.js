@@ -0,0 +1,67 @@
+import { useMemo } from 'react'
+import usePaginatedQuery from './usePaginatedQuery'
+import { useCourtConfig } from '../providers/CourtConfig'
+import {
+  ActiveBalanceMovements,
+  DisputesHistory,
+  FeeMovementsHistory,
+} from '../queries/stats'
+import {
+  getActiveBalanceSeries,
+  getDisputesSeries,
+  getFeesSeries,
+  getRangeStartTime,
+  getSubscriptionFeesSeries,
+} from '../utils/court-history-utils'
+
+function useSeries(result, getSeries, courtConfig, from) {
+  const { data, error } = result
+
+  return useMemo(
+    () => ({
+      data: data && getSeries(data, courtConfig, from),
+      error,
+    }),
+    [courtConfig, data, error, from, getSeries]
+  )
+}
+
+/**
+ * Historical series of the court activity, built from the subgraph data
+ * @param {Object} range Time range of the series (one of `HISTORY_RANGES`)
+ * @returns {Object} Active balance, disputes, fees and subscription fees series (`data` is null while fetching)
+ */
+export default function useCourtHistory(range) {
+  const courtConfig = useCourtConfig()
+  const from = useMemo(() => getRangeStartTime(range, courtConfig), [
+    courtConfig,
+    range,
+  ])
+
+  const activeBalance = useSeries(
+    usePaginatedQuery(ActiveBalanceMovements, 'anjmovements'),
+    getActiveBalanceSeries,
+    courtConfig,
+    from
+  )
+  const disputes = useSeries(
+    usePaginatedQuery(DisputesHistory, 'disputes'),
+    getDisputesSeries,
+    courtConfig,
+    from
+  )
+  const fees = useSeries(
+    usePaginatedQuery(FeeMovementsHistory, 'feeMovements'),
+    getFeesSeries,
+    courtConfig,
+    from
+  )
+
+  // Periods are already part of the court configuration
+  const subscriptionFees = useMemo(
+    () => ({ data: getSubscriptionFeesSeries(courtConfig, from), error: null }),
+    [courtConfig, from]
+  )
+
+  return { activeBalance, disputes, fees, subscriptionFees }
+}
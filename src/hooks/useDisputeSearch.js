@@ -0,0 +1,153 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { utils as EthersUtils } from 'ethers'
+import useEvidences from './useEvidences'
+import { fetchDisputeData } from './useDisputes'
+import SearchIndex from '../lib/search-index'
+
+const NO_EVIDENCES = []
+
+const DISPUTE_DATA_FIELDS = [
+  'description',
+  'organization',
+  'plaintiff',
+  'defendant',
+  'disputedActionText',
+  'agreementText',
+]
+
+function getDisputeAddresses(dispute) {
+  return [
+    dispute.subject?.id,
+    ...[].concat(
+      ...dispute.rounds.map(({ jurors = [] }) =>
+        jurors.map(({ juror }) => juror.id)
+      )
+    ),
+    ...(dispute.evidences || []).map(({ submitter }) => submitter),
+  ].filter(Boolean)
+}
+
+function getDisputeText(dispute, disputeData, evidences) {
+  return [
+    `#${dispute.id}`,
+    dispute.description,
+    ...(disputeData
+      ? DISPUTE_DATA_FIELDS.map(field => disputeData[field])
+      : []),
+    ...getDisputeAddresses(dispute),
+    ...evidences.map(({ metadata }) => metadata),
+  ]
+    .filter(value => typeof value === 'string')
+    .join('\n')
+}
+
+/**
+ * Full-text search across the disputes, their IPFS details and evidences.
+ * Nothing gets fetched from IPFS until a first search is made, then the index
+ * keeps being updated as new disputes and evidences come in, including the
+ * pages of older disputes loaded while searching (see `DisputeList`).
+ * @param {Array} disputes Disputes, as returned by `useDisputes()`
+ * @param {String} query Words to search for
+ * @returns {Array} Ids of the matching disputes (null when the query is empty) and an indexing indicator
+ */
+export default function useDisputeSearch(disputes, query) {
+  const index = useRef(new SearchIndex())
+  const [indexVersion, setIndexVersion] = useState(0)
+  const [enabled, setEnabled] = useState(false)
+
+  // IPFS details by dispute id
+  const [disputesData, setDisputesData] = useState(new Map())
+  const requestedDisputes = useRef(new Set())
+
+  const searching = query.trim() !== ''
+
+  useEffect(() => {
+    if (searching) {
+      setEnabled(true)
+    }
+  }, [searching])
+
+  useEffect(() => {
+    if (!enabled || !disputes) {
+      return
+    }
+
+    const pendingDisputes = disputes.filter(
+      ({ id }) => !requestedDisputes.current.has(id)
+    )
+    pendingDisputes.forEach(({ id }) => requestedDisputes.current.add(id))
+
+    pendingDisputes.forEach(async dispute => {
+      const disputeData = await fetchDisputeData(dispute)
+      setDisputesData(disputesData =>
+        new Map(disputesData).set(dispute.id, disputeData)
+      )
+    })
+  }, [disputes, enabled])
+
+  // The disputes get updated with their phases over time, while their
+  // evidences only change when new ones are submitted
+  const evidencesKey = disputes
+    ? disputes
+        .map(({ evidences = [] }) => evidences.map(({ id }) => id).join(','))
+        .join(';')
+    : ''
+
+  const rawEvidences = useMemo(() => {
+    if (!enabled || !disputes) {
+      return NO_EVIDENCES
+    }
+
+    return [].concat(
+      ...disputes.map(({ evidences = [] }) =>
+        evidences.map(evidence => ({
+          ...evidence,
+          data: EthersUtils.toUtf8String(evidence.data),
+        }))
+      )
+    )
+  }, [enabled, evidencesKey]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const [evidences, fetchingEvidences] = useEvidences(rawEvidences)
+
+  useEffect(() => {
+    if (!disputes) {
+      return
+    }
+
+    const evidencesById = new Map(
+      evidences.map(evidence => [evidence.id, evidence])
+    )
+
+    let updated = false
+    for (const dispute of disputes) {
+      const disputeEvidences = (dispute.evidences || [])
+        .map(({ id }) => evidencesById.get(id))
+        .filter(evidence => evidence && !evidence.error)
+
+      const text = getDisputeText(
+        dispute,
+        disputesData.get(dispute.id),
+        disputeEvidences
+      )
+      updated = index.current.update(dispute.id, text) || updated
+    }
+
+    if (updated) {
+      setIndexVersion(version => version + 1)
+    }
+  }, [disputes, disputesData, evidences])
+
+  const results = useMemo(
+    () => index.current.search(query),
+    [query, indexVersion] // eslint-disable-line react-hooks/exhaustive-deps
+  )
+
+  const indexing =
+    enabled &&
+    Boolean(disputes) &&
+    (disputesData.size < requestedDisputes.current.size ||
+      (rawEvidences.length > 0 && fetchingEvidences))
+
+  return [results, indexing]
+}
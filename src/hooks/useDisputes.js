@@ -7,16 +7,20 @@ import {
   useSingleDisputeSubscription,
   useDisputesSubscription,
 } from './subscription-hooks'
+import { useJurorDisputesQuery } from './query-hooks'
 import { getPhaseAndTransition } from '../utils/dispute-utils'
 import { convertToString, Status } from '../types/dispute-status-types'
-import { ipfsGet, getIpfsCidFromUri } from '../lib/ipfs-utils'
+import { ContentCheck } from '../types/evidences-status-types'
+import { ipfsGetVerified, getIpfsCidFromUri } from '../lib/ipfs-utils'
+import { cacheMetadata, getCachedMetadata } from '../lib/ipfs-cache'
 
 const IPFS_ERROR_MSG = 'Error loading content from ipfs'
+const DISPUTES_PAGE_SIZE = 24
 
-export default function useDisputes() {
+// Disputes along with their phase and description. They only get updated when
+// one of their phases changes, not on every tick of `now`.
+function useDisputesPhases(disputes) {
   const courtConfig = useCourtConfig()
-  const { disputes, fetching, error } = useDisputesSubscription()
-
   const now = useNow() // TODO: use court clock
 
   const disputesPhases = useMemo(() => {
@@ -31,6 +35,42 @@ export default function useDisputes() {
     ? disputesPhases.map(v => convertToString(Object.values(v)[0])).join('')
     : null
 
+  return useMemo(
+    () =>
+      disputes &&
+      disputes.map((dispute, i) => {
+        const [disputeDescription] = getDisputeInfoFromMetadata(
+          dispute.metadata
+        )
+        return {
+          ...dispute,
+          description: disputeDescription,
+          ...disputesPhases[i],
+        }
+      }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [disputes, disputesPhasesKey]
+  )
+}
+
+/**
+ * Hook that loads the disputes of the court page by page
+ * @returns {Object} Loaded disputes along with their phase, `loadMore()` to load the next page, and `cachedAt` if they are persisted data not updated yet
+ */
+export default function useDisputes() {
+  const {
+    disputes,
+    fetching,
+    error,
+    hasMore,
+    loadingMore,
+    loadMore,
+    cachedAt,
+  } = useDisputesSubscription(DISPUTES_PAGE_SIZE)
+
+  // Only computed for the loaded pages, which are the ones being displayed
+  const disputesWithPhases = useDisputesPhases(disputes)
+
   return useMemo(() => {
     if (error) {
       return { error }
@@ -41,18 +81,33 @@ export default function useDisputes() {
     }
 
     return {
-      disputes: disputes.map((dispute, i) => {
-        const [disputeDescription] = getDisputeInfoFromMetadata(
-          dispute.metadata
-        )
-        return {
-          ...dispute,
-          description: disputeDescription,
-          ...disputesPhases[i],
-        }
-      }),
+      cachedAt,
+      hasMore,
+      loadingMore,
+      loadMore,
+      disputes: disputesWithPhases,
     }
-  }, [disputesPhases, disputes, disputesPhasesKey, error]) // eslint-disable-line react-hooks/exhaustive-deps
+  }, [
+    cachedAt,
+    disputesWithPhases,
+    error,
+    fetching,
+    hasMore,
+    loadingMore,
+    loadMore,
+  ])
+}
+
+/**
+ * Hook that loads all the disputes the juror has been drafted in
+ * @param {String} jurorId Address of the juror
+ * @returns {Object} Disputes of the juror along with their phase, most recent first
+ */
+export function useJurorDisputes(jurorId) {
+  const { disputes, fetching, error } = useJurorDisputesQuery(jurorId)
+  const disputesWithPhases = useDisputesPhases(disputes)
+
+  return { disputes: disputesWithPhases, fetching, error }
 }
 
 /**
@@ -60,7 +115,8 @@ export default function useDisputes() {
  * @param {String} disputeId Id of the dispute
  * @returns {Array} Array conformed by the dispute processed data, fetching indicator and an error object from the graph or an ipfs error in that order
  * (the error also indicates if the error is from the graph since we need to handle in a different way
- * in the dispute detail, the timeline can not be displayed if is a graph error but can if the error is from ipfs)
+ * in the dispute detail, the timeline can not be displayed if is a graph error but can if the error is from ipfs),
+ * followed by the time the dispute data was persisted at if it is not updated yet
  */
 export function useDispute(disputeId) {
   const courtConfig = useCourtConfig()
@@ -69,6 +125,7 @@ export function useDispute(disputeId) {
     dispute,
     fetching: graphFetching,
     error: graphError,
+    cachedAt,
   } = useSingleDisputeSubscription(disputeId)
 
   const disputeProcessed = useProcessedDispute(dispute)
@@ -98,9 +155,11 @@ export function useDispute(disputeId) {
               fromGraph: Boolean(graphErrorMessage),
             }
           : null,
+        cachedAt,
       ]
     } /* eslint-disable react-hooks/exhaustive-deps */,
     [
+      cachedAt,
       disputeErrorMessage,
       disputePhaseKey,
       disputeProcessed,
@@ -117,77 +176,12 @@ function useProcessedDispute(dispute) {
   useEffect(() => {
     let cancelled = false
 
-    const fetchDataFromIpfs = async () => {
-      if (dispute.status === Status.Voided) {
-        return dispute
-      }
-
-      const [disputeDescription, uriOrData] = getDisputeInfoFromMetadata(
-        dispute.metadata
-      )
-
-      if (!uriOrData) {
-        return {
-          ...dispute,
-          error: IPFS_ERROR_MSG,
-        }
-      }
-
-      const ipfsPath = getIpfsCidFromUri(uriOrData)
-
-      if (ipfsPath) {
-        const { data, error } = await ipfsGet(ipfsPath)
-        if (error) {
-          return {
-            ...dispute,
-            error: IPFS_ERROR_MSG,
-          }
-        }
-        try {
-          const parsedDisputeData = JSON.parse(data)
-          const agreementText = parsedDisputeData.agreementText.replace(
-            /^.\//,
-            ''
-          )
-          const agreementUrl =
-            agreementText &&
-            resolvePathname(agreementText, `${IPFS_ENDPOINT}/${ipfsPath}`)
-
-          return {
-            ...dispute,
-            description: parsedDisputeData.description || disputeDescription,
-            disputedActionText: parsedDisputeData.disputedActionText || '',
-            disputedActionURL: parsedDisputeData.disputedActionURL || '',
-            agreementText:
-              parsedDisputeData.agreementTitle || agreementText || '',
-            agreementUrl: agreementUrl || '',
-            disputedActionRadspec:
-              parsedDisputeData.disputedActionRadspec || '',
-            organization: parsedDisputeData.organization || '',
-            defendant: parsedDisputeData.defendant || '',
-            plaintiff: parsedDisputeData.plaintiff || '',
-            error: '',
-          }
-        } catch (err) {
-          return {
-            ...dispute,
-            description: data,
-          }
-        }
-      }
-
-      return {
-        ...dispute,
-        error: IPFS_ERROR_MSG,
-      }
-    }
-
     const processDispute = async () => {
       if (!dispute) {
         return
       }
 
-      const processedDispute = await fetchDataFromIpfs()
+      const processedDispute = await fetchDisputeData(dispute)
       if (!cancelled) {
         setDisputeProcessed(processedDispute)
       }
@@ -203,7 +197,91 @@ function useProcessedDispute(dispute) {
   return disputeProcessed
 }
 
-function getDisputeInfoFromMetadata(disputeMetadata) {
+/**
+ * Fetch the details of a dispute from its IPFS metadata
+ * @param {Object} dispute Dispute as returned by `transformDisputeDataAttributes()`
+ * @returns {Promise<Object>} Dispute along with its details (description, organization, plaintiff, defendant…), or an `error` message
+ */
+export async function fetchDisputeData(dispute) {
+  if (dispute.status === Status.Voided) {
+    return dispute
+  }
+
+  const [disputeDescription, uriOrData] = getDisputeInfoFromMetadata(
+    dispute.metadata
+  )
+
+  if (!uriOrData) {
+    return {
+      ...dispute,
+      error: IPFS_ERROR_MSG,
+    }
+  }
+
+  const ipfsPath = getIpfsCidFromUri(uriOrData)
+
+  if (!ipfsPath) {
+    return {
+      ...dispute,
+      error: IPFS_ERROR_MSG,
+    }
+  }
+
+  let details = await getCachedMetadata('dispute', ipfsPath)
+  if (!details) {
+    const { data, error, contentCheck } = await ipfsGetVerified(ipfsPath)
+    if (error) {
+      return {
+        ...dispute,
+        error: IPFS_ERROR_MSG,
+      }
+    }
+    details = parseDisputeDetails(await data.text(), ipfsPath)
+
+    // Only the details matching their CID are cached
+    if (contentCheck === ContentCheck.Verified) {
+      cacheMetadata('dispute', ipfsPath, details)
+    }
+  }
+
+  const { agreementPath, ...disputeDetails } = details
+  return {
+    ...dispute,
+    ...disputeDetails,
+    ...(agreementPath !== undefined && {
+      agreementUrl: agreementPath ? `${IPFS_ENDPOINT}${agreementPath}` : '',
+    }),
+    description: details.description || disputeDescription,
+  }
+}
+
+// Details of a dispute from the content of its IPFS metadata. They don’t
+// depend on the gateway, so they can be cached.
+function parseDisputeDetails(data, ipfsPath) {
+  try {
+    const parsedDisputeData = JSON.parse(data)
+    const agreementText = parsedDisputeData.agreementText.replace(/^.\//, '')
+    const agreementPath =
+      agreementText && resolvePathname(agreementText, `/${ipfsPath}`)
+
+    return {
+      description: parsedDisputeData.description || '',
+      disputedActionText: parsedDisputeData.disputedActionText || '',
+      disputedActionURL: parsedDisputeData.disputedActionURL || '',
+      agreementText: parsedDisputeData.agreementTitle || agreementText || '',
+      agreementPath: agreementPath || '',
+      disputedActionRadspec: parsedDisputeData.disputedActionRadspec || '',
+      organization: parsedDisputeData.organization || '',
+      defendant: parsedDisputeData.defendant || '',
+      plaintiff: parsedDisputeData.plaintiff || '',
+      error: '',
+    }
+  } catch (err) {
+    return { description: data }
+  }
+}
+
+export function getDisputeInfoFromMetadata(disputeMetadata) {
   try {
     const parsedDisputeData = JSON.parse(disputeMetadata)
     return [parsedDisputeData.description, parsedDisputeData.metadata]
@@ -0,0 +1,162 @@
+import { useCallback, useEffect, useState } from 'react'
+import { useWallet } from '../providers/Wallet'
+import { NotificationsSessionExpired } from '../errors'
+import {
+  clearSession,
+  createSession,
+  deleteSubscription,
+  getSessionMessage,
+  getSubscription,
+  isEmailNotificationsEnabled,
+  loadSession,
+  resendVerification,
+  saveSession,
+  updateSubscription,
+} from '../utils/email-notifications-utils'
+
+/**
+ * Email notifications subscription of the connected account
+ * @returns {Object} Session and subscription of the account, the last error, and the actions to manage the subscription
+ */
+export default function useEmailNotifications() {
+  const { account, ethers } = useWallet()
+  const [session, setSession] = useState(null)
+  const [subscription, setSubscription] = useState(null)
+  const [fetching, setFetching] = useState(false)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    setSession(account ? loadSession(account) : null)
+    setSubscription(null)
+    setError(null)
+  }, [account])
+
+  useEffect(() => {
+    if (!session) {
+      return
+    }
+
+    let cancelled = false
+
+    const fetchSubscription = async () => {
+      setFetching(true)
+      try {
+        const subscription = await getSubscription(session.token)
+        if (!cancelled) {
+          setSubscription(subscription)
+        }
+      } catch (err) {
+        if (cancelled) {
+          return
+        }
+        if (err instanceof NotificationsSessionExpired) {
+          clearSession(account)
+          setSession(null)
+        } else {
+          setError(err)
+        }
+      }
+      if (!cancelled) {
+        setFetching(false)
+      }
+    }
+
+    fetchSubscription()
+
+    return () => {
+      cancelled = true
+    }
+  }, [account, session])
+
+  // Runs an action of the session, signing out when it expired
+  const run = useCallback(
+    async action => {
+      setWorking(true)
+      setError(null)
+      try {
+        await action(session.token)
+      } catch (err) {
+        if (err instanceof NotificationsSessionExpired) {
+          clearSession(account)
+          setSession(null)
+        }
+        setError(err)
+      }
+      setWorking(false)
+    },
+    [account, session]
+  )
+
+  const signIn = useCallback(async () => {
+    if (!account || !ethers) {
+      return
+    }
+
+    setWorking(true)
+    setError(null)
+    try {
+      const message = getSessionMessage(account)
+      const signature = await ethers.getSigner().signMessage(message)
+      const session = await createSession(account, message, signature)
+      saveSession(account, session)
+      setSession(session)
+    } catch (err) {
+      setError(err)
+    }
+    setWorking(false)
+  }, [account, ethers])
+
+  const signOut = useCallback(() => {
+    clearSession(account)
+    setSession(null)
+    setSubscription(null)
+  }, [account])
+
+  const subscribe = useCallback(
+    (email, events) =>
+      run(async token => {
+        setSubscription(await updateSubscription(token, { email, events }))
+      }),
+    [run]
+  )
+
+  const updateEvents = useCallback(
+    events =>
+      run(async token => {
+        setSubscription(
+          await updateSubscription(token, {
+            email: subscription.email,
+            events,
+          })
+        )
+      }),
+    [run, subscription]
+  )
+
+  const resend = useCallback(() => run(resendVerification), [run])
+
+  const unsubscribe = useCallback(
+    () =>
+      run(async token => {
+        await deleteSubscription(token)
+        setSubscription(null)
+      }),
+    [run]
+  )
+
+  return {
+    enabled: isEmailNotificationsEnabled(),
+    error,
+    fetching,
+    resendVerification: resend,
+    session,
+    signIn,
+    signOut,
+    subscribe,
+    subscription,
+    unsubscribe,
+    updateEvents,
+    working,
+  }
+}
@@ -1,6 +1,81 @@
-import { useCallback, useEffect, useRef, useState } from 'react'
-import { ipfsGet, getIpfsCidFromUri } from '../lib/ipfs-utils'
-import { ERROR_TYPES } from '../types/evidences-status-types'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { ipfsGetVerified, getIpfsCidFromUri } from '../lib/ipfs-utils'
+import { cacheMetadata, getCachedMetadata } from '../lib/ipfs-cache'
+import { parseEvidence } from '../utils/evidence-utils'
+import { ContentCheck, ERROR_TYPES } from '../types/evidences-status-types'
+
+/**
+ * Fetch the content of an evidence from IPFS if needed, and process it
+ * @param {Object} rawEvidence Evidence as submitted (`{ id, data, submitter, createdAt }`), `data` being its URI
+ * @returns {Promise<Object>} Processed evidence, with an `error` if its content couldn’t be fetched
+ */
+export async function fetchEvidenceData(rawEvidence) {
+  const { id, data: uriOrData, submitter, createdAt, pending } = rawEvidence
+
+  const baseEvidence = {
+    id,
+    uri: uriOrData,
+    title: '',
+    metadata: null,
+    attachments: [],
+    contentCheck: null,
+    defendant: '',
+    agreementText: '',
+    submitter,
+    createdAt,
+    error: false,
+    pending: Boolean(pending),
+  }
+
+  const cid = getIpfsCidFromUri(uriOrData)
+
+  // Not an IPFS URI
+  if (!cid) {
+    return { ...baseEvidence, metadata: uriOrData }
+  }
+
+  // Only verified content gets cached once processed, so the unverified one
+  // gets checked again next time
+  const cachedEvidence = await getCachedMetadata('evidence', cid)
+  if (cachedEvidence) {
+    return {
+      ...baseEvidence,
+      ...cachedEvidence,
+      contentCheck: ContentCheck.Verified,
+    }
+  }
+
+  const { data, error, contentCheck } = await ipfsGetVerified(cid)
+
+  if (error) {
+    return {
+      ...baseEvidence,
+      contentCheck,
+      error:
+        contentCheck === ContentCheck.Mismatch
+          ? ERROR_TYPES.ERROR_CONTENT_MISMATCH
+          : ERROR_TYPES.ERROR_FETCHING_IPFS,
+    }
+  }
+
+  const { title, body, attachments } = parseEvidence(
+    await data.text(),
+    uriOrData
+  )
+  const evidenceProcessed = {
+    ...baseEvidence,
+    title,
+    metadata: body,
+    attachments,
+    contentCheck,
+  }
+
+  if (contentCheck === ContentCheck.Verified) {
+    cacheMetadata('evidence', cid, { title, metadata: body, attachments })
+  }
+
+  return evidenceProcessed
+}
 
 export default function useEvidences(rawEvidences) {
   // Contains valid evidences + errored evidences
@@ -10,46 +85,18 @@ export default function useEvidences(rawEvidences) {
   // Contains valid evidences only
   const evidencesCache = useRef(new Map())
 
-  // Fetch an evidence data from IPFS if needed, prepares the evidence object,
-  // and cache it if valid. If invalid, returns an errored evidence object.
+  // Fetch and process an evidence, and cache it if valid. If invalid, returns
+  // an errored evidence object.
   const fetchEvidence = useCallback(async rawEvidence => {
-    const { id, data: uriOrData, submitter, createdAt } = rawEvidence
-
-    if (evidencesCache.current.has(id)) {
-      return evidencesCache.current.get(id)
+    if (evidencesCache.current.has(rawEvidence.id)) {
+      return evidencesCache.current.get(rawEvidence.id)
     }
 
-    const baseEvidence = {
-      id,
-      metadata: null,
-      defendant: '',
-      agreementText: '',
-      submitter,
-      createdAt,
-      error: false,
+    const evidence = await fetchEvidenceData(rawEvidence)
+    if (!evidence.error) {
+      evidencesCache.current.set(rawEvidence.id, evidence)
     }
-
-    const cid = getIpfsCidFromUri(uriOrData)
-
-    // Not an IPFS URI
-    if (!cid) {
-      evidencesCache.current.set(id, { ...baseEvidence, metadata: uriOrData })
-      return evidencesCache.current.get(id)
-    }
-
-    const { data, error } = await ipfsGet(cid)
-
-    if (error) {
-      return { ...baseEvidence, error: ERROR_TYPES.ERROR_FETCHING_IPFS }
-    }
-
-    const evidenceProcessed = {
-      ...baseEvidence,
-      metadata: data,
-    }
-    evidencesCache.current.set(id, evidenceProcessed)
-
-    return evidenceProcessed
+    return evidence
   }, [])
 
   useEffect(() => {
@@ -89,5 +136,14 @@ export default function useEvidences(rawEvidences) {
     }
   }, [rawEvidences, fetchEvidence, evidences])
 
-  return [evidences, fetchingEvidences]
+  // Pending evidences get replaced once indexed
+  const currentEvidences = useMemo(
+    () =>
+      evidences.filter(evidence =>
+        rawEvidences.some(rawEvidence => rawEvidence.id === evidence.id)
+      ),
+    [evidences, rawEvidences]
+  )
+
+  return [currentEvidences, fetchingEvidences]
 }
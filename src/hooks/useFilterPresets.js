@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import StoredList from '../StoredList'
+import { getNetworkType } from '../lib/web3-utils'
+import { useWallet } from '../providers/Wallet'
+
+function getStoredList(account, screen) {
+  return new StoredList(
+    `filterPresets:${getNetworkType()}:${account}:${screen}`
+  )
+}
+
+/**
+ * Named filters saved by the connected account
+ * @param {String} screen Name of the screen the filters belong to
+ * @returns {Object} Presets of the account (`{ name, search }`), along with functions to save and remove them
+ */
+export default function useFilterPresets(screen) {
+  const { account } = useWallet()
+  const [presets, setPresets] = useState([])
+  const storedList = useRef(null)
+
+  useEffect(() => {
+    storedList.current = account ? getStoredList(account, screen) : null
+    setPresets(storedList.current ? storedList.current.getItems() : [])
+  }, [account, screen])
+
+  // Saving a preset with an existing name replaces it
+  const savePreset = useCallback((name, search) => {
+    if (!storedList.current) {
+      return
+    }
+
+    setPresets(
+      storedList.current.update([
+        ...storedList.current.getItems().filter(preset => preset.name !== name),
+        { name, search },
+      ])
+    )
+  }, [])
+
+  const removePreset = useCallback(name => {
+    if (!storedList.current) {
+      return
+    }
+
+    setPresets(
+      storedList.current.update(
+        storedList.current.getItems().filter(preset => preset.name !== name)
+      )
+    )
+  }, [])
+
+  return {
+    presets,
+    presetsEnabled: Boolean(account),
+    removePreset,
+    savePreset,
+  }
+}
@@ -1,12 +1,18 @@
-import { useCallback, useState, useMemo } from 'react'
+import { useCallback, useMemo } from 'react'
 import useTasks from './useTasks'
+import { useCourtConfig } from '../providers/CourtConfig'
+import useUrlFilters, {
+  NO_DATE_RANGE,
+  dateRangeParam,
+  typeParam,
+} from './useUrlFilters'
 import { addressesEqual } from '../lib/web3-utils'
+import { getJurorDeadlines } from '../utils/calendar-utils'
 import { dayjs } from '../utils/date-utils'
 import * as DisputesTypes from '../types/dispute-status-types'
 
 const ALL_FILTER = 0
 const UNSELECTED_PHASE = -1
-const INITIAL_DATE_RANGE = { start: null, end: null }
 const TASKS_ACTIONS_TYPES = [
   DisputesTypes.Phase.All,
   DisputesTypes.Phase.VotingPeriod,
@@ -15,17 +21,29 @@ const TASKS_ACTIONS_TYPES = [
   DisputesTypes.Phase.ConfirmAppeal,
 ]
 
-function useFilteredTasks(jurorTasksSelected, connectedAccount) {
-  const [selectedDateRange, setSelectedDateRange] = useState(INITIAL_DATE_RANGE)
-  const [selectedPhase, setSelectedPhase] = useState(UNSELECTED_PHASE)
-  const [filtersSelected, setFiltersSelected] = useState(false)
+const FILTERS_PARAMS = {
+  dates: dateRangeParam,
+  phase: typeParam(TASKS_ACTIONS_TYPES, UNSELECTED_PHASE),
+}
+
+function useFilteredTasks(jurorTasksSelected, connectedAccount, syncUrl) {
+  const {
+    filters: { dates: selectedDateRange, phase: selectedPhase },
+    filtersSearch,
+    setFiltersSearch,
+    updateFilters,
+  } = useUrlFilters(FILTERS_PARAMS, syncUrl)
+
+  const filtersSelected =
+    selectedPhase > ALL_FILTER || selectedDateRange !== NO_DATE_RANGE
 
   // If My Tasks is selected we need to only show ALL-COMMIT-REVEAL actions
   const TASKS_ACTIONS_TYPES_STRING = jurorTasksSelected
     ? TASKS_ACTIONS_TYPES.slice(0, 3).map(DisputesTypes.getTaskActionString)
     : TASKS_ACTIONS_TYPES.map(DisputesTypes.getTaskActionString)
 
-  const { openTasks: tasks, fetching, error } = useTasks()
+  const courtConfig = useCourtConfig()
+  const { openTasks: tasks, rounds, fetching, error } = useTasks()
 
   const jurorTasks = useMemo(
     () =>
@@ -39,20 +57,37 @@ function useFilteredTasks(jurorTasksSelected, connectedAccount) {
     [connectedAccount, tasks]
   )
 
+  const jurorRevealTasks = useMemo(
+    () =>
+      jurorTasks.filter(
+        ({ phaseType }) => phaseType === DisputesTypes.Phase.RevealVote
+      ),
+    [jurorTasks]
+  )
+
+  const jurorDeadlines = useMemo(
+    () =>
+      rounds && connectedAccount
+        ? getJurorDeadlines(rounds, connectedAccount, courtConfig)
+        : [],
+    [connectedAccount, courtConfig, rounds]
+  )
+
   const tasksToFilter = jurorTasksSelected ? jurorTasks : tasks
 
   const handleSelectedDateRangeChange = useCallback(
     range => {
-      setFiltersSelected(range !== INITIAL_DATE_RANGE)
-      setSelectedDateRange(range)
+      updateFilters({ dates: range })
     },
-    [setSelectedDateRange]
+    [updateFilters]
   )
 
-  const handleSelectedPhaseChange = useCallback(index => {
-    setFiltersSelected(index !== ALL_FILTER)
-    setSelectedPhase(index || UNSELECTED_PHASE)
-  }, [])
+  const handleSelectedPhaseChange = useCallback(
+    index => {
+      updateFilters({ phase: index || UNSELECTED_PHASE })
+    },
+    [updateFilters]
+  )
 
   const filteredTasks = useMemo(
     () =>
@@ -78,10 +113,8 @@ function useFilteredTasks(jurorTasksSelected, connectedAccount) {
   )
 
   const handleClearFilters = useCallback(() => {
-    setSelectedPhase(UNSELECTED_PHASE)
-    setSelectedDateRange(INITIAL_DATE_RANGE)
-    setFiltersSelected(false)
-  }, [])
+    updateFilters({ dates: NO_DATE_RANGE, phase: UNSELECTED_PHASE })
+  }, [updateFilters])
 
   const emptyFilterResults =
     !filteredTasks.length &&
@@ -92,7 +125,8 @@ function useFilteredTasks(jurorTasksSelected, connectedAccount) {
     fetching,
     error,
     filtersSelected,
-    setFiltersSelected,
+    filtersSearch,
+    setFiltersSearch,
     emptyFilterResults,
     handleClearFilters,
     selectedDateRange,
@@ -101,6 +135,8 @@ function useFilteredTasks(jurorTasksSelected, connectedAccount) {
     handleSelectedPhaseChange,
     openTasksNumber: tasks.length,
     jurorOpenTaskNumber: jurorTasks.length,
+    jurorRevealTasks,
+    jurorDeadlines,
     taskActionsString: TASKS_ACTIONS_TYPES_STRING,
   }
 }
@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react'
+import { getIpfsCidFromUri, ipfsGetVerified } from '../lib/ipfs-utils'
+
+const INITIAL_STATE = {
+  blob: null,
+  contentCheck: null,
+  error: false,
+  loading: false,
+  url: null,
+}
+
+/**
+ * Load a file from IPFS, checked against its CID (see `ipfsGetVerified()`)
+ * @param {String} uri URI of the file, as `ipfs:<cid path>`
+ * @param {String} type MIME type to load the file as, never one set by a third party (see `getAttachmentMimeType()`)
+ * @param {Boolean} enabled Set to false to not load it (yet)
+ * @returns {Object} `{ blob, contentCheck, error, loading, url }`, the URL being an object URL to the blob
+ */
+export default function useIpfsFile(uri, type, enabled = true) {
+  const [file, setFile] = useState(INITIAL_STATE)
+
+  useEffect(() => {
+    const cidPath = enabled && uri.startsWith('ipfs:') && getIpfsCidFromUri(uri)
+    if (!cidPath) {
+      setFile(INITIAL_STATE)
+      return
+    }
+
+    let cancelled = false
+    let url = null
+    setFile({ ...INITIAL_STATE, loading: true })
+
+    ipfsGetVerified(cidPath).then(({ data, error, contentCheck }) => {
+      if (cancelled) {
+        return
+      }
+      if (error) {
+        setFile({ ...INITIAL_STATE, contentCheck, error: true })
+        return
+      }
+      const blob = new Blob([data], { type })
+      url = URL.createObjectURL(blob)
+      setFile({ ...INITIAL_STATE, blob, contentCheck, url })
+    })
+
+    return () => {
+      cancelled = true
+      if (url) {
+        URL.revokeObjectURL(url)
+      }
+    }
+  }, [enabled, type, uri])
+
+  return file
+}
@@ -0,0 +1,30 @@
+import { useCallback, useEffect, useState } from 'react'
+import {
+  checkGateway,
+  getGatewaysHealth,
+  onGatewaysHealthChange,
+} from '../lib/ipfs-client'
+
+// Health of the IPFS gateways, updated as they get used
+export default function useIpfsGatewaysHealth() {
+  const [gatewaysHealth, setGatewaysHealth] = useState(getGatewaysHealth)
+  const [checking, setChecking] = useState(false)
+
+  useEffect(
+    () =>
+      onGatewaysHealthChange(() => {
+        setGatewaysHealth(getGatewaysHealth())
+      }),
+    []
+  )
+
+  const checkGateways = useCallback(async () => {
+    setChecking(true)
+    await Promise.all(
+      getGatewaysHealth().map(({ gateway }) => checkGateway(gateway))
+    )
+    setChecking(false)
+  }, [])
+
+  return [gatewaysHealth, checkGateways, checking]
+}
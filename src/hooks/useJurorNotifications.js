@@ -0,0 +1,136 @@
+import { useCallback, useEffect, useMemo } from 'react'
+import useTasks from './useTasks'
+import { useJurorDrafted } from './useJurorDrafted'
+import { useJurorDraftsNotRewardedSubscription } from './subscription-hooks'
+import { useCourtClock } from '../providers/CourtClock'
+import { addressesEqual } from '../lib/web3-utils'
+import { dayjs } from '../utils/date-utils'
+import { getJurorDraftRewards } from '../utils/juror-draft-utils'
+import {
+  getSentNotifications,
+  showNotification,
+} from '../utils/notifications-utils'
+import * as DisputesTypes from '../types/dispute-status-types'
+
+const DEADLINE_PHASES = [
+  DisputesTypes.Phase.VotingPeriod,
+  DisputesTypes.Phase.RevealVote,
+]
+
+/**
+ * Sends the browser notifications enabled in the settings to a juror
+ * @param {String} account Address of the juror
+ * @param {Object} settings Notifications settings (see `DEFAULT_SETTINGS`)
+ * @returns {void}
+ */
+export default function useJurorNotifications(account, settings) {
+  const sentNotifications = useMemo(() => getSentNotifications(account), [
+    account,
+  ])
+
+  // A notification is sent as long as one of its keys wasn’t sent before
+  const notify = useCallback(
+    (keys, title, options) => {
+      if (keys.every(sentNotifications.has)) {
+        return
+      }
+
+      sentNotifications.add(keys)
+      showNotification(title, { ...options, tag: keys[0] }).catch(err => {
+        console.error('Error showing a notification: ', err)
+      })
+    },
+    [sentNotifications]
+  )
+
+  // Drafted for the current term
+  const { currentTermId } = useCourtClock()
+  const drafted = useJurorDrafted({ pause: !settings.drafted })
+
+  useEffect(() => {
+    if (settings.drafted && drafted) {
+      notify([`drafted:${currentTermId}`], 'You have been drafted', {
+        body:
+          'You have been drafted to arbitrate a dispute. Commit your vote before the deadline.',
+        path: '/tasks',
+      })
+    }
+  }, [currentTermId, drafted, notify, settings.drafted])
+
+  // Commit and reveal deadlines
+  const { openTasks } = useTasks()
+
+  useEffect(() => {
+    if (!settings.deadlines) {
+      return
+    }
+
+    const now = Date.now()
+    openTasks
+      .filter(
+        ({ juror, phaseType }) =>
+          DEADLINE_PHASES.includes(phaseType) && addressesEqual(juror, account)
+      )
+      .forEach(({ disputeId, dueDate, number, phase }) => {
+        const remaining = dueDate - now
+        if (remaining <= 0) {
+          return
+        }
+
+        // Only notify once when several thresholds are crossed together
+        const thresholds = settings.deadlineThresholds
+          .filter(threshold => remaining <= threshold)
+          .sort((a, b) => a - b)
+
+        if (thresholds.length === 0) {
+          return
+        }
+
+        notify(
+          thresholds.map(
+            threshold => `deadline:${disputeId}:${number}:${phase}:${threshold}`
+          ),
+          `${phase} ${dayjs(dueDate).fromNow()}`,
+          {
+            body: `The ${phase.toLowerCase()} period of dispute #${disputeId} ends on ${dayjs(
+              dueDate
+            ).format('MMM D, HH:mm')}.`,
+            path: `/disputes/${disputeId}`,
+          }
+        )
+      })
+  }, [
+    account,
+    notify,
+    openTasks,
+    settings.deadlineThresholds,
+    settings.deadlines,
+  ])
+
+  // Rewards that can be claimed
+  const { jurorDrafts } = useJurorDraftsNotRewardedSubscription(account)
+
+  useEffect(() => {
+    if (!settings.rewards || !jurorDrafts) {
+      return
+    }
+
+    const claimableDrafts = jurorDrafts.filter(getJurorDraftRewards)
+    if (claimableDrafts.length === 0) {
+      return
+    }
+
+    notify(
+      claimableDrafts.map(({ id }) => `rewards:${id}`),
+      'Rewards available',
+      {
+        body: `You have rewards to claim for ${
+          claimableDrafts.length === 1
+            ? `dispute #${claimableDrafts[0].round.dispute.id}`
+            : `${claimableDrafts.length} rounds`
+        }.`,
+        path: '/dashboard',
+      }
+    )
+  }, [jurorDrafts, notify, settings.rewards])
+}
@@ -2,7 +2,7 @@ import { useMemo } from 'react'
 import { useDashboardState } from '../components/Dashboard/DashboardStateProvider'
 import { useCourtConfig } from '../providers/CourtConfig'
 import { bigNum } from '../lib/math-utils'
-import { isJurorCoherent } from '../utils/juror-draft-utils'
+import { getJurorDraftRewards } from '../utils/juror-draft-utils'
 import {
   getAppealerFees,
   shouldAppealerBeRewarded,
@@ -24,34 +24,26 @@ export default function useJurorRewards() {
 
     // Get ruling and disputes fees
     // Only jurors that voted in consensus with the winning outcome can claim rewards (coherent jurors)
-    const { rulingFees, arbitrableFees } = jurorDrafts
-      .filter(
-        jurorDraft =>
-          jurorDraft.round.settledPenalties && isJurorCoherent(jurorDraft)
-      )
-      .reduce(
-        ({ rulingFees, arbitrableFees }, { weight, round }) => {
-          const { jurorFees, coherentJurors, collectedTokens, dispute } = round
-
-          // Calculate fees
-          const rulingFeesAmount = collectedTokens
-            .mul(weight)
-            .div(coherentJurors)
-
-          const disputeFeesAmount = jurorFees.mul(weight).div(coherentJurors)
-
-          return {
-            rulingFees: rulingFees.add(rulingFeesAmount),
-            arbitrableFees: setOrUpdateFee(
-              arbitrableFees,
-              dispute.id,
-              round.number,
-              disputeFeesAmount
-            ),
-          }
-        },
-        { rulingFees: bigNum(0), arbitrableFees: new Map() }
-      )
+    const { rulingFees, arbitrableFees } = jurorDrafts.reduce(
+      ({ rulingFees, arbitrableFees }, jurorDraft) => {
+        const rewards = getJurorDraftRewards(jurorDraft)
+        if (!rewards) {
+          return { rulingFees, arbitrableFees }
+        }
+
+        const { dispute, number } = jurorDraft.round
+        return {
+          rulingFees: rulingFees.add(rewards.anjAmount),
+          arbitrableFees: setOrUpdateFee(
+            arbitrableFees,
+            dispute.id,
+            number,
+            rewards.feeAmount
+          ),
+        }
+      },
+      { rulingFees: bigNum(0), arbitrableFees: new Map() }
+    )
 
     // Before settling appeals it's required that the penalties for the round are settled, so we need to filter the ones that aren't
     // We also need to check that the appealer should be rewarded.
@@ -0,0 +1,75 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useClient } from 'urql'
+
+// The Graph doesn’t return more than 1000 entities per list
+const MAX_PAGE_SIZE = 1000
+
+/**
+ * Fetch every entity of a list, beyond the limit of a single query
+ * @param {Object} query Query receiving `$first` and `$lastId`, and returning entities ordered by id
+ * @param {String} listName Name of the list in the query result
+ * @param {Object} options Pagination options
+ * @param {Number} options.pageSize Number of entities fetched per request
+ * @param {Object} options.variables Other variables of the query
+ * @returns {Object} All the entities (null while fetching), or the error that stopped the fetching
+ */
+export default function usePaginatedQuery(
+  query,
+  listName,
+  { pageSize = MAX_PAGE_SIZE, variables = {} } = {}
+) {
+  const client = useClient()
+  const [entities, setEntities] = useState(null)
+  const [error, setError] = useState(null)
+
+  // Only fetch again when the variables actually change
+  const variablesKey = JSON.stringify(variables)
+  const queryVariables = useMemo(() => JSON.parse(variablesKey), [variablesKey])
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchPages = async () => {
+      let entities = []
+      for (;;) {
+        const lastId = entities.length ? entities[entities.length - 1].id : ''
+        const result = await client
+          .query(query, { ...queryVariables, first: pageSize, lastId })
+          .toPromise()
+
+        if (result.error) {
+          throw result.error
+        }
+
+        const page = result.data[listName]
+        entities = entities.concat(page)
+
+        if (cancelled || page.length < pageSize) {
+          return entities
+        }
+      }
+    }
+
+    setEntities(null)
+    setError(null)
+
+    fetchPages()
+      .then(entities => {
+        if (!cancelled) {
+          setEntities(entities)
+        }
+      })
+      .catch(err => {
+        console.error(`Error fetching ${listName}: `, err)
+        if (!cancelled) {
+          setError(err)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [client, listName, pageSize, query, queryVariables])
+
+  return { data: entities, fetching: !entities && !error, error }
+}
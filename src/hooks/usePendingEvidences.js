@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { addressesEqual } from '../lib/web3-utils'
+
+// Evidences submitted from the dashboard, until the subgraph indexes them
+export default function usePendingEvidences(disputeId, evidences) {
+  const [submitted, setSubmitted] = useState([])
+
+  useEffect(() => {
+    setSubmitted([])
+  }, [disputeId])
+
+  const pendingEvidences = useMemo(
+    () =>
+      submitted.filter(
+        pendingEvidence =>
+          !evidences.some(
+            evidence =>
+              evidence.data === pendingEvidence.data &&
+              addressesEqual(evidence.submitter, pendingEvidence.submitter)
+          )
+      ),
+    [evidences, submitted]
+  )
+
+  const addPendingEvidence = useCallback((hash, submitter, data) => {
+    setSubmitted(submitted => [
+      ...submitted,
+      { id: hash, submitter, data, createdAt: Date.now(), pending: true },
+    ])
+  }, [])
+
+  // The transaction failed
+  const removePendingEvidence = useCallback(hash => {
+    setSubmitted(submitted =>
+      submitted.filter(pendingEvidence => pendingEvidence.id !== hash)
+    )
+  }, [])
+
+  return [pendingEvidences, addPendingEvidence, removePendingEvidence]
+}
@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react'
+import { getVoteId } from '../utils/crvoting-utils'
+import {
+  REVEAL_REQUEST_STATUS,
+  getRevealRequest,
+  getRevealServiceHealth,
+  isRevealServiceEnabled,
+} from '../utils/reveal-service-utils'
+
+const POLL_EVERY = 15000
+
+/**
+ * Follows the auto-reveal request of a juror for a dispute round
+ * @param {String} juror Address of the juror
+ * @param {String} disputeId Id of the dispute
+ * @param {Number} roundId Number of the round
+ * @returns {Object} The reveal request (null if not scheduled) and the last error
+ */
+export function useRevealRequest(juror, disputeId, roundId) {
+  const [revealRequest, setRevealRequest] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!isRevealServiceEnabled() || !juror) {
+      return
+    }
+
+    let cancelled = false
+    let timer
+
+    const voteId = getVoteId(disputeId, roundId).toString()
+
+    const poll = async () => {
+      try {
+        const revealRequest = await getRevealRequest(juror, voteId)
+        if (cancelled) {
+          return
+        }
+        setRevealRequest(revealRequest)
+        setError(null)
+
+        // Nothing else will happen to the request once it is settled
+        if (
+          revealRequest &&
+          revealRequest.status !== REVEAL_REQUEST_STATUS.Scheduled
+        ) {
+          return
+        }
+      } catch (err) {
+        if (cancelled) {
+          return
+        }
+        setError(err)
+      }
+      timer = setTimeout(poll, POLL_EVERY)
+    }
+
+    poll()
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [disputeId, juror, roundId])
+
+  return [revealRequest, error]
+}
+
+/**
+ * Tells if the auto-reveal service is configured and reachable
+ * @returns {Boolean} True once the service answered its health check
+ */
+export function useRevealServiceAvailable() {
+  const [available, setAvailable] = useState(false)
+
+  useEffect(() => {
+    if (!isRevealServiceEnabled()) {
+      return
+    }
+
+    let cancelled = false
+    getRevealServiceHealth()
+      .then(health => {
+        if (!cancelled) {
+          setAvailable(Boolean(health))
+        }
+      })
+      .catch(err => {
+        console.error('The auto-reveal service is unavailable: ', err)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  return available
+}
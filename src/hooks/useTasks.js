@@ -12,7 +12,7 @@ export default function useTasks() {
   const now = useNow()
   const openTasks = useOpenTasks(tasks, now, courtConfig)
 
-  return { openTasks, fetching, error }
+  return { openTasks, rounds: tasks, fetching, error }
 }
 
 function useOpenTasks(tasks, now, courtSettings) {
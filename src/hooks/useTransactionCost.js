@@ -0,0 +1,53 @@
+import { useEffect, useState } from 'react'
+import { useWallet } from '../providers/Wallet'
+
+// Estimating on every change (e.g. when typing an amount) would flood the node
+const ESTIMATE_DELAY = 500
+
+/**
+ * Estimated cost of one or more transactions, at the current gas price
+ * @param {Function} estimateGasLimit Memoized function resolving to the total gas limit (or null if unknown)
+ * @returns {Array} Estimated cost in wei (null if unknown), and whether it is being estimated
+ */
+export default function useTransactionCost(estimateGasLimit) {
+  const { ethers } = useWallet()
+  const [cost, setCost] = useState(null)
+  const [estimating, setEstimating] = useState(false)
+
+  useEffect(() => {
+    setCost(null)
+
+    if (!estimateGasLimit || !ethers) {
+      setEstimating(false)
+      return
+    }
+
+    setEstimating(true)
+
+    let cancelled = false
+
+    const timer = setTimeout(async () => {
+      try {
+        const [gasLimit, gasPrice] = await Promise.all([
+          estimateGasLimit(),
+          ethers.getGasPrice(),
+        ])
+        if (!cancelled) {
+          setCost(gasLimit ? gasLimit.mul(gasPrice) : null)
+        }
+      } catch (err) {
+        console.error('Error estimating the transaction cost: ', err)
+      }
+      if (!cancelled) {
+        setEstimating(false)
+      }
+    }, ESTIMATE_DELAY)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [estimateGasLimit, ethers])
+
+  return [cost, estimating]
+}
@@ -0,0 +1,266 @@
+import { useCallback, useEffect, useRef } from 'react'
+import { captureException } from '@sentry/browser'
+import { useActivity } from '../components/Activity/ActivityProvider'
+import {
+  ACTIVITY_STATUS_CONFIRMED,
+  ACTIVITY_STATUS_PENDING,
+} from '../components/Activity/activity-statuses'
+import { useTransactionQueues } from '../providers/TransactionQueue'
+import { useWallet } from '../providers/Wallet'
+import { QueueStepStatus } from '../types/transaction-queue-types'
+import {
+  TransactionAlreadyMined,
+  TransactionFailed,
+  TransactionWouldFail,
+} from '../errors'
+import { SECOND } from '../utils/date-utils'
+
+const STEP_POLL_INTERVAL = 4 * SECOND
+
+function getStepErrorMessage(error) {
+  if (
+    error instanceof TransactionAlreadyMined ||
+    error instanceof TransactionFailed ||
+    error instanceof TransactionWouldFail
+  ) {
+    return error.message
+  }
+  // Rejected from the wallet (EIP-1193)
+  if (error.code === 4001) {
+    return 'The transaction was rejected.'
+  }
+  return 'The transaction couldn’t be sent.'
+}
+
+function wait(duration) {
+  return new Promise(resolve => setTimeout(resolve, duration))
+}
+
+function findStepActivity(activities, transactionHash) {
+  return activities.find(
+    activity =>
+      activity.transactionHash === transactionHash ||
+      (activity.replacedHashes || []).includes(transactionHash)
+  )
+}
+
+/**
+ * Run a queue of transactions stored by the TransactionQueueProvider, one
+ * transaction after the other
+ * @param {String} name Unique name of the queue, e.g. `claimRewards`
+ * @param {Object} actions Functions sending the transactions of the steps, by action name. They must go through `addActivity()`.
+ * @returns {Object} The queue along with `start()`, `resume()` and `abort()` handlers
+ */
+export default function useTransactionQueue(name, actions) {
+  const { account, ethers } = useWallet()
+  const { activities } = useActivity()
+  const {
+    createQueue,
+    getQueue,
+    queues,
+    removeQueue,
+    runningQueues,
+    setQueueRunning,
+    updateQueueStep,
+  } = useTransactionQueues()
+
+  const queue = queues.find(queue => queue.name === name) || null
+  const running = runningQueues.includes(name)
+
+  // The queue keeps running if the component gets re-rendered or unmounted,
+  // so the latest actions and activities are read from refs.
+  const latestActions = useRef(actions)
+  const latestActivities = useRef(activities)
+  useEffect(() => {
+    latestActions.current = actions
+    latestActivities.current = activities
+  }, [actions, activities])
+
+  // Wait for the transaction of a step through its activity, which follows
+  // the transaction if it gets sped up or cancelled.
+  const waitForStep = useCallback(
+    async transactionHash => {
+      while (getQueue(name)) {
+        const activity = findStepActivity(
+          latestActivities.current,
+          transactionHash
+        )
+
+        if (activity && activity.status !== ACTIVITY_STATUS_PENDING) {
+          if (activity.status !== ACTIVITY_STATUS_CONFIRMED) {
+            throw new TransactionFailed()
+          }
+          return activity.transactionHash
+        }
+
+        // Without activity (e.g. cleared from another tab), the receipt is
+        // checked directly.
+        if (!activity) {
+          const receipt = await ethers.getTransactionReceipt(transactionHash)
+          if (receipt) {
+            if (receipt.status === 0) {
+              throw new TransactionFailed()
+            }
+            return transactionHash
+          }
+        }
+
+        await wait(STEP_POLL_INTERVAL)
+      }
+      return null
+    },
+    [ethers, getQueue, name]
+  )
+
+  // The transaction of a step sent before the queue got interrupted can have
+  // been mined since (possibly sped up), or still be pending. Resolves to
+  // `{ hash, mined }`, or null if it has to be sent again: when it failed, or
+  // got dropped without its nonce being used.
+  const getSentTransaction = useCallback(
+    async transactionHash => {
+      const activity = findStepActivity(
+        latestActivities.current,
+        transactionHash
+      )
+      const hashes = activity
+        ? [activity.transactionHash, ...(activity.replacedHashes || [])]
+        : [transactionHash]
+
+      const receipts = await Promise.all(
+        hashes.map(hash => ethers.getTransactionReceipt(hash))
+      )
+      const minedIndex = receipts.findIndex(Boolean)
+      if (minedIndex !== -1) {
+        return receipts[minedIndex].status === 0
+          ? null
+          : { hash: hashes[minedIndex], mined: true }
+      }
+
+      const tx = await ethers.getTransaction(hashes[0])
+      const nonce = activity ? activity.nonce : tx && tx.nonce
+      if (typeof nonce === 'number') {
+        // Mined with another hash, e.g. sped up or cancelled from the wallet:
+        // sending it again could do the same action twice.
+        const minedNonce = await ethers.getTransactionCount(account)
+        if (nonce < minedNonce) {
+          throw new TransactionAlreadyMined()
+        }
+      }
+
+      return tx ? { hash: hashes[0], mined: false } : null
+    },
+    [account, ethers]
+  )
+
+  // Resolves to true once every step is confirmed
+  const run = useCallback(async () => {
+    setQueueRunning(name, true)
+
+    let completed = false
+    let stepIndex = 0
+    try {
+      // The queue is read again before every step, as it can be aborted
+      // while running.
+      while (getQueue(name) && stepIndex < getQueue(name).steps.length) {
+        const step = getQueue(name).steps[stepIndex]
+
+        if (step.status !== QueueStepStatus.Confirmed) {
+          const sentTransaction = step.transactionHash
+            ? await getSentTransaction(step.transactionHash)
+            : null
+          let transactionHash = sentTransaction && sentTransaction.hash
+
+          // Only send the transaction if it hasn’t been sent before the
+          // queue got interrupted.
+          if (!sentTransaction) {
+            updateQueueStep(name, stepIndex, {
+              error: null,
+              status: QueueStepStatus.Signing,
+            })
+
+            const action = latestActions.current[step.action]
+            if (!action) {
+              throw new Error(
+                `Unknown transaction queue action: ${step.action}`
+              )
+            }
+
+            const tx = await action(...step.params)
+            transactionHash = tx.hash
+
+            updateQueueStep(name, stepIndex, {
+              status: QueueStepStatus.Pending,
+              transactionHash,
+            })
+          }
+
+          const minedHash =
+            sentTransaction && sentTransaction.mined
+              ? transactionHash
+              : await waitForStep(transactionHash)
+          if (minedHash) {
+            updateQueueStep(name, stepIndex, {
+              status: QueueStepStatus.Confirmed,
+              transactionHash: minedHash,
+            })
+          }
+        }
+
+        stepIndex++
+      }
+      completed = Boolean(getQueue(name))
+    } catch (err) {
+      console.error(`Error running the ${name} transaction queue: `, err)
+      captureException(err)
+      updateQueueStep(name, stepIndex, {
+        error: getStepErrorMessage(err),
+        status: QueueStepStatus.Failed,
+      })
+    }
+
+    setQueueRunning(name, false)
+    return completed
+  }, [
+    getQueue,
+    getSentTransaction,
+    name,
+    setQueueRunning,
+    updateQueueStep,
+    waitForStep,
+  ])
+
+  // Start a new queue, replacing the previous one
+  const start = useCallback(
+    steps => {
+      createQueue(name, steps)
+      return run()
+    },
+    [createQueue, name, run]
+  )
+
+  // Continue an interrupted queue from its first unconfirmed step
+  const resume = useCallback(
+    () => (!running && getQueue(name) ? run() : Promise.resolve(false)),
+    [getQueue, name, run, running]
+  )
+
+  // The transactions already sent are not affected
+  const abort = useCallback(() => {
+    removeQueue(name)
+  }, [name, removeQueue])
+
+  const completed = Boolean(
+    queue &&
+      queue.steps.every(({ status }) => status === QueueStepStatus.Confirmed)
+  )
+
+  return {
+    abort,
+    completed,
+    interrupted: Boolean(queue && !running && !completed),
+    queue,
+    resume,
+    running,
+    start,
+  }
+}
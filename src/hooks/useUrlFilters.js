@@ -0,0 +1,179 @@
+import { useCallback, useMemo, useState } from 'react'
+import { useHistory, useLocation } from 'react-router-dom'
+import { dayjs } from '../utils/date-utils'
+
+const DATE_FORMAT = 'YYYY-MM-DD'
+const DATE_RANGE_SEPARATOR = '..'
+
+// Not a filter (see usePreferences())
+const PREFERENCES_PARAM = 'preferences'
+
+export const NO_DATE_RANGE = { start: null, end: null }
+
+function toSlug(symbol) {
+  return symbol.description.toLowerCase().replace(/\s+/g, '-')
+}
+
+function toSearch(searchParams) {
+  const search = searchParams.toString()
+  return search ? `?${search}` : ''
+}
+
+/**
+ * Filter param selecting one of `types`, kept as its index in the list (as
+ * expected by the DropDown) but written as a readable name in the URL
+ * @param {Array} types Symbols of the types that can be selected
+ * @param {Number} unselected Index used when no type is selected
+ * @returns {Object} Filter param
+ */
+export function typeParam(types, unselected) {
+  return {
+    defaultValue: unselected,
+    parse: value => {
+      const index = types.findIndex(type => toSlug(type) === value)
+      return index === -1 ? unselected : index
+    },
+    stringify: index =>
+      index === unselected || !types[index] ? null : toSlug(types[index]),
+  }
+}
+
+/**
+ * Filter param selecting one of `options` (e.g. a tab), the first one being
+ * the default
+ * @param {Array} options Names of the options, as written in the URL
+ * @returns {Object} Filter param
+ */
+export function optionParam(options) {
+  return {
+    defaultValue: 0,
+    parse: value => Math.max(options.indexOf(value), 0),
+    stringify: index => (index > 0 ? options[index] : null),
+  }
+}
+
+export const dateRangeParam = {
+  defaultValue: NO_DATE_RANGE,
+  parse: value => {
+    const [start, end] = value
+      .split(DATE_RANGE_SEPARATOR)
+      .map(date => dayjs(date))
+
+    return start && end && start.isValid() && end.isValid()
+      ? { start: start.toDate(), end: end.toDate() }
+      : NO_DATE_RANGE
+  },
+  stringify: ({ start, end }) =>
+    start && end
+      ? [start, end]
+          .map(date => dayjs(date).format(DATE_FORMAT))
+          .join(DATE_RANGE_SEPARATOR)
+      : null,
+}
+
+export const textParam = {
+  defaultValue: '',
+  parse: value => value,
+  stringify: value => (value.trim() ? value : null),
+}
+
+/**
+ * Get the part of a query string describing the filters of a page, in a
+ * stable order so that it can be compared
+ * @param {String} search Query string of the page
+ * @returns {String} Query string (`?…`) without the non filter params
+ */
+export function getFiltersSearch(search) {
+  const searchParams = new URLSearchParams(search)
+  searchParams.delete(PREFERENCES_PARAM)
+  searchParams.sort()
+  return toSearch(searchParams)
+}
+
+/**
+ * Hook to keep filters in the query string, so that they can be shared,
+ * navigated through the browser history and restored on load
+ * @param {Object} params Filter params by name in the query string (see `typeParam()`, `dateRangeParam`…), must not change between renders
+ * @param {Boolean} syncUrl When false, the filters are kept in the component state instead (e.g. for a list embedded in another page)
+ * @returns {Object} Current filters, `updateFilters()` to change some of them, and the query string of the page filters along with `setFiltersSearch()` to replace them all
+ */
+export default function useUrlFilters(params, syncUrl = true) {
+  const history = useHistory()
+  const location = useLocation()
+  const [localSearch, setLocalSearch] = useState('')
+
+  const search = syncUrl ? location.search : localSearch
+
+  const filters = useMemo(() => {
+    const searchParams = new URLSearchParams(search)
+
+    return Object.entries(params).reduce((filters, [name, param]) => {
+      const value = searchParams.get(name)
+      return {
+        ...filters,
+        [name]: value === null ? param.defaultValue : param.parse(value),
+      }
+    }, {})
+  }, [params, search])
+
+  const navigate = useCallback(
+    (getSearch, replace = false) => {
+      if (!syncUrl) {
+        setLocalSearch(getSearch)
+        return
+      }
+
+      // Read from the history so that consecutive updates don’t override
+      // each other
+      const { pathname, search } = history.location
+      const location = { pathname, search: getSearch(search) }
+      if (replace) {
+        history.replace(location)
+      } else {
+        history.push(location)
+      }
+    },
+    [history, syncUrl]
+  )
+
+  // `replace` avoids adding an history entry for every change (e.g. typing)
+  const updateFilters = useCallback(
+    (changes, { replace = false } = {}) => {
+      navigate(search => {
+        const searchParams = new URLSearchParams(search)
+
+        Object.entries(changes).forEach(([name, value]) => {
+          const stringValue = params[name].stringify(value)
+          if (stringValue === null) {
+            searchParams.delete(name)
+          } else {
+            searchParams.set(name, stringValue)
+          }
+        })
+        return toSearch(searchParams)
+      }, replace)
+    },
+    [navigate, params]
+  )
+
+  const setFiltersSearch = useCallback(
+    filtersSearch => {
+      navigate(search => {
+        const preferences = new URLSearchParams(search).get(PREFERENCES_PARAM)
+        const searchParams = new URLSearchParams(filtersSearch)
+        if (preferences) {
+          searchParams.set(PREFERENCES_PARAM, preferences)
+        }
+        return toSearch(searchParams)
+      })
+    },
+    [navigate]
+  )
+
+  return {
+    filters,
+    filtersSearch: getFiltersSearch(search),
+    setFiltersSearch,
+    updateFilters,
+  }
+}
@@ -6,7 +6,11 @@ import {
   cacheExchange,
   debugExchange,
 } from 'urql'
-import { getFetchExchange, getSubscriptionExchange } from './graphql-exchanges'
+import {
+  getFetchExchange,
+  getPersistedExchange,
+  getSubscriptionExchange,
+} from './graphql-exchanges'
 
 import { devtoolsExchange } from '@urql/devtools'
 import { createGlobalStyle } from 'styled-components'
@@ -24,6 +28,7 @@ const client = createClient({
     debugExchange,
     devtoolsExchange,
     cacheExchange,
+    getPersistedExchange(),
     getFetchExchange(),
     getSubscriptionExchange(),
   ],
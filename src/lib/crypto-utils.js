@@ -0,0 +1,72 @@
+import { utils as EthersUtils } from 'ethers'
+
+const CIPHER_ALGORITHM = 'AES-GCM'
+const IV_LENGTH = 12
+
+function getSubtleCrypto() {
+  const subtle = window.crypto && window.crypto.subtle
+  if (!subtle) {
+    throw new Error('The Web Crypto API is not available in this browser')
+  }
+  return subtle
+}
+
+/**
+ * Derive an AES-GCM key from a wallet signature.
+ *
+ * Ethereum signatures are deterministic (RFC 6979), so signing the same
+ * message with the same account always yields the same key.
+ *
+ * @param {String} signature Hex encoded signature
+ * @returns {Promise<CryptoKey>} Key usable to encrypt and decrypt
+ */
+export async function deriveKeyFromSignature(signature) {
+  const subtle = getSubtleCrypto()
+  const keyMaterial = await subtle.digest(
+    'SHA-256',
+    EthersUtils.arrayify(signature)
+  )
+
+  return subtle.importKey('raw', keyMaterial, CIPHER_ALGORITHM, false, [
+    'encrypt',
+    'decrypt',
+  ])
+}
+
+/**
+ * Encrypt a string
+ *
+ * @param {CryptoKey} key Key obtained with `deriveKeyFromSignature()`
+ * @param {String} plaintext Text to encrypt
+ * @returns {Promise<Object>} Hex encoded `iv` and `data`
+ */
+export async function encrypt(key, plaintext) {
+  const iv = EthersUtils.randomBytes(IV_LENGTH)
+  const data = await getSubtleCrypto().encrypt(
+    { name: CIPHER_ALGORITHM, iv },
+    key,
+    EthersUtils.toUtf8Bytes(plaintext)
+  )
+
+  return {
+    iv: EthersUtils.hexlify(iv),
+    data: EthersUtils.hexlify(new Uint8Array(data)),
+  }
+}
+
+/**
+ * Decrypt a payload produced by `encrypt()`
+ *
+ * @param {CryptoKey} key Key obtained with `deriveKeyFromSignature()`
+ * @param {Object} payload Hex encoded `iv` and `data`
+ * @returns {Promise<String>} Decrypted text. Rejects if the key doesn't match.
+ */
+export async function decrypt(key, { iv, data }) {
+  const plaintext = await getSubtleCrypto().decrypt(
+    { name: CIPHER_ALGORITHM, iv: EthersUtils.arrayify(iv) },
+    key,
+    EthersUtils.arrayify(data)
+  )
+
+  return EthersUtils.toUtf8String(new Uint8Array(plaintext))
+}
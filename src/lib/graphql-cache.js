@@ -0,0 +1,50 @@
+import { getItem, pruneStore, putItem } from './indexed-db'
+
+// Last result of the persisted subgraph operations (see
+// `getPersistedExchange()`), so they can be displayed right away on the next
+// visit, and while offline. Unlike the IPFS content, these results get
+// outdated: they are always displayed as such.
+const STORE_NAME = 'graphql'
+const MAX_CACHE_SIZE = 50 * 1024 * 1024
+
+// The least recently used results get deleted every PRUNE_INTERVAL writes
+const PRUNE_INTERVAL = 20
+
+let writes = 0
+
+/**
+ * Get the persisted result of an operation
+ * @param {String} key Key of the operation
+ * @returns {Promise<Object>} `{ data, cachedAt }`, or null if not persisted
+ */
+export async function getPersistedResult(key) {
+  try {
+    const item = await getItem(STORE_NAME, key)
+    if (!item) {
+      return null
+    }
+    // Not waited for: only used to prune the cache
+    putItem(STORE_NAME, { ...item, usedAt: Date.now() }).catch(() => {})
+    return { data: item.data, cachedAt: item.cachedAt }
+  } catch (err) {
+    return null
+  }
+}
+
+export async function persistResult(key, data) {
+  try {
+    const now = Date.now()
+    await putItem(STORE_NAME, {
+      key,
+      data,
+      cachedAt: now,
+      size: JSON.stringify(data).length,
+      usedAt: now,
+    })
+    if (++writes % PRUNE_INTERVAL === 0) {
+      await pruneStore(STORE_NAME, MAX_CACHE_SIZE)
+    }
+  } catch (err) {
+    console.warn('Couldn’t persist the subgraph result: ', err)
+  }
+}
@@ -0,0 +1,101 @@
+// Minimal promise wrapper around IndexedDB. All the stores of the dashboard
+// are declared here: changing them requires to increase DB_VERSION, which
+// recreates them (they only hold data that can be fetched again).
+const DB_NAME = 'court-dashboard'
+const DB_VERSION = 2
+
+const STORES = {
+  // IPFS blocks and files (see lib/ipfs-cache.js)
+  ipfs: { keyPath: 'key', indexes: ['usedAt'] },
+  // Results of the subgraph operations (see lib/graphql-cache.js)
+  graphql: { keyPath: 'key', indexes: ['usedAt'] },
+}
+
+let dbPromise = null
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        Array.from(db.objectStoreNames).forEach(name =>
+          db.deleteObjectStore(name)
+        )
+        Object.entries(STORES).forEach(([name, { keyPath, indexes }]) => {
+          const store = db.createObjectStore(name, { keyPath })
+          indexes.forEach(index => store.createIndex(index, index))
+        })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+
+    // Private browsing modes can forbid it, try again next time
+    dbPromise.catch(() => {
+      dbPromise = null
+    })
+  }
+  return dbPromise
+}
+
+// Run a request on a store, resolving once its transaction completes
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = callback(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request ? request.result : undefined)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+export function getItem(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key))
+}
+
+export function getAllItems(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll())
+}
+
+export function putItem(storeName, item) {
+  return withStore(storeName, 'readwrite', store => store.put(item))
+}
+
+export function deleteItem(storeName, key) {
+  return withStore(storeName, 'readwrite', store => store.delete(key))
+}
+
+export function clearStore(storeName) {
+  return withStore(storeName, 'readwrite', store => store.clear())
+}
+
+/**
+ * Delete the least recently used items of a store, until their total size
+ * fits in a limit
+ * @param {String} storeName Name of the store, having a `usedAt` index and items with a `size`
+ * @param {Number} maxSize Maximum total size of the items
+ * @returns {Promise} Resolves once done
+ */
+export function pruneStore(storeName, maxSize) {
+  return withStore(storeName, 'readwrite', store => {
+    let size = 0
+    const cursorRequest = store.index('usedAt').openCursor(null, 'prev')
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result
+      if (!cursor) {
+        return
+      }
+      size += cursor.value.size || 0
+      if (size > maxSize) {
+        cursor.delete()
+      }
+      cursor.continue()
+    }
+  })
+}
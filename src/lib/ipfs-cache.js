@@ -0,0 +1,87 @@
+import { getItem, pruneStore, putItem } from './indexed-db'
+
+// Content on IPFS never changes for a given CID, so it can be kept as long as
+// there is room for it. The blocks are kept after being checked against their
+// CID, and the files fetched without a check (see `ipfsGetVerified()`) are
+// kept separately, so they are never mistaken for verified content. The
+// metadata processed from the content (e.g. parsed evidence) is kept too, so
+// it doesn’t need to be processed again.
+const STORE_NAME = 'ipfs'
+const MAX_CACHE_SIZE = 200 * 1024 * 1024
+
+// The least recently used items get deleted every PRUNE_INTERVAL writes
+const PRUNE_INTERVAL = 50
+
+let writes = 0
+
+function getKey(type, id) {
+  return `${type}:${id}`
+}
+
+function getSize(data) {
+  if (data instanceof Blob) {
+    return data.size
+  }
+  if (data instanceof Uint8Array) {
+    return data.byteLength
+  }
+  return JSON.stringify(data).length
+}
+
+async function getCached(type, id) {
+  try {
+    const item = await getItem(STORE_NAME, getKey(type, id))
+    if (!item) {
+      return null
+    }
+    // Not waited for: only used to prune the cache
+    putItem(STORE_NAME, { ...item, usedAt: Date.now() }).catch(() => {})
+    return item.data
+  } catch (err) {
+    return null
+  }
+}
+
+async function setCached(type, id, data) {
+  try {
+    await putItem(STORE_NAME, {
+      key: getKey(type, id),
+      data,
+      size: getSize(data),
+      usedAt: Date.now(),
+    })
+    if (++writes % PRUNE_INTERVAL === 0) {
+      await pruneStore(STORE_NAME, MAX_CACHE_SIZE)
+    }
+  } catch (err) {
+    console.warn('Couldn’t cache the IPFS content: ', err)
+  }
+}
+
+// Verified block, as a Uint8Array
+export function getCachedBlock(cid) {
+  return getCached('block', cid)
+}
+
+export function cacheBlock(cid, block) {
+  return setCached('block', cid, block)
+}
+
+// Unverified file, as a Blob
+export function getCachedFile(cidPath) {
+  return getCached('file', cidPath)
+}
+
+export function cacheFile(cidPath, blob) {
+  return setCached('file', cidPath, blob)
+}
+
+// Metadata processed from a file as a plain object, `kind` telling how it
+// was processed (e.g. 'evidence')
+export function getCachedMetadata(kind, cidPath) {
+  return getCached('metadata', `${kind}:${cidPath}`)
+}
+
+export function cacheMetadata(kind, cidPath, metadata) {
+  return setCached('metadata', `${kind}:${cidPath}`, metadata)
+}
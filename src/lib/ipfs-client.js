@@ -0,0 +1,247 @@
+import { defaultIpfsFallbackGateways, defaultIpfsGateway } from '../networks'
+import { GatewayStatus } from '../types/ipfs-gateway-status-types'
+import {
+  IpfsContentMismatch,
+  IpfsContentUnverifiable,
+  IpfsFetchError,
+} from '../errors'
+
+// Requests on a gateway get aborted after this, body included
+const REQUEST_TIMEOUT = 15000
+
+// The next gateway joins the race when the previous ones didn’t answer after
+// this, or right away when they fail
+const HEDGE_DELAY = 1500
+
+// Answering slower than this makes a gateway slow
+const SLOW_LATENCY = 3000
+
+// Failing this many times in a row makes a gateway failing
+const MAX_FAILURES = 2
+
+// Empty directory, served by any gateway
+const HEALTH_CHECK_CID = 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn'
+
+export const RAW_BLOCK_TYPE = 'application/vnd.ipld.raw'
+
+const gateways = [
+  defaultIpfsGateway,
+  ...defaultIpfsFallbackGateways.filter(
+    gateway => gateway !== defaultIpfsGateway
+  ),
+].map(gateway => gateway.replace(/\/+$/, ''))
+
+const health = new Map(
+  gateways.map(gateway => [
+    gateway,
+    {
+      gateway,
+      latency: null,
+      failures: 0,
+      lastError: null,
+      rawBlocks: null,
+      requests: 0,
+    },
+  ])
+)
+
+const listeners = new Set()
+
+function updateHealth(gateway, update) {
+  health.set(gateway, { ...health.get(gateway), ...update })
+  listeners.forEach(listener => listener())
+}
+
+function recordSuccess(gateway, latency) {
+  const { latency: previousLatency, requests } = health.get(gateway)
+  updateHealth(gateway, {
+    // Moving average, to smooth out the slower requests (e.g. large files)
+    latency:
+      previousLatency === null
+        ? latency
+        : Math.round(previousLatency * 0.7 + latency * 0.3),
+    failures: 0,
+    lastError: null,
+    requests: requests + 1,
+  })
+}
+
+function recordFailure(gateway, error) {
+  const { failures, requests } = health.get(gateway)
+
+  // Not being able to serve raw blocks isn’t a failure of the gateway
+  if (error instanceof IpfsContentUnverifiable) {
+    updateHealth(gateway, { rawBlocks: false, requests: requests + 1 })
+    return
+  }
+  updateHealth(gateway, {
+    failures: failures + 1,
+    lastError: error.message,
+    requests: requests + 1,
+  })
+}
+
+function getGatewayStatus({ failures, latency, requests }) {
+  if (failures >= MAX_FAILURES) {
+    return GatewayStatus.Failing
+  }
+  if (requests === 0 || latency === null) {
+    return GatewayStatus.Unknown
+  }
+  return latency > SLOW_LATENCY ? GatewayStatus.Slow : GatewayStatus.Healthy
+}
+
+// Failing gateways go last, the configured order being kept otherwise
+function getGatewaysByHealth() {
+  return [...gateways].sort(
+    (gatewayA, gatewayB) =>
+      (health.get(gatewayA).failures >= MAX_FAILURES) -
+      (health.get(gatewayB).failures >= MAX_FAILURES)
+  )
+}
+
+async function request(gateway, path, { accept, read }, raceSignal) {
+  const controller = new AbortController()
+  const abort = () => controller.abort()
+  const timer = setTimeout(abort, REQUEST_TIMEOUT)
+  raceSignal.addEventListener('abort', abort)
+
+  try {
+    const response = await fetch(`${gateway}/${path}`, {
+      headers: accept ? { Accept: accept } : {},
+      signal: controller.signal,
+    })
+    if (!response.ok) {
+      throw new IpfsFetchError(`The gateway answered with ${response.status}`)
+    }
+    return await read(response)
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new IpfsFetchError(
+        raceSignal.aborted ? 'Request cancelled' : 'Request timed out'
+      )
+    }
+    throw err
+  } finally {
+    clearTimeout(timer)
+    raceSignal.removeEventListener('abort', abort)
+  }
+}
+
+// Content not matching its CID matters more than anything else
+function getRaceError(errors) {
+  return (
+    errors.find(err => err instanceof IpfsContentMismatch) ||
+    errors.find(err => err instanceof IpfsContentUnverifiable) ||
+    errors.find(err => err instanceof IpfsFetchError) ||
+    new IpfsFetchError()
+  )
+}
+
+/**
+ * Fetch a path from the configured gateways, racing them: the healthiest one
+ * gets requested first, the next ones joining the race if it is too slow or
+ * fails. The first result wins, and the other requests get aborted.
+ * @param {String} path Path to fetch, e.g. `<cid>/file.json` or `<cid>?format=raw`
+ * @param {Object} options Options
+ * @param {String} options.accept Accept header of the requests
+ * @param {Function} options.read Reads the response, throwing to reject it (e.g. if the content doesn’t match its CID)
+ * @returns {Promise} Resolves with the value returned by `read()`
+ */
+export function fetchFromGateways(path, { accept, read }) {
+  const orderedGateways = getGatewaysByHealth()
+  const raceController = new AbortController()
+
+  return new Promise((resolve, reject) => {
+    const errors = []
+    let nextIndex = 0
+    let pending = 0
+    let settled = false
+    let hedgeTimer = null
+
+    const settle = (callback, value) => {
+      settled = true
+      clearTimeout(hedgeTimer)
+      raceController.abort()
+      callback(value)
+    }
+
+    const startNext = () => {
+      clearTimeout(hedgeTimer)
+      if (settled || nextIndex >= orderedGateways.length) {
+        return
+      }
+
+      const gateway = orderedGateways[nextIndex++]
+      const startedAt = Date.now()
+      pending++
+
+      request(gateway, path, { accept, read }, raceController.signal).then(
+        result => {
+          pending--
+          recordSuccess(gateway, Date.now() - startedAt)
+          if (!settled) {
+            settle(resolve, result)
+          }
+        },
+        err => {
+          pending--
+          if (settled) {
+            return
+          }
+          recordFailure(gateway, err)
+          errors.push(err)
+          if (nextIndex < orderedGateways.length) {
+            startNext()
+          } else if (pending === 0) {
+            settle(reject, getRaceError(errors))
+          }
+        }
+      )
+
+      hedgeTimer = setTimeout(startNext, HEDGE_DELAY)
+    }
+
+    startNext()
+  })
+}
+
+/**
+ * Check the health of a gateway, by fetching a raw block from it
+ * @param {String} gateway URL of the gateway
+ * @returns {Promise} Resolves once checked
+ */
+export async function checkGateway(gateway) {
+  const raceController = new AbortController()
+  const startedAt = Date.now()
+  try {
+    const rawBlocks = await request(
+      gateway,
+      `${HEALTH_CHECK_CID}?format=raw`,
+      {
+        accept: RAW_BLOCK_TYPE,
+        read: async response =>
+          (response.headers.get('Content-Type') || '').includes(RAW_BLOCK_TYPE),
+      },
+      raceController.signal
+    )
+    recordSuccess(gateway, Date.now() - startedAt)
+    updateHealth(gateway, { rawBlocks })
+  } catch (err) {
+    recordFailure(gateway, err)
+  }
+}
+
+// Health of the gateways, in their configured order
+export function getGatewaysHealth() {
+  return gateways.map(gateway => {
+    const gatewayHealth = health.get(gateway)
+    return { ...gatewayHealth, status: getGatewayStatus(gatewayHealth) }
+  })
+}
+
+// Returns a function to stop listening
+export function onGatewaysHealthChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -0,0 +1,273 @@
+// Minimal decoding of the IPFS data structures, to check that the content
+// served by a gateway matches its CID without trusting the gateway: CIDs
+// (v0, and v1 in base32 or base58btc), dag-pb nodes and UnixFS metadata.
+
+const BASE58_ALPHABET =
+  '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567'
+
+const CODEC_DAG_PB = 0x70
+const CODEC_RAW = 0x55
+const HASH_SHA2_256 = 0x12
+const SHA2_256_LENGTH = 32
+
+export const UnixFsType = {
+  Raw: 0,
+  Directory: 1,
+  File: 2,
+  Metadata: 3,
+  Symlink: 4,
+  HAMTShard: 5,
+}
+
+function decodeBase58(string) {
+  // Little-endian while decoding
+  const bytes = []
+  for (const char of string) {
+    let carry = BASE58_ALPHABET.indexOf(char)
+    if (carry === -1) {
+      return null
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58
+      bytes[i] = carry & 0xff
+      carry >>= 8
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff)
+      carry >>= 8
+    }
+  }
+  // Leading zeros are encoded as leading "1"
+  for (let i = 0; i < string.length && string[i] === '1'; i++) {
+    bytes.push(0)
+  }
+  return Uint8Array.from(bytes.reverse())
+}
+
+function encodeBase58(bytes) {
+  const digits = [0]
+  for (const byte of bytes) {
+    let carry = byte
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8
+      digits[i] = carry % 58
+      carry = (carry / 58) | 0
+    }
+    while (carry > 0) {
+      digits.push(carry % 58)
+      carry = (carry / 58) | 0
+    }
+  }
+  let string = ''
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    string += '1'
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    string += BASE58_ALPHABET[digits[i]]
+  }
+  return string
+}
+
+function decodeBase32(string) {
+  const bytes = []
+  let buffer = 0
+  let bits = 0
+  for (const char of string) {
+    const value = BASE32_ALPHABET.indexOf(char)
+    if (value === -1) {
+      return null
+    }
+    buffer = (buffer << 5) | value
+    bits += 5
+    if (bits >= 8) {
+      bits -= 8
+      bytes.push((buffer >> bits) & 0xff)
+    }
+  }
+  return Uint8Array.from(bytes)
+}
+
+function encodeBase32(bytes) {
+  let string = ''
+  let buffer = 0
+  let bits = 0
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      bits -= 5
+      string += BASE32_ALPHABET[(buffer >> bits) & 31]
+    }
+  }
+  if (bits > 0) {
+    string += BASE32_ALPHABET[(buffer << (5 - bits)) & 31]
+  }
+  return string
+}
+
+// Returns [value, offset after the varint]
+function readVarint(bytes, offset) {
+  let value = 0
+  let shift = 0
+  let byte
+  do {
+    if (offset >= bytes.length) {
+      throw new Error('Unexpected end of varint')
+    }
+    byte = bytes[offset++]
+    // Multiplying keeps the values above 2^31 (e.g. file sizes) positive
+    value += (byte & 0x7f) * Math.pow(2, shift)
+    shift += 7
+  } while (byte & 0x80)
+  return [value, offset]
+}
+
+// Protobuf fields, as [fieldNumber, value] where the value is a number for
+// varints and a Uint8Array for length-delimited fields
+function readProtobufFields(bytes) {
+  const fields = []
+  let offset = 0
+  while (offset < bytes.length) {
+    let key
+    ;[key, offset] = readVarint(bytes, offset)
+    const fieldNumber = Math.floor(key / 8)
+    const wireType = key & 7
+
+    if (wireType === 0) {
+      let value
+      ;[value, offset] = readVarint(bytes, offset)
+      fields.push([fieldNumber, value])
+    } else if (wireType === 2) {
+      let length
+      ;[length, offset] = readVarint(bytes, offset)
+      fields.push([fieldNumber, bytes.subarray(offset, offset + length)])
+      offset += length
+    } else {
+      throw new Error(`Unsupported protobuf wire type: ${wireType}`)
+    }
+  }
+  return fields
+}
+
+/**
+ * Parse a CID
+ * @param {String} cid CID, v0 or v1 (base32 or base58btc)
+ * @returns {Object} `{ bytes, codec, hashCode, digest }`, or null if it is invalid
+ */
+export function parseCid(cid) {
+  try {
+    // CIDv0: base58btc sha2-256 multihash, implicitly dag-pb
+    if (cid.length === 46 && cid.startsWith('Qm')) {
+      const bytes = decodeBase58(cid)
+      return {
+        bytes,
+        codec: CODEC_DAG_PB,
+        hashCode: bytes[0],
+        digest: bytes.subarray(2),
+      }
+    }
+
+    const decode = { b: decodeBase32, z: decodeBase58 }[cid[0]]
+    const bytes = decode && decode(cid.slice(1))
+    if (!bytes) {
+      return null
+    }
+
+    let version, codec, hashCode, digestLength
+    let offset = 0
+    ;[version, offset] = readVarint(bytes, offset)
+    ;[codec, offset] = readVarint(bytes, offset)
+    ;[hashCode, offset] = readVarint(bytes, offset)
+    ;[digestLength, offset] = readVarint(bytes, offset)
+    if (version !== 1 || bytes.length !== offset + digestLength) {
+      return null
+    }
+    return { bytes, codec, hashCode, digest: bytes.subarray(offset) }
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Format the binary CID of a dag-pb link
+ * @param {Uint8Array} bytes Binary CID
+ * @returns {String} The CID, in base58btc for v0 and base32 for v1
+ */
+export function formatCid(bytes) {
+  return bytes[0] === HASH_SHA2_256 && bytes[1] === SHA2_256_LENGTH
+    ? encodeBase58(bytes)
+    : `b${encodeBase32(bytes)}`
+}
+
+/**
+ * Check that a block matches its CID
+ * @param {Object} cid Parsed CID (see `parseCid()`)
+ * @param {Uint8Array} block Content of the block
+ * @returns {Promise<Boolean>} Whether the block matches the CID, or null if the hash function isn’t supported
+ */
+export async function verifyBlock(cid, block) {
+  if (
+    cid.hashCode !== HASH_SHA2_256 ||
+    cid.digest.length !== SHA2_256_LENGTH ||
+    !window.crypto?.subtle
+  ) {
+    return null
+  }
+  const digest = new Uint8Array(
+    await window.crypto.subtle.digest('SHA-256', block)
+  )
+  return digest.every((byte, index) => byte === cid.digest[index])
+}
+
+export function isRawCid(cid) {
+  return cid.codec === CODEC_RAW
+}
+
+export function isDagPbCid(cid) {
+  return cid.codec === CODEC_DAG_PB
+}
+
+/**
+ * Decode a dag-pb block, along with its UnixFS metadata
+ * @param {Uint8Array} block Content of the block
+ * @returns {Object} `{ links: [{ cid, name, size }], type, data }`
+ */
+export function decodeDagPbNode(block) {
+  const links = []
+  let nodeData = new Uint8Array(0)
+
+  readProtobufFields(block).forEach(([fieldNumber, value]) => {
+    if (fieldNumber === 1) {
+      nodeData = value
+    }
+    if (fieldNumber === 2) {
+      const link = { cid: null, name: '', size: 0 }
+      readProtobufFields(value).forEach(([linkField, linkValue]) => {
+        if (linkField === 1) {
+          link.cid = formatCid(linkValue)
+        }
+        if (linkField === 2) {
+          link.name = new TextDecoder().decode(linkValue)
+        }
+        if (linkField === 3) {
+          link.size = linkValue
+        }
+      })
+      links.push(link)
+    }
+  })
+
+  let type = null
+  let data = new Uint8Array(0)
+  readProtobufFields(nodeData).forEach(([fieldNumber, value]) => {
+    if (fieldNumber === 1) {
+      type = value
+    }
+    if (fieldNumber === 2) {
+      data = value
+    }
+  })
+
+  return { links, type, data }
+}
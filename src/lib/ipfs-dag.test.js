@@ -0,0 +1,170 @@
+import { createHash } from 'crypto'
+import { TextDecoder } from 'util'
+import {
+  UnixFsType,
+  decodeDagPbNode,
+  formatCid,
+  isDagPbCid,
+  isRawCid,
+  parseCid,
+  verifyBlock,
+} from './ipfs-dag'
+
+// The vectors below were produced by `ipfs add`: "hello\n" as a single block,
+// and a 39 bytes file split in blocks of 16 bytes, with dag-pb leaves (CIDv0)
+// or raw leaves (CIDv1)
+
+const HELLO = {
+  cidV0: 'QmZULkCELmmk5XNfCgTnCyFgAVxBRBXyDHGGMVoLFLiXEN',
+  cidV1: 'bafybeiffndsajwhk3lwjewwdxqntmjm4b5wxaaanokonsggenkbw6slwk4',
+  block: '0a0c0802120668656c6c6f0a1806',
+}
+
+const MULTI_BLOCK_CONTENT = 'Aragon Court evidence, split in blocks\n'
+
+const MULTI_BLOCK_FILES = [
+  {
+    title: 'dag-pb leaves (CIDv0)',
+    rawLeaves: false,
+    cid: 'QmVhUaWRMPgaGkXg2FyPcYpwTe9dZN2qCuWoVdndg3zxHA',
+    blocks: {
+      QmVhUaWRMPgaGkXg2FyPcYpwTe9dZN2qCuWoVdndg3zxHA:
+        '12280a2212207f8f558f33f8f95206f3c47fe0f239f959f176bcdd0e889a55b021c2919658fc1200181812280a2212207130520ff11641fd30d626d4809415dd75d254464ecc333fecdb1ea9312e7df91200181812280a22122014f60af9c6948d9bfeded18d41e6aacc0b92da3298244fc39239321c673d88a41200180f0a0a08021827201020102007',
+      QmWvbFcCrU174DJSd3DkfFXRsMCHGP84BcreQBC9xDKSTd:
+        '0a1608021210417261676f6e20436f757274206576691810',
+      QmVxVWnTU7ZgSBPAoqaaYZryCA1DsD4UNzeb8N7FjqkNM6:
+        '0a160802121064656e63652c2073706c697420696e201810',
+      QmPkUTvi2S8mw295L7bKb58GsqfW9J8Qp5tPcZ6DPWEvcj:
+        '0a0d08021207626c6f636b730a1807',
+    },
+  },
+  {
+    title: 'raw leaves (CIDv1)',
+    rawLeaves: true,
+    cid: 'bafybeidyt34jal77pcpboxx5f7gazkbl75zdpn5t5t3x4lvifvzmxldlcy',
+    blocks: {
+      bafybeidyt34jal77pcpboxx5f7gazkbl75zdpn5t5t3x4lvifvzmxldlcy:
+        '122a0a2401551220d4329de3fa3e78546512b9996846818c45a88f3ed8d753b9a6781229603b149112001810122a0a2401551220fcaa1b546f4246c2e47ce73581c4f7112cbc8ab9b1f1aff706e8a01abebec0f712001810122a0a2401551220078695e549bb6a4a018de1aa9091c986807d80f985a0438501a295be3b09fcec120018070a0a08021827201020102007',
+      bafkreigugko6h6r6pbkgkevztfuenammiwui6pwy25j3tjtyciuwaoyuse:
+        '417261676f6e20436f75727420657669',
+      bafkreih4vinvi32ci3boi7hhgwa4j5yrfs6ivonr6gx7obxiuanl5pwa64:
+        '64656e63652c2073706c697420696e20',
+      bafkreiahq2k6ksn3njfaddpbvkijdsmgqb6yb6mfubbykancsw7dwcp45q:
+        '626c6f636b730a',
+    },
+  },
+]
+
+function fromHex(hex) {
+  return Uint8Array.from(hex.match(/../g).map(byte => parseInt(byte, 16)))
+}
+
+function toText(bytes) {
+  return new TextDecoder().decode(bytes)
+}
+
+// jsdom provides neither the Web Crypto API nor TextDecoder
+beforeAll(() => {
+  if (!window.crypto?.subtle) {
+    window.crypto = {
+      subtle: {
+        digest: async (algorithm, data) =>
+          Uint8Array.from(
+            createHash('sha256')
+              .update(data)
+              .digest()
+          ).buffer,
+      },
+    }
+  }
+  if (!global.TextDecoder) {
+    global.TextDecoder = TextDecoder
+  }
+})
+
+describe('parseCid()', () => {
+  test('parses a CIDv0', () => {
+    const cid = parseCid(HELLO.cidV0)
+    expect(isDagPbCid(cid)).toBe(true)
+    expect(cid.hashCode).toBe(0x12)
+    expect(cid.digest).toHaveLength(32)
+  })
+
+  test('parses a CIDv1 of the same content', () => {
+    const cidV0 = parseCid(HELLO.cidV0)
+    const cidV1 = parseCid(HELLO.cidV1)
+    expect(isDagPbCid(cidV1)).toBe(true)
+    expect(cidV1.hashCode).toBe(0x12)
+    expect(Array.from(cidV1.digest)).toEqual(Array.from(cidV0.digest))
+  })
+
+  test('returns null for invalid CIDs', () => {
+    expect(parseCid('')).toBe(null)
+    expect(parseCid('QmZULkCELmmk5XNfCgTnCyFgAVxBRBXyDHGGMVoLFLiXE0')).toBe(
+      null
+    )
+    expect(parseCid('bafy!')).toBe(null)
+    expect(parseCid(HELLO.cidV1.slice(0, -4))).toBe(null)
+    expect(parseCid('xyz')).toBe(null)
+  })
+})
+
+describe('formatCid()', () => {
+  test('formats back a CIDv0 in base58btc', () => {
+    expect(formatCid(parseCid(HELLO.cidV0).bytes)).toBe(HELLO.cidV0)
+  })
+
+  test('formats back a CIDv1 in base32', () => {
+    expect(formatCid(parseCid(HELLO.cidV1).bytes)).toBe(HELLO.cidV1)
+  })
+})
+
+describe('verifyBlock()', () => {
+  test('accepts a block matching its CID', async () => {
+    const block = fromHex(HELLO.block)
+    expect(await verifyBlock(parseCid(HELLO.cidV0), block)).toBe(true)
+    expect(await verifyBlock(parseCid(HELLO.cidV1), block)).toBe(true)
+  })
+
+  test('rejects a block not matching its CID', async () => {
+    const block = fromHex(HELLO.block)
+    block[block.length - 2] ^= 1
+    expect(await verifyBlock(parseCid(HELLO.cidV0), block)).toBe(false)
+  })
+
+  test('returns null for unsupported hash functions', async () => {
+    const cid = { ...parseCid(HELLO.cidV0), hashCode: 0x13 }
+    expect(await verifyBlock(cid, fromHex(HELLO.block))).toBe(null)
+  })
+})
+
+describe('decodeDagPbNode()', () => {
+  test('decodes a single block file', () => {
+    const { links, type, data } = decodeDagPbNode(fromHex(HELLO.block))
+    expect(links).toEqual([])
+    expect(type).toBe(UnixFsType.File)
+    expect(toText(data)).toBe('hello\n')
+  })
+
+  MULTI_BLOCK_FILES.forEach(({ title, rawLeaves, cid, blocks }) => {
+    test(`decodes a multi-block file with ${title}`, async () => {
+      const rootBlock = fromHex(blocks[cid])
+      expect(await verifyBlock(parseCid(cid), rootBlock)).toBe(true)
+
+      const root = decodeDagPbNode(rootBlock)
+      expect(root.type).toBe(UnixFsType.File)
+      expect(root.links).toHaveLength(3)
+
+      const chunks = await Promise.all(
+        root.links.map(async link => {
+          const linkCid = parseCid(link.cid)
+          const block = fromHex(blocks[link.cid])
+          expect(await verifyBlock(linkCid, block)).toBe(true)
+          expect(isRawCid(linkCid)).toBe(rawLeaves)
+          return rawLeaves ? block : decodeDagPbNode(block).data
+        })
+      )
+      expect(chunks.map(toText).join('')).toBe(MULTI_BLOCK_CONTENT)
+    })
+  })
+})
@@ -1,22 +1,210 @@
 import isIPFS from 'is-ipfs'
-import { defaultIpfsGateway } from '../networks'
+import { defaultIpfsApi } from '../networks'
+import { RAW_BLOCK_TYPE, fetchFromGateways } from './ipfs-client'
+import {
+  cacheBlock,
+  cacheFile,
+  getCachedBlock,
+  getCachedFile,
+} from './ipfs-cache'
+import {
+  UnixFsType,
+  decodeDagPbNode,
+  isDagPbCid,
+  isRawCid,
+  parseCid,
+  verifyBlock,
+} from './ipfs-dag'
+import { ContentCheck } from '../types/evidences-status-types'
+import {
+  IpfsContentMismatch,
+  IpfsContentUnverifiable,
+  IpfsFetchError,
+  IpfsUploadError,
+} from '../errors'
 
 const SPLIT_IPFS_REGEX = /(Qm[a-zA-Z0-9]{44})/
 const TEST_IPFS_REGEX = /(Qm[a-zA-Z0-9]{44})/
 
-const REQUEST_TIMEOUT = 60000
-
+// Fetch a file from IPFS as text (see `ipfsGetVerified()`)
 export const ipfsGet = async cid => {
-  const endpoint = `${defaultIpfsGateway}/${cid}`
+  const { data, error } = await ipfsGetVerified(cid)
+  return error ? { error: true } : { data: await data.text(), error: false }
+}
+
+// Blocks are the same on every gateway, so they can be raced
+async function fetchVerifiedBlock(cid) {
+  const parsedCid = parseCid(cid)
+  if (!parsedCid) {
+    throw new IpfsContentUnverifiable()
+  }
+
+  const cachedBlock = await getCachedBlock(cid)
+  if (cachedBlock) {
+    return [parsedCid, cachedBlock]
+  }
+
+  const block = await fetchFromGateways(`${cid}?format=raw`, {
+    accept: RAW_BLOCK_TYPE,
+    read: async response => {
+      if (
+        !(response.headers.get('Content-Type') || '').includes(RAW_BLOCK_TYPE)
+      ) {
+        throw new IpfsContentUnverifiable()
+      }
+      const block = new Uint8Array(await response.arrayBuffer())
+      const valid = await verifyBlock(parsedCid, block)
+      if (valid === null) {
+        throw new IpfsContentUnverifiable()
+      }
+      if (!valid) {
+        throw new IpfsContentMismatch()
+      }
+      return block
+    },
+  })
+
+  cacheBlock(cid, block)
+  return [parsedCid, block]
+}
+
+// Follow a path from a directory, checking every directory on the way
+async function resolveVerifiedPath(cid, path) {
+  for (const name of path.split('/').filter(Boolean)) {
+    const [parsedCid, block] = await fetchVerifiedBlock(cid)
+    const node = isDagPbCid(parsedCid) ? decodeDagPbNode(block) : null
+
+    // Sharded directories aren’t supported
+    if (node?.type !== UnixFsType.Directory) {
+      throw new IpfsContentUnverifiable()
+    }
+    const link = node.links.find(link => link.name === name)
+    if (!link) {
+      throw new IpfsFetchError(`“${name}” not found in ${cid}`)
+    }
+    cid = link.cid
+  }
+  return cid
+}
+
+// Chunks of a file, in order
+async function readVerifiedFile(cid) {
+  const [parsedCid, block] = await fetchVerifiedBlock(cid)
+  if (isRawCid(parsedCid)) {
+    return [block]
+  }
+
+  const node = isDagPbCid(parsedCid) ? decodeDagPbNode(block) : null
+  if (node?.type !== UnixFsType.File && node?.type !== UnixFsType.Raw) {
+    throw new IpfsContentUnverifiable()
+  }
+  const chunks = await Promise.all(
+    node.links.map(link => readVerifiedFile(link.cid))
+  )
+  return [node.data, ...[].concat(...chunks)]
+}
+
+async function fetchUnverifiedFile(cidPath) {
+  const cachedFile = await getCachedFile(cidPath)
+  if (cachedFile) {
+    return cachedFile
+  }
+  const blob = await fetchFromGateways(cidPath, {
+    read: response => response.blob(),
+  })
+  cacheFile(cidPath, blob)
+  return blob
+}
+
+/**
+ * Fetch a file from IPFS, checking that it matches its CID. The content gets
+ * fetched block by block from the gateways (see lib/ipfs-client.js), each
+ * block being hashed, so it can be trusted regardless of the gateway. When no
+ * gateway can serve raw blocks, the content is fetched as usual, unverified.
+ * Everything fetched is cached (see lib/ipfs-cache.js).
+ * @param {String} cidPath CID, optionally followed by a path
+ * @returns {Promise<Object>} `{ data, contentCheck }` with the content as a Blob, or `{ error, contentCheck }`
+ */
+export async function ipfsGetVerified(cidPath) {
+  const [cid, ...path] = cidPath.split('/')
   try {
-    const result = await fetch(endpoint, { timeout: REQUEST_TIMEOUT })
-    const data = await result.text()
+    const fileCid = await resolveVerifiedPath(cid, path.join('/'))
+    const chunks = await readVerifiedFile(fileCid)
+    return { data: new Blob(chunks), contentCheck: ContentCheck.Verified }
+  } catch (err) {
+    if (err instanceof IpfsContentMismatch) {
+      console.error(`The content of ${cidPath} doesn’t match its CID`)
+      return { error: true, contentCheck: ContentCheck.Mismatch }
+    }
+    if (!(err instanceof IpfsContentUnverifiable)) {
+      console.warn(`Couldn’t check the content of ${cidPath}: `, err)
+    }
+  }
 
-    return { data, error: !result.ok }
+  try {
+    return {
+      data: await fetchUnverifiedFile(cidPath),
+      contentCheck: ContentCheck.Unverifiable,
+    }
   } catch (err) {
-    console.error(`Error requesting data from IPFS for ${endpoint}`, err)
-    return { error: true }
+    console.error(`Error requesting data from IPFS for ${cidPath}`, err)
+    return { error: true, contentCheck: ContentCheck.Unverifiable }
+  }
+}
+
+/**
+ * Add and pin files to IPFS, in a directory
+ * @param {Array} files Files to add, as `{ path, content }` where `path` is relative to the directory (e.g. `attachments/file.pdf`) and `content` a string or a Blob
+ * @returns {Promise<String>} CID of the directory
+ */
+export async function ipfsAdd(files) {
+  const formData = new FormData()
+
+  // Parent directories must be declared before their files
+  const directories = new Set(
+    files
+      .map(({ path }) => path.split('/').slice(0, -1))
+      .filter(parts => parts.length > 0)
+      .map(parts => parts.join('/'))
+  )
+  directories.forEach(path => {
+    formData.append(
+      'file',
+      new Blob([], { type: 'application/x-directory' }),
+      encodeURIComponent(path)
+    )
+  })
+  files.forEach(({ path, content }) => {
+    formData.append(
+      'file',
+      content instanceof Blob ? content : new Blob([content]),
+      encodeURIComponent(path)
+    )
+  })
+
+  let response
+  try {
+    response = await fetch(
+      `${defaultIpfsApi}/add?pin=true&wrap-with-directory=true&cid-version=0`,
+      { method: 'POST', body: formData }
+    )
+  } catch (err) {
+    throw new IpfsUploadError('The IPFS API is unreachable')
+  }
+  if (!response.ok) {
+    throw new IpfsUploadError()
+  }
+
+  // One JSON object per line, the wrapping directory having an empty name
+  const entries = (await response.text())
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+  const directory = entries.find(({ Name }) => Name === '')
+  if (!directory) {
+    throw new IpfsUploadError()
   }
+  return directory.Hash
 }
 
 export const getIpfsCidFromUri = string => {
@@ -0,0 +1,90 @@
+const TOKEN_SEPARATOR = /[^\p{L}\p{N}]+/u
+
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(TOKEN_SEPARATOR)
+    .filter(token => token.length > 0)
+}
+
+// In-memory inverted index, matching documents containing every word of a
+// query (the last one being a prefix, so results show up while typing).
+// Documents can be updated at any time: only the ones whose text changed
+// get indexed again.
+class SearchIndex {
+  constructor() {
+    // Indexed text by document id
+    this.documents = new Map()
+    // Document ids by token
+    this.tokens = new Map()
+  }
+
+  has(id) {
+    return this.documents.has(id)
+  }
+
+  update(id, text) {
+    if (this.documents.get(id) === text) {
+      return false
+    }
+
+    this.remove(id)
+    this.documents.set(id, text)
+
+    for (const token of new Set(tokenize(text))) {
+      if (!this.tokens.has(token)) {
+        this.tokens.set(token, new Set())
+      }
+      this.tokens.get(token).add(id)
+    }
+    return true
+  }
+
+  remove(id) {
+    const text = this.documents.get(id)
+    if (text === undefined) {
+      return
+    }
+
+    for (const token of new Set(tokenize(text))) {
+      const ids = this.tokens.get(token)
+      ids.delete(id)
+      if (ids.size === 0) {
+        this.tokens.delete(token)
+      }
+    }
+    this.documents.delete(id)
+  }
+
+  // Ids of the documents containing a token starting with `prefix`
+  matchPrefix(prefix) {
+    const ids = new Set()
+    for (const [token, tokenIds] of this.tokens) {
+      if (token.startsWith(prefix)) {
+        tokenIds.forEach(id => ids.add(id))
+      }
+    }
+    return ids
+  }
+
+  search(query) {
+    const queryTokens = tokenize(query)
+    if (queryTokens.length === 0) {
+      return null
+    }
+
+    const lastToken = queryTokens.pop()
+    const matches = [
+      ...queryTokens.map(token => this.tokens.get(token) || new Set()),
+      this.matchPrefix(lastToken),
+    ]
+
+    // Smallest set first to intersect faster
+    matches.sort((a, b) => a.size - b.size)
+    const [smallest, ...others] = matches
+
+    return new Set([...smallest].filter(id => others.every(ids => ids.has(id))))
+  }
+}
+
+export default SearchIndex
@@ -1,8 +1,14 @@
 import env from './environment'
-import { IPFS_ENDPOINT } from './endpoints'
+import {
+  IPFS_API_ENDPOINT,
+  IPFS_ENDPOINT,
+  IPFS_FALLBACK_ENDPOINTS,
+} from './endpoints'
 
 const DEFAULT_ETH_NODE = 'DEFAULT_ETH_NODE'
 const IPFS_GATEWAY = 'IPFS_GATEWAY'
+const IPFS_FALLBACK_GATEWAYS = 'IPFS_FALLBACK_GATEWAYS'
+const IPFS_API = 'IPFS_API'
 
 // Get a setting from localStorage
 function getLocalStorageSetting(confKey) {
@@ -24,6 +30,8 @@ export function clearLocalStorageNetworkSettings() {
   // TODO - remove subgrapk key once available
   window.localStorage.removeItem('DEFAULT_ETH_NODE_KEY')
   window.localStorage.removeItem('IPFS_GATEWAY_KEY')
+  window.localStorage.removeItem('IPFS_FALLBACK_GATEWAYS_KEY')
+  window.localStorage.removeItem('IPFS_API_KEY')
 }
 
 export function getDefaultEthNode() {
@@ -42,3 +50,23 @@ export function setIpfsGateway(gateway) {
 export function getIpfsGateway() {
   return getLocalSetting(IPFS_GATEWAY) || IPFS_ENDPOINT
 }
+
+// Fallback gateways are stored as a list separated by spaces or commas
+export function setIpfsFallbackGateways(gateways) {
+  return setLocalSetting(IPFS_FALLBACK_GATEWAYS, gateways.join(' '))
+}
+
+export function getIpfsFallbackGateways() {
+  const gateways = getLocalSetting(IPFS_FALLBACK_GATEWAYS)
+  return gateways
+    ? gateways.split(/[\s,]+/).filter(Boolean)
+    : IPFS_FALLBACK_ENDPOINTS
+}
+
+export function setIpfsApi(api) {
+  return setLocalSetting(IPFS_API, api)
+}
+
+export function getIpfsApi() {
+  return getLocalSetting(IPFS_API) || IPFS_API_ENDPOINT
+}
@@ -1,6 +1,11 @@
 import environment from './environment'
 import { getNetworkType, isLocalOrUnknownNetwork } from './lib/web3-utils'
-import { getDefaultEthNode, getIpfsGateway } from './local-settings'
+import {
+  getDefaultEthNode,
+  getIpfsApi,
+  getIpfsFallbackGateways,
+  getIpfsGateway,
+} from './local-settings'
 
 const SUBGRAPH_NAME = environment('SUBGRAPH_NAME')
 
@@ -66,3 +71,7 @@ export const defaultEthNode =
   getDefaultEthNode() || getNetworkConfig().nodes.defaultEth
 
 export const defaultIpfsGateway = getIpfsGateway()
+
+export const defaultIpfsFallbackGateways = getIpfsFallbackGateways()
+
+export const defaultIpfsApi = getIpfsApi()
@@ -0,0 +1,290 @@
+import React, {
+  useCallback,
+  useContext,
+  useMemo,
+  useRef,
+  useState,
+} from 'react'
+import PropTypes from 'prop-types'
+import { useWallet } from './Wallet'
+import { deriveKeyFromSignature } from '../lib/crypto-utils'
+import {
+  getAllCodesFromLocalStorage,
+  removeCodeFromLocalStorage,
+  saveCodeInLocalStorage,
+} from '../utils/one-time-code-utils'
+import {
+  VAULT_KEY_MESSAGE,
+  downloadVault,
+  getCodeForCommitment,
+  getVaultAccountId,
+  loadVault,
+  mergeEntries,
+  openEntries,
+  parseVaultFile,
+  saveVault,
+  sealEntries,
+} from '../utils/commit-vault-utils'
+
+const CommitVaultContext = React.createContext()
+
+// Codes saved in plain text, by previous versions or while the vault was
+// locked, in the vault entries format
+function getLocalStorageEntries(account) {
+  return getAllCodesFromLocalStorage(account).reduce(
+    (entries, { disputeId, code }) => {
+      entries[disputeId] = { code, savedAt: Date.now() }
+      return entries
+    },
+    {}
+  )
+}
+
+function CommitVaultProvider({ children }) {
+  const { account, ethers } = useWallet()
+  const [vault, setVault] = useState(loadVault)
+  const latestVault = useRef(vault)
+
+  // Decrypted entries, by account id. Keys and decrypted codes only live in
+  // memory for the current session.
+  const [openedEntries, setOpenedEntries] = useState({})
+  const latestOpenedEntries = useRef(openedEntries)
+  const keys = useRef(new Map())
+
+  // Codes saved while the vault was locked, by account id, to replace the
+  // codes of previous rounds when it gets unlocked. They are also kept in the
+  // local storage until then, so that they survive a reload.
+  const pendingEntries = useRef(new Map())
+
+  const accountId = account ? getVaultAccountId(account) : null
+  const entries = (accountId && openedEntries[accountId]) || null
+
+  // Update the vault, ensuring it is updated in the storage and in the state.
+  const updateVault = useCallback(cb => {
+    const newVault = cb(latestVault.current)
+    latestVault.current = newVault
+    setVault(newVault)
+    saveVault(newVault)
+  }, [])
+
+  // Encrypt and store the entries of an unlocked account
+  const persistEntries = useCallback(
+    async (accountId, newEntries) => {
+      const sealed = await sealEntries(keys.current.get(accountId), newEntries)
+
+      latestOpenedEntries.current = {
+        ...latestOpenedEntries.current,
+        [accountId]: newEntries,
+      }
+      setOpenedEntries(latestOpenedEntries.current)
+      updateVault(vault => ({
+        ...vault,
+        accounts: { ...vault.accounts, [accountId]: sealed },
+      }))
+    },
+    [updateVault]
+  )
+
+  // Ask the connected account to sign the vault message and decrypt its codes.
+  // Resolves to the decrypted codes.
+  const unlock = useCallback(async () => {
+    if (!accountId || !ethers) {
+      return null
+    }
+
+    const signature = await ethers.getSigner().signMessage(VAULT_KEY_MESSAGE)
+    const key = await deriveKeyFromSignature(signature)
+    const sealed = vault.accounts[accountId]
+    const storedEntries = sealed ? await openEntries(key, sealed) : {}
+
+    keys.current.set(accountId, key)
+
+    // Codes saved in plain text are moved to the vault, but never replace a
+    // code that is already in it. Codes saved while it was locked during this
+    // session are the most recent ones.
+    const localStorageEntries = getLocalStorageEntries(account)
+    const { entries: newEntries } = mergeEntries(
+      mergeEntries(storedEntries, localStorageEntries).entries,
+      pendingEntries.current.get(accountId) || {},
+      true
+    )
+    await persistEntries(accountId, newEntries)
+
+    pendingEntries.current.delete(accountId)
+    Object.entries(localStorageEntries).forEach(([disputeId, { code }]) => {
+      if (newEntries[disputeId] && newEntries[disputeId].code === code) {
+        removeCodeFromLocalStorage(account, disputeId)
+      }
+    })
+    return newEntries
+  }, [account, accountId, ethers, persistEntries, vault])
+
+  // Resolves to true once the code is encrypted in the vault. If the vault is
+  // locked, the code is saved in the local storage and the account is asked to
+  // unlock it: if it doesn’t, the code stays there until the next unlock, and
+  // resolves to false.
+  const saveCode = useCallback(
+    async (disputeId, roundId, code) => {
+      const entry = { code, roundId, savedAt: Date.now() }
+      const currentEntries = latestOpenedEntries.current[accountId]
+
+      if (currentEntries) {
+        await persistEntries(accountId, {
+          ...currentEntries,
+          [disputeId]: entry,
+        })
+        return true
+      }
+
+      saveCodeInLocalStorage(account, disputeId, code)
+      pendingEntries.current.set(accountId, {
+        ...pendingEntries.current.get(accountId),
+        [disputeId]: entry,
+      })
+      try {
+        await unlock()
+      } catch (err) {
+        console.error('Error unlocking the commit code vault: ', err)
+      }
+      return !pendingEntries.current.has(accountId)
+    },
+    [account, accountId, persistEntries, unlock]
+  )
+
+  // Removes the codes of several disputes at once, as updates based on the
+  // same entries would overwrite each other.
+  const removeCodes = useCallback(
+    async disputeIds => {
+      const currentEntries = latestOpenedEntries.current[accountId]
+      if (
+        !currentEntries ||
+        !disputeIds.some(disputeId => currentEntries[disputeId])
+      ) {
+        return
+      }
+      const newEntries = { ...currentEntries }
+      disputeIds.forEach(disputeId => {
+        delete newEntries[disputeId]
+      })
+      await persistEntries(accountId, newEntries)
+    },
+    [accountId, persistEntries]
+  )
+
+  const removeCode = useCallback(disputeId => removeCodes([disputeId]), [
+    removeCodes,
+  ])
+
+  const getCode = useCallback(
+    (disputeId, commitment) =>
+      getCodeForCommitment(entries, disputeId, commitment),
+    [entries]
+  )
+
+  const exportVault = useCallback(() => downloadVault(vault), [vault])
+
+  // Reads a vault file and returns the codes that would be overwritten by it,
+  // along with an `apply()` function to actually import it.
+  const importVault = useCallback(
+    async content => {
+      const importedVault = parseVaultFile(content)
+      const importedAccounts = Object.entries(importedVault.accounts)
+
+      // The entries of the connected account can be merged code by code
+      const key = keys.current.get(accountId)
+      const importedSealed = importedVault.accounts[accountId]
+      const importedEntries =
+        entries && importedSealed ? await openEntries(key, importedSealed) : {}
+      const { conflicts: disputeConflicts } = mergeEntries(
+        entries || {},
+        importedEntries
+      )
+
+      // Other accounts can’t be decrypted: their sealed entries get replaced
+      const accountConflicts = importedAccounts
+        .filter(
+          ([id, sealed]) =>
+            !(entries && id === accountId) &&
+            vault.accounts[id] &&
+            vault.accounts[id].data !== sealed.data
+        )
+        .map(([id]) => id)
+
+      const apply = async () => {
+        const {
+          [accountId]: connectedSealed,
+          ...otherAccounts
+        } = importedVault.accounts
+
+        updateVault(vault => ({
+          ...vault,
+          accounts: {
+            ...vault.accounts,
+            ...(entries ? otherAccounts : importedVault.accounts),
+          },
+        }))
+
+        if (entries) {
+          const { entries: newEntries } = mergeEntries(
+            entries,
+            importedEntries,
+            true
+          )
+          await persistEntries(accountId, newEntries)
+        }
+      }
+
+      return {
+        accounts: importedAccounts.map(([id]) => id),
+        accountConflicts,
+        apply,
+        disputeConflicts,
+      }
+    },
+    [accountId, entries, persistEntries, updateVault, vault]
+  )
+
+  const contextValue = useMemo(
+    () => ({
+      entries,
+      exportVault,
+      getCode,
+      hasStoredEntries: Boolean(accountId && vault.accounts[accountId]),
+      importVault,
+      removeCode,
+      removeCodes,
+      saveCode,
+      storedAccounts: Object.keys(vault.accounts),
+      unlock,
+      unlocked: Boolean(entries),
+    }),
+    [
+      accountId,
+      entries,
+      exportVault,
+      getCode,
+      importVault,
+      removeCode,
+      removeCodes,
+      saveCode,
+      unlock,
+      vault,
+    ]
+  )
+
+  return (
+    <CommitVaultContext.Provider value={contextValue}>
+      {children}
+    </CommitVaultContext.Provider>
+  )
+}
+
+CommitVaultProvider.propTypes = {
+  children: PropTypes.node,
+}
+
+function useCommitVault() {
+  return useContext(CommitVaultContext)
+}
+
+export { CommitVaultProvider, useCommitVault }
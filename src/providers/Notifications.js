@@ -0,0 +1,104 @@
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from 'react'
+import PropTypes from 'prop-types'
+import { useCourtConfig } from './CourtConfig'
+import { useWallet } from './Wallet'
+import useJurorNotifications from '../hooks/useJurorNotifications'
+import {
+  getNotificationsPermission,
+  loadSettings,
+  notificationsSupported,
+  registerNotificationsWorker,
+  saveSettings,
+} from '../utils/notifications-utils'
+
+const NotificationsContext = React.createContext()
+
+function NotificationsProvider({ children }) {
+  const { account } = useWallet()
+  const courtConfig = useCourtConfig()
+  const [settings, setSettings] = useState(loadSettings)
+  const [permission, setPermission] = useState(getNotificationsPermission)
+
+  const supported = notificationsSupported()
+  const active = supported && settings.enabled && permission === 'granted'
+
+  const updateSettings = useCallback(changes => {
+    setSettings(settings => {
+      const newSettings = { ...settings, ...changes }
+      saveSettings(newSettings)
+      return newSettings
+    })
+  }, [])
+
+  // The permission is only requested once the notifications get enabled
+  const enableNotifications = useCallback(async () => {
+    const permission = await Notification.requestPermission()
+    setPermission(permission)
+    if (permission === 'granted') {
+      updateSettings({ enabled: true })
+    }
+  }, [updateSettings])
+
+  const disableNotifications = useCallback(() => {
+    updateSettings({ enabled: false })
+  }, [updateSettings])
+
+  useEffect(() => {
+    if (active) {
+      registerNotificationsWorker().catch(err => {
+        console.error('Error registering the notifications worker: ', err)
+      })
+    }
+  }, [active])
+
+  const contextValue = useMemo(
+    () => ({
+      active,
+      disableNotifications,
+      enableNotifications,
+      permission,
+      settings,
+      supported,
+      updateSettings,
+    }),
+    [
+      active,
+      disableNotifications,
+      enableNotifications,
+      permission,
+      settings,
+      supported,
+      updateSettings,
+    ]
+  )
+
+  return (
+    <NotificationsContext.Provider value={contextValue}>
+      {children}
+      {active && account && courtConfig && (
+        <JurorNotifications account={account} settings={settings} />
+      )}
+    </NotificationsContext.Provider>
+  )
+}
+
+NotificationsProvider.propTypes = {
+  children: PropTypes.node,
+}
+
+function JurorNotifications({ account, settings }) {
+  useJurorNotifications(account, settings)
+  return null
+}
+
+function useNotifications() {
+  return useContext(NotificationsContext)
+}
+
+export { NotificationsProvider, useNotifications }
@@ -0,0 +1,171 @@
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from 'react'
+import PropTypes from 'prop-types'
+import StoredList from '../StoredList'
+import { useWallet } from './Wallet'
+import { getNetworkType } from '../lib/web3-utils'
+import {
+  QueueStepStatus,
+  getQueueStepStatusName,
+} from '../types/transaction-queue-types'
+
+const TransactionQueueContext = React.createContext()
+
+function getStoredList(account) {
+  return new StoredList(`transaction-queues:${getNetworkType()}:${account}`, {
+    preStringify: queue => ({
+      ...queue,
+      steps: queue.steps.map(step => ({
+        ...step,
+        status: getQueueStepStatusName(step.status),
+      })),
+    }),
+    postParse: queue => ({
+      ...queue,
+      steps: queue.steps.map(step => {
+        const status = QueueStepStatus[step.status] || QueueStepStatus.Waiting
+
+        // A signature requested before the page got reloaded is lost
+        return status === QueueStepStatus.Signing
+          ? {
+              ...step,
+              error: 'The transaction was interrupted before being signed.',
+              status: QueueStepStatus.Failed,
+            }
+          : { ...step, status }
+      }),
+    }),
+  })
+}
+
+// Completed queues are only kept until the page gets reloaded
+function isQueueCompleted(queue) {
+  return queue.steps.every(({ status }) => status === QueueStepStatus.Confirmed)
+}
+
+// Sequences of transactions (e.g. approve then appeal) that survive a page
+// reload, so that an interrupted sequence can be resumed or aborted.
+function TransactionQueueProvider({ children }) {
+  const { account } = useWallet()
+  const [queues, setQueues] = useState([])
+  const [runningQueues, setRunningQueues] = useState([])
+  const storedList = useRef(null)
+  const latestQueues = useRef(queues)
+
+  // Update the queues, ensuring they are updated in the stored list and in
+  // the state.
+  const updateQueues = useCallback(cb => {
+    const newQueues = cb(latestQueues.current)
+    latestQueues.current = newQueues
+    setQueues(newQueues)
+    if (storedList.current) {
+      storedList.current.update(newQueues)
+    }
+  }, [])
+
+  useEffect(() => {
+    storedList.current = account ? getStoredList(account) : null
+
+    const storedQueues = storedList.current
+      ? storedList.current.getItems().filter(queue => !isQueueCompleted(queue))
+      : []
+    latestQueues.current = storedQueues
+    setQueues(storedQueues)
+    setRunningQueues([])
+  }, [account])
+
+  const getQueue = useCallback(
+    name => latestQueues.current.find(queue => queue.name === name) || null,
+    []
+  )
+
+  // Create a queue, replacing any previous queue with the same name.
+  // `steps` is a list of { action, params, label }, where `params` must be
+  // serializable and `action` is the name of the function sending the
+  // transaction (see useTransactionQueue()).
+  const createQueue = useCallback(
+    (name, steps) => {
+      const queue = {
+        name,
+        createdAt: Date.now(),
+        steps: steps.map(({ action, label, params = [] }) => ({
+          action,
+          error: null,
+          label,
+          params,
+          status: QueueStepStatus.Waiting,
+          transactionHash: null,
+        })),
+      }
+      updateQueues(queues => [
+        ...queues.filter(queue => queue.name !== name),
+        queue,
+      ])
+      return queue
+    },
+    [updateQueues]
+  )
+
+  const updateQueueStep = useCallback(
+    (name, stepIndex, changes) => {
+      updateQueues(queues =>
+        queues.map(queue =>
+          queue.name === name
+            ? {
+                ...queue,
+                steps: queue.steps.map((step, index) =>
+                  index === stepIndex ? { ...step, ...changes } : step
+                ),
+              }
+            : queue
+        )
+      )
+    },
+    [updateQueues]
+  )
+
+  const removeQueue = useCallback(
+    name => {
+      updateQueues(queues => queues.filter(queue => queue.name !== name))
+    },
+    [updateQueues]
+  )
+
+  const setQueueRunning = useCallback((name, running) => {
+    setRunningQueues(runningQueues => [
+      ...runningQueues.filter(runningName => runningName !== name),
+      ...(running ? [name] : []),
+    ])
+  }, [])
+
+  return (
+    <TransactionQueueContext.Provider
+      value={{
+        createQueue,
+        getQueue,
+        queues,
+        removeQueue,
+        runningQueues,
+        setQueueRunning,
+        updateQueueStep,
+      }}
+    >
+      {children}
+    </TransactionQueueContext.Provider>
+  )
+}
+
+TransactionQueueProvider.propTypes = {
+  children: PropTypes.node,
+}
+
+function useTransactionQueues() {
+  return useContext(TransactionQueueContext)
+}
+
+export { TransactionQueueProvider, useTransactionQueues }
@@ -51,3 +51,31 @@ export const AppealsByTaker = gql`
     }
   }
 `
+
+// Appeals made and confirmed by `$account`, used to rebuild its activity
+export const AppealsByAccount = gql`
+  query AppealsByAccount($account: Bytes!) {
+    made: appeals(first: 1000, where: { maker: $account }) {
+      id
+      appealedRuling
+      createdAt
+      round {
+        number
+        dispute {
+          id
+        }
+      }
+    }
+    confirmed: appeals(first: 1000, where: { taker: $account }) {
+      id
+      opposedRuling
+      confirmedAt
+      round {
+        number
+        dispute {
+          id
+        }
+      }
+    }
+  }
+`
@@ -1,13 +1,77 @@
 import gql from 'graphql-tag'
 
+// Disputes created from `$since`, most recent first
 export const AllDisputes = gql`
-  subscription AllDisputes($limit: Int) {
-    disputes(first: $limit, orderBy: createdAt, orderDirection: desc) {
+  subscription AllDisputes($first: Int!, $since: BigInt!) {
+    disputes(
+      first: $first
+      orderBy: createdAt
+      orderDirection: desc
+      where: { createdAt_gte: $since }
+    ) {
       id
       finalRuling
       lastRoundId
       state
       metadata
+      createdAt
+      subject {
+        id
+      }
+      evidences {
+        id
+        submitter
+        data
+        createdAt
+      }
+      rounds {
+        id
+        state
+        number
+        draftTermId
+        delayedTerms
+        jurors {
+          juror {
+            id
+          }
+          commitment
+          outcome
+        }
+
+        appeal {
+          id
+        }
+      }
+    }
+  }
+`
+
+// Disputes created up to `$before`, to load the disputes older than the ones
+// covered by `AllDisputes` page by page. The disputes created at `$before`
+// that were already loaded are excluded by `$loadedIds`.
+export const DisputesPage = gql`
+  query DisputesPage($first: Int!, $before: BigInt!, $loadedIds: [ID!]!) {
+    disputes(
+      first: $first
+      orderBy: createdAt
+      orderDirection: desc
+      where: { createdAt_lte: $before, id_not_in: $loadedIds }
+    ) {
+      id
+      finalRuling
+      lastRoundId
+      state
+      metadata
+      createdAt
+      subject {
+        id
+      }
+      evidences {
+        id
+        submitter
+        data
+        createdAt
+      }
       rounds {
         id
         state
@@ -30,6 +94,58 @@ export const AllDisputes = gql`
   }
 `
 
+// Drafts of the juror by `$juror`, along with their dispute, to list every
+// dispute of the juror. Paginated by id, see `usePaginatedQuery()`
+export const JurorDisputes = gql`
+  query JurorDisputes($juror: String!, $first: Int!, $lastId: ID!) {
+    jurorDrafts(
+      first: $first
+      orderBy: id
+      where: { juror: $juror, id_gt: $lastId }
+    ) {
+      id
+      round {
+        id
+        dispute {
+          id
+          finalRuling
+          lastRoundId
+          state
+          metadata
+          createdAt
+          subject {
+            id
+          }
+          evidences {
+            id
+            submitter
+            data
+            createdAt
+          }
+          rounds {
+            id
+            state
+            number
+            draftTermId
+            delayedTerms
+            jurors {
+              juror {
+                id
+              }
+              commitment
+              outcome
+            }
+
+            appeal {
+              id
+            }
+          }
+        }
+      }
+    }
+  }
+`
+
 export const SingleDispute = gql`
   subscription SingleDispute($id: ID!) {
     dispute(id: $id) {
@@ -95,3 +211,29 @@ export const SingleDispute = gql`
     }
   }
 `
+
+// Disputes raised by the arbitrable `$subject`. Paginated by id, see `usePaginatedQuery()`
+export const ArbitrableDisputes = gql`
+  query ArbitrableDisputes($subject: String!, $first: Int!, $lastId: ID!) {
+    disputes(
+      first: $first
+      orderBy: id
+      where: { subject: $subject, id_gt: $lastId }
+    ) {
+      id
+      createdAt
+      finalRuling
+      state
+      rounds {
+        number
+        jurorsNumber
+        draftTermId
+        delayedTerms
+        appeal {
+          appealedRuling
+          opposedRuling
+        }
+      }
+    }
+  }
+`
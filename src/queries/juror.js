@@ -9,10 +9,129 @@ export const JurorFeesClaimed = gql`
   }
 `
 
+// First ANJ movement of the juror, to know from when its court activity
+// history has to be fetched
+export const JurorFirstMovement = gql`
+  query JurorFirstMovement($id: ID!) {
+    juror(id: $id) {
+      id
+      anjMovements(first: 1, orderBy: createdAt, orderDirection: asc) {
+        id
+        createdAt
+      }
+    }
+  }
+`
+
+// Paginated by id, see `usePaginatedQuery()`
 export const ActiveJurors = gql`
-  query ActiveJurors {
-    jurors(first: 1000, where: { activeBalance_gt: 0 }) {
+  query ActiveJurors($first: Int!, $lastId: ID!) {
+    jurors(
+      first: $first
+      orderBy: id
+      where: { activeBalance_gt: 0, id_gt: $lastId }
+    ) {
+      id
+    }
+  }
+`
+
+// Active jurors along with their drafts and ANJ rewards, used to compare
+// their participation. Paginated by id, see `usePaginatedQuery()`
+export const ActiveJurorsParticipation = gql`
+  query ActiveJurorsParticipation($first: Int!, $lastId: ID!) {
+    jurors(
+      first: $first
+      orderBy: id
+      where: { activeBalance_gt: 0, id_gt: $lastId }
+    ) {
+      id
+      activeBalance
+      drafts(first: 1000) {
+        id
+        weight
+        commitment
+        outcome
+        round {
+          id
+          number
+          coherentJurors
+          collectedTokens
+          jurorFees
+          settledPenalties
+          dispute {
+            id
+            finalRuling
+          }
+        }
+      }
+      rewards: anjMovements(first: 1000, where: { type: "Reward" }) {
+        amount
+      }
+    }
+  }
+`
+
+// Balances, rewards, slashes and appeals of the juror by `$id`, shown on its
+// public profile (`$account` is the same address, typed as Bytes)
+export const JurorProfile = gql`
+  query JurorProfile($id: ID!, $account: Bytes!) {
+    juror(id: $id) {
+      id
+      activeBalance
+      lockedBalance
+      availableBalance
+      deactivationBalance
+      rewards: anjMovements(
+        first: 1000
+        where: { type: "Reward" }
+        orderBy: createdAt
+        orderDirection: desc
+      ) {
+        id
+        amount
+        createdAt
+      }
+      slashes: anjMovements(
+        first: 1000
+        where: { type: "Slash" }
+        orderBy: createdAt
+        orderDirection: desc
+      ) {
+        id
+        amount
+        createdAt
+      }
+    }
+    made: appeals(where: { maker: $account }) {
+      id
+      appealedRuling
+      appealDeposit
+      opposedRuling
+      settled
+      createdAt
+      round {
+        number
+        dispute {
+          id
+          finalRuling
+        }
+      }
+    }
+    confirmed: appeals(where: { taker: $account }) {
       id
+      appealedRuling
+      opposedRuling
+      confirmAppealDeposit
+      settled
+      createdAt
+      round {
+        number
+        dispute {
+          id
+          finalRuling
+        }
+      }
     }
   }
 `
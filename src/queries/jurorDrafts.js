@@ -69,3 +69,32 @@ export const JurorDrafts = gql`
     }
   }
 `
+
+// Last juror drafts of the juror by `$id`, shown on its public profile
+export const JurorProfileDrafts = gql`
+  query JurorProfileDrafts($id: ID!) {
+    juror(id: $id) {
+      id
+      drafts(first: 1000, orderBy: createdAt, orderDirection: desc) {
+        id
+        weight
+        commitment
+        outcome
+        rewarded
+        createdAt
+        round {
+          id
+          number
+          coherentJurors
+          collectedTokens
+          jurorFees
+          settledPenalties
+          dispute {
+            id
+            finalRuling
+          }
+        }
+      }
+    }
+  }
+`
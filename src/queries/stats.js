@@ -0,0 +1,56 @@
+import gql from 'graphql-tag'
+
+// Queries used to build the court history charts. They are paginated by id,
+// see `usePaginatedQuery()`
+
+// Movements changing the total active balance of the court
+export const ActiveBalanceMovements = gql`
+  query ActiveBalanceMovements($first: Int!, $lastId: ID!) {
+    anjmovements(
+      first: $first
+      orderBy: id
+      where: {
+        type_in: ["Activation", "Deactivation", "Slash"]
+        id_gt: $lastId
+      }
+    ) {
+      id
+      type
+      amount
+      effectiveTermId
+      createdAt
+    }
+  }
+`
+
+export const DisputesHistory = gql`
+  query DisputesHistory($first: Int!, $lastId: ID!) {
+    disputes(first: $first, orderBy: id, where: { id_gt: $lastId }) {
+      id
+      createdAt
+      rounds {
+        number
+        draftTermId
+        delayedTerms
+        appeal {
+          appealedRuling
+          opposedRuling
+        }
+      }
+    }
+  }
+`
+
+export const FeeMovementsHistory = gql`
+  query FeeMovementsHistory($first: Int!, $lastId: ID!) {
+    feeMovements(
+      first: $first
+      orderBy: id
+      where: { type_not: Withdraw, id_gt: $lastId }
+    ) {
+      id
+      amount
+      createdAt
+    }
+  }
+`
@@ -22,6 +22,7 @@ export const OpenTasks = gql`
       }
       appeal {
         id
+        appealedRuling
         opposedRuling
       }
       dispute {
@@ -1,4 +1,12 @@
 export const ERROR_TYPES = {
   ERROR_FETCHING_IPFS: Symbol('Error fetching ipfs content'),
   ERROR_UNKNOWN_METADATA_TYPE: Symbol('Unknown evidence metadata type'),
+  ERROR_CONTENT_MISMATCH: Symbol('Content not matching its CID'),
+}
+
+// Result of checking IPFS content against its CID
+export const ContentCheck = {
+  Verified: Symbol('Verified'),
+  Unverifiable: Symbol('Unverifiable'),
+  Mismatch: Symbol('Mismatch'),
 }
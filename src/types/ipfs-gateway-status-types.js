@@ -0,0 +1,6 @@
+export const GatewayStatus = {
+  Unknown: Symbol('Not used yet'),
+  Healthy: Symbol('Healthy'),
+  Slow: Symbol('Slow'),
+  Failing: Symbol('Failing'),
+}
@@ -0,0 +1,14 @@
+export const QueueStepStatus = {
+  Waiting: Symbol('WAITING'),
+  Signing: Symbol('SIGNING'),
+  Pending: Symbol('PENDING'),
+  Confirmed: Symbol('CONFIRMED'),
+  Failed: Symbol('FAILED'),
+}
+
+// Only used to serialize / deserialize the statuses
+export function getQueueStepStatusName(status) {
+  return Object.keys(QueueStepStatus).find(
+    name => QueueStepStatus[name] === status
+  )
+}
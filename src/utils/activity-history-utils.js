@@ -0,0 +1,365 @@
+import { utils as EthersUtils } from 'ethers'
+import { formatUnits } from '../lib/math-utils'
+import { parseVoteId } from './crvoting-utils'
+import { CourtModuleType } from '../types/court-module-types'
+import { ACTIVITY_STATUS_CONFIRMED } from '../components/Activity/activity-statuses'
+
+import courtSubscriptionsAbi from '../abi/CourtSubscriptions.json'
+import courtTreasuryAbi from '../abi/CourtTreasury.json'
+import disputeManagerAbi from '../abi/DisputeManager.json'
+import jurorRegistryAbi from '../abi/JurorRegistry.json'
+import votingAbi from '../abi/CRVoting.json'
+
+const INTERFACES = new Map([
+  [
+    CourtModuleType.DisputeManager,
+    new EthersUtils.Interface(disputeManagerAbi),
+  ],
+  [CourtModuleType.JurorsRegistry, new EthersUtils.Interface(jurorRegistryAbi)],
+  [
+    CourtModuleType.Subscriptions,
+    new EthersUtils.Interface(courtSubscriptionsAbi),
+  ],
+  [CourtModuleType.Treasury, new EthersUtils.Interface(courtTreasuryAbi)],
+  [CourtModuleType.Voting, new EthersUtils.Interface(votingAbi)],
+])
+
+// Events of the transactions sent by a juror, filtered by the position of the
+// juror address in the event topics. When a transaction emits several of
+// them, the first one of the list describes the activity.
+const ACCOUNT_EVENTS = [
+  {
+    moduleType: CourtModuleType.JurorsRegistry,
+    name: 'JurorActivated',
+    accountTopic: 1,
+    getActivity: ({ amount }, { anjToken }, txEventNames) => [
+      // Staking and activating is done in a single transaction
+      txEventNames.includes('Staked') ? 'stakeActivateAnj' : 'activateAnj',
+      { amount: formatUnits(amount, { digits: anjToken.decimals }) },
+    ],
+  },
+  {
+    moduleType: CourtModuleType.JurorsRegistry,
+    name: 'JurorDeactivationRequested',
+    accountTopic: 1,
+    getActivity: ({ amount }, { anjToken }) => [
+      'deactivateAnj',
+      { amount: formatUnits(amount, { digits: anjToken.decimals }) },
+    ],
+  },
+  {
+    moduleType: CourtModuleType.JurorsRegistry,
+    name: 'Unstaked',
+    accountTopic: 1,
+    getActivity: ({ amount }, { anjToken }) => [
+      'withdrawAnj',
+      { amount: formatUnits(amount, { digits: anjToken.decimals }) },
+    ],
+  },
+  // Only used to detect the stake and activate transactions
+  {
+    moduleType: CourtModuleType.JurorsRegistry,
+    name: 'Staked',
+    accountTopic: 1,
+    getActivity: () => null,
+  },
+  {
+    moduleType: CourtModuleType.Voting,
+    name: 'VoteCommitted',
+    accountTopic: 2,
+    getActivity: ({ voteId }) => ['commitVote', parseVoteId(voteId)],
+  },
+  {
+    moduleType: CourtModuleType.Voting,
+    name: 'VoteRevealed',
+    accountTopic: 2,
+    getActivity: ({ voteId }) => ['revealVote', parseVoteId(voteId)],
+  },
+  {
+    moduleType: CourtModuleType.Subscriptions,
+    name: 'FeesClaimed',
+    accountTopic: 1,
+    getActivity: ({ periodId }) => [
+      'claimSubscriptionFees',
+      { periodId: periodId.toString() },
+    ],
+  },
+  {
+    moduleType: CourtModuleType.Treasury,
+    name: 'Withdraw',
+    accountTopic: 2,
+    getActivity: ({ amount }, { feeToken }) => [
+      'withdrawFees',
+      {
+        amount: formatUnits(amount, { digits: feeToken.decimals }),
+        symbol: feeToken.symbol,
+      },
+    ],
+  },
+]
+
+function getEventTopic(moduleType, name) {
+  return INTERFACES.get(moduleType).events[name].topic
+}
+
+// Distance, in blocks, at which findBlockBefore() stops searching
+const BLOCK_SEARCH_PRECISION = 100
+const BLOCK_SEARCH_MAX_STEPS = 12
+
+/**
+ * Find a block mined shortly before `timestamp`. The block numbers get
+ * interpolated from the block timestamps, so that only a few of them are
+ * fetched.
+ * @param {Object} provider Ethers provider
+ * @param {Number} timestamp Time, in seconds
+ * @returns {Promise<Number>} Number of a block mined before `timestamp`
+ */
+export async function findBlockBefore(provider, timestamp) {
+  let [lower, upper] = await Promise.all([
+    provider.getBlock(0),
+    provider.getBlock('latest'),
+  ])
+
+  if (timestamp > upper.timestamp) {
+    return upper.number
+  }
+
+  for (
+    let step = 0;
+    step < BLOCK_SEARCH_MAX_STEPS &&
+    upper.number - lower.number > BLOCK_SEARCH_PRECISION &&
+    timestamp > lower.timestamp;
+    step++
+  ) {
+    const estimate =
+      lower.number +
+      Math.floor(
+        ((timestamp - lower.timestamp) * (upper.number - lower.number)) /
+          (upper.timestamp - lower.timestamp)
+      )
+    const block = await provider.getBlock(
+      Math.min(Math.max(estimate, lower.number + 1), upper.number - 1)
+    )
+    if (block.timestamp < timestamp) {
+      lower = block
+    } else {
+      upper = block
+    }
+  }
+
+  return lower.number
+}
+
+function getLogs(provider, address, topics, { fromBlock, toBlock }) {
+  return provider.getLogs({ address, fromBlock, toBlock, topics })
+}
+
+/**
+ * Fetch the logs of the court transactions sent by an account within a range
+ * of blocks
+ * @param {Object} provider Ethers provider
+ * @param {String} account Address of the juror
+ * @param {Map} addresses Address of the court modules, by module type
+ * @param {Array} appeals Appeals made or confirmed by the account (see `AppealsByAccount`), as their events are not indexed by account
+ * @param {Object} range First and last blocks (`fromBlock` and `toBlock`)
+ * @returns {Promise<Array>} Logs, along with the type of module that emitted them
+ */
+async function fetchAccountLogs(provider, account, addresses, appeals, range) {
+  const accountTopic = EthersUtils.hexZeroPad(account.toLowerCase(), 32)
+
+  const requests = ACCOUNT_EVENTS.filter(({ moduleType }) =>
+    addresses.get(moduleType)
+  ).map(async ({ moduleType, name, accountTopic: position }) => {
+    // The topics before the account one match any value
+    const topics = [getEventTopic(moduleType, name), null, null].slice(
+      0,
+      position
+    )
+    topics.push(accountTopic)
+
+    const logs = await getLogs(
+      provider,
+      addresses.get(moduleType),
+      topics,
+      range
+    )
+    return logs.map(log => ({ ...log, moduleType }))
+  })
+
+  // The appeals of the range are fetched once for every type, then filtered
+  // by the appeals of the account
+  const disputeManagerAddress = addresses.get(CourtModuleType.DisputeManager)
+  if (disputeManagerAddress && appeals.length > 0) {
+    for (const confirm of [false, true]) {
+      const name = confirm ? 'RulingAppealConfirmed' : 'RulingAppealed'
+      const accountAppeals = appeals.filter(
+        appeal => appeal.confirm === confirm
+      )
+      if (accountAppeals.length === 0) {
+        continue
+      }
+
+      requests.push(
+        getLogs(
+          provider,
+          disputeManagerAddress,
+          [getEventTopic(CourtModuleType.DisputeManager, name)],
+          range
+        ).then(logs =>
+          logs
+            .map(log => ({
+              ...log,
+              moduleType: CourtModuleType.DisputeManager,
+            }))
+            .filter(log => {
+              const { values } = INTERFACES.get(log.moduleType).parseLog(log)
+              return accountAppeals.some(
+                ({ disputeId, roundId }) =>
+                  values.disputeId.toString() === disputeId &&
+                  values.roundId.toString() === roundId
+              )
+            })
+        )
+      )
+    }
+  }
+
+  return [].concat(...(await Promise.all(requests)))
+}
+
+function getAppealActivity(name, values, appeals) {
+  const disputeId = values.disputeId.toString()
+  const roundId = values.roundId.toString()
+  const confirm = name === 'RulingAppealConfirmed'
+
+  const appeal = appeals.find(
+    appeal =>
+      appeal.confirm === confirm &&
+      appeal.disputeId === disputeId &&
+      appeal.roundId === roundId
+  )
+
+  return [
+    confirm ? 'confirmAppeal' : 'appealRuling',
+    { disputeId, roundId, ruling: appeal ? appeal.ruling : '' },
+  ]
+}
+
+/**
+ * Rebuild the transactions history of an account from the court events, within
+ * a range of blocks
+ * @param {Object} provider Ethers provider
+ * @param {Object} options Account and court details
+ * @param {String} options.account Address of the juror
+ * @param {Map} options.addresses Address of the court modules, by module type
+ * @param {Array} options.appeals Appeals made or confirmed by the account
+ * @param {Number} options.fromBlock First block of the range
+ * @param {Number} options.toBlock Last block of the range
+ * @param {Object} options.tokens ANJ and fee tokens of the court
+ * @returns {Promise<Array>} History entries, most recent first
+ */
+export async function fetchHistoryEntries(
+  provider,
+  { account, addresses, appeals, fromBlock, toBlock, tokens }
+) {
+  const logs = await fetchAccountLogs(provider, account, addresses, appeals, {
+    fromBlock,
+    toBlock,
+  })
+
+  // Group the events by transaction
+  const transactions = new Map()
+  for (const log of logs) {
+    const { name, values } = INTERFACES.get(log.moduleType).parseLog(log)
+    const transaction = transactions.get(log.transactionHash) || {
+      blockNumber: log.blockNumber,
+      events: [],
+      logIndex: log.logIndex,
+      transactionHash: log.transactionHash,
+    }
+    transaction.events.push({ moduleType: log.moduleType, name, values })
+    transactions.set(log.transactionHash, transaction)
+  }
+
+  const entries = []
+  for (const transaction of transactions.values()) {
+    const eventNames = transaction.events.map(({ name }) => name)
+
+    let activity = null
+    const appealEvent = transaction.events.find(
+      ({ name }) =>
+        name === 'RulingAppealed' || name === 'RulingAppealConfirmed'
+    )
+    if (appealEvent) {
+      activity = getAppealActivity(
+        appealEvent.name,
+        appealEvent.values,
+        appeals
+      )
+    } else {
+      for (const { name, getActivity } of ACCOUNT_EVENTS) {
+        const event = transaction.events.find(event => event.name === name)
+        activity = event && getActivity(event.values, tokens, eventNames)
+        if (activity) {
+          break
+        }
+      }
+    }
+
+    if (activity) {
+      const [activityType, activityParams] = activity
+      entries.push({
+        activityParams,
+        activityType,
+        blockNumber: transaction.blockNumber,
+        logIndex: transaction.logIndex,
+        transactionHash: transaction.transactionHash,
+      })
+    }
+  }
+
+  return entries.sort(
+    (a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex
+  )
+}
+
+// Same format as the activities tracked by the ActivityProvider
+export function toHistoryActivity(entry, account, timestamp) {
+  return {
+    activityParams: entry.activityParams,
+    activityType: entry.activityType,
+    createdAt: timestamp,
+    from: account,
+    history: true,
+    read: true,
+    status: ACTIVITY_STATUS_CONFIRMED,
+    transactionHash: entry.transactionHash,
+  }
+}
+
+/**
+ * Merge the activities tracked locally with the ones rebuilt from the chain
+ * @param {Array} activities Activities tracked by the ActivityProvider
+ * @param {Array} historyActivities Activities rebuilt from the chain
+ * @returns {Array} All the activities, de-duplicated by transaction hash, most recent first
+ */
+export function mergeActivities(activities, historyActivities) {
+  // Local activities also know about the transactions they replaced
+  const localHashes = new Set(
+    activities.reduce(
+      (hashes, { replacedHashes = [], transactionHash }) => [
+        ...hashes,
+        transactionHash,
+        ...replacedHashes,
+      ],
+      []
+    )
+  )
+
+  return [
+    ...activities,
+    ...historyActivities.filter(
+      ({ transactionHash }) => !localHashes.has(transactionHash)
+    ),
+  ].sort((a, b) => b.createdAt - a.createdAt)
+}
@@ -0,0 +1,76 @@
+import { bigNum } from '../lib/math-utils'
+import { formatDuration, HOUR } from './date-utils'
+import {
+  getDisputeFinalRulingTime,
+  getRoundFees,
+  transformRoundTermsAttributes,
+} from './dispute-utils'
+import { getVoidedDisputesByCourt } from '../flagged-disputes/voided-disputes'
+
+/**
+ * Outcome of a dispute raised by an arbitrable
+ * @param {Object} dispute Dispute (see `ArbitrableDisputes`)
+ * @param {Object} courtConfig The court configuration
+ * @returns {Object} Final ruling, number of appeals, fees paid by the arbitrable and time it took to get a final ruling
+ */
+export function transformArbitrableDispute(dispute, courtConfig) {
+  const rounds = dispute.rounds
+    .map(transformRoundTermsAttributes)
+    .sort((a, b) => a.number - b.number)
+  const createdAt = parseInt(dispute.createdAt, 10) * 1000
+  const finalRulingTime = getDisputeFinalRulingTime(
+    { ...dispute, rounds },
+    courtConfig
+  )
+
+  return {
+    id: dispute.id,
+    createdAt,
+    finalRuling: parseInt(dispute.finalRuling, 10),
+    finalRulingTime,
+    appeals: rounds.filter(
+      ({ appeal }) => appeal && appeal.appealedRuling !== 0
+    ).length,
+    // The arbitrable only pays for the first round, the next ones being paid by the appellants
+    fees: getRoundFees(rounds[0], courtConfig),
+    timeToRuling: finalRulingTime ? finalRulingTime - createdAt : null,
+    voided: getVoidedDisputesByCourt().has(dispute.id),
+  }
+}
+
+/**
+ * Aggregated outcome of the disputes raised by an arbitrable
+ * @param {Array} disputes Disputes (see `transformArbitrableDispute()`)
+ * @returns {Object} Number of disputes per final ruling, total of appeals and fees, and average time to ruling in ms
+ */
+export function getArbitrableSummary(disputes) {
+  const validDisputes = disputes.filter(({ voided }) => !voided)
+  const ruledDisputes = validDisputes.filter(
+    ({ timeToRuling }) => timeToRuling !== null
+  )
+
+  const rulings = new Map()
+  for (const { finalRuling } of validDisputes) {
+    if (finalRuling !== 0) {
+      rulings.set(finalRuling, (rulings.get(finalRuling) || 0) + 1)
+    }
+  }
+
+  return {
+    disputes: validDisputes.length,
+    rulings,
+    appeals: validDisputes.reduce((total, { appeals }) => total + appeals, 0),
+    fees: validDisputes.reduce((total, { fees }) => total.add(fees), bigNum(0)),
+    averageTimeToRuling: ruledDisputes.length
+      ? ruledDisputes.reduce(
+          (total, { timeToRuling }) => total + timeToRuling,
+          0
+        ) / ruledDisputes.length
+      : null,
+  }
+}
+
+// Rounded to the hour, minutes don’t matter when rulings take days
+export function formatTimeToRuling(time) {
+  return formatDuration(Math.round(time / HOUR) * (HOUR / 1000)) || '< 1 hour'
+}
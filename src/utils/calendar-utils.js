@@ -0,0 +1,210 @@
+import { saveAs } from 'file-saver'
+import { addressesEqual, getNetworkType } from '../lib/web3-utils'
+import { getTermStartTime } from './court-utils'
+import { MINUTE, dateFormat, dayjs } from './date-utils'
+import {
+  getAdjudicationPhase,
+  transformRoundTermsAttributes,
+} from './dispute-utils'
+import * as DisputesTypes from '../types/dispute-status-types'
+
+const CALENDAR_DOMAIN = 'court.aragon.org'
+const CALENDAR_PRODUCT_ID = '-//Aragon//Aragon Court Dashboard//EN'
+
+// Content lines longer than this (in octets) must be folded
+const MAX_LINE_LENGTH = 75
+
+// Reminder before the end of each window
+const REMINDER_TRIGGER = '-PT1H'
+
+const DEADLINES = new Map([
+  [DisputesTypes.Phase.VotingPeriod, { type: 'commit', title: 'Commit vote' }],
+  [DisputesTypes.Phase.RevealVote, { type: 'reveal', title: 'Reveal vote' }],
+  [
+    DisputesTypes.Phase.AppealRuling,
+    { type: 'appeal', title: 'Appeal ruling' },
+  ],
+  [
+    DisputesTypes.Phase.ConfirmAppeal,
+    { type: 'confirm-appeal', title: 'Confirm appeal' },
+  ],
+])
+
+/**
+ * Windows of a round in which jurors can commit and reveal their votes, and
+ * anyone can appeal the ruling or confirm an appeal
+ * @param {Object} dispute Dispute of the round
+ * @param {Object} round Round to get the deadlines of, with its terms attributes parsed
+ * @param {Object} courtConfig The court configuration
+ * @returns {Array} Deadlines of the round, with the start and end time (in ms) of each window
+ */
+export function getRoundDeadlines(dispute, round, courtConfig) {
+  const deadlines = []
+
+  // Walk through the adjudication phases, starting when the voting period
+  // opens, until the round gets ended
+  let time =
+    getTermStartTime(round.draftTermId, courtConfig) +
+    round.delayedTerms * courtConfig.termDuration
+
+  for (;;) {
+    const { phase, nextTransition } = getAdjudicationPhase(
+      dispute,
+      round,
+      dayjs(time),
+      courtConfig
+    )
+
+    if (!nextTransition || !DEADLINES.has(phase)) {
+      return deadlines
+    }
+
+    deadlines.push({
+      ...DEADLINES.get(phase),
+      disputeId: dispute.id,
+      roundId: round.number,
+      start: time,
+      end: nextTransition,
+    })
+    time = nextTransition
+  }
+}
+
+/**
+ * Deadlines of the rounds a juror has been drafted for
+ * @param {Array} rounds Rounds with open tasks (see `OpenTasks`)
+ * @param {String} account Address of the juror
+ * @param {Object} courtConfig The court configuration
+ * @returns {Array} Deadlines of the juror, sorted by end time
+ */
+export function getJurorDeadlines(rounds, account, courtConfig) {
+  return rounds
+    .filter(({ jurors }) =>
+      jurors.some(({ juror }) => addressesEqual(juror.id, account))
+    )
+    .reduce(
+      (deadlines, round) => [
+        ...deadlines,
+        ...getRoundDeadlines(
+          round.dispute,
+          transformRoundTermsAttributes(round),
+          courtConfig
+        ),
+      ],
+      []
+    )
+    .sort((a, b) => a.end - b.end)
+}
+
+/**
+ * Deadlines of all the drafted rounds of a dispute
+ * @param {Object} dispute Dispute, as returned by `transformDisputeDataAttributes()`
+ * @param {Object} courtConfig The court configuration
+ * @returns {Array} Deadlines of the dispute, sorted by end time
+ */
+export function getDisputeDeadlines(dispute, courtConfig) {
+  return dispute.rounds
+    .filter(({ state }) => state !== DisputesTypes.Phase.Invalid)
+    .reduce(
+      (deadlines, round) => [
+        ...deadlines,
+        ...getRoundDeadlines(dispute, round, courtConfig),
+      ],
+      []
+    )
+    .sort((a, b) => a.end - b.end)
+}
+
+function formatCalendarDate(time) {
+  return dayjs(time)
+    .toISOString()
+    .replace(/\.\d{3}Z$/, 'Z')
+    .replace(/[-:]/g, '')
+}
+
+function escapeText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\n/g, '\\n')
+}
+
+function foldLine(line) {
+  const chunks = [line.slice(0, MAX_LINE_LENGTH)]
+  // Continuation lines start with a space
+  for (let i = MAX_LINE_LENGTH; i < line.length; i += MAX_LINE_LENGTH - 1) {
+    chunks.push(` ${line.slice(i, i + MAX_LINE_LENGTH - 1)}`)
+  }
+  return chunks.join('\r\n')
+}
+
+// The UID only depends on the window, so that importing the calendar again
+// updates the existing events rather than duplicating them
+function getEventUid({ disputeId, roundId, type }) {
+  return `${getNetworkType()}-dispute-${disputeId}-round-${roundId}-${type}@${CALENDAR_DOMAIN}`
+}
+
+function getEventLines(deadline, { now, url }) {
+  const { disputeId, end, roundId, start, title } = deadline
+  const summary = `${title}: dispute #${disputeId} (round ${roundId})`
+  const disputeUrl = `${url}/disputes/${disputeId}`
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(deadline)}`,
+    `DTSTAMP:${formatCalendarDate(now)}`,
+    // Lets calendars know that the latest import is the most recent version
+    `SEQUENCE:${Math.floor(now / MINUTE)}`,
+    `DTSTART:${formatCalendarDate(start)}`,
+    `DTEND:${formatCalendarDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(
+      `${title} window ends on ${dateFormat(end)}.\n${disputeUrl}`
+    )}`,
+    `URL:${disputeUrl}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(summary)}`,
+    `TRIGGER;RELATED=END:${REMINDER_TRIGGER}`,
+    'END:VALARM',
+    'END:VEVENT',
+  ]
+}
+
+/**
+ * Generate an iCalendar file from a list of deadlines
+ * @param {Array} deadlines Deadlines (see `getRoundDeadlines()`)
+ * @param {Object} options Calendar details
+ * @param {String} options.name Name of the calendar
+ * @param {String} options.url Base URL of the dashboard, used to link the disputes
+ * @returns {String} Content of the .ics file
+ */
+export function createCalendar(deadlines, { name, url }) {
+  const now = Date.now()
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALENDAR_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...deadlines.reduce(
+      (lines, deadline) => [...lines, ...getEventLines(deadline, { now, url })],
+      []
+    ),
+    'END:VCALENDAR',
+  ]
+    .map(line => `${foldLine(line)}\r\n`)
+    .join('')
+}
+
+export function downloadCalendar(deadlines, name, fileName) {
+  const calendar = createCalendar(deadlines, {
+    name,
+    url: window.location.origin,
+  })
+  const blob = new Blob([calendar], { type: 'text/calendar;charset=utf-8' })
+  saveAs(blob, `${fileName}.ics`)
+}
@@ -0,0 +1,191 @@
+import { saveAs } from 'file-saver'
+import { decrypt, encrypt } from '../lib/crypto-utils'
+import { getNetworkType } from '../lib/web3-utils'
+import { getOutcomeFromCommitment } from './crvoting-utils'
+import { dateFormat } from './date-utils'
+import { InvalidVaultFile } from '../errors'
+
+export const VAULT_VERSION = 1
+export const VAULT_FILE_TYPE = 'aragon-court-commit-vault'
+
+// Message signed to derive the vault key. Changing it would make every
+// existing vault unreadable.
+export const VAULT_KEY_MESSAGE =
+  'Unlock your Aragon Court commit code vault.\n\nThis signature is only used to encrypt your one-time-use codes. It does not send a transaction or cost any gas.'
+
+function getVaultStorageKey() {
+  return `commitVault:${getNetworkType()}`
+}
+
+export function getVaultAccountId(account) {
+  return account.toLowerCase()
+}
+
+function createEmptyVault() {
+  return { version: VAULT_VERSION, accounts: {} }
+}
+
+function isSealedEntries(sealed) {
+  return (
+    Boolean(sealed) &&
+    typeof sealed.iv === 'string' &&
+    typeof sealed.data === 'string'
+  )
+}
+
+/**
+ * Validates a vault object and returns it without unknown properties
+ * @param {Object} vault Vault to validate
+ * @returns {Object} Validated vault
+ */
+function validateVault(vault) {
+  if (!vault || typeof vault !== 'object' || !vault.accounts) {
+    throw new InvalidVaultFile()
+  }
+
+  if (vault.version !== VAULT_VERSION) {
+    throw new InvalidVaultFile(
+      `Unsupported commit code vault version (${vault.version})`
+    )
+  }
+
+  const accounts = Object.entries(vault.accounts).reduce(
+    (accounts, [accountId, sealed]) => {
+      if (!isSealedEntries(sealed)) {
+        throw new InvalidVaultFile()
+      }
+      accounts[getVaultAccountId(accountId)] = sealed
+      return accounts
+    },
+    {}
+  )
+
+  return { version: VAULT_VERSION, accounts }
+}
+
+export function loadVault() {
+  const value = localStorage.getItem(getVaultStorageKey())
+  if (value === null) {
+    return createEmptyVault()
+  }
+
+  try {
+    return validateVault(JSON.parse(value))
+  } catch (err) {
+    console.error('Couldn’t load the stored commit code vault', err)
+    return createEmptyVault()
+  }
+}
+
+export function saveVault(vault) {
+  localStorage.setItem(getVaultStorageKey(), JSON.stringify(vault))
+}
+
+/**
+ * Encrypt the vault entries of an account
+ * @param {CryptoKey} key Account vault key
+ * @param {Object} entries Codes by dispute id
+ * @returns {Promise<Object>} Sealed entries
+ */
+export function sealEntries(key, entries) {
+  return encrypt(key, JSON.stringify(entries))
+}
+
+/**
+ * Decrypt the vault entries of an account
+ * @param {CryptoKey} key Account vault key
+ * @param {Object} sealed Sealed entries
+ * @returns {Promise<Object>} Codes by dispute id. Rejects if `key` doesn’t match.
+ */
+export async function openEntries(key, sealed) {
+  const entries = JSON.parse(await decrypt(key, sealed))
+  if (!entries || typeof entries !== 'object') {
+    throw new InvalidVaultFile()
+  }
+  return entries
+}
+
+/**
+ * Merges `incoming` entries into `current` ones
+ * @param {Object} current Current codes by dispute id
+ * @param {Object} incoming Codes by dispute id to add
+ * @param {Boolean} overwrite Replace the current codes that differ from the incoming ones
+ * @returns {Object} Merged entries and the dispute ids whose codes differ
+ */
+export function mergeEntries(current, incoming, overwrite = false) {
+  const entries = { ...current }
+  const conflicts = []
+
+  Object.entries(incoming).forEach(([disputeId, entry]) => {
+    const currentEntry = current[disputeId]
+
+    if (currentEntry && currentEntry.code !== entry.code) {
+      conflicts.push(disputeId)
+      if (!overwrite) {
+        return
+      }
+    }
+
+    entries[disputeId] = entry
+  })
+
+  return { entries, conflicts }
+}
+
+/**
+ * Get the code stored for a dispute, making sure it matches the commitment
+ * @param {Object} entries Codes by dispute id
+ * @param {String} disputeId Id of the dispute
+ * @param {String} commitment Vote commitment of the juror
+ * @returns {String} The code if found and valid, null otherwise
+ */
+export function getCodeForCommitment(entries, disputeId, commitment) {
+  const entry = entries && entries[disputeId]
+
+  if (!entry) {
+    return null
+  }
+
+  return getOutcomeFromCommitment(commitment, entry.code) === undefined
+    ? null
+    : entry.code
+}
+
+export function downloadVault(vault) {
+  const today = dateFormat(Date.now(), 'iso')
+  const file = {
+    type: VAULT_FILE_TYPE,
+    network: getNetworkType(),
+    ...vault,
+  }
+  const blob = new Blob([JSON.stringify(file, null, 2)], {
+    type: 'application/json',
+  })
+  saveAs(blob, `court-commit-vault_${today}.json`)
+}
+
+/**
+ * Parses the content of a file exported with `downloadVault()`
+ * @param {String} content File content
+ * @returns {Object} Vault
+ */
+export function parseVaultFile(content) {
+  let file
+  try {
+    file = JSON.parse(content)
+  } catch (err) {
+    throw new InvalidVaultFile()
+  }
+
+  if (!file || file.type !== VAULT_FILE_TYPE) {
+    throw new InvalidVaultFile()
+  }
+
+  if (file.network !== getNetworkType()) {
+    throw new InvalidVaultFile(
+      `This vault was exported from another network (${file.network})`
+    )
+  }
+
+  return validateVault(file)
+}
@@ -0,0 +1,214 @@
+import { utils as EthersUtils } from 'ethers'
+import { bigNum } from '../lib/math-utils'
+import { dayjs } from './date-utils'
+import {
+  getDisputeFinalRulingTime,
+  transformRoundTermsAttributes,
+} from './dispute-utils'
+import { getExpectedCurrentTermId, getTermStartTime } from './court-utils'
+import { ANJMovement } from '../types/anj-types'
+
+export const HISTORY_RANGES = [
+  { label: 'Last 3 months', months: 3 },
+  { label: 'Last 6 months', months: 6 },
+  { label: 'Last year', months: 12 },
+  { label: 'All time', months: null },
+]
+
+const MONTH_LABEL_FORMAT = 'MMM YY'
+
+function toNumber(amount, decimals) {
+  return Number(EthersUtils.formatUnits(amount, decimals))
+}
+
+/**
+ * Tells when a history range starts
+ * @param {Object} range One of `HISTORY_RANGES`
+ * @param {Object} courtConfig The court configuration
+ * @returns {Number} Start time of the range in ms
+ */
+export function getRangeStartTime(range, courtConfig) {
+  const courtStartTime = getTermStartTime(0, courtConfig)
+  if (!range.months) {
+    return courtStartTime
+  }
+
+  return Math.max(
+    courtStartTime,
+    dayjs()
+      .subtract(range.months - 1, 'month')
+      .startOf('month')
+      .valueOf()
+  )
+}
+
+// Monthly buckets from `from` until now, filled with `createBucket()`
+function getMonthlyBuckets(from, createBucket) {
+  const buckets = []
+  const now = dayjs()
+  for (
+    let month = dayjs(from).startOf('month');
+    !month.isAfter(now);
+    month = month.add(1, 'month')
+  ) {
+    buckets.push({
+      label: month.format(MONTH_LABEL_FORMAT),
+      time: month.valueOf(),
+      ...createBucket(),
+    })
+  }
+  return buckets
+}
+
+function findBucket(buckets, time) {
+  for (let i = buckets.length - 1; i >= 0; i--) {
+    if (time >= buckets[i].time) {
+      return buckets[i]
+    }
+  }
+  return null
+}
+
+/**
+ * Total active ANJ of the court at the start of each term
+ * @param {Array} movements ANJ movements changing the active balance (see `ActiveBalanceMovements`)
+ * @param {Object} courtConfig The court configuration
+ * @param {Number} from Start time of the series in ms
+ * @returns {Array} One point per term, with its start time and the active balance
+ */
+export function getActiveBalanceSeries(movements, courtConfig, from) {
+  const { anjToken, termDuration, terms } = courtConfig
+  const currentTermId = getExpectedCurrentTermId(
+    Date.now(),
+    terms,
+    termDuration
+  )
+
+  // Balance changes by the term they take effect
+  const changes = new Map()
+  for (const { amount, createdAt, effectiveTermId, type } of movements) {
+    const termId = effectiveTermId
+      ? parseInt(effectiveTermId, 10)
+      : getExpectedCurrentTermId(createdAt * 1000, terms, termDuration)
+    const change =
+      ANJMovement[type] === ANJMovement.Activation
+        ? bigNum(amount)
+        : bigNum(amount).mul(-1)
+
+    changes.set(termId, (changes.get(termId) || bigNum(0)).add(change))
+  }
+
+  const points = []
+  let activeBalance = bigNum(0)
+  for (let termId = 0; termId <= currentTermId; termId++) {
+    if (changes.has(termId)) {
+      activeBalance = activeBalance.add(changes.get(termId))
+    }
+
+    const time = getTermStartTime(termId, courtConfig)
+    if (time >= from) {
+      points.push({
+        label: `Term ${termId}`,
+        time,
+        value: toNumber(activeBalance, anjToken.decimals),
+      })
+    }
+  }
+
+  return points
+}
+
+/**
+ * Monthly statistics of the disputes created since `from`
+ * @param {Array} disputes Disputes (see `DisputesHistory`)
+ * @param {Object} courtConfig The court configuration
+ * @param {Number} from Start time of the series in ms
+ * @returns {Array} Disputes created and ruled, average number of rounds and appeal rate (0 to 1) per month
+ */
+export function getDisputesSeries(disputes, courtConfig, from) {
+  const buckets = getMonthlyBuckets(from, () => ({
+    appealed: 0,
+    created: 0,
+    rounds: 0,
+    ruled: 0,
+  }))
+
+  for (const dispute of disputes) {
+    const rounds = dispute.rounds.map(transformRoundTermsAttributes)
+
+    const createdBucket = findBucket(
+      buckets,
+      parseInt(dispute.createdAt, 10) * 1000
+    )
+    if (createdBucket) {
+      createdBucket.created++
+      createdBucket.rounds += rounds.length
+      if (rounds.some(({ appeal }) => appeal && appeal.appealedRuling !== 0)) {
+        createdBucket.appealed++
+      }
+    }
+
+    const finalRulingTime = getDisputeFinalRulingTime(
+      { ...dispute, rounds },
+      courtConfig
+    )
+    const ruledBucket = finalRulingTime && findBucket(buckets, finalRulingTime)
+    if (ruledBucket) {
+      ruledBucket.ruled++
+    }
+  }
+
+  return buckets.map(({ appealed, created, label, rounds, ruled, time }) => ({
+    label,
+    time,
+    created,
+    ruled,
+    averageRounds: created ? rounds / created : 0,
+    appealRate: created ? appealed / created : 0,
+  }))
+}
+
+/**
+ * Monthly amount of fees paid to the court
+ * @param {Array} feeMovements Fee movements (see `FeeMovementsHistory`)
+ * @param {Object} courtConfig The court configuration
+ * @param {Number} from Start time of the series in ms
+ * @returns {Array} Amount of fees per month
+ */
+export function getFeesSeries(feeMovements, courtConfig, from) {
+  const { feeToken } = courtConfig
+  const buckets = getMonthlyBuckets(from, () => ({ amount: bigNum(0) }))
+
+  for (const { amount, createdAt } of feeMovements) {
+    const bucket = findBucket(buckets, parseInt(createdAt, 10) * 1000)
+    if (bucket) {
+      bucket.amount = bucket.amount.add(amount)
+    }
+  }
+
+  return buckets.map(({ amount, label, time }) => ({
+    label,
+    time,
+    value: toNumber(amount, feeToken.decimals),
+  }))
+}
+
+/**
+ * Subscription fees collected on each period started since `from`
+ * @param {Object} courtConfig The court configuration
+ * @param {Number} from Start time of the series in ms
+ * @returns {Array} Collected fees per period
+ */
+export function getSubscriptionFeesSeries(courtConfig, from) {
+  const { feeToken, subscriptionModule } = courtConfig
+  const { periodDuration, periods } = subscriptionModule
+
+  return periods
+    .map(({ collectedFees, id }) => ({
+      label: `Period ${id}`,
+      time: getTermStartTime(id * periodDuration, courtConfig),
+      value: toNumber(collectedFees, feeToken.decimals),
+    }))
+    .filter(({ time }) => time >= from)
+    .sort((a, b) => a.time - b.time)
+}
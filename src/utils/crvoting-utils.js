@@ -127,6 +127,19 @@ export function getVoteId(disputeId, roundId) {
     .add(bigNum(roundId))
 }
 
+// Inverse of getVoteId()
+export function parseVoteId(voteId) {
+  const disputeIdShift = bigNum(2).pow(bigNum(128))
+  return {
+    disputeId: bigNum(voteId)
+      .div(disputeIdShift)
+      .toString(),
+    roundId: bigNum(voteId)
+      .mod(disputeIdShift)
+      .toString(),
+  }
+}
+
 export function hashPassword(salt) {
   return hash256(salt)
 }
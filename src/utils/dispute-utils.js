@@ -512,6 +512,67 @@ function hasDisputeReachedMaxAppeals(dispute, courtConfig) {
   return numberOfRounds > maxRegularAppealRounds
 }
 
+/**
+ * Parses the attributes of a round needed to know when its phases end, for queries
+ * not fetching the whole dispute (see `transformDisputeDataAttributes()` otherwise)
+ * @param {Object} round Round as returned by the subgraph
+ * @returns {Object} Round with its numeric attributes parsed
+ */
+export function transformRoundTermsAttributes(round) {
+  const { appeal } = round
+
+  return {
+    ...round,
+    number: parseInt(round.number, 10),
+    draftTermId: parseInt(round.draftTermId, 10),
+    delayedTerms: parseInt(round.delayedTerms, 10),
+    appeal: appeal
+      ? {
+          ...appeal,
+          appealedRuling: parseInt(appeal.appealedRuling, 10),
+          opposedRuling: parseInt(appeal.opposedRuling, 10),
+        }
+      : null,
+  }
+}
+
+/**
+ * Tells when the ruling of a dispute became final, i.e. when its last round could no longer be appealed
+ * @param {Object} dispute The dispute in question
+ * @param {Object} courtConfig The court configuration
+ * @returns {Number} The time in ms at which the ruling became final, or null if it can still change
+ */
+export function getDisputeFinalRulingTime(dispute, courtConfig) {
+  const {
+    termDuration,
+    commitTerms,
+    revealTerms,
+    appealTerms,
+    appealConfirmationTerms,
+  } = courtConfig
+
+  const lastRound = dispute.rounds[dispute.rounds.length - 1]
+  const { draftTermId, delayedTerms, appeal } = lastRound
+
+  let adjudicationTerms = delayedTerms + commitTerms + revealTerms
+
+  // The final round can't be appealed
+  if (!hasDisputeReachedMaxAppeals(dispute, courtConfig)) {
+    adjudicationTerms += appealTerms
+
+    // A confirmed appeal would have created a new round
+    if (appeal && appeal.appealedRuling !== 0) {
+      adjudicationTerms += appealConfirmationTerms
+    }
+  }
+
+  const finalRulingTime =
+    getTermStartTime(draftTermId, courtConfig) +
+    adjudicationTerms * termDuration
+
+  return finalRulingTime <= Date.now() ? finalRulingTime : null
+}
+
 /**
  * @param {Object} dispute The dispute to get the last round from
  * @returns {Object} dispute's last round
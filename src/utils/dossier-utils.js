@@ -0,0 +1,145 @@
+import { saveAs } from 'file-saver'
+import { IPFS_ENDPOINT } from '../endpoints'
+import { getIpfsCidFromUri, ipfsGetVerified } from '../lib/ipfs-utils'
+import { appealRulingToString, juryOutcomeToString } from './crvoting-utils'
+import { getDisputeTimeLine } from './dispute-utils'
+import {
+  getAttachmentMimeType,
+  getAttachmentPreviewType,
+} from './evidence-utils'
+import {
+  Phase as DisputePhase,
+  getPhaseStringForStatus,
+} from '../types/dispute-status-types'
+
+// Images larger than this are linked rather than embedded in the dossier
+const MAX_EMBEDDED_IMAGE_SIZE = 5 * 1024 * 1024
+
+function getOutcomeText(phase, outcome) {
+  if (
+    phase === DisputePhase.AppealRuling ||
+    phase === DisputePhase.ConfirmAppeal
+  ) {
+    return appealRulingToString(outcome, phase === DisputePhase.ConfirmAppeal)
+  }
+  return juryOutcomeToString(outcome)
+}
+
+/**
+ * Timeline of a dispute as a flat list of steps, from the oldest
+ * @param {Object} dispute Dispute, as returned by `transformDisputeDataAttributes()`
+ * @param {Object} courtConfig The court configuration
+ * @returns {Array} Steps of the timeline (see `getDisputeTimeLine()`), with their title and outcome as text
+ */
+export function getDossierTimeline(dispute, courtConfig) {
+  // The timeline starts from the most recent step, the rounds being grouped
+  // (also from the most recent)
+  return [...getDisputeTimeLine(dispute, courtConfig)]
+    .reverse()
+    .reduce(
+      (steps, item) =>
+        Array.isArray(item)
+          ? [
+              ...steps,
+              ...[...item]
+                .reverse()
+                .reduce(
+                  (roundSteps, round) => [
+                    ...roundSteps,
+                    ...[...round].reverse(),
+                  ],
+                  []
+                ),
+            ]
+          : [...steps, item],
+      []
+    )
+    .map(({ active, endTime, outcome, phase, roundId, showOutcome }) => ({
+      title: getPhaseStringForStatus(phase, active),
+      active: Boolean(active),
+      endTime: endTime || null,
+      roundId,
+      outcome: showOutcome ? getOutcomeText(phase, outcome) : null,
+    }))
+}
+
+/**
+ * Fetch the text of the agreement of a dispute. Agreements on IPFS get checked
+ * against their CID.
+ * @param {String} agreementUrl URL of the agreement, as set by `fetchDisputeData()`
+ * @returns {Promise<Object>} `{ text, contentCheck }`, `text` being null if the agreement isn’t a text file, or `{ error }`
+ */
+export async function fetchAgreement(agreementUrl) {
+  const cidPath =
+    agreementUrl.startsWith(`${IPFS_ENDPOINT}/`) &&
+    getIpfsCidFromUri(agreementUrl.slice(IPFS_ENDPOINT.length + 1))
+
+  let blob = null
+  let contentCheck = null
+  if (cidPath) {
+    const result = await ipfsGetVerified(cidPath)
+    if (result.error) {
+      return { error: true, contentCheck: result.contentCheck }
+    }
+    blob = result.data
+    contentCheck = result.contentCheck
+  } else {
+    try {
+      const response = await fetch(agreementUrl)
+      if (!response.ok) {
+        throw new Error(`The server answered with ${response.status}`)
+      }
+      blob = await response.blob()
+    } catch (err) {
+      console.error(`Error fetching the agreement at ${agreementUrl}`, err)
+      return { error: true, contentCheck }
+    }
+  }
+
+  // Images and PDFs can only be linked
+  if (getAttachmentPreviewType({ name: agreementUrl, type: blob.type })) {
+    return { text: null, contentCheck }
+  }
+  return { text: await blob.text(), contentCheck }
+}
+
+function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
+
+/**
+ * Get an image attached to an evidence as a data URL, to embed it
+ * @param {Object} attachment Attachment, as returned by `parseEvidence()`
+ * @returns {Promise<String>} The data URL, or null if the attachment can’t be embedded
+ */
+export async function getEmbeddedImage(attachment) {
+  const { size, uri } = attachment
+  const cidPath = uri.startsWith('ipfs:') && getIpfsCidFromUri(uri)
+
+  if (
+    !cidPath ||
+    getAttachmentPreviewType(attachment) !== 'image' ||
+    size > MAX_EMBEDDED_IMAGE_SIZE
+  ) {
+    return null
+  }
+
+  // Content not matching its CID is never embedded
+  const { data, error } = await ipfsGetVerified(cidPath)
+  if (error || data.size > MAX_EMBEDDED_IMAGE_SIZE) {
+    return null
+  }
+  return readAsDataUrl(
+    new Blob([data], { type: getAttachmentMimeType(attachment) })
+  )
+}
+
+export function downloadDossier(html, fileName) {
+  const blob = new Blob([html], { type: 'text/html;charset=utf-8' })
+  saveAs(blob, `${fileName}.html`)
+}
@@ -0,0 +1,159 @@
+import env from '../environment'
+import { NotificationsApiError, NotificationsSessionExpired } from '../errors'
+import { getNetworkType } from '../lib/web3-utils'
+
+// HTTP contract of the email notifications service (see emails/README.md):
+//
+//   GET    /health                     => { ok }
+//   POST   /sessions                   => { token, expiresAt }
+//     { address, message, signature }
+//   GET    /subscription               => { address, email, verified, events }
+//   PUT    /subscription               => { address, email, verified, events }
+//     { email, events }
+//   POST   /subscription/verification  => 204
+//   DELETE /subscription               => 204
+//   GET    /verify?token=…             => redirects to the dashboard
+//
+// Every `/subscription` route expects an `Authorization: Bearer <token>`
+// header, using the token of a session opened by signing `getSessionMessage()`
+// with the account of the juror. Expired or invalid tokens return a 401, and
+// an account without subscription returns a 404.
+//
+// Changing the email (or subscribing) sends a new verification email: no
+// notification gets sent until its link is visited.
+
+export const EMAIL_EVENTS = [
+  { name: 'drafted', label: 'I am drafted to arbitrate a dispute' },
+  { name: 'due-tasks', label: 'I have tasks due soon' },
+  { name: 'missed-vote', label: 'I missed a vote' },
+  { name: 'appeals-opened', label: 'A ruling I voted on gets appealed' },
+]
+
+export const DEFAULT_EMAIL_EVENTS = EMAIL_EVENTS.map(({ name }) => name)
+
+const NOTIFICATIONS_API_URL = env('NOTIFICATIONS_API_URL')
+
+// Loose check, the service validates the email by sending the verification
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+export function isEmailNotificationsEnabled() {
+  return Boolean(NOTIFICATIONS_API_URL)
+}
+
+export function isValidEmail(email) {
+  return EMAIL_REGEX.test(email)
+}
+
+function getSessionStorageKey(account) {
+  return `emailNotificationsSession:${getNetworkType()}:${account.toLowerCase()}`
+}
+
+export function loadSession(account) {
+  try {
+    const session = JSON.parse(
+      localStorage.getItem(getSessionStorageKey(account))
+    )
+    return session && session.expiresAt > Date.now() ? session : null
+  } catch (err) {
+    return null
+  }
+}
+
+export function saveSession(account, session) {
+  localStorage.setItem(getSessionStorageKey(account), JSON.stringify(session))
+}
+
+export function clearSession(account) {
+  localStorage.removeItem(getSessionStorageKey(account))
+}
+
+async function request(path, { method = 'GET', body, token } = {}) {
+  const headers = {}
+  if (body) {
+    headers['Content-Type'] = 'application/json'
+  }
+  if (token) {
+    headers.Authorization = `Bearer ${token}`
+  }
+
+  let response
+  try {
+    response = await fetch(`${NOTIFICATIONS_API_URL}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    })
+  } catch (err) {
+    throw new NotificationsApiError('The notifications service is unreachable')
+  }
+
+  if (response.status === 401) {
+    throw new NotificationsSessionExpired()
+  }
+  if (response.status === 404) {
+    return null
+  }
+
+  const data = await response.json().catch(() => null)
+  if (!response.ok) {
+    throw new NotificationsApiError(data ? data.error : undefined)
+  }
+  return data
+}
+
+/**
+ * Message signed by a juror to prove the ownership of their account
+ * @param {String} account Address of the juror
+ * @returns {String} Message to sign
+ */
+export function getSessionMessage(account) {
+  return [
+    'Sign in to manage your Aragon Court email notifications.',
+    '',
+    `Account: ${account.toLowerCase()}`,
+    `Network: ${getNetworkType()}`,
+    `Issued at: ${new Date().toISOString()}`,
+  ].join('\n')
+}
+
+/**
+ * Open a session for an account
+ * @param {String} account Address of the juror
+ * @param {String} message Message signed by the juror (see `getSessionMessage()`)
+ * @param {String} signature Signature of the message
+ * @returns {Promise<Object>} Session token, and its expiration time (in ms)
+ */
+export function createSession(account, message, signature) {
+  return request('/sessions', {
+    method: 'POST',
+    body: { address: account.toLowerCase(), message, signature },
+  })
+}
+
+export function getSubscription(token) {
+  return request('/subscription', { token })
+}
+
+/**
+ * Subscribe to email notifications, or update the subscription
+ * @param {String} token Session token
+ * @param {Object} subscription Subscription details
+ * @param {String} subscription.email Email receiving the notifications
+ * @param {Array} subscription.events Names of the events to be notified about (see `EMAIL_EVENTS`)
+ * @returns {Promise<Object>} Subscription, as stored by the service
+ */
+export function updateSubscription(token, { email, events }) {
+  return request('/subscription', {
+    method: 'PUT',
+    body: { email, events },
+    token,
+  })
+}
+
+export function resendVerification(token) {
+  return request('/subscription/verification', { method: 'POST', token })
+}
+
+export function deleteSubscription(token) {
+  return request('/subscription', { method: 'DELETE', token })
+}
@@ -0,0 +1,214 @@
+import resolvePathname from 'resolve-pathname'
+import { getIpfsCidFromUri, ipfsAdd } from '../lib/ipfs-utils'
+import { defaultIpfsGateway } from '../networks'
+
+// Evidence bundles are IPFS directories, with the evidence itself in this file
+// and the attached files in ATTACHMENTS_DIR (see docs/metadata.md).
+export const EVIDENCE_FILENAME = 'evidence.json'
+const ATTACHMENTS_DIR = 'attachments'
+
+export const MAX_ATTACHMENTS_SIZE = 20 * 1024 * 1024
+
+// Attachments are stored flat, their name can’t contain a path
+export function getAttachmentName(name) {
+  return name.replace(/[/\\]/g, '_')
+}
+
+export function formatFileSize(size) {
+  if (size < 1024) {
+    return `${size} B`
+  }
+  if (size < 1024 * 1024) {
+    return `${Math.round(size / 1024)} KB`
+  }
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`
+}
+
+export function getAttachmentsSize(files) {
+  return files.reduce((size, file) => size + file.size, 0)
+}
+
+/**
+ * Pin an evidence bundle to IPFS
+ * @param {Object} evidence Evidence
+ * @param {String} evidence.text Markdown text of the evidence
+ * @param {Array} evidence.files Attached files
+ * @returns {Promise<String>} URI of the evidence, to submit to the arbitrable
+ */
+export async function pinEvidence({ text, files }) {
+  const attachments = files.map(file => ({
+    name: getAttachmentName(file.name),
+    type: file.type,
+    size: file.size,
+    uri: `${ATTACHMENTS_DIR}/${getAttachmentName(file.name)}`,
+  }))
+
+  const evidence = { metadata: text, attachments }
+
+  const cid = await ipfsAdd([
+    {
+      path: EVIDENCE_FILENAME,
+      content: new Blob([JSON.stringify(evidence, null, 2)], {
+        type: 'application/json',
+      }),
+    },
+    ...files.map((file, index) => ({
+      path: attachments[index].uri,
+      content: file,
+    })),
+  ])
+
+  return `ipfs:${cid}/${EVIDENCE_FILENAME}`
+}
+
+const IPFS_PREFIX_REGEX = /^(ipfs:\/\/|ipfs:|\/ipfs\/)/
+const PROTOCOL_REGEX = /^[a-z][a-z0-9+.-]*:/i
+const HTTP_REGEX = /^https?:\/\//i
+
+const PREVIEW_TYPES = [
+  [
+    'image',
+    /^image\/(gif|jpeg|png|svg\+xml|webp)$/,
+    /\.(gif|jpe?g|png|svg|webp)$/i,
+  ],
+  ['pdf', /^application\/pdf$/, /\.pdf$/i],
+]
+
+const IMAGE_TYPES = {
+  gif: 'image/gif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+}
+
+/**
+ * Resolve a link found in an evidence: relative links get resolved from the
+ * IPFS path of the evidence, and IPFS links normalized to `ipfs:<cid path>`
+ * @param {String} link Link, e.g. `attachments/file.pdf`, `ipfs://<cid>` or `https://…`
+ * @param {String} evidenceUri URI of the evidence (the data submitted on chain)
+ * @returns {String} The resolved link (`http(s):` or `ipfs:` only), or null if it can’t be resolved
+ */
+export function resolveEvidenceLink(link, evidenceUri) {
+  if (typeof link !== 'string' || !link.trim()) {
+    return null
+  }
+
+  if (IPFS_PREFIX_REGEX.test(link)) {
+    const cidPath = getIpfsCidFromUri(link.replace(IPFS_PREFIX_REGEX, ''))
+    return cidPath ? `ipfs:${cidPath}` : null
+  }
+
+  // Only web URLs are allowed: other schemes (e.g. javascript:) could run
+  // code on the dashboard once opened
+  if (PROTOCOL_REGEX.test(link)) {
+    return HTTP_REGEX.test(link) ? link : null
+  }
+
+  const baseCidPath = evidenceUri && getIpfsCidFromUri(evidenceUri)
+  if (!baseCidPath) {
+    return null
+  }
+  const [rootCid] = baseCidPath.split('/')
+  const resolved = resolvePathname(link, `/${baseCidPath}`)
+
+  // Relative links can’t go above the directory of the evidence
+  return resolved.startsWith(`/${rootCid}/`)
+    ? `ipfs:${resolved.slice(1)}`
+    : null
+}
+
+// URL to open a resolved link in the browser
+export function getEvidenceLinkUrl(link) {
+  const cidPath = link.startsWith('ipfs:') && getIpfsCidFromUri(link)
+  return cidPath ? `${defaultIpfsGateway}/${cidPath}` : link
+}
+
+// How an attachment can be previewed: 'image', 'pdf', or null
+export function getAttachmentPreviewType({ name, type }) {
+  const previewType = PREVIEW_TYPES.find(
+    ([, typeRegex, nameRegex]) => typeRegex.test(type) || nameRegex.test(name)
+  )
+  return previewType ? previewType[0] : null
+}
+
+/**
+ * MIME type to load the content of an attachment as. The type set in the
+ * evidence is only trusted when it is one of the previewable image types:
+ * it is set by the submitter, and loading the content as e.g. text/html would
+ * run it on the origin of the dashboard.
+ * @param {Object} attachment Attachment, as returned by `parseEvidence()`
+ * @returns {String} The MIME type
+ */
+export function getAttachmentMimeType(attachment) {
+  const previewType = getAttachmentPreviewType(attachment)
+
+  if (previewType === 'pdf') {
+    return 'application/pdf'
+  }
+  if (previewType === 'image') {
+    const [, imageTypeRegex, imageNameRegex] = PREVIEW_TYPES[0]
+    if (imageTypeRegex.test(attachment.type)) {
+      return attachment.type
+    }
+    const [, extension] = attachment.name.match(imageNameRegex)
+    return IMAGE_TYPES[extension.toLowerCase()]
+  }
+  return 'application/octet-stream'
+}
+
+/**
+ * Parse the content of an evidence (see docs/metadata.md)
+ * @param {String} content Content of the evidence
+ * @param {String} evidenceUri URI of the evidence, to resolve the relative links
+ * @returns {Object} `{ title, body, attachments }`, with the body as Markdown
+ */
+export function parseEvidence(content, evidenceUri) {
+  let evidence = null
+  try {
+    evidence = JSON.parse(content)
+  } catch (err) {}
+
+  // Plain text (or Markdown)
+  if (!evidence || typeof evidence !== 'object' || Array.isArray(evidence)) {
+    return { title: '', body: content, attachments: [] }
+  }
+
+  const title = typeof evidence.title === 'string' ? evidence.title : ''
+  const body = [evidence.body, evidence.metadata].find(
+    value => typeof value === 'string'
+  )
+  const attachments = (Array.isArray(evidence.attachments)
+    ? evidence.attachments
+    : []
+  )
+    .filter(attachment => attachment && typeof attachment === 'object')
+    .map(attachment => {
+      const link = attachment.uri || attachment.url
+      const uri = resolveEvidenceLink(link, evidenceUri)
+      return {
+        name:
+          typeof attachment.name === 'string' && attachment.name
+            ? attachment.name
+            : String(link)
+                .split('/')
+                .pop(),
+        type: typeof attachment.type === 'string' ? attachment.type : '',
+        size: Number.isFinite(attachment.size) ? attachment.size : null,
+        uri,
+      }
+    })
+    .filter(attachment => attachment.uri)
+
+  // JSON without any of the known keys is shown as it is
+  if (body === undefined && !title && attachments.length === 0) {
+    return {
+      title: '',
+      body: `\`\`\`json\n${JSON.stringify(evidence, null, 2)}\n\`\`\``,
+      attachments: [],
+    }
+  }
+
+  return { title, body: body || '', attachments }
+}
@@ -1,5 +1,5 @@
 import { addressesEqual } from '../lib/web3-utils'
-import { isvoteLeaked } from './crvoting-utils'
+import { OUTCOMES, isvoteLeaked } from './crvoting-utils'
 import { bigNum } from '../lib/math-utils'
 
 export function getJurorDraft(round, jurorId) {
@@ -42,3 +42,50 @@ export function transformJurorDataAttributes(jurorDraft) {
     },
   }
 }
+
+/**
+ * Rewards of a juror for a draft, only available once the round penalties are settled
+ * @param {Object} jurorDraft Juror draft (see `transformJurorDataAttributes`)
+ * @returns {Object} Amounts of ANJ (collected from the incoherent jurors) and fees earned, or null if not rewarded
+ */
+export function getJurorDraftRewards(jurorDraft) {
+  const { weight, round } = jurorDraft
+  if (!round.settledPenalties || !isJurorCoherent(jurorDraft)) {
+    return null
+  }
+
+  const { coherentJurors, collectedTokens, jurorFees } = round
+  return {
+    anjAmount: collectedTokens.mul(weight).div(coherentJurors),
+    feeAmount: jurorFees.mul(weight).div(coherentJurors),
+  }
+}
+
+/**
+ * Participation of a juror in the disputes it was drafted for
+ * @param {Array} jurorDrafts Drafts of the juror (see `transformJurorDataAttributes`)
+ * @returns {Object} Number of drafts, coherence rate of the ruled ones (null if none), missed and leaked votes, and fees earned
+ */
+export function getJurorParticipation(jurorDrafts) {
+  // Votes can only be considered missed once the dispute has been ruled
+  const ruledDrafts = jurorDrafts.filter(
+    ({ round }) => round.dispute.finalRuling !== 0
+  )
+  const coherentDrafts = ruledDrafts.filter(isJurorCoherent)
+
+  return {
+    drafts: jurorDrafts.length,
+    coherenceRate: ruledDrafts.length
+      ? coherentDrafts.length / ruledDrafts.length
+      : null,
+    missedVotes: ruledDrafts.filter(
+      ({ outcome }) => (outcome || OUTCOMES.Missing) === OUTCOMES.Missing
+    ).length,
+    leakedVotes: jurorDrafts.filter(({ outcome }) => isvoteLeaked(outcome))
+      .length,
+    feeRewards: jurorDrafts.reduce((total, jurorDraft) => {
+      const rewards = getJurorDraftRewards(jurorDraft)
+      return rewards ? total.add(rewards.feeAmount) : total
+    }, bigNum(0)),
+  }
+}
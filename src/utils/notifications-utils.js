@@ -0,0 +1,100 @@
+import StoredList from '../StoredList'
+import { getNetworkType } from '../lib/web3-utils'
+import { DAY, HOUR } from './date-utils'
+
+const SETTINGS_STORAGE_KEY = 'notificationsSettings'
+const WORKER_URL = '/notifications-sw.js'
+const NOTIFICATION_ICON = '/icon.png'
+
+// Notifications sent are remembered for a while, so that they don’t get sent
+// again every time the dashboard is opened
+const SENT_NOTIFICATIONS_LIFETIME = 30 * DAY
+
+export const DEADLINE_THRESHOLDS = [
+  { label: '1 hour', value: 1 * HOUR },
+  { label: '6 hours', value: 6 * HOUR },
+  { label: '1 day', value: 1 * DAY },
+  { label: '2 days', value: 2 * DAY },
+]
+
+export const DEFAULT_SETTINGS = {
+  enabled: false,
+  drafted: true,
+  deadlines: true,
+  deadlineThresholds: [1 * HOUR, 1 * DAY],
+  rewards: true,
+}
+
+export function notificationsSupported() {
+  return 'Notification' in window && 'serviceWorker' in navigator
+}
+
+export function getNotificationsPermission() {
+  return notificationsSupported() ? Notification.permission : 'denied'
+}
+
+export function loadSettings() {
+  try {
+    return {
+      ...DEFAULT_SETTINGS,
+      ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)),
+    }
+  } catch (err) {
+    console.error('Could not parse the notifications settings', err)
+    return DEFAULT_SETTINGS
+  }
+}
+
+export function saveSettings(settings) {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings))
+}
+
+export function registerNotificationsWorker() {
+  return navigator.serviceWorker.register(WORKER_URL)
+}
+
+/**
+ * Display a notification through the service worker
+ * @param {String} title Title of the notification
+ * @param {Object} options Notification details
+ * @param {String} options.body Text of the notification
+ * @param {String} options.path Page of the dashboard to open when the notification is clicked
+ * @param {String} options.tag Identifies the notification, so that it replaces a previous one with the same tag
+ * @returns {Promise} Resolves once the notification is displayed
+ */
+export async function showNotification(title, { body, path, tag }) {
+  const registration = await navigator.serviceWorker.ready
+  return registration.showNotification(title, {
+    body,
+    data: { path },
+    icon: NOTIFICATION_ICON,
+    tag,
+  })
+}
+
+/**
+ * Keeps track of the notifications sent to an account
+ * @param {String} account Address of the juror
+ * @returns {Object} `has(key)` tells if a notification was sent, `add(keys)` remembers the ones being sent
+ */
+export function getSentNotifications(account) {
+  const storedList = new StoredList(
+    `notifications:${getNetworkType()}:${account}`
+  )
+
+  const now = Date.now()
+  storedList.update(
+    storedList
+      .getItems()
+      .filter(({ sentAt }) => now - sentAt < SENT_NOTIFICATIONS_LIFETIME)
+  )
+
+  return {
+    has: key => storedList.has(item => item.key === key),
+    add: keys =>
+      storedList.update([
+        ...storedList.getItems(),
+        ...keys.map(key => ({ key, sentAt: Date.now() })),
+      ]),
+  }
+}
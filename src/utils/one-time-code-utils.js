@@ -1,3 +1,5 @@
+// Codes are only kept in plain text until they get encrypted in the commit
+// vault (see providers/CommitVault.js)
 export function saveCodeInLocalStorage(
   connectedAccount,
   disputeId,
@@ -16,3 +18,22 @@ export function getCodeFromLocalStorage(connectedAccount, disputeId) {
 export function removeCodeFromLocalStorage(connectedAccount, disputeId) {
   localStorage.removeItem(`oneTimeCode:${connectedAccount}:${disputeId}`)
 }
+
+// Get all the codes saved in this browser for `connectedAccount`, in plain
+// text by previous versions or while the commit vault was locked
+export function getAllCodesFromLocalStorage(connectedAccount) {
+  const prefix = `oneTimeCode:${connectedAccount}:`.toLowerCase()
+  const codes = []
+
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i)
+    if (key && key.toLowerCase().startsWith(prefix)) {
+      codes.push({
+        disputeId: key.slice(prefix.length),
+        code: localStorage.getItem(key),
+      })
+    }
+  }
+
+  return codes
+}
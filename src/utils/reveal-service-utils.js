@@ -0,0 +1,96 @@
+import env from '../environment'
+import { RevealServiceError } from '../errors'
+
+// HTTP contract of the auto-reveal service (see reveal-service/README.md):
+//
+//   GET  /health                  => { account, chainId, court }
+//   POST /reveals                 => { juror, voteId, status }
+//     { juror, voteId, outcome, salt }, checked against the commitment (409
+//     until it is indexed)
+//   GET  /reveals/:juror/:voteId  => { juror, voteId, status, transactionHash?, error? }
+//
+// `status` is one of `REVEAL_REQUEST_STATUS`. Unknown reveals return a 404.
+
+export const REVEAL_REQUEST_STATUS = {
+  Scheduled: 'scheduled',
+  Revealed: 'revealed',
+  Failed: 'failed',
+  Expired: 'expired',
+}
+
+const REVEAL_SERVICE_URL = env('REVEAL_SERVICE_URL')
+
+// The service rejects votes until the commitment gets indexed by the subgraph
+const COMMITMENT_NOT_INDEXED = 409
+const SCHEDULE_MAX_ATTEMPTS = 6
+const SCHEDULE_RETRY_DELAY = 5000
+
+export function isRevealServiceEnabled() {
+  return Boolean(REVEAL_SERVICE_URL)
+}
+
+async function request(path, { method = 'GET', body } = {}) {
+  let response
+  try {
+    response = await fetch(`${REVEAL_SERVICE_URL}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    })
+  } catch (err) {
+    throw new RevealServiceError('The auto-reveal service is unreachable')
+  }
+
+  if (response.status === 404) {
+    return null
+  }
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new RevealServiceError(data.error)
+    error.status = response.status
+    throw error
+  }
+  return data
+}
+
+export function getRevealServiceHealth() {
+  return request('/health')
+}
+
+/**
+ * Hands a committed vote to the auto-reveal service
+ * @param {String} juror Address of the juror
+ * @param {String} voteId Vote id of the round, as a decimal string
+ * @param {Number} outcome Outcome committed by the juror
+ * @param {String} salt Hashed one-time-use code used for the commitment
+ * @returns {Promise<Object>} Reveal request, as stored by the service
+ */
+export async function scheduleReveal({ juror, voteId, outcome, salt }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request('/reveals', {
+        method: 'POST',
+        body: { juror: juror.toLowerCase(), voteId, outcome, salt },
+      })
+    } catch (err) {
+      if (
+        err.status !== COMMITMENT_NOT_INDEXED ||
+        attempt === SCHEDULE_MAX_ATTEMPTS
+      ) {
+        throw err
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, SCHEDULE_RETRY_DELAY))
+  }
+}
+
+/**
+ * Get the reveal request of a juror for a vote
+ * @param {String} juror Address of the juror
+ * @param {String} voteId Vote id of the round, as a decimal string
+ * @returns {Promise<Object>} Reveal request, or null if unknown to the service
+ */
+export function getRevealRequest(juror, voteId) {
+  return request(`/reveals/${juror.toLowerCase()}/${voteId}`)
+}
@@ -0,0 +1,120 @@
+import { utils as EthersUtils } from 'ethers'
+import { getFunctionSignature } from '../lib/web3-utils'
+import { TransactionWouldFail } from '../errors'
+
+const ERROR_SELECTOR = getFunctionSignature('Error(string)')
+const REVERT_REASON_REGEX = /revert(?:ed)?:?\s+([A-Z0-9_]+)/
+
+// Revert reasons of the court contracts that a juror can run into
+const REVERT_REASON_MESSAGES = {
+  CLK_TOO_MANY_TRANSITIONS:
+    'The court term is too outdated. It needs to be updated before this action can be performed.',
+  CRV_INVALID_COMMITMENT_SALT:
+    'The one-time-use code doesn’t match the vote commitment.',
+  CRV_INVALID_OUTCOME: 'The selected outcome is not valid for this dispute.',
+  CRV_VOTE_ALREADY_COMMITTED: 'A vote has already been committed.',
+  CRV_VOTE_ALREADY_REVEALED: 'This vote has already been revealed.',
+  CRV_VOTE_DOES_NOT_EXIST: 'The vote of this round doesn’t exist.',
+  DM_APPEAL_ALREADY_CONFIRMED: 'This appeal has already been confirmed.',
+  DM_DEPOSIT_FAILED:
+    'The collateral couldn’t be deposited. Please check your balance and allowance of the fee token.',
+  DM_DISPUTE_DOES_NOT_EXIST: 'The dispute doesn’t exist.',
+  DM_DRAFT_TERM_NOT_REACHED: 'The draft term of this round hasn’t started yet.',
+  DM_INVALID_ADJUDICATION_ROUND:
+    'This round is not the current round of the dispute.',
+  DM_INVALID_ADJUDICATION_STATE:
+    'The dispute is not in the right phase for this action.',
+  DM_INVALID_APPEAL_RULING: 'This ruling can’t be selected for the appeal.',
+  DM_ROUND_ALREADY_APPEALED: 'This round has already been appealed.',
+  DM_ROUND_ALREADY_DRAFTED: 'The jury of this round has already been drafted.',
+  DM_ROUND_IS_FINAL: 'The final round of a dispute can’t be appealed.',
+  DM_ROUND_NOT_APPEALED: 'This round hasn’t been appealed.',
+  DM_VOTER_WEIGHT_ZERO: 'You haven’t been drafted in this round.',
+}
+
+function decodeRevertData(data) {
+  if (typeof data !== 'string' || !data.startsWith(ERROR_SELECTOR)) {
+    return null
+  }
+  try {
+    const [reason] = EthersUtils.defaultAbiCoder.decode(
+      ['string'],
+      `0x${data.slice(ERROR_SELECTOR.length)}`
+    )
+    return reason
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Extract the revert reason of a failed call
+ * @param {Error} error Error thrown by the provider
+ * @returns {String} The reason, an empty string if the call reverted without reason, null if it didn’t revert
+ */
+export function getRevertReason(error) {
+  // Nodes and wallets nest the revert data differently
+  const revertData = [
+    error.data,
+    error.data?.data,
+    error.error?.data,
+    error.error?.data?.data,
+  ].find(data => typeof data === 'string')
+
+  const decodedReason = decodeRevertData(revertData)
+  if (decodedReason !== null) {
+    return decodedReason
+  }
+
+  const message = error.error?.message || error.message || ''
+  const match = message.match(REVERT_REASON_REGEX)
+  if (match) {
+    return match[1]
+  }
+
+  return /revert/i.test(message) ? '' : null
+}
+
+export function getRevertReasonMessage(reason) {
+  if (REVERT_REASON_MESSAGES[reason]) {
+    return REVERT_REASON_MESSAGES[reason]
+  }
+  return reason
+    ? `This transaction would fail (${reason}).`
+    : 'This transaction would fail.'
+}
+
+/**
+ * Dry-run a contract transaction from the connected account
+ * @param {Object} contract Ethers contract with a signer
+ * @param {String} method Name of the method, as in the contract ABI
+ * @param {Array} args Arguments of the method
+ * @returns {Promise<Object>} Gas estimate, or null if the simulation couldn’t run. Rejects with `TransactionWouldFail` if the transaction would revert.
+ */
+export async function simulateTransaction(contract, method, args = []) {
+  const transaction = {
+    from: await contract.signer.getAddress(),
+    to: contract.address,
+    data: contract.interface.functions[method].encode(args),
+  }
+
+  let reason = null
+  try {
+    // Some nodes return the revert data instead of throwing
+    reason = decodeRevertData(await contract.provider.call(transaction))
+    if (reason === null) {
+      return await contract.provider.estimateGas(transaction)
+    }
+  } catch (err) {
+    reason = getRevertReason(err)
+
+    // Not a revert (e.g. the node couldn’t be reached): the transaction can
+    // still be attempted.
+    if (reason === null) {
+      console.warn(`Couldn’t simulate the ${method} transaction: `, err)
+      return null
+    }
+  }
+
+  throw new TransactionWouldFail(getRevertReasonMessage(reason), reason)
+}
@@ -5,7 +5,8 @@ export function transformSubscriptionModuleDataAttributes(subscriptionModule) {
     ...subscriptionModule,
     currentPeriod: parseInt(subscriptionModule.currentPeriod, 10),
     feeAmount: bigNum(subscriptionModule.feeAmount),
-    periodDuration: parseInt(subscriptionModule.periodDuration) * 1000,
+    // Expressed in terms
+    periodDuration: parseInt(subscriptionModule.periodDuration, 10),
     periods: subscriptionModule.periods.map(period => ({
       ...period,
       id: parseInt(period.id, 10),